@@ -0,0 +1,85 @@
+const { getDatabase, openDatabase } = require('./init');
+
+// Promise-based wrapper around a sqlite3 Database handle
+class Connection {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Execute a write statement; resolves with { lastID, changes }
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) return reject(err);
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  // Fetch a single row (undefined when nothing matches)
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  // Fetch all matching rows
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  // Execute one or more statements without parameters
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      this.db.close((err) => (err ? reject(err) : resolve()));
+    });
+  }
+}
+
+let sharedConnection;
+
+// Shared connection used for everything outside a transaction
+function getConnection() {
+  if (!sharedConnection) {
+    sharedConnection = new Connection(getDatabase());
+  }
+  return sharedConnection;
+}
+
+// Run fn inside a transaction on a dedicated connection, so statements issued by
+// concurrent requests on the shared connection can never end up inside it.
+// Commits when fn resolves, rolls back and rethrows when it rejects.
+async function transaction(fn) {
+  const connection = new Connection(openDatabase());
+
+  try {
+    // IMMEDIATE takes the write lock up front so two transactions cannot both
+    // read a row and then race to update it
+    await connection.exec('BEGIN IMMEDIATE');
+
+    try {
+      const result = await fn(connection);
+      await connection.exec('COMMIT');
+      return result;
+    } catch (error) {
+      await connection.exec('ROLLBACK');
+      throw error;
+    }
+  } finally {
+    await connection.close();
+  }
+}
+
+module.exports = {
+  Connection,
+  getConnection,
+  transaction
+};
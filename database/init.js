@@ -1,7 +1,9 @@
+require('dotenv').config();
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const bcrypt = require('bcryptjs');
 const fs = require('fs');
+const { getPendingMigrations, migrate, formatMigration } = require('./migrate');
 
 const dbPath = process.env.DATABASE_PATH || './database/pets.db';
 
@@ -11,189 +13,196 @@ if (!fs.existsSync(dbDir)) {
   fs.mkdirSync(dbDir, { recursive: true });
 }
 
-const db = new sqlite3.Database(dbPath);
+// Wait this long for a lock held by another connection before failing with SQLITE_BUSY
+const BUSY_TIMEOUT_MS = 5000;
 
-// Initialize database tables
-function initializeDatabase() {
-  return new Promise((resolve, reject) => {
+// Open a new connection to the application database
+function openDatabase() {
+  const connection = new sqlite3.Database(dbPath);
+  connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+  return connection;
+}
+
+const db = openDatabase();
+
+// Verify the schema is current and load default data.
+// Schema changes live in database/migrations and are applied with `npm run migrate`.
+async function initializeDatabase() {
+  const pending = await getPendingMigrations(db);
+
+  if (pending.length > 0) {
+    const names = pending.map(formatMigration);
+    throw new Error(`Database has ${pending.length} pending migration(s): ${names.join(', ')}. Run "npm run migrate" first.`);
+  }
+
+  await seedDatabase();
+}
+
+// Insert the default admin user and sample catalogue data
+function seedDatabase() {
+  const adminEmail = process.env.ADMIN_EMAIL || 'admin@sharmapetnation.com';
+  const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
+
+  return bcrypt.hash(adminPassword, 10).then(hashedPassword => new Promise((resolve, reject) => {
     db.serialize(() => {
-      // Users table
+      // Insert default admin user
+      db.run(`
+        INSERT OR IGNORE INTO users (username, email, password_hash, full_name, role)
+        VALUES (?, ?, ?, ?, ?)
+      `, ['admin', adminEmail, hashedPassword, 'Administrator', 'admin']);
+
+      // Insert sample pets (only into an empty table)
       db.run(`
-        CREATE TABLE IF NOT EXISTS users (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          username VARCHAR(50) UNIQUE NOT NULL,
-          email VARCHAR(100) UNIQUE NOT NULL,
-          password_hash VARCHAR(255) NOT NULL,
-          full_name VARCHAR(100) NOT NULL,
-          phone VARCHAR(20),
-          address TEXT,
-          role VARCHAR(20) DEFAULT 'user',
-          is_active BOOLEAN DEFAULT 1,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        INSERT INTO pets (name, breed, species, gender, age_weeks, description, price, image_url, vaccination_status)
+        SELECT * FROM (
+          VALUES
+          ('Birchy', 'Persian Cat', 'Cat', 'Female', 12, 'Beautiful Persian cat with soft fur and gentle nature. Perfect for families.', 25000, 'PersianCat.jpeg', 'Vaccinated'),
+          ('Charlie', 'Toy Pom', 'Dog', 'Male', 12, 'Adorable Toy Pomeranian, playful and energetic. Great companion.', 35000, 'Toy Pom.jpg', 'Vaccinated'),
+          ('Harry', 'Poodle', 'Dog', 'Male', 8, 'Smart and friendly Poodle puppy. Easy to train and very loyal.', 40000, 'Poodle.jpg', 'Vaccinated'),
+          ('Goldie', 'Golden Retriever', 'Dog', 'Female', 10, 'Loving Golden Retriever with golden coat. Perfect family dog.', 45000, 'GoldenRetriever.jpeg', 'Vaccinated')
         )
+        WHERE NOT EXISTS (SELECT 1 FROM pets)
       `);
 
-      // Pets table
+      // Insert sample shop products (only into an empty table)
       db.run(`
-        CREATE TABLE IF NOT EXISTS pets (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          name VARCHAR(50) NOT NULL,
-          breed VARCHAR(100) NOT NULL,
-          species VARCHAR(20) NOT NULL,
-          gender VARCHAR(10) NOT NULL,
-          age_weeks INTEGER NOT NULL,
-          description TEXT,
-          price DECIMAL(10,2),
-          image_url VARCHAR(255),
-          is_available BOOLEAN DEFAULT 1,
-          is_featured BOOLEAN DEFAULT 0,
-          vaccination_status VARCHAR(50),
-          health_certificate VARCHAR(255),
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        INSERT INTO shop_products (name, description, price, category, image_url, stock_quantity, reorder_point, reorder_quantity)
+        SELECT * FROM (
+          VALUES
+          ('Chewable Dog Toy', 'Durable rubber toy for endless fun and entertainment', 599, 'Toys', 'https://i.imgur.com/6L0fQxw.jpeg', 50, 10, 40),
+          ('Premium Cat Food', 'Nutritious and vet-approved dry food for all life stages', 1299, 'Food', 'https://i.imgur.com/ptVqErD.jpeg', 30, 10, 30),
+          ('Organic Pet Shampoo', 'Keep your pet''s coat clean and shiny with natural ingredients', 799, 'Grooming', 'https://i.imgur.com/MKVnZAC.jpeg', 25, 5, 20)
         )
+        WHERE NOT EXISTS (SELECT 1 FROM shop_products)
       `);
 
-      // Adoption requests table
+      // Default GST rates (only into an empty table); prices include GST
       db.run(`
-        CREATE TABLE IF NOT EXISTS adoption_requests (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          user_id INTEGER NOT NULL,
-          pet_id INTEGER NOT NULL,
-          message TEXT NOT NULL,
-          status VARCHAR(20) DEFAULT 'pending',
-          admin_notes TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (user_id) REFERENCES users (id),
-          FOREIGN KEY (pet_id) REFERENCES pets (id)
+        INSERT INTO tax_rates (item_type, category, rate, hsn_code)
+        SELECT * FROM (
+          VALUES
+          ('pet', NULL, 0, '0106'),
+          ('product', NULL, 18, NULL),
+          ('product', 'Food', 18, '2309'),
+          ('product', 'Toys', 12, '9503'),
+          ('product', 'Grooming', 18, '3305'),
+          ('shipping', NULL, 18, '996812')
         )
+        WHERE NOT EXISTS (SELECT 1 FROM tax_rates)
       `);
 
-      // Shop products table
+      // Parcel weights of the sample products, for weight-based shipping rates
       db.run(`
-        CREATE TABLE IF NOT EXISTS shop_products (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          name VARCHAR(100) NOT NULL,
-          description TEXT,
-          price DECIMAL(10,2) NOT NULL,
-          category VARCHAR(50) NOT NULL,
-          image_url VARCHAR(255),
-          stock_quantity INTEGER DEFAULT 0,
-          is_available BOOLEAN DEFAULT 1,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
+        UPDATE shop_products
+        SET weight_grams = CASE name
+          WHEN 'Chewable Dog Toy' THEN 200
+          WHEN 'Premium Cat Food' THEN 1000
+          WHEN 'Organic Pet Shampoo' THEN 300
+        END
+        WHERE weight_grams = 0 AND name IN ('Chewable Dog Toy', 'Premium Cat Food', 'Organic Pet Shampoo')
       `);
 
-      // Orders table
+      // Sample shipping zones (only into an empty table): Delhi NCR is
+      // charged by weight and offers pet transport, the rest of India by
+      // order value. The narrowest pincode range wins, so Delhi NCR takes
+      // precedence over the all-India range.
       db.run(`
-        CREATE TABLE IF NOT EXISTS orders (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          user_id INTEGER NOT NULL,
-          order_number VARCHAR(50) UNIQUE NOT NULL,
-          total_amount DECIMAL(10,2) NOT NULL,
-          status VARCHAR(20) DEFAULT 'pending',
-          payment_status VARCHAR(20) DEFAULT 'pending',
-          shipping_address TEXT NOT NULL,
-          billing_address TEXT,
-          notes TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (user_id) REFERENCES users (id)
+        INSERT INTO shipping_zones (name, rate_basis, free_shipping_threshold, pet_transport_rate)
+        SELECT * FROM (
+          VALUES
+          ('Delhi NCR', 'weight', 999, 1500),
+          ('Rest of India', 'order_value', 1999, NULL)
         )
+        WHERE NOT EXISTS (SELECT 1 FROM shipping_zones)
       `);
 
-      // Order items table
       db.run(`
-        CREATE TABLE IF NOT EXISTS order_items (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          order_id INTEGER NOT NULL,
-          item_type VARCHAR(20) NOT NULL, -- 'pet' or 'product'
-          item_id INTEGER NOT NULL,
-          quantity INTEGER DEFAULT 1,
-          price DECIMAL(10,2) NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (order_id) REFERENCES orders (id)
-        )
+        INSERT INTO shipping_zone_pincodes (zone_id, pincode_from, pincode_to)
+        SELECT z.id, r.column2, r.column3
+        FROM shipping_zones z
+        JOIN (
+          VALUES
+          ('Delhi NCR', 110001, 110097),
+          ('Delhi NCR', 121001, 122505),
+          ('Delhi NCR', 201001, 201318),
+          ('Rest of India', 110001, 999999)
+        ) r ON z.name = r.column1
+        WHERE NOT EXISTS (SELECT 1 FROM shipping_zone_pincodes)
       `);
 
-      // Payments table
       db.run(`
-        CREATE TABLE IF NOT EXISTS payments (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          order_id INTEGER NOT NULL,
-          stripe_payment_intent_id VARCHAR(255),
-          amount DECIMAL(10,2) NOT NULL,
-          currency VARCHAR(3) DEFAULT 'INR',
-          status VARCHAR(20) DEFAULT 'pending',
-          payment_method VARCHAR(50),
-          transaction_id VARCHAR(255),
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (order_id) REFERENCES orders (id)
-        )
+        INSERT INTO shipping_rates (zone_id, min_value, max_value, rate)
+        SELECT z.id, r.column2, r.column3, r.column4
+        FROM shipping_zones z
+        JOIN (
+          VALUES
+          ('Delhi NCR', 0, 1000, 49),
+          ('Delhi NCR', 1000, 5000, 99),
+          ('Delhi NCR', 5000, NULL, 199),
+          ('Rest of India', 0, 999, 149),
+          ('Rest of India', 999, NULL, 99)
+        ) r ON z.name = r.column1
+        WHERE NOT EXISTS (SELECT 1 FROM shipping_rates)
       `);
 
-      // Support tickets table
+      // A week of sample slots from tomorrow (only into an empty table):
+      // store pickup 11:00-13:00 and 16:00-18:00, Delhi NCR delivery 10:00-14:00
+      // and 14:00-18:00, India time (stored in UTC)
       db.run(`
-        CREATE TABLE IF NOT EXISTS support_tickets (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          user_id INTEGER,
-          name VARCHAR(100) NOT NULL,
-          email VARCHAR(100) NOT NULL,
-          phone VARCHAR(20),
-          subject VARCHAR(200),
-          message TEXT NOT NULL,
-          status VARCHAR(20) DEFAULT 'open',
-          priority VARCHAR(10) DEFAULT 'medium',
-          admin_response TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (user_id) REFERENCES users (id)
-        )
+        WITH RECURSIVE days (n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM days WHERE n < 7)
+        INSERT INTO delivery_slots (slot_type, zone_id, starts_at, ends_at, capacity)
+        SELECT s.column1,
+               (SELECT id FROM shipping_zones WHERE name = s.column2),
+               datetime(date('now', '+' || days.n || ' days'), s.column3),
+               datetime(date('now', '+' || days.n || ' days'), s.column4),
+               s.column5
+        FROM days
+        JOIN (
+          VALUES
+          ('pickup', NULL, '+330 minutes', '+450 minutes', 10),
+          ('pickup', NULL, '+630 minutes', '+750 minutes', 10),
+          ('delivery', 'Delhi NCR', '+270 minutes', '+510 minutes', 20),
+          ('delivery', 'Delhi NCR', '+510 minutes', '+750 minutes', 20)
+        ) s
+        WHERE NOT EXISTS (SELECT 1 FROM delivery_slots)
+        ORDER BY days.n
       `);
 
-      // Insert default admin user
-      const adminEmail = process.env.ADMIN_EMAIL || 'admin@sharmapetnation.com';
-      const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
-      
-      bcrypt.hash(adminPassword, 10, (err, hashedPassword) => {
-        if (err) {
-          console.error('Error hashing admin password:', err);
-          return;
-        }
-
-        db.run(`
-          INSERT OR IGNORE INTO users (username, email, password_hash, full_name, role)
-          VALUES (?, ?, ?, ?, ?)
-        `, ['admin', adminEmail, hashedPassword, 'Administrator', 'admin']);
-      });
-
-      // Insert sample pets
+      // Split the sample cat food into pack sizes (only for a freshly seeded
+      // product, so its stock is still unrecorded and can be divided up)
       db.run(`
-        INSERT OR IGNORE INTO pets (name, breed, species, gender, age_weeks, description, price, image_url, vaccination_status)
-        VALUES 
-        ('Birchy', 'Persian Cat', 'Cat', 'Female', 12, 'Beautiful Persian cat with soft fur and gentle nature. Perfect for families.', 25000, 'PersianCat.jpeg', 'Vaccinated'),
-        ('Charlie', 'Toy Pom', 'Dog', 'Male', 12, 'Adorable Toy Pomeranian, playful and energetic. Great companion.', 35000, 'Toy Pom.jpg', 'Vaccinated'),
-        ('Harry', 'Poodle', 'Dog', 'Male', 8, 'Smart and friendly Poodle puppy. Easy to train and very loyal.', 40000, 'Poodle.jpg', 'Vaccinated'),
-        ('Goldie', 'Golden Retriever', 'Dog', 'Female', 10, 'Loving Golden Retriever with golden coat. Perfect family dog.', 45000, 'GoldenRetriever.jpeg', 'Vaccinated')
+        INSERT INTO product_variants (product_id, sku, name, attributes, price, stock_quantity, weight_grams)
+        SELECT sp.id, v.column1, v.column2, v.column3, v.column4, v.column5, v.column6
+        FROM shop_products sp
+        JOIN (
+          VALUES
+          ('CATFOOD-1KG', '1 kg', '{"weight":"1 kg"}', 1299, 20, 1000),
+          ('CATFOOD-3KG', '3 kg', '{"weight":"3 kg"}', 3499, 10, 3000)
+        ) v
+        WHERE sp.name = 'Premium Cat Food' AND sp.stock_quantity = 30
+          AND NOT EXISTS (SELECT 1 FROM product_variants)
+          AND NOT EXISTS (SELECT 1 FROM inventory_movements m WHERE m.product_id = sp.id)
       `);
 
-      // Insert sample shop products
+      // Record the sample stock in the inventory ledger
       db.run(`
-        INSERT OR IGNORE INTO shop_products (name, description, price, category, image_url, stock_quantity)
-        VALUES 
-        ('Chewable Dog Toy', 'Durable rubber toy for endless fun and entertainment', 599, 'Toys', 'https://i.imgur.com/6L0fQxw.jpeg', 50),
-        ('Premium Cat Food', 'Nutritious and vet-approved dry food for all life stages', 1299, 'Food', 'https://i.imgur.com/ptVqErD.jpeg', 30),
-        ('Organic Pet Shampoo', 'Keep your pet''s coat clean and shiny with natural ingredients', 799, 'Grooming', 'https://i.imgur.com/MKVnZAC.jpeg', 25)
+        INSERT INTO inventory_movements (product_id, variant_id, quantity_change, balance_after, type, reason)
+        SELECT product_id, id, stock_quantity, stock_quantity, 'opening', 'Sample data'
+        FROM product_variants
+        WHERE stock_quantity > 0
+          AND NOT EXISTS (SELECT 1 FROM inventory_movements m WHERE m.variant_id = product_variants.id)
       `);
 
-      console.log('✅ Database tables created successfully');
-      resolve();
+      db.run(`
+        INSERT INTO inventory_movements (product_id, quantity_change, balance_after, type, reason)
+        SELECT id, stock_quantity, stock_quantity, 'opening', 'Sample data'
+        FROM shop_products
+        WHERE stock_quantity > 0
+          AND NOT EXISTS (SELECT 1 FROM inventory_movements m WHERE m.product_id = shop_products.id)
+          AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = shop_products.id)
+      `, (err) => (err ? reject(err) : resolve()));
     });
-  });
+  }));
 }
 
 // Get database connection
@@ -203,5 +212,21 @@ function getDatabase() {
 
 module.exports = {
   initializeDatabase,
-  getDatabase
+  seedDatabase,
+  getDatabase,
+  openDatabase
 };
+
+// `npm run init-db`: apply migrations and load sample data
+if (require.main === module) {
+  migrate(db)
+    .then(() => seedDatabase())
+    .then(() => {
+      console.log('✅ Database initialized successfully');
+      db.close();
+    })
+    .catch(error => {
+      console.error('❌ Failed to initialize database:', error.message);
+      process.exit(1);
+    });
+}
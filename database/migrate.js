@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+
+const migrationsDir = path.join(__dirname, 'migrations');
+
+// Migration files are named NNN_description.js and export `up` and `down` SQL
+const migrationFilePattern = /^(\d{3})_([\w-]+)\.js$/;
+
+// Promise wrappers around the sqlite3 callback API
+const exec = (db, sql) => new Promise((resolve, reject) => {
+  db.exec(sql, (err) => (err ? reject(err) : resolve()));
+});
+
+const run = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const all = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+// Read every migration file from disk, ordered by version
+function loadMigrations() {
+  if (!fs.existsSync(migrationsDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(migrationsDir)
+    .map(file => ({ file, match: file.match(migrationFilePattern) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(migrationsDir, file));
+
+      if (typeof migration.up !== 'string' || typeof migration.down !== 'string') {
+        throw new Error(`Migration ${file} must export "up" and "down" SQL strings`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+function ensureMigrationsTable(db) {
+  return exec(db, `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  return all(db, 'SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+async function getPendingMigrations(db) {
+  const applied = await getAppliedMigrations(db);
+  const appliedVersions = new Set(applied.map(row => row.version));
+
+  return loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+}
+
+// Run a migration step and its bookkeeping query as a single transaction
+async function runInTransaction(db, sql, bookkeeping) {
+  await exec(db, 'BEGIN TRANSACTION');
+
+  try {
+    await exec(db, sql);
+    await run(db, bookkeeping.sql, bookkeeping.params);
+    await exec(db, 'COMMIT');
+  } catch (error) {
+    await exec(db, 'ROLLBACK');
+    throw error;
+  }
+}
+
+// Apply all pending migrations in version order
+async function migrate(db) {
+  const pending = await getPendingMigrations(db);
+
+  for (const migration of pending) {
+    await runInTransaction(db, migration.up, {
+      sql: 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+      params: [migration.version, migration.name]
+    });
+    console.log(`⬆️  Applied migration ${formatMigration(migration)}`);
+  }
+
+  return pending;
+}
+
+// Revert the most recently applied migrations
+async function rollback(db, steps = 1) {
+  const applied = await getAppliedMigrations(db);
+  const available = new Map(loadMigrations().map(migration => [migration.version, migration]));
+  const toRevert = applied.slice(-steps).reverse();
+
+  for (const row of toRevert) {
+    const migration = available.get(row.version);
+
+    if (!migration) {
+      throw new Error(`Migration file for version ${row.version} (${row.name}) not found`);
+    }
+
+    await runInTransaction(db, migration.down, {
+      sql: 'DELETE FROM schema_migrations WHERE version = ?',
+      params: [migration.version]
+    });
+    console.log(`⬇️  Reverted migration ${formatMigration(migration)}`);
+  }
+
+  return toRevert;
+}
+
+// List every known migration with whether it has been applied
+async function status(db) {
+  const applied = await getAppliedMigrations(db);
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedByVersion.has(migration.version),
+    appliedAt: appliedByVersion.has(migration.version)
+      ? appliedByVersion.get(migration.version).applied_at
+      : null
+  }));
+}
+
+function formatMigration(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+// Command line interface: node database/migrate.js [up|rollback [steps]|status]
+async function main() {
+  const { getDatabase } = require('./init');
+  const db = getDatabase();
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrate(db);
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Database schema is up to date');
+      break;
+    }
+
+    case 'rollback': {
+      const steps = parseInt(arg, 10) || 1;
+      const reverted = await rollback(db, steps);
+      console.log(reverted.length > 0
+        ? `✅ Reverted ${reverted.length} migration(s)`
+        : '✅ No migrations to roll back');
+      break;
+    }
+
+    case 'status': {
+      const migrations = await status(db);
+      migrations.forEach(migration => {
+        const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`${migration.applied ? '✅' : '⏳'} ${formatMigration(migration)} (${state})`);
+      });
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}". Use up, rollback or status.`);
+  }
+
+  db.close();
+}
+
+module.exports = {
+  loadMigrations,
+  getPendingMigrations,
+  migrate,
+  rollback,
+  status,
+  formatMigration
+};
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
+}
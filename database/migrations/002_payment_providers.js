@@ -0,0 +1,26 @@
+// Record which payment provider handled each payment, and give the local
+// fake provider somewhere to keep its payment intents.
+
+exports.up = `
+  ALTER TABLE payments ADD COLUMN provider VARCHAR(20) DEFAULT 'stripe';
+
+  CREATE TABLE fake_payment_intents (
+    id VARCHAR(64) PRIMARY KEY,
+    client_secret VARCHAR(128) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(30) NOT NULL,
+    description TEXT,
+    metadata TEXT,
+    payment_method VARCHAR(50),
+    last_error TEXT,
+    amount_refunded DECIMAL(10,2) DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+exports.down = `
+  DROP TABLE IF EXISTS fake_payment_intents;
+  ALTER TABLE payments DROP COLUMN provider;
+`;
@@ -0,0 +1,33 @@
+// Refunds issued against order payments, plus the running totals needed to
+// support partial refunds without refunding or restocking anything twice.
+
+exports.up = `
+  CREATE TABLE refunds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    payment_id INTEGER NOT NULL,
+    provider VARCHAR(20) NOT NULL,
+    provider_refund_id VARCHAR(255) UNIQUE,
+    amount DECIMAL(10,2) NOT NULL,
+    reason TEXT,
+    status VARCHAR(20) DEFAULT 'pending',
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders (id),
+    FOREIGN KEY (payment_id) REFERENCES payments (id),
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  );
+
+  CREATE INDEX idx_refunds_order_id ON refunds (order_id);
+
+  ALTER TABLE payments ADD COLUMN amount_refunded DECIMAL(10,2) DEFAULT 0;
+  ALTER TABLE order_items ADD COLUMN restocked_quantity INTEGER DEFAULT 0;
+`;
+
+exports.down = `
+  ALTER TABLE order_items DROP COLUMN restocked_quantity;
+  ALTER TABLE payments DROP COLUMN amount_refunded;
+  DROP INDEX IF EXISTS idx_refunds_order_id;
+  DROP TABLE IF EXISTS refunds;
+`;
@@ -0,0 +1,25 @@
+// Every verified payment provider webhook, so duplicate deliveries can be
+// skipped and failed ones inspected and replayed.
+
+exports.up = `
+  CREATE TABLE webhook_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    provider VARCHAR(20) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    type VARCHAR(100) NOT NULL,
+    payload TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'received', -- received, processing, processed, failed
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    processed_at DATETIME,
+    UNIQUE (provider, event_id)
+  );
+
+  CREATE INDEX idx_webhook_events_status ON webhook_events (status);
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS idx_webhook_events_status;
+  DROP TABLE IF EXISTS webhook_events;
+`;
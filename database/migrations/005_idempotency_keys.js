@@ -0,0 +1,26 @@
+// Responses to POST requests sent with an Idempotency-Key header, kept for a
+// day so a retried request gets the original response instead of running twice.
+
+exports.up = `
+  CREATE TABLE idempotency_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    idempotency_key VARCHAR(255) NOT NULL,
+    owner VARCHAR(50) NOT NULL, -- user:<id> or anonymous
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) DEFAULT 'in_progress', -- in_progress, completed
+    response_status INTEGER,
+    response_body TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    UNIQUE (idempotency_key, owner, method, path)
+  );
+
+  CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys (expires_at);
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS idx_idempotency_keys_expires_at;
+  DROP TABLE IF EXISTS idempotency_keys;
+`;
@@ -0,0 +1,29 @@
+// Stock and pets held for unpaid orders. Held quantities are taken out of
+// shop_products.stock_quantity (and pets marked unavailable) when the order is
+// created, and given back if the order is cancelled or expires unpaid.
+
+exports.up = `
+  CREATE TABLE inventory_reservations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    item_type VARCHAR(20) NOT NULL, -- pet, product
+    item_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,
+    status VARCHAR(20) DEFAULT 'active', -- active, committed, released
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders (id)
+  );
+
+  CREATE INDEX idx_inventory_reservations_order_id ON inventory_reservations (order_id);
+
+  ALTER TABLE orders ADD COLUMN expires_at DATETIME;
+  CREATE INDEX idx_orders_status_expires_at ON orders (status, expires_at);
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS idx_orders_status_expires_at;
+  ALTER TABLE orders DROP COLUMN expires_at;
+  DROP INDEX IF EXISTS idx_inventory_reservations_order_id;
+  DROP TABLE IF EXISTS inventory_reservations;
+`;
@@ -0,0 +1,51 @@
+// Order lifecycle: pending -> paid -> packed -> shipped -> delivered, plus
+// cancelled, returned and expired. Every status change is recorded in
+// order_status_history, and shipped orders get a shipments row.
+// Existing 'confirmed' orders become 'paid' and 'refunded' ones 'cancelled'
+// (their payment_status still says refunded).
+
+exports.up = `
+  CREATE TABLE order_status_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    note TEXT,
+    changed_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders (id),
+    FOREIGN KEY (changed_by) REFERENCES users (id)
+  );
+
+  CREATE INDEX idx_order_status_history_order_id ON order_status_history (order_id);
+
+  CREATE TABLE shipments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    carrier VARCHAR(100) NOT NULL,
+    tracking_number VARCHAR(100) NOT NULL,
+    shipped_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME,
+    created_by INTEGER,
+    FOREIGN KEY (order_id) REFERENCES orders (id),
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  );
+
+  CREATE INDEX idx_shipments_order_id ON shipments (order_id);
+
+  UPDATE orders SET status = 'paid' WHERE status = 'confirmed';
+  UPDATE orders SET status = 'cancelled' WHERE status = 'refunded';
+
+  INSERT INTO order_status_history (order_id, from_status, to_status, note, created_at)
+  SELECT id, NULL, status, 'Status before history was recorded', updated_at FROM orders;
+`;
+
+exports.down = `
+  UPDATE orders SET status = 'refunded' WHERE status IN ('cancelled', 'returned') AND payment_status = 'refunded';
+  UPDATE orders SET status = 'confirmed' WHERE status IN ('paid', 'packed', 'shipped', 'delivered');
+
+  DROP INDEX IF EXISTS idx_shipments_order_id;
+  DROP TABLE IF EXISTS shipments;
+  DROP INDEX IF EXISTS idx_order_status_history_order_id;
+  DROP TABLE IF EXISTS order_status_history;
+`;
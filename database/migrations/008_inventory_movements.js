@@ -0,0 +1,31 @@
+// Ledger of every change to a product's stock. shop_products.stock_quantity is
+// kept equal to the sum of a product's movements; existing stock is carried
+// over as an opening movement.
+
+exports.up = `
+  CREATE TABLE inventory_movements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    quantity_change INTEGER NOT NULL,
+    balance_after INTEGER NOT NULL,
+    type VARCHAR(20) NOT NULL, -- opening, reservation, release, sale, return, restock, adjustment
+    reason TEXT,
+    order_id INTEGER,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES shop_products (id),
+    FOREIGN KEY (order_id) REFERENCES orders (id),
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  );
+
+  CREATE INDEX idx_inventory_movements_product_id ON inventory_movements (product_id);
+
+  INSERT INTO inventory_movements (product_id, quantity_change, balance_after, type, reason)
+  SELECT id, stock_quantity, stock_quantity, 'opening', 'Stock before the ledger was introduced'
+  FROM shop_products;
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS idx_inventory_movements_product_id;
+  DROP TABLE IF EXISTS inventory_movements;
+`;
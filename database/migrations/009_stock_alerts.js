@@ -0,0 +1,34 @@
+// Reorder points for shop products and the low-stock alerts raised when stock
+// falls to or below them. A reorder_point of 0 turns alerts off for a product.
+
+exports.up = `
+  ALTER TABLE shop_products ADD COLUMN reorder_point INTEGER DEFAULT 0;
+  ALTER TABLE shop_products ADD COLUMN reorder_quantity INTEGER DEFAULT 0;
+
+  CREATE TABLE stock_alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    stock_quantity INTEGER NOT NULL,
+    reorder_point INTEGER NOT NULL,
+    status VARCHAR(20) DEFAULT 'open', -- open, acknowledged, snoozed, resolved
+    snoozed_until DATETIME,
+    acknowledged_by INTEGER,
+    acknowledged_at DATETIME,
+    notified_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME,
+    FOREIGN KEY (product_id) REFERENCES shop_products (id),
+    FOREIGN KEY (acknowledged_by) REFERENCES users (id)
+  );
+
+  CREATE INDEX idx_stock_alerts_status ON stock_alerts (status);
+  CREATE INDEX idx_stock_alerts_product_id ON stock_alerts (product_id);
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS idx_stock_alerts_product_id;
+  DROP INDEX IF EXISTS idx_stock_alerts_status;
+  DROP TABLE IF EXISTS stock_alerts;
+  ALTER TABLE shop_products DROP COLUMN reorder_quantity;
+  ALTER TABLE shop_products DROP COLUMN reorder_point;
+`;
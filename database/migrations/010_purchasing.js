@@ -0,0 +1,74 @@
+// Suppliers and the purchase orders used to restock the shop.
+// Each delivery against a purchase order line is a receipt, linked to the
+// inventory movement that added the stock and carrying the landed cost per unit.
+
+exports.up = `
+  CREATE TABLE suppliers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) NOT NULL,
+    contact_name VARCHAR(100),
+    email VARCHAR(100),
+    phone VARCHAR(20),
+    address TEXT,
+    notes TEXT,
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE purchase_orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    po_number VARCHAR(50) UNIQUE NOT NULL,
+    supplier_id INTEGER NOT NULL,
+    status VARCHAR(20) DEFAULT 'draft', -- draft, sent, partially_received, received
+    notes TEXT,
+    expected_at DATE,
+    created_by INTEGER,
+    sent_at DATETIME,
+    received_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (supplier_id) REFERENCES suppliers (id),
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  );
+
+  CREATE INDEX idx_purchase_orders_supplier_id ON purchase_orders (supplier_id);
+
+  CREATE TABLE purchase_order_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    purchase_order_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    quantity_ordered INTEGER NOT NULL,
+    quantity_received INTEGER DEFAULT 0,
+    unit_cost DECIMAL(10,2) NOT NULL,
+    FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders (id),
+    FOREIGN KEY (product_id) REFERENCES shop_products (id)
+  );
+
+  CREATE INDEX idx_purchase_order_items_po_id ON purchase_order_items (purchase_order_id);
+
+  CREATE TABLE purchase_order_receipts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    purchase_order_item_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,
+    landed_unit_cost DECIMAL(10,2) NOT NULL,
+    inventory_movement_id INTEGER NOT NULL,
+    received_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (purchase_order_item_id) REFERENCES purchase_order_items (id),
+    FOREIGN KEY (inventory_movement_id) REFERENCES inventory_movements (id),
+    FOREIGN KEY (received_by) REFERENCES users (id)
+  );
+
+  CREATE INDEX idx_purchase_order_receipts_item_id ON purchase_order_receipts (purchase_order_item_id);
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS idx_purchase_order_receipts_item_id;
+  DROP TABLE IF EXISTS purchase_order_receipts;
+  DROP INDEX IF EXISTS idx_purchase_order_items_po_id;
+  DROP TABLE IF EXISTS purchase_order_items;
+  DROP INDEX IF EXISTS idx_purchase_orders_supplier_id;
+  DROP TABLE IF EXISTS purchase_orders;
+  DROP TABLE IF EXISTS suppliers;
+`;
@@ -0,0 +1,37 @@
+// Variants of a shop product (size, flavour, weight...), each with its own
+// SKU, price and stock. A product that has variants holds its stock on them:
+// shop_products.stock_quantity is then the total across its variants.
+// Order lines, reservations, stock movements and purchase order lines record
+// the variant they are for.
+
+exports.up = `
+  CREATE TABLE product_variants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    sku VARCHAR(64) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    attributes TEXT NOT NULL DEFAULT '{}', -- JSON, e.g. {"weight":"3 kg"}
+    price DECIMAL(10,2) NOT NULL,
+    stock_quantity INTEGER DEFAULT 0,
+    is_available BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES shop_products (id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX idx_product_variants_product_id ON product_variants (product_id);
+
+  ALTER TABLE order_items ADD COLUMN variant_id INTEGER REFERENCES product_variants (id);
+  ALTER TABLE inventory_reservations ADD COLUMN variant_id INTEGER REFERENCES product_variants (id);
+  ALTER TABLE inventory_movements ADD COLUMN variant_id INTEGER REFERENCES product_variants (id);
+  ALTER TABLE purchase_order_items ADD COLUMN variant_id INTEGER REFERENCES product_variants (id);
+`;
+
+exports.down = `
+  ALTER TABLE purchase_order_items DROP COLUMN variant_id;
+  ALTER TABLE inventory_movements DROP COLUMN variant_id;
+  ALTER TABLE inventory_reservations DROP COLUMN variant_id;
+  ALTER TABLE order_items DROP COLUMN variant_id;
+  DROP INDEX IF EXISTS idx_product_variants_product_id;
+  DROP TABLE IF EXISTS product_variants;
+`;
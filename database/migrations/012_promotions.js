@@ -0,0 +1,50 @@
+// Coupon codes and the discounts they gave. A promotion takes a percentage or
+// a fixed amount off, either the whole order or only the items in one
+// category or for one product. Each order stores its discount split across
+// the order items it applied to.
+
+exports.up = `
+  CREATE TABLE promotions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    description TEXT,
+    discount_type VARCHAR(20) NOT NULL, -- percentage, fixed
+    discount_value DECIMAL(10,2) NOT NULL,
+    min_order_value DECIMAL(10,2) DEFAULT 0,
+    category VARCHAR(50), -- only items in this product category
+    product_id INTEGER, -- only this product
+    usage_limit INTEGER, -- orders in total, NULL for no limit
+    per_user_limit INTEGER, -- orders per customer, NULL for no limit
+    starts_at DATETIME,
+    ends_at DATETIME,
+    is_active BOOLEAN DEFAULT 1,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES shop_products (id),
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  );
+
+  CREATE TABLE order_discounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    order_item_id INTEGER NOT NULL,
+    promotion_id INTEGER NOT NULL,
+    code VARCHAR(50) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders (id),
+    FOREIGN KEY (order_item_id) REFERENCES order_items (id),
+    FOREIGN KEY (promotion_id) REFERENCES promotions (id)
+  );
+
+  CREATE INDEX idx_order_discounts_order_id ON order_discounts (order_id);
+  CREATE INDEX idx_order_discounts_promotion_id ON order_discounts (promotion_id);
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS idx_order_discounts_promotion_id;
+  DROP INDEX IF EXISTS idx_order_discounts_order_id;
+  DROP TABLE IF EXISTS order_discounts;
+  DROP TABLE IF EXISTS promotions;
+`;
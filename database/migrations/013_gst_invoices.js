@@ -0,0 +1,56 @@
+// GST for orders. tax_rates holds the rate for pets and for each product
+// category (a NULL category is the default for its item type). Prices include
+// GST; each order item's tax is stored split into CGST and SGST, or IGST for
+// orders shipped to another state. Paid orders get a sequential invoice
+// number, counted per financial year in invoice_sequences.
+
+exports.up = `
+  CREATE TABLE tax_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    item_type VARCHAR(20) NOT NULL, -- pet, product
+    category VARCHAR(50), -- product category or pet species, NULL for the default
+    rate DECIMAL(5,2) NOT NULL, -- total GST percentage
+    hsn_code VARCHAR(20),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE UNIQUE INDEX idx_tax_rates_item_type_category ON tax_rates (item_type, IFNULL(category, ''));
+
+  CREATE TABLE order_tax_lines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    order_item_id INTEGER NOT NULL,
+    tax_type VARCHAR(10) NOT NULL, -- CGST, SGST, IGST
+    hsn_code VARCHAR(20),
+    rate DECIMAL(5,2) NOT NULL,
+    taxable_amount DECIMAL(10,2) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    FOREIGN KEY (order_id) REFERENCES orders (id),
+    FOREIGN KEY (order_item_id) REFERENCES order_items (id)
+  );
+
+  CREATE INDEX idx_order_tax_lines_order_id ON order_tax_lines (order_id);
+
+  CREATE TABLE invoice_sequences (
+    financial_year VARCHAR(7) PRIMARY KEY, -- e.g. 2026-27
+    last_number INTEGER NOT NULL
+  );
+
+  ALTER TABLE orders ADD COLUMN shipping_state VARCHAR(50);
+  ALTER TABLE orders ADD COLUMN invoice_number VARCHAR(30);
+  ALTER TABLE orders ADD COLUMN invoiced_at DATETIME;
+  CREATE UNIQUE INDEX idx_orders_invoice_number ON orders (invoice_number);
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS idx_orders_invoice_number;
+  ALTER TABLE orders DROP COLUMN invoiced_at;
+  ALTER TABLE orders DROP COLUMN invoice_number;
+  ALTER TABLE orders DROP COLUMN shipping_state;
+  DROP TABLE IF EXISTS invoice_sequences;
+  DROP INDEX IF EXISTS idx_order_tax_lines_order_id;
+  DROP TABLE IF EXISTS order_tax_lines;
+  DROP INDEX IF EXISTS idx_tax_rates_item_type_category;
+  DROP TABLE IF EXISTS tax_rates;
+`;
@@ -0,0 +1,87 @@
+// Shipping zones, rates and delivery slots. A zone covers one or more pincode
+// ranges and prices delivery from a rate table, either by parcel weight or by
+// order value, with an optional free-shipping threshold and a per-pet charge
+// for special pet transport. Delivery and in-store pickup slots have a
+// capacity of orders. Orders store a structured shipping address and the
+// method, zone, charge and slot chosen at checkout.
+
+exports.up = `
+  CREATE TABLE shipping_zones (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    rate_basis VARCHAR(20) NOT NULL DEFAULT 'weight', -- weight, order_value
+    free_shipping_threshold DECIMAL(10,2), -- order value shipped free, NULL for never
+    pet_transport_rate DECIMAL(10,2), -- charge per pet, NULL when not offered
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE shipping_zone_pincodes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    zone_id INTEGER NOT NULL,
+    pincode_from INTEGER NOT NULL,
+    pincode_to INTEGER NOT NULL,
+    FOREIGN KEY (zone_id) REFERENCES shipping_zones (id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX idx_shipping_zone_pincodes_range ON shipping_zone_pincodes (pincode_from, pincode_to);
+
+  CREATE TABLE shipping_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    zone_id INTEGER NOT NULL,
+    min_value DECIMAL(10,2) NOT NULL DEFAULT 0, -- grams or rupees, by the zone's rate_basis
+    max_value DECIMAL(10,2), -- exclusive, NULL for no upper bound
+    rate DECIMAL(10,2) NOT NULL,
+    FOREIGN KEY (zone_id) REFERENCES shipping_zones (id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX idx_shipping_rates_zone_id ON shipping_rates (zone_id);
+
+  CREATE TABLE delivery_slots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slot_type VARCHAR(20) NOT NULL, -- delivery, pickup
+    zone_id INTEGER, -- delivery slots only, NULL for every zone
+    starts_at DATETIME NOT NULL,
+    ends_at DATETIME NOT NULL,
+    capacity INTEGER NOT NULL,
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (zone_id) REFERENCES shipping_zones (id)
+  );
+
+  CREATE INDEX idx_delivery_slots_starts_at ON delivery_slots (starts_at);
+
+  ALTER TABLE shop_products ADD COLUMN weight_grams INTEGER DEFAULT 0;
+  ALTER TABLE product_variants ADD COLUMN weight_grams INTEGER; -- NULL uses the product's weight
+
+  ALTER TABLE orders ADD COLUMN shipping_city VARCHAR(100);
+  ALTER TABLE orders ADD COLUMN shipping_pincode VARCHAR(6);
+  ALTER TABLE orders ADD COLUMN shipping_phone VARCHAR(20);
+  ALTER TABLE orders ADD COLUMN shipping_method VARCHAR(20); -- standard, pet_transport, pickup
+  ALTER TABLE orders ADD COLUMN shipping_zone_id INTEGER REFERENCES shipping_zones (id);
+  ALTER TABLE orders ADD COLUMN shipping_amount DECIMAL(10,2) DEFAULT 0;
+  ALTER TABLE orders ADD COLUMN delivery_slot_id INTEGER REFERENCES delivery_slots (id);
+  CREATE INDEX idx_orders_delivery_slot_id ON orders (delivery_slot_id);
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS idx_orders_delivery_slot_id;
+  ALTER TABLE orders DROP COLUMN delivery_slot_id;
+  ALTER TABLE orders DROP COLUMN shipping_amount;
+  ALTER TABLE orders DROP COLUMN shipping_zone_id;
+  ALTER TABLE orders DROP COLUMN shipping_method;
+  ALTER TABLE orders DROP COLUMN shipping_phone;
+  ALTER TABLE orders DROP COLUMN shipping_pincode;
+  ALTER TABLE orders DROP COLUMN shipping_city;
+  ALTER TABLE product_variants DROP COLUMN weight_grams;
+  ALTER TABLE shop_products DROP COLUMN weight_grams;
+  DROP INDEX IF EXISTS idx_delivery_slots_starts_at;
+  DROP TABLE IF EXISTS delivery_slots;
+  DROP INDEX IF EXISTS idx_shipping_rates_zone_id;
+  DROP TABLE IF EXISTS shipping_rates;
+  DROP INDEX IF EXISTS idx_shipping_zone_pincodes_range;
+  DROP TABLE IF EXISTS shipping_zone_pincodes;
+  DROP TABLE IF EXISTS shipping_zones;
+`;
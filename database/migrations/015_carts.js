@@ -0,0 +1,36 @@
+// Shopping carts kept on the server. A signed-in customer has one cart; a
+// guest's cart is found by a random token the browser keeps, and is merged
+// into the customer's cart when they log in. Cart items store no price - they
+// are priced afresh every time the cart is read.
+
+exports.up = `
+  CREATE TABLE carts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER UNIQUE, -- NULL for a guest cart
+    token VARCHAR(64) UNIQUE, -- NULL for a customer's cart
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE cart_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cart_id INTEGER NOT NULL,
+    item_type VARCHAR(20) NOT NULL, -- pet, product
+    item_id INTEGER NOT NULL,
+    variant_id INTEGER,
+    quantity INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (cart_id) REFERENCES carts (id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants (id)
+  );
+
+  CREATE UNIQUE INDEX idx_cart_items_line ON cart_items (cart_id, item_type, item_id, IFNULL(variant_id, 0));
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS idx_cart_items_line;
+  DROP TABLE IF EXISTS cart_items;
+  DROP TABLE IF EXISTS carts;
+`;
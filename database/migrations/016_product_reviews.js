@@ -0,0 +1,45 @@
+// Customer reviews of shop products. A review is held for moderation until an
+// admin approves it, and only approved reviews count towards a product's
+// rating. Whether the reviewer bought the product is worked out from their
+// paid orders when reviews are read, so it is not stored here.
+
+exports.up = `
+  CREATE TABLE product_reviews (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    title VARCHAR(150) NOT NULL,
+    body TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, approved, rejected
+    moderation_note TEXT,
+    moderated_by INTEGER,
+    moderated_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (product_id, user_id),
+    FOREIGN KEY (product_id) REFERENCES shop_products (id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (moderated_by) REFERENCES users (id)
+  );
+
+  CREATE TABLE product_review_photos (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    review_id INTEGER NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (review_id) REFERENCES product_reviews (id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX idx_product_reviews_product ON product_reviews (product_id, status);
+  CREATE INDEX idx_product_reviews_status ON product_reviews (status, created_at);
+  CREATE INDEX idx_product_review_photos_review ON product_review_photos (review_id);
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS idx_product_review_photos_review;
+  DROP INDEX IF EXISTS idx_product_reviews_status;
+  DROP INDEX IF EXISTS idx_product_reviews_product;
+  DROP TABLE IF EXISTS product_review_photos;
+  DROP TABLE IF EXISTS product_reviews;
+`;
@@ -0,0 +1,64 @@
+// Autoship subscriptions: a product or variant ordered again every few weeks
+// and charged to a card the customer saved with the payment provider. Orders
+// placed for a subscription point back at it. The fake provider keeps its
+// saved-card setup intents alongside its payment intents.
+
+exports.up = `
+  CREATE TABLE subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    variant_id INTEGER,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    interval_weeks INTEGER NOT NULL CHECK (interval_weeks IN (2, 4, 8)),
+    next_run_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'incomplete', -- incomplete, active, past_due, paused, cancelled
+    address_line1 VARCHAR(200) NOT NULL,
+    address_line2 VARCHAR(200),
+    city VARCHAR(100) NOT NULL,
+    state VARCHAR(50) NOT NULL,
+    pincode VARCHAR(6) NOT NULL,
+    phone VARCHAR(20),
+    payment_provider VARCHAR(20) NOT NULL,
+    payment_customer_id VARCHAR(64),
+    payment_method_id VARCHAR(64),
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    next_retry_at DATETIME,
+    last_error TEXT,
+    last_order_id INTEGER,
+    cancelled_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (product_id) REFERENCES shop_products (id),
+    FOREIGN KEY (variant_id) REFERENCES product_variants (id),
+    FOREIGN KEY (last_order_id) REFERENCES orders (id)
+  );
+
+  CREATE INDEX idx_subscriptions_user ON subscriptions (user_id);
+  CREATE INDEX idx_subscriptions_due ON subscriptions (status, next_run_date);
+
+  ALTER TABLE orders ADD COLUMN subscription_id INTEGER; -- subscriptions (id)
+  CREATE INDEX idx_orders_subscription ON orders (subscription_id);
+
+  CREATE TABLE fake_setup_intents (
+    id VARCHAR(64) PRIMARY KEY,
+    client_secret VARCHAR(128) NOT NULL,
+    customer_id VARCHAR(64) NOT NULL,
+    status VARCHAR(30) NOT NULL,
+    payment_method VARCHAR(50),
+    metadata TEXT,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+exports.down = `
+  DROP TABLE IF EXISTS fake_setup_intents;
+  DROP INDEX IF EXISTS idx_orders_subscription;
+  ALTER TABLE orders DROP COLUMN subscription_id;
+  DROP INDEX IF EXISTS idx_subscriptions_due;
+  DROP INDEX IF EXISTS idx_subscriptions_user;
+  DROP TABLE IF EXISTS subscriptions;
+`;
@@ -0,0 +1,59 @@
+// Let guests apply to adopt. Applications keep the applicant's own name,
+// email and phone, and user_id is empty until the guest registers with the
+// same email. SQLite cannot drop NOT NULL from a column, so the table is
+// rebuilt; existing applications take their contact details from the account.
+
+exports.up = `
+  CREATE TABLE adoption_requests_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER, -- NULL for a guest application
+    pet_id INTEGER NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(100) NOT NULL,
+    phone VARCHAR(20),
+    message TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending',
+    admin_notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (pet_id) REFERENCES pets (id)
+  );
+
+  INSERT INTO adoption_requests_new (id, user_id, pet_id, name, email, phone, message, status, admin_notes,
+                                     created_at, updated_at)
+  SELECT ar.id, ar.user_id, ar.pet_id, COALESCE(u.full_name, u.username, ''), COALESCE(u.email, ''), u.phone,
+         ar.message, ar.status, ar.admin_notes, ar.created_at, ar.updated_at
+  FROM adoption_requests ar
+  LEFT JOIN users u ON ar.user_id = u.id;
+
+  DROP TABLE adoption_requests;
+  ALTER TABLE adoption_requests_new RENAME TO adoption_requests;
+
+  CREATE INDEX idx_adoption_requests_user ON adoption_requests (user_id);
+  CREATE INDEX idx_adoption_requests_email ON adoption_requests (email);
+`;
+
+// Guest applications cannot be kept without their contact columns
+exports.down = `
+  CREATE TABLE adoption_requests_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    pet_id INTEGER NOT NULL,
+    message TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending',
+    admin_notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (pet_id) REFERENCES pets (id)
+  );
+
+  INSERT INTO adoption_requests_old (id, user_id, pet_id, message, status, admin_notes, created_at, updated_at)
+  SELECT id, user_id, pet_id, message, status, admin_notes, created_at, updated_at
+  FROM adoption_requests
+  WHERE user_id IS NOT NULL;
+
+  DROP TABLE adoption_requests;
+  ALTER TABLE adoption_requests_old RENAME TO adoption_requests;
+`;
@@ -0,0 +1,40 @@
+// Adoption applications move through screening, an interview and a home check
+// before approval, contract signing and handover (see services/adoptionStatus.js).
+// Every move is kept in adoption_status_history. Pending applications become
+// 'submitted'; new ones are inserted with that status, as the column default
+// cannot be changed in SQLite. Existing applications get a history entry for
+// their submission and, if decided, for the decision.
+
+exports.up = `
+  UPDATE adoption_requests SET status = 'submitted' WHERE status = 'pending' OR status IS NULL;
+
+  CREATE TABLE adoption_status_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    adoption_request_id INTEGER NOT NULL,
+    from_status VARCHAR(30),
+    to_status VARCHAR(30) NOT NULL,
+    note TEXT,
+    changed_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (adoption_request_id) REFERENCES adoption_requests (id),
+    FOREIGN KEY (changed_by) REFERENCES users (id)
+  );
+
+  CREATE INDEX idx_adoption_status_history_request ON adoption_status_history (adoption_request_id);
+
+  INSERT INTO adoption_status_history (adoption_request_id, from_status, to_status, note, created_at)
+  SELECT id, NULL, 'submitted', 'Application submitted', created_at FROM adoption_requests;
+
+  INSERT INTO adoption_status_history (adoption_request_id, from_status, to_status, note, created_at)
+  SELECT id, 'submitted', status, admin_notes, updated_at FROM adoption_requests WHERE status != 'submitted';
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS idx_adoption_status_history_request;
+  DROP TABLE IF EXISTS adoption_status_history;
+
+  UPDATE adoption_requests SET status = 'pending'
+  WHERE status IN ('submitted', 'screening', 'interview_scheduled', 'home_check');
+  UPDATE adoption_requests SET status = 'approved' WHERE status IN ('contract_signed', 'handed_over');
+  UPDATE adoption_requests SET status = 'rejected' WHERE status = 'withdrawn';
+`;
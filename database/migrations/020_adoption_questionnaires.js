@@ -0,0 +1,101 @@
+// Adoption questionnaires, one per species, written as JSON schema (the subset
+// checked in services/questionnaire.js). Saving a questionnaire adds a new
+// version, and each application keeps the version it answered, so editing a
+// questionnaire never changes how earlier answers read. Dogs and cats start
+// with the questions staff ask before approving anyone.
+
+const housingQuestions = {
+  housingType: {
+    type: 'string',
+    title: 'What type of home do you live in?',
+    enum: ['Apartment', 'Independent house', 'Farmhouse', 'Other']
+  },
+  ownsHome: {
+    type: 'boolean',
+    title: 'Do you own your home? (If renting, we may ask for your landlord\'s permission)'
+  },
+  otherPets: {
+    type: 'string',
+    title: 'What other pets live with you?',
+    maxLength: 500
+  },
+  children: {
+    type: 'integer',
+    title: 'How many children live in your home?',
+    minimum: 0,
+    maximum: 20
+  },
+  hoursAlone: {
+    type: 'integer',
+    title: 'On a typical working day, how many hours would the pet be alone?',
+    minimum: 0,
+    maximum: 24
+  }
+};
+
+const experienceQuestion = {
+  priorExperience: {
+    type: 'string',
+    title: 'Tell us about pets you have cared for before',
+    minLength: 10,
+    maxLength: 2000
+  }
+};
+
+const dogQuestionnaire = {
+  type: 'object',
+  title: 'Dog adoption questionnaire',
+  properties: {
+    ...housingQuestions,
+    hasYard: { type: 'boolean', title: 'Do you have a fenced yard or garden?' },
+    dailyExercise: {
+      type: 'string',
+      title: 'How much exercise can you give a dog each day?',
+      enum: ['Under 30 minutes', '30 to 60 minutes', 'Over an hour']
+    },
+    ...experienceQuestion
+  },
+  required: ['housingType', 'ownsHome', 'children', 'hoursAlone', 'hasYard', 'dailyExercise', 'priorExperience']
+};
+
+const catQuestionnaire = {
+  type: 'object',
+  title: 'Cat adoption questionnaire',
+  properties: {
+    ...housingQuestions,
+    hasYard: { type: 'boolean', title: 'Do you have a garden or balcony?' },
+    indoorOnly: { type: 'boolean', title: 'Will the cat be kept indoors only?' },
+    ...experienceQuestion
+  },
+  required: ['housingType', 'ownsHome', 'children', 'hoursAlone', 'indoorOnly', 'priorExperience']
+};
+
+const quote = (value) => `'${JSON.stringify(value).replace(/'/g, "''")}'`;
+
+exports.up = `
+  CREATE TABLE adoption_questionnaires (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    species VARCHAR(20) NOT NULL,
+    schema TEXT NOT NULL,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  );
+
+  CREATE INDEX idx_adoption_questionnaires_species ON adoption_questionnaires (species);
+
+  INSERT INTO adoption_questionnaires (species, schema) VALUES
+    ('Dog', ${quote(dogQuestionnaire)}),
+    ('Cat', ${quote(catQuestionnaire)});
+
+  ALTER TABLE adoption_requests ADD COLUMN questionnaire_id INTEGER; -- adoption_questionnaires (id)
+  ALTER TABLE adoption_requests ADD COLUMN questionnaire_answers TEXT; -- JSON
+`;
+
+exports.down = `
+  ALTER TABLE adoption_requests DROP COLUMN questionnaire_answers;
+  ALTER TABLE adoption_requests DROP COLUMN questionnaire_id;
+
+  DROP INDEX IF EXISTS idx_adoption_questionnaires_species;
+  DROP TABLE IF EXISTS adoption_questionnaires;
+`;
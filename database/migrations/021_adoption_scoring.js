@@ -0,0 +1,20 @@
+// Weights admins have set for the adoption scoring rules in
+// services/adoptionScoring.js; rules without a row use their default weight.
+// Adoptions can now also end as 'returned', which counts against the
+// applicant when they apply again.
+
+exports.up = `
+  CREATE TABLE adoption_scoring_weights (
+    rule VARCHAR(50) PRIMARY KEY,
+    weight INTEGER NOT NULL,
+    updated_by INTEGER,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users (id)
+  );
+`;
+
+exports.down = `
+  DROP TABLE IF EXISTS adoption_scoring_weights;
+
+  UPDATE adoption_requests SET status = 'handed_over' WHERE status = 'returned';
+`;
@@ -0,0 +1,11 @@
+// Whether recording a refund returned items to stock. When the provider's
+// webhook records a partial refund before the refund endpoint does, the
+// endpoint still restocks the items the admin asked for, once.
+
+exports.up = `
+  ALTER TABLE refunds ADD COLUMN restocked BOOLEAN DEFAULT 0;
+`;
+
+exports.down = `
+  ALTER TABLE refunds DROP COLUMN restocked;
+`;
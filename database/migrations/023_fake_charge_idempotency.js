@@ -0,0 +1,12 @@
+// Let the fake provider honour idempotency keys on saved-card charges, as
+// Stripe does, so a repeated charge returns the intent it created first.
+
+exports.up = `
+  ALTER TABLE fake_payment_intents ADD COLUMN idempotency_key VARCHAR(255);
+  CREATE UNIQUE INDEX idx_fake_payment_intents_idempotency_key ON fake_payment_intents (idempotency_key);
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS idx_fake_payment_intents_idempotency_key;
+  ALTER TABLE fake_payment_intents DROP COLUMN idempotency_key;
+`;
@@ -0,0 +1,10 @@
+// When an event was claimed for processing, so an event left in processing
+// by a request that died can be claimed again.
+
+exports.up = `
+  ALTER TABLE webhook_events ADD COLUMN processing_started_at DATETIME;
+`;
+
+exports.down = `
+  ALTER TABLE webhook_events DROP COLUMN processing_started_at;
+`;
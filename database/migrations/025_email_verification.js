@@ -0,0 +1,10 @@
+// When a user proved they own their email address by following the link
+// emailed at registration.
+
+exports.up = `
+  ALTER TABLE users ADD COLUMN email_verified_at DATETIME;
+`;
+
+exports.down = `
+  ALTER TABLE users DROP COLUMN email_verified_at;
+`;
@@ -0,0 +1,54 @@
+// GST on the shipping charge. Shipping is taxed at the tax_rates row for the
+// 'shipping' item type, in the same place of supply as the items; its tax
+// lines are stored in order_tax_lines with no order item. Databases that
+// already have their rates get the standard 18% for courier services; new
+// ones are seeded with it by database/init.js.
+
+exports.up = `
+  CREATE TABLE order_tax_lines_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    order_item_id INTEGER, -- NULL for the tax on the shipping charge
+    tax_type VARCHAR(10) NOT NULL, -- CGST, SGST, IGST
+    hsn_code VARCHAR(20),
+    rate DECIMAL(5,2) NOT NULL,
+    taxable_amount DECIMAL(10,2) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    FOREIGN KEY (order_id) REFERENCES orders (id),
+    FOREIGN KEY (order_item_id) REFERENCES order_items (id)
+  );
+
+  INSERT INTO order_tax_lines_new SELECT * FROM order_tax_lines;
+  DROP INDEX IF EXISTS idx_order_tax_lines_order_id;
+  DROP TABLE order_tax_lines;
+  ALTER TABLE order_tax_lines_new RENAME TO order_tax_lines;
+  CREATE INDEX idx_order_tax_lines_order_id ON order_tax_lines (order_id);
+
+  INSERT INTO tax_rates (item_type, category, rate, hsn_code)
+  SELECT 'shipping', NULL, 18, '996812'
+  WHERE EXISTS (SELECT 1 FROM tax_rates)
+    AND NOT EXISTS (SELECT 1 FROM tax_rates WHERE item_type = 'shipping');
+`;
+
+exports.down = `
+  DELETE FROM tax_rates WHERE item_type = 'shipping';
+
+  CREATE TABLE order_tax_lines_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    order_item_id INTEGER NOT NULL,
+    tax_type VARCHAR(10) NOT NULL,
+    hsn_code VARCHAR(20),
+    rate DECIMAL(5,2) NOT NULL,
+    taxable_amount DECIMAL(10,2) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    FOREIGN KEY (order_id) REFERENCES orders (id),
+    FOREIGN KEY (order_item_id) REFERENCES order_items (id)
+  );
+
+  INSERT INTO order_tax_lines_old SELECT * FROM order_tax_lines WHERE order_item_id IS NOT NULL;
+  DROP INDEX IF EXISTS idx_order_tax_lines_order_id;
+  DROP TABLE order_tax_lines;
+  ALTER TABLE order_tax_lines_old RENAME TO order_tax_lines;
+  CREATE INDEX idx_order_tax_lines_order_id ON order_tax_lines (order_id);
+`;
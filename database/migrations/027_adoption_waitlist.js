@@ -0,0 +1,14 @@
+// Applications for a pet that another applicant was approved for are
+// 'waitlisted', and 'closed' once that adoption goes through; a handed-over
+// pet can be 'returned' (see services/adoptionStatus.js). The statuses need
+// no schema change. Rolling back maps them to the nearest status from 019.
+
+exports.up = `
+  SELECT 1;
+`;
+
+exports.down = `
+  UPDATE adoption_requests SET status = 'submitted' WHERE status = 'waitlisted';
+  UPDATE adoption_requests SET status = 'handed_over' WHERE status = 'returned';
+  UPDATE adoption_requests SET status = 'rejected' WHERE status = 'closed';
+`;
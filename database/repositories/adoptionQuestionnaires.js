@@ -0,0 +1,35 @@
+// Questionnaires are versioned: saving one for a species adds a row, and the
+// newest row for each species is the current questionnaire
+const parseQuestionnaire = (questionnaire) => questionnaire && { ...questionnaire, schema: JSON.parse(questionnaire.schema) };
+
+module.exports = (db) => ({
+  async listCurrent() {
+    const rows = await db.all(
+      `SELECT q.id, q.species, q.schema, q.created_at, u.username as created_by_username
+       FROM adoption_questionnaires q
+       LEFT JOIN users u ON q.created_by = u.id
+       WHERE q.id IN (SELECT MAX(id) FROM adoption_questionnaires GROUP BY species)
+       ORDER BY q.species`
+    );
+    return rows.map(parseQuestionnaire);
+  },
+
+  async findCurrent(species) {
+    return parseQuestionnaire(await db.get(
+      'SELECT id, species, schema, created_at FROM adoption_questionnaires WHERE species = ? ORDER BY id DESC LIMIT 1',
+      [species]
+    ));
+  },
+
+  async findById(id) {
+    return parseQuestionnaire(await db.get('SELECT id, species, schema, created_at FROM adoption_questionnaires WHERE id = ?', [id]));
+  },
+
+  async create({ species, schema, createdBy }) {
+    const { lastID } = await db.run(
+      'INSERT INTO adoption_questionnaires (species, schema, created_by) VALUES (?, ?, ?)',
+      [species, JSON.stringify(schema), createdBy || null]
+    );
+    return lastID;
+  }
+});
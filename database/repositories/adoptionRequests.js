@@ -0,0 +1,166 @@
+const { whereClause } = require('./helpers');
+
+const parseAnswers = (request) => request && {
+  ...request,
+  questionnaire_answers: request.questionnaire_answers ? JSON.parse(request.questionnaire_answers) : null
+};
+
+module.exports = (db) => ({
+  // userId is null for a guest application, and the questionnaire fields
+  // when the pet's species has no questionnaire
+  async create(request) {
+    const { lastID } = await db.run(
+      `INSERT INTO adoption_requests (user_id, pet_id, message, name, email, phone, status,
+                                      questionnaire_id, questionnaire_answers)
+       VALUES (?, ?, ?, ?, ?, ?, 'submitted', ?, ?)`,
+      [
+        request.userId || null, request.petId, request.message, request.name, request.email, request.phone || null,
+        request.questionnaireId || null,
+        request.questionnaireAnswers ? JSON.stringify(request.questionnaireAnswers) : null
+      ]
+    );
+    return lastID;
+  },
+
+  // Request for the pet in one of `statuses` by the same account, or by email for guests
+  findInStatuses({ userId, email, petId }, statuses) {
+    const placeholders = statuses.map(() => '?').join(', ');
+
+    return userId
+      ? db.get(
+        `SELECT id FROM adoption_requests WHERE user_id = ? AND pet_id = ? AND status IN (${placeholders})`,
+        [userId, petId, ...statuses]
+      )
+      : db.get(
+        `SELECT id FROM adoption_requests WHERE email = ? AND pet_id = ? AND status IN (${placeholders})`,
+        [email, petId, ...statuses]
+      );
+  },
+
+  // List requests with pet and applicant details; resolves with { requests, total }
+  async list(filters = {}, { limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      conditions.push('ar.status = ?');
+      params.push(filters.status);
+    }
+
+    const where = whereClause(conditions);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM adoption_requests ar ${where}`, params);
+    const requests = await db.all(
+      `SELECT ar.id, ar.user_id, ar.pet_id, ar.message, ar.status, ar.admin_notes,
+              ar.created_at, ar.updated_at,
+              p.name as pet_name, p.breed, p.species, p.gender, p.age_weeks, p.price, p.image_url,
+              u.username, u.email as user_email, u.full_name, u.phone as user_phone,
+              ar.name as requester_name, ar.email as requester_email, ar.phone as requester_phone
+       FROM adoption_requests ar
+       JOIN pets p ON ar.pet_id = p.id
+       LEFT JOIN users u ON ar.user_id = u.id
+       ${where}
+       ORDER BY ar.created_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { requests, total };
+  },
+
+  async findById(id) {
+    return parseAnswers(await db.get(
+      `SELECT id, user_id, pet_id, name, email, status, questionnaire_id, questionnaire_answers
+       FROM adoption_requests WHERE id = ?`,
+      [id]
+    ));
+  },
+
+  // A pet's applications in `statuses`, with answers and whether the
+  // applicant has an active account, oldest first
+  async listForPet(petId, statuses) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    const requests = await db.all(
+      `SELECT ar.id, ar.user_id, ar.name, ar.email, ar.phone, ar.message, ar.status, ar.created_at,
+              ar.questionnaire_answers, u.is_active as account_active
+       FROM adoption_requests ar
+       LEFT JOIN users u ON ar.user_id = u.id
+       WHERE ar.pet_id = ? AND ar.status IN (${placeholders})
+       ORDER BY ar.created_at, ar.id`,
+      [petId, ...statuses]
+    );
+    return requests.map(parseAnswers);
+  },
+
+  // Completed and returned adoptions by the same account or email, other
+  // than `excludeId`
+  async applicantHistory({ user_id: userId, email }, excludeId) {
+    const row = await db.get(
+      `SELECT
+        SUM(CASE WHEN status = 'handed_over' THEN 1 ELSE 0 END) as adoptions,
+        SUM(CASE WHEN status = 'returned' THEN 1 ELSE 0 END) as returns
+       FROM adoption_requests
+       WHERE (user_id = ? OR email = ?) AND id != ?`,
+      [userId || null, email, excludeId]
+    );
+    return { adoptions: row.adoptions || 0, returns: row.returns || 0 };
+  },
+
+  // What the applicant's tracking link shows
+  findForTracking(id) {
+    return db.get(
+      `SELECT ar.id, ar.user_id, ar.name, ar.status, ar.admin_notes, ar.created_at, ar.updated_at,
+              p.name as pet_name, p.breed, p.species, p.gender, p.age_weeks, p.image_url
+       FROM adoption_requests ar
+       JOIN pets p ON ar.pet_id = p.id
+       WHERE ar.id = ?`,
+      [id]
+    );
+  },
+
+  // Give a user an application made as a guest; resolves with false if it
+  // already belongs to an account
+  async claimGuestRequest(id, userId) {
+    const { changes } = await db.run(
+      'UPDATE adoption_requests SET user_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id IS NULL',
+      [userId, id]
+    );
+    return changes > 0;
+  },
+
+  // Give a user the applications made as a guest with their verified email;
+  // resolves with how many were linked
+  async linkGuestRequests(email, userId) {
+    const { changes } = await db.run(
+      'UPDATE adoption_requests SET user_id = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id IS NULL AND email = ?',
+      [userId, email]
+    );
+    return changes;
+  },
+
+  listForUser(userId) {
+    return db.all(
+      `SELECT ar.id, ar.status, ar.message, ar.admin_notes, ar.created_at, ar.updated_at,
+              p.name as pet_name, p.breed, p.species, p.gender, p.age_weeks, p.price, p.image_url
+       FROM adoption_requests ar
+       JOIN pets p ON ar.pet_id = p.id
+       WHERE ar.user_id = ?
+       ORDER BY ar.created_at DESC`,
+      [userId]
+    );
+  },
+
+  // The applicant's message is kept when no new one is given
+  updateStatus(id, status, adminNotes) {
+    return db.run(
+      `UPDATE adoption_requests
+       SET status = ?, admin_notes = COALESCE(?, admin_notes), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, adminNotes || null, id]
+    );
+  },
+
+  // Number of requests in each status
+  countByStatus() {
+    return db.all('SELECT status, COUNT(*) as count FROM adoption_requests GROUP BY status');
+  }
+});
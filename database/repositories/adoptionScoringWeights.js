@@ -0,0 +1,19 @@
+module.exports = (db) => ({
+  list() {
+    return db.all('SELECT rule, weight, updated_by, updated_at FROM adoption_scoring_weights ORDER BY rule');
+  },
+
+  set(rule, weight, updatedBy) {
+    return db.run(
+      `INSERT INTO adoption_scoring_weights (rule, weight, updated_by) VALUES (?, ?, ?)
+       ON CONFLICT (rule) DO UPDATE SET weight = excluded.weight, updated_by = excluded.updated_by,
+                                        updated_at = CURRENT_TIMESTAMP`,
+      [rule, weight, updatedBy || null]
+    );
+  },
+
+  // Back to the rule's default weight
+  delete(rule) {
+    return db.run('DELETE FROM adoption_scoring_weights WHERE rule = ?', [rule]);
+  }
+});
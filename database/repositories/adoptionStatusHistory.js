@@ -0,0 +1,32 @@
+module.exports = (db) => ({
+  create({ adoptionRequestId, fromStatus, toStatus, note, changedBy }) {
+    return db.run(
+      `INSERT INTO adoption_status_history (adoption_request_id, from_status, to_status, note, changed_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [adoptionRequestId, fromStatus || null, toStatus, note || null, changedBy || null]
+    );
+  },
+
+  // The latest time the request moved to `toStatus`
+  findLastMoveTo(adoptionRequestId, toStatus) {
+    return db.get(
+      `SELECT id, from_status, to_status, created_at FROM adoption_status_history
+       WHERE adoption_request_id = ? AND to_status = ?
+       ORDER BY id DESC LIMIT 1`,
+      [adoptionRequestId, toStatus]
+    );
+  },
+
+  // Oldest first, with who made each change
+  listForRequest(adoptionRequestId) {
+    return db.all(
+      `SELECT h.id, h.from_status, h.to_status, h.note, h.created_at,
+              u.username as changed_by_username
+       FROM adoption_status_history h
+       LEFT JOIN users u ON h.changed_by = u.id
+       WHERE h.adoption_request_id = ?
+       ORDER BY h.created_at, h.id`,
+      [adoptionRequestId]
+    );
+  }
+});
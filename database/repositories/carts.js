@@ -0,0 +1,81 @@
+const ITEM_COLUMNS = 'id, cart_id, item_type, item_id, variant_id, quantity, created_at, updated_at';
+
+module.exports = (db) => ({
+  findByUser(userId) {
+    return db.get('SELECT * FROM carts WHERE user_id = ?', [userId]);
+  },
+
+  findByToken(token) {
+    return db.get('SELECT * FROM carts WHERE token = ?', [token]);
+  },
+
+  // The customer's cart, created on first use
+  async findOrCreateForUser(userId) {
+    await db.run('INSERT OR IGNORE INTO carts (user_id) VALUES (?)', [userId]);
+    return db.get('SELECT * FROM carts WHERE user_id = ?', [userId]);
+  },
+
+  async createGuest(token) {
+    const { lastID } = await db.run('INSERT INTO carts (token) VALUES (?)', [token]);
+    return db.get('SELECT * FROM carts WHERE id = ?', [lastID]);
+  },
+
+  touch(cartId) {
+    return db.run('UPDATE carts SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [cartId]);
+  },
+
+  async delete(cartId) {
+    await db.run('DELETE FROM cart_items WHERE cart_id = ?', [cartId]);
+    return db.run('DELETE FROM carts WHERE id = ?', [cartId]);
+  },
+
+  // Forget guest carts nobody has touched for `days`
+  async purgeAbandonedGuestCarts(days) {
+    const abandoned = `SELECT id FROM carts WHERE user_id IS NULL AND updated_at <= datetime('now', ?)`;
+    await db.run(`DELETE FROM cart_items WHERE cart_id IN (${abandoned})`, [`-${days} days`]);
+    return db.run(`DELETE FROM carts WHERE id IN (${abandoned})`, [`-${days} days`]);
+  },
+
+  listItems(cartId) {
+    return db.all(`SELECT ${ITEM_COLUMNS} FROM cart_items WHERE cart_id = ? ORDER BY id`, [cartId]);
+  },
+
+  findItem(cartId, itemId) {
+    return db.get(`SELECT ${ITEM_COLUMNS} FROM cart_items WHERE cart_id = ? AND id = ?`, [cartId, itemId]);
+  },
+
+  // The cart's line for a pet, product or variant, if it has one
+  findLine(cartId, { type, id, variantId }) {
+    return db.get(
+      `SELECT ${ITEM_COLUMNS} FROM cart_items
+       WHERE cart_id = ? AND item_type = ? AND item_id = ? AND IFNULL(variant_id, 0) = ?`,
+      [cartId, type, id, variantId || 0]
+    );
+  },
+
+  // Add to the line for the same pet, product or variant, or start a new one
+  addItem(cartId, { type, id, variantId, quantity }) {
+    return db.run(
+      `INSERT INTO cart_items (cart_id, item_type, item_id, variant_id, quantity)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (cart_id, item_type, item_id, IFNULL(variant_id, 0))
+       DO UPDATE SET quantity = quantity + excluded.quantity, updated_at = CURRENT_TIMESTAMP`,
+      [cartId, type, id, variantId || null, quantity]
+    );
+  },
+
+  setQuantity(itemId, quantity) {
+    return db.run(
+      'UPDATE cart_items SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [quantity, itemId]
+    );
+  },
+
+  removeItem(cartId, itemId) {
+    return db.run('DELETE FROM cart_items WHERE cart_id = ? AND id = ?', [cartId, itemId]);
+  },
+
+  clear(cartId) {
+    return db.run('DELETE FROM cart_items WHERE cart_id = ?', [cartId]);
+  }
+});
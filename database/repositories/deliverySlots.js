@@ -0,0 +1,90 @@
+const { buildAssignments, whereClause, toSqlDateTime } = require('./helpers');
+
+// Orders holding a place in the slot; cancelled and expired orders give theirs back
+const BOOKED_COUNT = `(SELECT COUNT(*) FROM orders o
+  WHERE o.delivery_slot_id = delivery_slots.id AND o.status NOT IN ('cancelled', 'expired'))`;
+
+const SLOT_COLUMNS = `id, slot_type, zone_id, starts_at, ends_at, capacity, is_active,
+  created_at, updated_at, ${BOOKED_COUNT} as booked`;
+
+const UPDATABLE_COLUMNS = {
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  capacity: 'capacity',
+  isActive: 'is_active'
+};
+
+// Dates are stored in UTC in the same format as datetime('now')
+const withSqlDates = (slot) => ({
+  ...slot,
+  startsAt: slot.startsAt === undefined ? undefined : toSqlDateTime(slot.startsAt),
+  endsAt: slot.endsAt === undefined ? undefined : toSqlDateTime(slot.endsAt)
+});
+
+module.exports = (db) => ({
+  // Slots that have not started yet, soonest first. `zoneId` keeps delivery
+  // slots for that zone and for every zone; `open` leaves out inactive and
+  // fully booked slots.
+  list(filters = {}) {
+    const conditions = ["starts_at > datetime('now')"];
+    const params = [];
+
+    if (filters.slotType) {
+      conditions.push('slot_type = ?');
+      params.push(filters.slotType);
+    }
+
+    if (filters.zoneId) {
+      conditions.push('(zone_id IS NULL OR zone_id = ?)');
+      params.push(filters.zoneId);
+    }
+
+    if (filters.open) {
+      conditions.push(`is_active = 1 AND ${BOOKED_COUNT} < capacity`);
+    }
+
+    return db.all(
+      `SELECT ${SLOT_COLUMNS} FROM delivery_slots ${whereClause(conditions)} ORDER BY starts_at, id`,
+      params
+    );
+  },
+
+  // Includes has_started, so callers can reject slots that are already under way
+  findById(id) {
+    return db.get(
+      `SELECT ${SLOT_COLUMNS}, starts_at <= datetime('now') as has_started FROM delivery_slots WHERE id = ?`,
+      [id]
+    );
+  },
+
+  async create(slot) {
+    const values = withSqlDates(slot);
+    const { lastID } = await db.run(
+      `INSERT INTO delivery_slots (slot_type, zone_id, starts_at, ends_at, capacity, is_active)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [values.slotType, values.zoneId || null, values.startsAt, values.endsAt, values.capacity,
+       values.isActive !== false ? 1 : 0]
+    );
+    return lastID;
+  },
+
+  // Apply a partial update; resolves false when no updatable field was given
+  async update(id, updates) {
+    const { assignments, params } = buildAssignments(withSqlDates(updates), UPDATABLE_COLUMNS, ['isActive']);
+
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    await db.run(
+      `UPDATE delivery_slots SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, id]
+    );
+    return true;
+  },
+
+  // Slots are kept for the orders booked into them
+  deactivate(id) {
+    return db.run('UPDATE delivery_slots SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  }
+});
@@ -0,0 +1,35 @@
+// Turn a camelCase updates object into "column = ?" assignments.
+// `columns` maps accepted field names to table columns; fields listed in
+// `booleanFields` are stored as 1/0. Unknown and undefined fields are skipped.
+function buildAssignments(updates, columns, booleanFields = []) {
+  const assignments = [];
+  const params = [];
+
+  Object.keys(updates).forEach(key => {
+    if (updates[key] === undefined || !columns[key]) {
+      return;
+    }
+
+    assignments.push(`${columns[key]} = ?`);
+    params.push(booleanFields.includes(key) ? (updates[key] ? 1 : 0) : updates[key]);
+  });
+
+  return { assignments, params };
+}
+
+// Build a WHERE clause from a list of conditions (empty string when there are none)
+function whereClause(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// Format a date (or anything Date accepts) the way SQLite's datetime('now')
+// does, in UTC, so stored values compare correctly against it
+function toSqlDateTime(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  return new Date(value).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+module.exports = { buildAssignments, whereClause, toSqlDateTime };
@@ -0,0 +1,33 @@
+module.exports = (db) => ({
+  // Reserve a key for a request that is about to run; resolves with
+  // { record, isNew } where record is the stored row for the key
+  async claim({ key, owner, method, path, requestHash, ttlHours }) {
+    const { changes } = await db.run(
+      `INSERT OR IGNORE INTO idempotency_keys (idempotency_key, owner, method, path, request_hash, expires_at)
+       VALUES (?, ?, ?, ?, ?, datetime('now', ?))`,
+      [key, owner, method, path, requestHash, `+${ttlHours} hours`]
+    );
+    const record = await db.get(
+      `SELECT * FROM idempotency_keys
+       WHERE idempotency_key = ? AND owner = ? AND method = ? AND path = ?`,
+      [key, owner, method, path]
+    );
+    return { record, isNew: changes > 0 };
+  },
+
+  complete(id, responseStatus, responseBody) {
+    return db.run(
+      "UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ? WHERE id = ?",
+      [responseStatus, JSON.stringify(responseBody), id]
+    );
+  },
+
+  // Forget a key so the request can be retried with it
+  release(id) {
+    return db.run('DELETE FROM idempotency_keys WHERE id = ?', [id]);
+  },
+
+  purgeExpired() {
+    return db.run("DELETE FROM idempotency_keys WHERE expires_at <= datetime('now')");
+  }
+});
@@ -0,0 +1,77 @@
+const { getConnection, transaction } = require('../connection');
+const createPetsRepository = require('./pets');
+const createUsersRepository = require('./users');
+const createOrdersRepository = require('./orders');
+const createPaymentsRepository = require('./payments');
+const createShopProductsRepository = require('./shopProducts');
+const createAdoptionRequestsRepository = require('./adoptionRequests');
+const createSupportTicketsRepository = require('./supportTickets');
+const createRefundsRepository = require('./refunds');
+const createWebhookEventsRepository = require('./webhookEvents');
+const createIdempotencyKeysRepository = require('./idempotencyKeys');
+const createInventoryReservationsRepository = require('./inventoryReservations');
+const createOrderStatusHistoryRepository = require('./orderStatusHistory');
+const createShipmentsRepository = require('./shipments');
+const createInventoryMovementsRepository = require('./inventoryMovements');
+const createStockAlertsRepository = require('./stockAlerts');
+const createSuppliersRepository = require('./suppliers');
+const createPurchaseOrdersRepository = require('./purchaseOrders');
+const createProductVariantsRepository = require('./productVariants');
+const createPromotionsRepository = require('./promotions');
+const createTaxRatesRepository = require('./taxRates');
+const createInvoiceSequencesRepository = require('./invoiceSequences');
+const createShippingZonesRepository = require('./shippingZones');
+const createDeliverySlotsRepository = require('./deliverySlots');
+const createCartsRepository = require('./carts');
+const createProductReviewsRepository = require('./productReviews');
+const createSubscriptionsRepository = require('./subscriptions');
+const createAdoptionStatusHistoryRepository = require('./adoptionStatusHistory');
+const createAdoptionQuestionnairesRepository = require('./adoptionQuestionnaires');
+const createAdoptionScoringWeightsRepository = require('./adoptionScoringWeights');
+
+// Bind every repository to the given connection
+function createRepositories(connection) {
+  return {
+    pets: createPetsRepository(connection),
+    users: createUsersRepository(connection),
+    orders: createOrdersRepository(connection),
+    payments: createPaymentsRepository(connection),
+    shopProducts: createShopProductsRepository(connection),
+    adoptionRequests: createAdoptionRequestsRepository(connection),
+    supportTickets: createSupportTicketsRepository(connection),
+    refunds: createRefundsRepository(connection),
+    webhookEvents: createWebhookEventsRepository(connection),
+    idempotencyKeys: createIdempotencyKeysRepository(connection),
+    inventoryReservations: createInventoryReservationsRepository(connection),
+    orderStatusHistory: createOrderStatusHistoryRepository(connection),
+    shipments: createShipmentsRepository(connection),
+    inventoryMovements: createInventoryMovementsRepository(connection),
+    stockAlerts: createStockAlertsRepository(connection),
+    suppliers: createSuppliersRepository(connection),
+    purchaseOrders: createPurchaseOrdersRepository(connection),
+    productVariants: createProductVariantsRepository(connection),
+    promotions: createPromotionsRepository(connection),
+    taxRates: createTaxRatesRepository(connection),
+    invoiceSequences: createInvoiceSequencesRepository(connection),
+    shippingZones: createShippingZonesRepository(connection),
+    deliverySlots: createDeliverySlotsRepository(connection),
+    carts: createCartsRepository(connection),
+    productReviews: createProductReviewsRepository(connection),
+    subscriptions: createSubscriptionsRepository(connection),
+    adoptionStatusHistory: createAdoptionStatusHistoryRepository(connection),
+    adoptionQuestionnaires: createAdoptionQuestionnairesRepository(connection),
+    adoptionScoringWeights: createAdoptionScoringWeightsRepository(connection)
+  };
+}
+
+// Run fn with repositories bound to a single transaction:
+//   await withTransaction(async ({ orders, payments }) => { ... });
+// Everything fn does commits together, or rolls back if it throws.
+function withTransaction(fn) {
+  return transaction(connection => fn(createRepositories(connection)));
+}
+
+module.exports = {
+  ...createRepositories(getConnection()),
+  withTransaction
+};
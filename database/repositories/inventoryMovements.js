@@ -0,0 +1,52 @@
+const { whereClause } = require('./helpers');
+
+module.exports = (db) => ({
+  async create(movement) {
+    const { lastID } = await db.run(
+      `INSERT INTO inventory_movements (product_id, variant_id, quantity_change, balance_after, type, reason,
+                                        order_id, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [movement.productId, movement.variantId || null, movement.quantityChange, movement.balanceAfter, movement.type,
+       movement.reason || null, movement.orderId || null, movement.createdBy || null]
+    );
+    return lastID;
+  },
+
+  findById(id) {
+    return db.get('SELECT * FROM inventory_movements WHERE id = ?', [id]);
+  },
+
+  // A product's movements, newest first; resolves with { movements, total }
+  async listForProduct(productId, { type, variantId } = {}, { limit, offset }) {
+    const conditions = ['m.product_id = ?'];
+    const params = [productId];
+
+    if (type) {
+      conditions.push('m.type = ?');
+      params.push(type);
+    }
+
+    if (variantId) {
+      conditions.push('m.variant_id = ?');
+      params.push(variantId);
+    }
+
+    const where = whereClause(conditions);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM inventory_movements m ${where}`, params);
+    const movements = await db.all(
+      `SELECT m.id, m.variant_id, v.sku, v.name as variant_name, m.quantity_change, m.balance_after,
+              m.type, m.reason, m.order_id, m.created_at,
+              o.order_number, u.username as created_by_username
+       FROM inventory_movements m
+       LEFT JOIN product_variants v ON m.variant_id = v.id
+       LEFT JOIN orders o ON m.order_id = o.id
+       LEFT JOIN users u ON m.created_by = u.id
+       ${where}
+       ORDER BY m.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { movements, total };
+  }
+});
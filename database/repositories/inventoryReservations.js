@@ -0,0 +1,53 @@
+module.exports = (db) => ({
+  create({ orderId, itemType, itemId, variantId, quantity }) {
+    return db.run(
+      'INSERT INTO inventory_reservations (order_id, item_type, item_id, variant_id, quantity) VALUES (?, ?, ?, ?, ?)',
+      [orderId, itemType, itemId, variantId || null, quantity]
+    );
+  },
+
+  listForOrder(orderId, status) {
+    return status
+      ? db.all('SELECT * FROM inventory_reservations WHERE order_id = ? AND status = ?', [orderId, status])
+      : db.all('SELECT * FROM inventory_reservations WHERE order_id = ?', [orderId]);
+  },
+
+  // The shop order holding a pet: unpaid with the pet reserved, or paid and
+  // neither closed nor refunded for the pet. Resolves with the reservation and
+  // its order_number, or null.
+  async findHoldingPet(petId) {
+    const row = await db.get(
+      `SELECT ir.*, o.order_number
+       FROM inventory_reservations ir
+       JOIN orders o ON ir.order_id = o.id
+       WHERE ir.item_type = 'pet' AND ir.item_id = ?
+         AND (ir.status = 'active' OR (ir.status = 'committed' AND o.status NOT IN ('cancelled', 'returned', 'expired')
+           AND NOT EXISTS (SELECT 1 FROM order_items oi
+                           WHERE oi.order_id = o.id AND oi.item_type = 'pet' AND oi.item_id = ir.item_id
+                             AND oi.restocked_quantity >= oi.quantity)))
+       ORDER BY ir.id DESC
+       LIMIT 1`,
+      [petId]
+    );
+    return row || null;
+  },
+
+  // Units of a product (without variants) held for unpaid orders
+  async sumActiveForProduct(productId) {
+    const { quantity } = await db.get(
+      `SELECT COALESCE(SUM(quantity), 0) as quantity FROM inventory_reservations
+       WHERE item_type = 'product' AND item_id = ? AND variant_id IS NULL AND status = 'active'`,
+      [productId]
+    );
+    return quantity;
+  },
+
+  // Move every active reservation on the order to `status`
+  updateActiveForOrder(orderId, status) {
+    return db.run(
+      `UPDATE inventory_reservations SET status = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE order_id = ? AND status = 'active'`,
+      [status, orderId]
+    );
+  }
+});
@@ -0,0 +1,16 @@
+module.exports = (db) => ({
+  // Take the next invoice number for the financial year. Must run inside a
+  // transaction so two orders can never get the same number.
+  async next(financialYear) {
+    await db.run(
+      `INSERT INTO invoice_sequences (financial_year, last_number) VALUES (?, 1)
+       ON CONFLICT (financial_year) DO UPDATE SET last_number = last_number + 1`,
+      [financialYear]
+    );
+    const { last_number: number } = await db.get(
+      'SELECT last_number FROM invoice_sequences WHERE financial_year = ?',
+      [financialYear]
+    );
+    return number;
+  }
+});
@@ -0,0 +1,22 @@
+module.exports = (db) => ({
+  create({ orderId, fromStatus, toStatus, note, changedBy }) {
+    return db.run(
+      `INSERT INTO order_status_history (order_id, from_status, to_status, note, changed_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [orderId, fromStatus || null, toStatus, note || null, changedBy || null]
+    );
+  },
+
+  // Oldest first, with who made each change
+  listForOrder(orderId) {
+    return db.all(
+      `SELECT h.id, h.from_status, h.to_status, h.note, h.created_at,
+              u.username as changed_by_username
+       FROM order_status_history h
+       LEFT JOIN users u ON h.changed_by = u.id
+       WHERE h.order_id = ?
+       ORDER BY h.created_at, h.id`,
+      [orderId]
+    );
+  }
+});
@@ -0,0 +1,194 @@
+const { whereClause } = require('./helpers');
+
+module.exports = (db) => ({
+  // `reservationMinutes` sets how long the order may stay unpaid
+  async create(order) {
+    const { lastID } = await db.run(
+      `INSERT INTO orders (user_id, order_number, total_amount, shipping_address, shipping_city, shipping_state,
+                           shipping_pincode, shipping_phone, shipping_method, shipping_zone_id, shipping_amount,
+                           delivery_slot_id, billing_address, notes, subscription_id, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?))`,
+      [order.userId, order.orderNumber, order.totalAmount, order.shippingAddress, order.shippingCity,
+       order.shippingState, order.shippingPincode, order.shippingPhone || null, order.shippingMethod,
+       order.shippingZoneId || null, order.shippingAmount || 0, order.deliverySlotId || null,
+       order.billingAddress, order.notes, order.subscriptionId || null, `+${order.reservationMinutes} minutes`]
+    );
+    return lastID;
+  },
+
+  // Add a priced quote line to the order
+  addItem(orderId, line) {
+    return db.run(
+      'INSERT INTO order_items (order_id, item_type, item_id, variant_id, quantity, price) VALUES (?, ?, ?, ?, ?, ?)',
+      [orderId, line.type, line.id, line.variantId || null, line.quantity, line.unitPrice]
+    );
+  },
+
+  findById(id) {
+    return db.get('SELECT * FROM orders WHERE id = ?', [id]);
+  },
+
+  findByIdForUser(id, userId) {
+    return db.get('SELECT id, user_id, status, payment_status FROM orders WHERE id = ? AND user_id = ?', [id, userId]);
+  },
+
+  // List orders with the customer's details, newest first; resolves with { orders, total }
+  async list(filters = {}, { limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      conditions.push('o.status = ?');
+      params.push(filters.status);
+    }
+
+    if (filters.paymentStatus) {
+      conditions.push('o.payment_status = ?');
+      params.push(filters.paymentStatus);
+    }
+
+    const where = whereClause(conditions);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM orders o ${where}`, params);
+    const orders = await db.all(
+      `SELECT o.id, o.order_number, o.user_id, o.total_amount, o.status, o.payment_status,
+              o.created_at, o.updated_at, u.username, u.full_name as customer_name, u.email as customer_email
+       FROM orders o
+       LEFT JOIN users u ON o.user_id = u.id
+       ${where}
+       ORDER BY o.created_at DESC, o.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { orders, total };
+  },
+
+  findItems(orderId) {
+    return db.all(
+      `SELECT id, item_type, item_id, variant_id, quantity, price, restocked_quantity
+       FROM order_items WHERE order_id = ?`,
+      [orderId]
+    );
+  },
+
+  // Order items with the name of the pet or product each one is for
+  findItemsWithNames(orderId) {
+    return db.all(
+      `SELECT oi.id, oi.item_type, oi.item_id, oi.variant_id, oi.quantity, oi.price, oi.restocked_quantity,
+              COALESCE(p.name, sp.name) as name, v.sku, v.name as variant_name
+       FROM order_items oi
+       LEFT JOIN pets p ON oi.item_type = 'pet' AND oi.item_id = p.id
+       LEFT JOIN shop_products sp ON oi.item_type = 'product' AND oi.item_id = sp.id
+       LEFT JOIN product_variants v ON oi.variant_id = v.id
+       WHERE oi.order_id = ?
+       ORDER BY oi.id`,
+      [orderId]
+    );
+  },
+
+  // Record the share of a coupon's discount given on one order item
+  addDiscount(orderId, discount) {
+    return db.run(
+      `INSERT INTO order_discounts (order_id, order_item_id, promotion_id, code, amount)
+       VALUES (?, ?, ?, ?, ?)`,
+      [orderId, discount.orderItemId, discount.promotionId, discount.code, discount.amount]
+    );
+  },
+
+  findDiscounts(orderId) {
+    return db.all(
+      `SELECT od.id, od.order_item_id, od.promotion_id, od.code, p.description, od.amount
+       FROM order_discounts od
+       LEFT JOIN promotions p ON od.promotion_id = p.id
+       WHERE od.order_id = ?
+       ORDER BY od.id`,
+      [orderId]
+    );
+  },
+
+  // Record one GST component (CGST, SGST or IGST) included in an order item,
+  // or in the shipping charge when orderItemId is null
+  addTaxLine(orderId, taxLine) {
+    return db.run(
+      `INSERT INTO order_tax_lines (order_id, order_item_id, tax_type, hsn_code, rate, taxable_amount, amount)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [orderId, taxLine.orderItemId, taxLine.type, taxLine.hsnCode, taxLine.rate,
+       taxLine.taxableAmount, taxLine.amount]
+    );
+  },
+
+  // Tax lines for the order's items, then those for its shipping charge
+  // (with no order_item_id)
+  findTaxLines(orderId) {
+    return db.all(
+      `SELECT id, order_item_id, tax_type, hsn_code, rate, taxable_amount, amount
+       FROM order_tax_lines WHERE order_id = ? ORDER BY order_item_id IS NULL, order_item_id, id`,
+      [orderId]
+    );
+  },
+
+  setInvoiceNumber(id, invoiceNumber) {
+    return db.run(
+      'UPDATE orders SET invoice_number = ?, invoiced_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [invoiceNumber, id]
+    );
+  },
+
+  // Record that part of an order item went back into stock
+  markItemRestocked(itemId, quantity) {
+    return db.run(
+      'UPDATE order_items SET restocked_quantity = restocked_quantity + ? WHERE id = ?',
+      [quantity, itemId]
+    );
+  },
+
+  // Orders with their payment details, newest first
+  listForUser(userId) {
+    return db.all(
+      `SELECT o.id, o.order_number, o.total_amount, o.status, o.payment_status, o.created_at,
+              p.status as payment_status_detail, p.payment_method, p.transaction_id
+       FROM orders o
+       LEFT JOIN payments p ON o.id = p.order_id
+       WHERE o.user_id = ?
+       ORDER BY o.created_at DESC`,
+      [userId]
+    );
+  },
+
+  // Orders placed for a subscription, newest first
+  listForSubscription(subscriptionId, limit) {
+    return db.all(
+      `SELECT id, order_number, total_amount, status, payment_status, created_at
+       FROM orders
+       WHERE subscription_id = ?
+       ORDER BY created_at DESC, id DESC
+       LIMIT ?`,
+      [subscriptionId, limit]
+    );
+  },
+
+  // Unpaid orders whose reservation has run out
+  findExpired(limit) {
+    return db.all(
+      `SELECT * FROM orders
+       WHERE status = 'pending' AND expires_at IS NOT NULL AND expires_at <= datetime('now')
+       ORDER BY expires_at
+       LIMIT ?`,
+      [limit]
+    );
+  },
+
+  updatePaymentStatus(id, paymentStatus) {
+    return db.run(
+      'UPDATE orders SET payment_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [paymentStatus, id]
+    );
+  },
+
+  updateStatus(id, status, paymentStatus) {
+    return db.run(
+      'UPDATE orders SET status = ?, payment_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, paymentStatus, id]
+    );
+  }
+});
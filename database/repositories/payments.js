@@ -0,0 +1,52 @@
+module.exports = (db) => ({
+  async create(payment) {
+    const { lastID } = await db.run(
+      `INSERT INTO payments (order_id, provider, stripe_payment_intent_id, amount, status)
+       VALUES (?, ?, ?, ?, ?)`,
+      [payment.orderId, payment.provider, payment.paymentIntentId, payment.amount, payment.status || 'pending']
+    );
+    return lastID;
+  },
+
+  findById(id) {
+    return db.get('SELECT * FROM payments WHERE id = ?', [id]);
+  },
+
+  // Most recent payment attempt for an order
+  findLatestForOrder(orderId) {
+    return db.get('SELECT * FROM payments WHERE order_id = ? ORDER BY id DESC LIMIT 1', [orderId]);
+  },
+
+  findByPaymentIntent(paymentIntentId) {
+    return db.get('SELECT * FROM payments WHERE stripe_payment_intent_id = ?', [paymentIntentId]);
+  },
+
+  // Record a completed payment against its order
+  markCompleted(orderId, paymentIntentId, { paymentMethod, transactionId }) {
+    return db.run(
+      `UPDATE payments SET status = ?, payment_method = ?, transaction_id = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE order_id = ? AND stripe_payment_intent_id = ?`,
+      ['completed', paymentMethod, transactionId, orderId, paymentIntentId]
+    );
+  },
+
+  // Add to the refunded total and set the resulting status
+  addRefund(id, amount, status) {
+    return db.run(
+      `UPDATE payments SET amount_refunded = amount_refunded + ?, status = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [amount, status, id]
+    );
+  },
+
+  updateStatus(id, status) {
+    return db.run('UPDATE payments SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [status, id]);
+  },
+
+  updateStatusByPaymentIntent(paymentIntentId, status) {
+    return db.run(
+      'UPDATE payments SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE stripe_payment_intent_id = ?',
+      [status, paymentIntentId]
+    );
+  }
+});
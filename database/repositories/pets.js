@@ -0,0 +1,148 @@
+const { buildAssignments, whereClause } = require('./helpers');
+
+const LIST_COLUMNS = `id, name, breed, species, gender, age_weeks, description, price,
+  image_url, is_available, is_featured, vaccination_status, created_at`;
+
+const UPDATABLE_COLUMNS = {
+  name: 'name',
+  breed: 'breed',
+  species: 'species',
+  gender: 'gender',
+  ageWeeks: 'age_weeks',
+  description: 'description',
+  price: 'price',
+  imageUrl: 'image_url',
+  vaccinationStatus: 'vaccination_status',
+  healthCertificate: 'health_certificate',
+  isAvailable: 'is_available',
+  isFeatured: 'is_featured'
+};
+
+module.exports = (db) => ({
+  // List pets matching the filters; resolves with { pets, total }
+  async list(filters = {}, { limit, offset }) {
+    const { species, breed, gender, minPrice, maxPrice, available, featured } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (species) {
+      conditions.push('species = ?');
+      params.push(species);
+    }
+
+    if (breed) {
+      conditions.push('breed LIKE ?');
+      params.push(`%${breed}%`);
+    }
+
+    if (gender) {
+      conditions.push('gender = ?');
+      params.push(gender);
+    }
+
+    if (minPrice) {
+      conditions.push('price >= ?');
+      params.push(minPrice);
+    }
+
+    if (maxPrice) {
+      conditions.push('price <= ?');
+      params.push(maxPrice);
+    }
+
+    if (available !== undefined) {
+      conditions.push('is_available = ?');
+      params.push(available ? 1 : 0);
+    }
+
+    if (featured !== undefined) {
+      conditions.push('is_featured = ?');
+      params.push(featured ? 1 : 0);
+    }
+
+    const where = whereClause(conditions);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM pets ${where}`, params);
+    const pets = await db.all(
+      `SELECT ${LIST_COLUMNS}
+       FROM pets ${where}
+       ORDER BY is_featured DESC, created_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { pets, total };
+  },
+
+  findById(id) {
+    return db.get(
+      `SELECT id, name, breed, species, gender, age_weeks, description, price,
+              image_url, is_available, is_featured, vaccination_status,
+              health_certificate, created_at
+       FROM pets WHERE id = ?`,
+      [id]
+    );
+  },
+
+  findAvailableByName(name) {
+    return db.get(
+      'SELECT id, name, species, is_available FROM pets WHERE name = ? AND is_available = 1',
+      [name]
+    );
+  },
+
+  findFeatured(limit = 6) {
+    return db.all(
+      `SELECT id, name, breed, species, gender, age_weeks, description, price,
+              image_url, vaccination_status
+       FROM pets
+       WHERE is_featured = 1 AND is_available = 1
+       ORDER BY created_at DESC
+       LIMIT ?`,
+      [limit]
+    );
+  },
+
+  async create(pet) {
+    const { lastID } = await db.run(
+      `INSERT INTO pets (name, breed, species, gender, age_weeks, description, price,
+                        image_url, vaccination_status, health_certificate, is_featured)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [pet.name, pet.breed, pet.species, pet.gender, pet.ageWeeks, pet.description, pet.price,
+       pet.imageUrl, pet.vaccinationStatus, pet.healthCertificate, pet.isFeatured ? 1 : 0]
+    );
+    return lastID;
+  },
+
+  // Apply a partial update; resolves false when no updatable field was given
+  async update(id, updates) {
+    const { assignments, params } = buildAssignments(updates, UPDATABLE_COLUMNS, ['isAvailable', 'isFeatured']);
+
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    await db.run(
+      `UPDATE pets SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, id]
+    );
+    return true;
+  },
+
+  setAvailability(id, isAvailable) {
+    return db.run(
+      'UPDATE pets SET is_available = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [isAvailable ? 1 : 0, id]
+    );
+  },
+
+  clearImage(filename) {
+    return db.run(
+      'UPDATE pets SET image_url = NULL WHERE image_url LIKE ?',
+      [`%/uploads/pets/${filename}`]
+    );
+  },
+
+  delete(id) {
+    return db.run('DELETE FROM pets WHERE id = ?', [id]);
+  }
+});
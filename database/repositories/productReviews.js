@@ -0,0 +1,196 @@
+const { buildAssignments, whereClause } = require('./helpers');
+
+// A review is from a verified purchase when its author has a paid order for
+// the product, in any variant; a partial refund still leaves it paid for
+const VERIFIED_PURCHASE = `EXISTS (
+  SELECT 1 FROM order_items oi
+  JOIN orders o ON oi.order_id = o.id
+  WHERE oi.item_type = 'product' AND oi.item_id = pr.product_id
+    AND o.user_id = pr.user_id AND o.payment_status IN ('paid', 'partially_refunded')
+)`;
+
+const REVIEW_COLUMNS = `pr.id, pr.product_id, pr.user_id, pr.rating, pr.title, pr.body, pr.status,
+  pr.moderation_note, pr.moderated_by, pr.moderated_at, pr.created_at, pr.updated_at,
+  u.full_name as reviewer_name, sp.name as product_name,
+  ${VERIFIED_PURCHASE} as is_verified_purchase`;
+
+const REVIEW_JOINS = `
+  JOIN users u ON pr.user_id = u.id
+  JOIN shop_products sp ON pr.product_id = sp.id`;
+
+const SORT_ORDERS = {
+  newest: 'pr.created_at DESC, pr.id DESC',
+  oldest: 'pr.created_at ASC, pr.id ASC',
+  highest: 'pr.rating DESC, pr.created_at DESC',
+  lowest: 'pr.rating ASC, pr.created_at DESC'
+};
+
+const UPDATABLE_COLUMNS = {
+  rating: 'rating',
+  title: 'title',
+  body: 'body'
+};
+
+module.exports = (db) => ({
+  // List reviews matching the filters; resolves with { reviews, total }
+  async list(filters = {}, { limit, offset, sort = 'newest' }) {
+    const { productId, userId, status, verified } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (productId) {
+      conditions.push('pr.product_id = ?');
+      params.push(productId);
+    }
+
+    if (userId) {
+      conditions.push('pr.user_id = ?');
+      params.push(userId);
+    }
+
+    if (status) {
+      conditions.push('pr.status = ?');
+      params.push(status);
+    }
+
+    if (verified !== undefined) {
+      conditions.push(verified ? VERIFIED_PURCHASE : `NOT ${VERIFIED_PURCHASE}`);
+    }
+
+    const where = whereClause(conditions);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM product_reviews pr ${where}`, params);
+    const reviews = await db.all(
+      `SELECT ${REVIEW_COLUMNS}
+       FROM product_reviews pr ${REVIEW_JOINS}
+       ${where}
+       ORDER BY ${SORT_ORDERS[sort] || SORT_ORDERS.newest}
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { reviews, total };
+  },
+
+  findById(id) {
+    return db.get(`SELECT ${REVIEW_COLUMNS} FROM product_reviews pr ${REVIEW_JOINS} WHERE pr.id = ?`, [id]);
+  },
+
+  findByProductAndUser(productId, userId) {
+    return db.get('SELECT id FROM product_reviews WHERE product_id = ? AND user_id = ?', [productId, userId]);
+  },
+
+  // Approved reviews' average rating, count and the number at each star
+  async ratingSummary(productId) {
+    const rows = await db.all(
+      `SELECT rating, COUNT(*) as count
+       FROM product_reviews
+       WHERE product_id = ? AND status = 'approved'
+       GROUP BY rating`,
+      [productId]
+    );
+    const ratingCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let reviewCount = 0;
+    let ratingTotal = 0;
+
+    rows.forEach(row => {
+      ratingCounts[row.rating] = row.count;
+      reviewCount += row.count;
+      ratingTotal += row.rating * row.count;
+    });
+
+    return {
+      averageRating: reviewCount > 0 ? Math.round((ratingTotal / reviewCount) * 10) / 10 : null,
+      reviewCount,
+      ratingCounts
+    };
+  },
+
+  // New reviews wait for moderation
+  async create(review) {
+    const { lastID } = await db.run(
+      `INSERT INTO product_reviews (product_id, user_id, rating, title, body)
+       VALUES (?, ?, ?, ?, ?)`,
+      [review.productId, review.userId, review.rating, review.title, review.body || null]
+    );
+    return lastID;
+  },
+
+  // Apply the author's changes and send the review back for moderation;
+  // resolves false when no updatable field was given
+  async update(id, updates) {
+    const { assignments, params } = buildAssignments(updates, UPDATABLE_COLUMNS);
+
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    await db.run(
+      `UPDATE product_reviews
+       SET ${assignments.join(', ')}, status = 'pending', moderation_note = NULL,
+           moderated_by = NULL, moderated_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...params, id]
+    );
+    return true;
+  },
+
+  moderate(id, { status, note, moderatedBy }) {
+    return db.run(
+      `UPDATE product_reviews
+       SET status = ?, moderation_note = ?, moderated_by = ?, moderated_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, note || null, moderatedBy, id]
+    );
+  },
+
+  // A changed photo needs looking at again
+  resubmit(id) {
+    return db.run(
+      `UPDATE product_reviews
+       SET status = 'pending', moderation_note = NULL, moderated_by = NULL, moderated_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [id]
+    );
+  },
+
+  async delete(id) {
+    await db.run('DELETE FROM product_review_photos WHERE review_id = ?', [id]);
+    return db.run('DELETE FROM product_reviews WHERE id = ?', [id]);
+  },
+
+  // Photos of the given reviews, in the order they were added
+  async listPhotos(reviewIds) {
+    if (reviewIds.length === 0) {
+      return [];
+    }
+
+    return db.all(
+      `SELECT id, review_id, filename, created_at
+       FROM product_review_photos
+       WHERE review_id IN (${reviewIds.map(() => '?').join(', ')})
+       ORDER BY id`,
+      reviewIds
+    );
+  },
+
+  findPhoto(reviewId, photoId) {
+    return db.get(
+      'SELECT id, review_id, filename, created_at FROM product_review_photos WHERE review_id = ? AND id = ?',
+      [reviewId, photoId]
+    );
+  },
+
+  async addPhoto(reviewId, filename) {
+    const { lastID } = await db.run(
+      'INSERT INTO product_review_photos (review_id, filename) VALUES (?, ?)',
+      [reviewId, filename]
+    );
+    return lastID;
+  },
+
+  deletePhoto(photoId) {
+    return db.run('DELETE FROM product_review_photos WHERE id = ?', [photoId]);
+  }
+});
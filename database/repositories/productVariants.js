@@ -0,0 +1,96 @@
+const { buildAssignments } = require('./helpers');
+
+const VARIANT_COLUMNS = `id, product_id, sku, name, attributes, price, stock_quantity,
+  weight_grams, is_available, created_at, updated_at`;
+
+const UPDATABLE_COLUMNS = {
+  sku: 'sku',
+  name: 'name',
+  attributes: 'attributes',
+  price: 'price',
+  weightGrams: 'weight_grams',
+  isAvailable: 'is_available'
+};
+
+// attributes are stored as JSON text
+const parseVariant = (variant) => variant && { ...variant, attributes: JSON.parse(variant.attributes) };
+
+module.exports = (db) => ({
+  // A product's variants in the order they were added; pass
+  // { available: true } for only those that can be ordered
+  async listForProduct(productId, { available } = {}) {
+    const variants = await db.all(
+      `SELECT ${VARIANT_COLUMNS} FROM product_variants
+       WHERE product_id = ?${available ? ' AND is_available = 1' : ''}
+       ORDER BY id`,
+      [productId]
+    );
+    return variants.map(parseVariant);
+  },
+
+  // The variants of several products, for listing them together
+  async listForProducts(productIds, { available } = {}) {
+    if (productIds.length === 0) {
+      return [];
+    }
+
+    const variants = await db.all(
+      `SELECT ${VARIANT_COLUMNS} FROM product_variants
+       WHERE product_id IN (${productIds.map(() => '?').join(', ')})${available ? ' AND is_available = 1' : ''}
+       ORDER BY id`,
+      productIds
+    );
+    return variants.map(parseVariant);
+  },
+
+  async findById(id) {
+    return parseVariant(await db.get(`SELECT ${VARIANT_COLUMNS} FROM product_variants WHERE id = ?`, [id]));
+  },
+
+  async findBySku(sku) {
+    return parseVariant(await db.get(`SELECT ${VARIANT_COLUMNS} FROM product_variants WHERE sku = ?`, [sku]));
+  },
+
+  // Variants start with no stock; add it through the inventory ledger
+  async create(variant) {
+    const { lastID } = await db.run(
+      `INSERT INTO product_variants (product_id, sku, name, attributes, price, weight_grams, is_available)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [variant.productId, variant.sku, variant.name, JSON.stringify(variant.attributes || {}),
+       variant.price, variant.weightGrams === undefined ? null : variant.weightGrams,
+       variant.isAvailable !== false ? 1 : 0]
+    );
+    return lastID;
+  },
+
+  // Apply a partial update; resolves false when no updatable field was given
+  async update(id, updates) {
+    const fields = updates.attributes === undefined
+      ? updates
+      : { ...updates, attributes: JSON.stringify(updates.attributes) };
+    const { assignments, params } = buildAssignments(fields, UPDATABLE_COLUMNS, ['isAvailable']);
+
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    await db.run(
+      `UPDATE product_variants SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, id]
+    );
+    return true;
+  },
+
+  // Only called from services/inventory.js, which records the change in the ledger
+  adjustStock(id, delta) {
+    return db.run(
+      'UPDATE product_variants SET stock_quantity = stock_quantity + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [delta, id]
+    );
+  },
+
+  // Soft delete - variants stay on the orders and movements that refer to them
+  deactivate(id) {
+    return db.run('UPDATE product_variants SET is_available = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  }
+});
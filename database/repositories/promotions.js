@@ -0,0 +1,130 @@
+const { buildAssignments, whereClause, toSqlDateTime } = require('./helpers');
+
+// Orders that used the promotion; cancelled and expired orders give their use back
+const REDEMPTION_COUNT = `(SELECT COUNT(DISTINCT od.order_id)
+  FROM order_discounts od
+  JOIN orders o ON od.order_id = o.id
+  WHERE od.promotion_id = promotions.id AND o.status NOT IN ('cancelled', 'expired'))`;
+
+const PROMOTION_COLUMNS = `id, code, description, discount_type, discount_value, min_order_value,
+  category, product_id, usage_limit, per_user_limit, starts_at, ends_at, is_active,
+  created_by, created_at, updated_at, ${REDEMPTION_COUNT} as times_used`;
+
+const UPDATABLE_COLUMNS = {
+  code: 'code',
+  description: 'description',
+  discountType: 'discount_type',
+  discountValue: 'discount_value',
+  minOrderValue: 'min_order_value',
+  category: 'category',
+  productId: 'product_id',
+  usageLimit: 'usage_limit',
+  perUserLimit: 'per_user_limit',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  isActive: 'is_active'
+};
+
+// Dates are stored in UTC in the same format as datetime('now')
+const withSqlDates = (promotion) => ({
+  ...promotion,
+  startsAt: promotion.startsAt === undefined ? undefined : toSqlDateTime(promotion.startsAt),
+  endsAt: promotion.endsAt === undefined ? undefined : toSqlDateTime(promotion.endsAt)
+});
+
+module.exports = (db) => ({
+  // List promotions, newest first; resolves with { promotions, total }
+  async list(filters = {}, { limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.active !== undefined) {
+      conditions.push('is_active = ?');
+      params.push(filters.active ? 1 : 0);
+    }
+
+    if (filters.search) {
+      conditions.push('(code LIKE ? OR description LIKE ?)');
+      params.push(`%${filters.search}%`, `%${filters.search}%`);
+    }
+
+    const where = whereClause(conditions);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM promotions ${where}`, params);
+    const promotions = await db.all(
+      `SELECT ${PROMOTION_COLUMNS} FROM promotions ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { promotions, total };
+  },
+
+  findById(id) {
+    return db.get(`SELECT ${PROMOTION_COLUMNS} FROM promotions WHERE id = ?`, [id]);
+  },
+
+  // Codes are stored upper case, so lookups ignore case. has_started and
+  // has_ended compare the validity window with the current time.
+  findByCode(code) {
+    return db.get(
+      `SELECT ${PROMOTION_COLUMNS},
+              (starts_at IS NULL OR starts_at <= datetime('now')) as has_started,
+              (ends_at IS NOT NULL AND ends_at <= datetime('now')) as has_ended
+       FROM promotions WHERE code = ?`,
+      [code.toUpperCase()]
+    );
+  },
+
+  // How many open or completed orders used the promotion, optionally for one customer
+  async countRedemptions(promotionId, userId) {
+    const params = userId ? [promotionId, userId] : [promotionId];
+    const { count } = await db.get(
+      `SELECT COUNT(DISTINCT od.order_id) as count
+       FROM order_discounts od
+       JOIN orders o ON od.order_id = o.id
+       WHERE od.promotion_id = ? AND o.status NOT IN ('cancelled', 'expired')
+       ${userId ? 'AND o.user_id = ?' : ''}`,
+      params
+    );
+    return count;
+  },
+
+  async create(promotion) {
+    const values = withSqlDates(promotion);
+    const { lastID } = await db.run(
+      `INSERT INTO promotions (code, description, discount_type, discount_value, min_order_value, category,
+                               product_id, usage_limit, per_user_limit, starts_at, ends_at, is_active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [values.code.toUpperCase(), values.description, values.discountType, values.discountValue,
+       values.minOrderValue || 0, values.category || null, values.productId || null,
+       values.usageLimit || null, values.perUserLimit || null, values.startsAt || null, values.endsAt || null,
+       values.isActive !== false ? 1 : 0, values.createdBy]
+    );
+    return lastID;
+  },
+
+  // Apply a partial update; resolves false when no updatable field was given
+  async update(id, updates) {
+    const values = withSqlDates(updates);
+
+    if (values.code) {
+      values.code = values.code.toUpperCase();
+    }
+
+    const { assignments, params } = buildAssignments(values, UPDATABLE_COLUMNS, ['isActive']);
+
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    await db.run(
+      `UPDATE promotions SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, id]
+    );
+    return true;
+  },
+
+  // Soft delete - promotions stay on the orders that used them
+  deactivate(id) {
+    return db.run('UPDATE promotions SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  }
+});
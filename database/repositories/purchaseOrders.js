@@ -0,0 +1,145 @@
+const { buildAssignments, whereClause } = require('./helpers');
+
+const UPDATABLE_COLUMNS = {
+  supplierId: 'supplier_id',
+  notes: 'notes',
+  expectedAt: 'expected_at'
+};
+
+module.exports = (db) => ({
+  async create(purchaseOrder) {
+    const { lastID } = await db.run(
+      `INSERT INTO purchase_orders (po_number, supplier_id, notes, expected_at, created_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [purchaseOrder.poNumber, purchaseOrder.supplierId, purchaseOrder.notes,
+       purchaseOrder.expectedAt, purchaseOrder.createdBy]
+    );
+    return lastID;
+  },
+
+  addItem(purchaseOrderId, item) {
+    return db.run(
+      `INSERT INTO purchase_order_items (purchase_order_id, product_id, variant_id, quantity_ordered, unit_cost)
+       VALUES (?, ?, ?, ?, ?)`,
+      [purchaseOrderId, item.productId, item.variantId || null, item.quantity, item.unitCost]
+    );
+  },
+
+  removeItems(purchaseOrderId) {
+    return db.run('DELETE FROM purchase_order_items WHERE purchase_order_id = ?', [purchaseOrderId]);
+  },
+
+  // List purchase orders with supplier name and totals, newest first;
+  // resolves with { purchaseOrders, total }
+  async list(filters = {}, { limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      conditions.push('po.status = ?');
+      params.push(filters.status);
+    }
+
+    if (filters.supplierId) {
+      conditions.push('po.supplier_id = ?');
+      params.push(filters.supplierId);
+    }
+
+    const where = whereClause(conditions);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM purchase_orders po ${where}`, params);
+    const purchaseOrders = await db.all(
+      `SELECT po.id, po.po_number, po.supplier_id, s.name as supplier_name, po.status,
+              po.expected_at, po.sent_at, po.received_at, po.created_at,
+              (SELECT COALESCE(SUM(quantity_ordered * unit_cost), 0)
+               FROM purchase_order_items WHERE purchase_order_id = po.id) as total_cost
+       FROM purchase_orders po
+       JOIN suppliers s ON po.supplier_id = s.id
+       ${where}
+       ORDER BY po.created_at DESC, po.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { purchaseOrders, total };
+  },
+
+  findById(id) {
+    return db.get(
+      `SELECT po.*, s.name as supplier_name
+       FROM purchase_orders po
+       JOIN suppliers s ON po.supplier_id = s.id
+       WHERE po.id = ?`,
+      [id]
+    );
+  },
+
+  findItems(purchaseOrderId) {
+    return db.all(
+      `SELECT poi.id, poi.product_id, sp.name as product_name, poi.variant_id, v.sku,
+              v.name as variant_name, poi.quantity_ordered, poi.quantity_received, poi.unit_cost
+       FROM purchase_order_items poi
+       LEFT JOIN shop_products sp ON poi.product_id = sp.id
+       LEFT JOIN product_variants v ON poi.variant_id = v.id
+       WHERE poi.purchase_order_id = ?
+       ORDER BY poi.id`,
+      [purchaseOrderId]
+    );
+  },
+
+  findReceipts(purchaseOrderId) {
+    return db.all(
+      `SELECT r.id, r.purchase_order_item_id, poi.product_id, poi.variant_id, r.quantity, r.landed_unit_cost,
+              r.inventory_movement_id, r.created_at, u.username as received_by_username
+       FROM purchase_order_receipts r
+       JOIN purchase_order_items poi ON r.purchase_order_item_id = poi.id
+       LEFT JOIN users u ON r.received_by = u.id
+       WHERE poi.purchase_order_id = ?
+       ORDER BY r.id`,
+      [purchaseOrderId]
+    );
+  },
+
+  // Apply a partial update; resolves false when no updatable field was given
+  async update(id, updates) {
+    const { assignments, params } = buildAssignments(updates, UPDATABLE_COLUMNS);
+
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    await db.run(
+      `UPDATE purchase_orders SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, id]
+    );
+    return true;
+  },
+
+  // `timestampColumn` (sent_at or received_at) is set to now as well
+  updateStatus(id, status, timestampColumn) {
+    const timestamp = timestampColumn ? `, ${timestampColumn} = CURRENT_TIMESTAMP` : '';
+    return db.run(
+      `UPDATE purchase_orders SET status = ?${timestamp}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [status, id]
+    );
+  },
+
+  addReceipt(receipt) {
+    return db.run(
+      `INSERT INTO purchase_order_receipts
+         (purchase_order_item_id, quantity, landed_unit_cost, inventory_movement_id, received_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [receipt.itemId, receipt.quantity, receipt.landedUnitCost, receipt.inventoryMovementId, receipt.receivedBy]
+    );
+  },
+
+  markItemReceived(itemId, quantity) {
+    return db.run(
+      'UPDATE purchase_order_items SET quantity_received = quantity_received + ? WHERE id = ?',
+      [quantity, itemId]
+    );
+  },
+
+  delete(id) {
+    return db.run('DELETE FROM purchase_orders WHERE id = ?', [id]);
+  }
+});
@@ -0,0 +1,66 @@
+module.exports = (db) => ({
+  async create(refund) {
+    const { lastID } = await db.run(
+      `INSERT INTO refunds (order_id, payment_id, provider, provider_refund_id, amount, reason, status, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [refund.orderId, refund.paymentId, refund.provider, refund.providerRefundId, refund.amount,
+       refund.reason, refund.status, refund.createdBy || null]
+    );
+    return lastID;
+  },
+
+  findById(id) {
+    return db.get('SELECT * FROM refunds WHERE id = ?', [id]);
+  },
+
+  findByProviderRefundId(providerRefundId) {
+    return db.get('SELECT * FROM refunds WHERE provider_refund_id = ?', [providerRefundId]);
+  },
+
+  // Total held by refunds that have been started but not yet issued by the
+  // provider; issued ones are already in payments.amount_refunded
+  async heldAmount(paymentId) {
+    const row = await db.get(
+      `SELECT COALESCE(SUM(amount), 0) AS held FROM refunds
+       WHERE payment_id = ? AND status = 'pending' AND provider_refund_id IS NULL`,
+      [paymentId]
+    );
+    return row.held;
+  },
+
+  // Fill in a held refund once the provider has issued it
+  markIssued(id, { providerRefundId, amount, status }) {
+    return db.run(
+      `UPDATE refunds SET provider_refund_id = ?, amount = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [providerRefundId, amount, status, id]
+    );
+  },
+
+  markRestocked(id) {
+    return db.run('UPDATE refunds SET restocked = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  },
+
+  updateStatus(id, status) {
+    return db.run('UPDATE refunds SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [status, id]);
+  },
+
+  delete(id) {
+    return db.run('DELETE FROM refunds WHERE id = ?', [id]);
+  },
+
+  listForOrder(orderId) {
+    return db.all(
+      `SELECT id, amount, reason, status, provider_refund_id, created_by, created_at, updated_at
+       FROM refunds WHERE order_id = ? ORDER BY created_at`,
+      [orderId]
+    );
+  },
+
+  updateStatusByProviderRefundId(providerRefundId, status) {
+    return db.run(
+      'UPDATE refunds SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE provider_refund_id = ?',
+      [status, providerRefundId]
+    );
+  }
+});
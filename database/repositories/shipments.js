@@ -0,0 +1,23 @@
+module.exports = (db) => ({
+  async create({ orderId, carrier, trackingNumber, createdBy }) {
+    const { lastID } = await db.run(
+      'INSERT INTO shipments (order_id, carrier, tracking_number, created_by) VALUES (?, ?, ?, ?)',
+      [orderId, carrier, trackingNumber, createdBy || null]
+    );
+    return lastID;
+  },
+
+  listForOrder(orderId) {
+    return db.all(
+      'SELECT id, carrier, tracking_number, shipped_at, delivered_at FROM shipments WHERE order_id = ? ORDER BY id',
+      [orderId]
+    );
+  },
+
+  markDelivered(orderId) {
+    return db.run(
+      'UPDATE shipments SET delivered_at = CURRENT_TIMESTAMP WHERE order_id = ? AND delivered_at IS NULL',
+      [orderId]
+    );
+  }
+});
@@ -0,0 +1,126 @@
+const { buildAssignments, whereClause } = require('./helpers');
+
+const UPDATABLE_COLUMNS = {
+  name: 'name',
+  rateBasis: 'rate_basis',
+  freeShippingThreshold: 'free_shipping_threshold',
+  petTransportRate: 'pet_transport_rate',
+  isActive: 'is_active'
+};
+
+// Amounts where 0 is meaningful, so only a missing value is stored as NULL
+const nullable = (value) => (value === undefined ? null : value);
+
+module.exports = (db) => ({
+  list(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.active !== undefined) {
+      conditions.push('is_active = ?');
+      params.push(filters.active ? 1 : 0);
+    }
+
+    return db.all(`SELECT * FROM shipping_zones ${whereClause(conditions)} ORDER BY name`, params);
+  },
+
+  findById(id) {
+    return db.get('SELECT * FROM shipping_zones WHERE id = ?', [id]);
+  },
+
+  findByName(name) {
+    return db.get('SELECT * FROM shipping_zones WHERE name = ?', [name]);
+  },
+
+  // The active zone covering a pincode; the narrowest range wins where ranges overlap
+  findForPincode(pincode) {
+    return db.get(
+      `SELECT z.*
+       FROM shipping_zone_pincodes zp
+       JOIN shipping_zones z ON zp.zone_id = z.id
+       WHERE ? BETWEEN zp.pincode_from AND zp.pincode_to AND z.is_active = 1
+       ORDER BY zp.pincode_to - zp.pincode_from, zp.id
+       LIMIT 1`,
+      [parseInt(pincode, 10)]
+    );
+  },
+
+  async create(zone) {
+    const { lastID } = await db.run(
+      `INSERT INTO shipping_zones (name, rate_basis, free_shipping_threshold, pet_transport_rate, is_active)
+       VALUES (?, ?, ?, ?, ?)`,
+      [zone.name, zone.rateBasis || 'weight', nullable(zone.freeShippingThreshold), nullable(zone.petTransportRate),
+       zone.isActive !== false ? 1 : 0]
+    );
+    return lastID;
+  },
+
+  // Apply a partial update; resolves false when no updatable field was given
+  async update(id, updates) {
+    const { assignments, params } = buildAssignments(updates, UPDATABLE_COLUMNS, ['isActive']);
+
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    await db.run(
+      `UPDATE shipping_zones SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, id]
+    );
+    return true;
+  },
+
+  // Zones are kept for the orders shipped to them
+  deactivate(id) {
+    return db.run('UPDATE shipping_zones SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  },
+
+  listPincodeRanges(zoneId) {
+    return db.all(
+      'SELECT id, pincode_from, pincode_to FROM shipping_zone_pincodes WHERE zone_id = ? ORDER BY pincode_from',
+      [zoneId]
+    );
+  },
+
+  async addPincodeRange(zoneId, { from, to }) {
+    const { lastID } = await db.run(
+      'INSERT INTO shipping_zone_pincodes (zone_id, pincode_from, pincode_to) VALUES (?, ?, ?)',
+      [zoneId, from, to]
+    );
+    return lastID;
+  },
+
+  deletePincodeRange(zoneId, rangeId) {
+    return db.run('DELETE FROM shipping_zone_pincodes WHERE id = ? AND zone_id = ?', [rangeId, zoneId]);
+  },
+
+  listRates(zoneId) {
+    return db.all(
+      'SELECT id, min_value, max_value, rate FROM shipping_rates WHERE zone_id = ? ORDER BY min_value',
+      [zoneId]
+    );
+  },
+
+  // The rate band a weight (grams) or order value falls in
+  findRate(zoneId, value) {
+    return db.get(
+      `SELECT id, min_value, max_value, rate FROM shipping_rates
+       WHERE zone_id = ? AND min_value <= ? AND (max_value IS NULL OR max_value > ?)
+       ORDER BY min_value DESC
+       LIMIT 1`,
+      [zoneId, value, value]
+    );
+  },
+
+  async addRate(zoneId, { minValue, maxValue, rate }) {
+    const { lastID } = await db.run(
+      'INSERT INTO shipping_rates (zone_id, min_value, max_value, rate) VALUES (?, ?, ?, ?)',
+      [zoneId, minValue || 0, nullable(maxValue), rate]
+    );
+    return lastID;
+  },
+
+  deleteRate(zoneId, rateId) {
+    return db.run('DELETE FROM shipping_rates WHERE id = ? AND zone_id = ?', [rateId, zoneId]);
+  }
+});
@@ -0,0 +1,154 @@
+const { buildAssignments, whereClause } = require('./helpers');
+
+const PRODUCT_COLUMNS = `id, name, description, price, category, image_url,
+  stock_quantity, reorder_point, reorder_quantity, weight_grams, is_available, created_at`;
+
+// Average rating and number of approved reviews, for joining onto products
+const RATINGS_JOIN = `LEFT JOIN (
+    SELECT product_id, ROUND(AVG(rating), 1) as average_rating, COUNT(*) as review_count
+    FROM product_reviews
+    WHERE status = 'approved'
+    GROUP BY product_id
+  ) ratings ON ratings.product_id = shop_products.id`;
+
+const RATING_COLUMNS = 'ratings.average_rating, COALESCE(ratings.review_count, 0) as review_count';
+
+const SORT_ORDERS = {
+  newest: 'created_at DESC',
+  price_asc: 'price ASC, created_at DESC',
+  price_desc: 'price DESC, created_at DESC',
+  // Unrated products last; among equal ratings, the most reviewed first
+  rating: 'ratings.average_rating IS NULL, ratings.average_rating DESC, review_count DESC, created_at DESC'
+};
+
+const UPDATABLE_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  price: 'price',
+  category: 'category',
+  imageUrl: 'image_url',
+  isAvailable: 'is_available',
+  reorderPoint: 'reorder_point',
+  reorderQuantity: 'reorder_quantity',
+  weightGrams: 'weight_grams'
+};
+
+module.exports = (db) => ({
+  // List products matching the filters, with their rating; resolves with
+  // { products, total }
+  async list(filters = {}, { limit, offset, sort = 'newest' }) {
+    const { category, search, minPrice, maxPrice, available } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (category) {
+      conditions.push('category = ?');
+      params.push(category);
+    }
+
+    if (search) {
+      conditions.push('(name LIKE ? OR description LIKE ?)');
+      params.push(`%${search}%`, `%${search}%`);
+    }
+
+    if (minPrice) {
+      conditions.push('price >= ?');
+      params.push(minPrice);
+    }
+
+    if (maxPrice) {
+      conditions.push('price <= ?');
+      params.push(maxPrice);
+    }
+
+    if (available !== undefined) {
+      conditions.push('is_available = ?');
+      params.push(available ? 1 : 0);
+    }
+
+    const where = whereClause(conditions);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM shop_products ${where}`, params);
+    const products = await db.all(
+      `SELECT ${PRODUCT_COLUMNS}, ${RATING_COLUMNS}
+       FROM shop_products ${RATINGS_JOIN}
+       ${where}
+       ORDER BY ${SORT_ORDERS[sort] || SORT_ORDERS.newest}
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { products, total };
+  },
+
+  findById(id) {
+    return db.get(`SELECT ${PRODUCT_COLUMNS} FROM shop_products WHERE id = ?`, [id]);
+  },
+
+  findFeatured(limit = 6) {
+    return db.all(
+      `SELECT id, name, description, price, category, image_url, stock_quantity
+       FROM shop_products
+       WHERE is_available = 1 AND stock_quantity > 0
+       ORDER BY created_at DESC
+       LIMIT ?`,
+      [limit]
+    );
+  },
+
+  categories() {
+    return db.all(
+      `SELECT category, COUNT(*) as product_count
+       FROM shop_products
+       WHERE is_available = 1
+       GROUP BY category
+       ORDER BY category`
+    );
+  },
+
+  // Products start with no stock; add it through the inventory ledger
+  async create(product) {
+    const { lastID } = await db.run(
+      `INSERT INTO shop_products (name, description, price, category, image_url, is_available,
+                                 reorder_point, reorder_quantity, weight_grams)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [product.name, product.description, product.price, product.category, product.imageUrl,
+       product.isAvailable !== false ? 1 : 0, product.reorderPoint || 0, product.reorderQuantity || 0,
+       product.weightGrams || 0]
+    );
+    return lastID;
+  },
+
+  // Apply a partial update; resolves false when no updatable field was given
+  async update(id, updates) {
+    const { assignments, params } = buildAssignments(updates, UPDATABLE_COLUMNS, ['isAvailable']);
+
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    await db.run(
+      `UPDATE shop_products SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, id]
+    );
+    return true;
+  },
+
+  // Only called from services/inventory.js, which records the change in the ledger
+  adjustStock(id, delta) {
+    return db.run(
+      'UPDATE shop_products SET stock_quantity = stock_quantity + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [delta, id]
+    );
+  },
+
+  clearImage(filename) {
+    return db.run(
+      'UPDATE shop_products SET image_url = NULL WHERE image_url LIKE ?',
+      [`%/uploads/products/${filename}`]
+    );
+  },
+
+  delete(id) {
+    return db.run('DELETE FROM shop_products WHERE id = ?', [id]);
+  }
+});
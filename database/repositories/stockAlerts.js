@@ -0,0 +1,123 @@
+const { whereClause } = require('./helpers');
+
+const ALERT_COLUMNS = `a.id, a.product_id, a.stock_quantity, a.reorder_point, a.status,
+  a.snoozed_until, a.acknowledged_at, a.notified_at, a.created_at, a.resolved_at,
+  p.name as product_name, p.stock_quantity as current_stock, p.reorder_quantity,
+  u.username as acknowledged_by_username`;
+
+// Alerts that still need attention or are waiting out a snooze
+const UNRESOLVED = "a.status IN ('open', 'acknowledged', 'snoozed')";
+
+module.exports = (db) => ({
+  // Open an alert for every product at or below its reorder point that does
+  // not already have an unresolved one; resolves with the number created
+  async createForLowStock() {
+    const { changes } = await db.run(
+      `INSERT INTO stock_alerts (product_id, stock_quantity, reorder_point)
+       SELECT p.id, p.stock_quantity, p.reorder_point
+       FROM shop_products p
+       WHERE p.reorder_point > 0
+         AND p.stock_quantity <= p.reorder_point
+         AND NOT EXISTS (
+           SELECT 1 FROM stock_alerts a WHERE a.product_id = p.id AND ${UNRESOLVED}
+         )`
+    );
+    return changes;
+  },
+
+  // Resolve alerts for products that are back above their reorder point
+  async resolveRestocked() {
+    const { changes } = await db.run(
+      `UPDATE stock_alerts SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP
+       WHERE status IN ('open', 'acknowledged', 'snoozed')
+         AND product_id IN (
+           SELECT id FROM shop_products WHERE reorder_point = 0 OR stock_quantity > reorder_point
+         )`
+    );
+    return changes;
+  },
+
+  // Reopen snoozed alerts whose snooze has run out, so they are sent again
+  async reopenSnoozed() {
+    const { changes } = await db.run(
+      `UPDATE stock_alerts SET status = 'open', snoozed_until = NULL, notified_at = NULL
+       WHERE status = 'snoozed' AND snoozed_until <= datetime('now')`
+    );
+    return changes;
+  },
+
+  // Open alerts that have not been in a digest yet
+  findUnnotified() {
+    return db.all(
+      `SELECT ${ALERT_COLUMNS}
+       FROM stock_alerts a
+       JOIN shop_products p ON a.product_id = p.id
+       LEFT JOIN users u ON a.acknowledged_by = u.id
+       WHERE a.status = 'open' AND a.notified_at IS NULL
+       ORDER BY p.stock_quantity, a.created_at`
+    );
+  },
+
+  markNotified(ids) {
+    return db.run(
+      `UPDATE stock_alerts SET notified_at = CURRENT_TIMESTAMP WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+  },
+
+  // List alerts, lowest stock first; `status` may be a single status or
+  // 'unresolved'. Resolves with { alerts, total }
+  async list(filters = {}, { limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status === 'unresolved') {
+      conditions.push(UNRESOLVED);
+    } else if (filters.status) {
+      conditions.push('a.status = ?');
+      params.push(filters.status);
+    }
+
+    const where = whereClause(conditions);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM stock_alerts a ${where}`, params);
+    const alerts = await db.all(
+      `SELECT ${ALERT_COLUMNS}
+       FROM stock_alerts a
+       JOIN shop_products p ON a.product_id = p.id
+       LEFT JOIN users u ON a.acknowledged_by = u.id
+       ${where}
+       ORDER BY p.stock_quantity, a.created_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { alerts, total };
+  },
+
+  findById(id) {
+    return db.get(
+      `SELECT ${ALERT_COLUMNS}
+       FROM stock_alerts a
+       JOIN shop_products p ON a.product_id = p.id
+       LEFT JOIN users u ON a.acknowledged_by = u.id
+       WHERE a.id = ?`,
+      [id]
+    );
+  },
+
+  acknowledge(id, userId) {
+    return db.run(
+      `UPDATE stock_alerts
+       SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = CURRENT_TIMESTAMP, snoozed_until = NULL
+       WHERE id = ?`,
+      [userId, id]
+    );
+  },
+
+  snooze(id, hours) {
+    return db.run(
+      "UPDATE stock_alerts SET status = 'snoozed', snoozed_until = datetime('now', ?) WHERE id = ?",
+      [`+${hours} hours`, id]
+    );
+  }
+});
@@ -0,0 +1,185 @@
+const { buildAssignments, whereClause, toSqlDateTime } = require('./helpers');
+
+const SUBSCRIPTION_COLUMNS = `s.*, sp.name as product_name, pv.name as variant_name,
+  u.full_name as customer_name, u.email as customer_email`;
+
+const SUBSCRIPTION_JOINS = `
+  JOIN shop_products sp ON s.product_id = sp.id
+  LEFT JOIN product_variants pv ON s.variant_id = pv.id
+  JOIN users u ON s.user_id = u.id`;
+
+const UPDATABLE_COLUMNS = {
+  quantity: 'quantity',
+  intervalWeeks: 'interval_weeks',
+  addressLine1: 'address_line1',
+  addressLine2: 'address_line2',
+  city: 'city',
+  state: 'state',
+  pincode: 'pincode',
+  phone: 'phone'
+};
+
+module.exports = (db) => ({
+  // List subscriptions matching the filters, newest first; resolves with { subscriptions, total }
+  async list(filters = {}, { limit, offset }) {
+    const { userId, status } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (userId) {
+      conditions.push('s.user_id = ?');
+      params.push(userId);
+    }
+
+    if (status) {
+      conditions.push('s.status = ?');
+      params.push(status);
+    }
+
+    const where = whereClause(conditions);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM subscriptions s ${where}`, params);
+    const subscriptions = await db.all(
+      `SELECT ${SUBSCRIPTION_COLUMNS}
+       FROM subscriptions s ${SUBSCRIPTION_JOINS}
+       ${where}
+       ORDER BY s.created_at DESC, s.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { subscriptions, total };
+  },
+
+  findById(id) {
+    return db.get(`SELECT ${SUBSCRIPTION_COLUMNS} FROM subscriptions s ${SUBSCRIPTION_JOINS} WHERE s.id = ?`, [id]);
+  },
+
+  // Active subscriptions whose next order is due, and past-due ones whose
+  // payment retry is due, oldest first
+  findDue(limit) {
+    return db.all(
+      `SELECT * FROM subscriptions
+       WHERE (status = 'active' AND next_run_date <= date('now'))
+          OR (status = 'past_due' AND next_retry_at <= datetime('now'))
+       ORDER BY next_run_date, id
+       LIMIT ?`,
+      [limit]
+    );
+  },
+
+  // The customer record the provider already holds for a user's saved cards, if any
+  async findPaymentCustomer(userId, provider) {
+    const row = await db.get(
+      `SELECT payment_customer_id FROM subscriptions
+       WHERE user_id = ? AND payment_provider = ? AND payment_customer_id IS NOT NULL
+       ORDER BY id DESC LIMIT 1`,
+      [userId, provider]
+    );
+    return row ? row.payment_customer_id : null;
+  },
+
+  async create(subscription) {
+    const { lastID } = await db.run(
+      `INSERT INTO subscriptions (user_id, product_id, variant_id, quantity, interval_weeks, next_run_date,
+                                  address_line1, address_line2, city, state, pincode, phone, payment_provider)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [subscription.userId, subscription.productId, subscription.variantId || null, subscription.quantity,
+       subscription.intervalWeeks, subscription.nextRunDate, subscription.addressLine1,
+       subscription.addressLine2 || null, subscription.city, subscription.state, subscription.pincode,
+       subscription.phone || null, subscription.paymentProvider]
+    );
+    return lastID;
+  },
+
+  // Resolves false when no updatable field was given
+  async update(id, updates) {
+    const { assignments, params } = buildAssignments(updates, UPDATABLE_COLUMNS);
+
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    await db.run(
+      `UPDATE subscriptions SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, id]
+    );
+    return true;
+  },
+
+  setPaymentCustomer(id, customerId) {
+    return db.run(
+      'UPDATE subscriptions SET payment_customer_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [customerId, id]
+    );
+  },
+
+  // Save the card to charge. A past-due subscription is retried with it on the next run.
+  setPaymentMethod(id, { customerId, paymentMethodId, status }) {
+    return db.run(
+      `UPDATE subscriptions
+       SET payment_customer_id = ?, payment_method_id = ?, status = ?,
+           next_retry_at = CASE WHEN ? = 'past_due' THEN datetime('now') ELSE next_retry_at END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [customerId, paymentMethodId, status, status, id]
+    );
+  },
+
+  // Pause, resume or cancel. Any pending payment retry is dropped.
+  setStatus(id, status, nextRunDate) {
+    return db.run(
+      `UPDATE subscriptions
+       SET status = ?, next_run_date = COALESCE(?, next_run_date), failed_attempts = 0, next_retry_at = NULL,
+           cancelled_at = CASE WHEN ? = 'cancelled' THEN CURRENT_TIMESTAMP ELSE cancelled_at END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, nextRunDate || null, status, id]
+    );
+  },
+
+  setNextRunDate(id, nextRunDate) {
+    return db.run(
+      'UPDATE subscriptions SET next_run_date = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [nextRunDate, id]
+    );
+  },
+
+  // A run was charged: schedule the next one and clear any failures. A pause or
+  // cancel made while the charge was in flight is left alone
+  recordRun(id, { orderId, nextRunDate }) {
+    return db.run(
+      `UPDATE subscriptions
+       SET status = CASE WHEN status = 'past_due' THEN 'active' ELSE status END,
+           next_run_date = ?, last_order_id = ?, failed_attempts = 0,
+           next_retry_at = NULL, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status IN ('active', 'past_due')`,
+      [nextRunDate, orderId, id]
+    );
+  },
+
+  // A run's order could not be placed (e.g. the item is out of stock), so the
+  // run is skipped. Nothing was charged, so the card's failures are cleared.
+  recordMissedRun(id, { error, nextRunDate }) {
+    return db.run(
+      `UPDATE subscriptions
+       SET status = CASE WHEN status = 'past_due' THEN 'active' ELSE status END,
+           next_run_date = ?, failed_attempts = 0, next_retry_at = NULL, last_error = ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status IN ('active', 'past_due')`,
+      [nextRunDate, error, id]
+    );
+  },
+
+  // A run could not be charged; `status` is past_due with a `nextRetryAt`,
+  // or paused once the retries are used up. Ignored once the customer has
+  // paused or cancelled
+  recordFailure(id, { orderId, error, status, nextRetryAt }) {
+    return db.run(
+      `UPDATE subscriptions
+       SET status = ?, failed_attempts = failed_attempts + 1, next_retry_at = ?, last_error = ?,
+           last_order_id = COALESCE(?, last_order_id), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status IN ('active', 'past_due')`,
+      [status, toSqlDateTime(nextRetryAt), error, orderId || null, id]
+    );
+  }
+});
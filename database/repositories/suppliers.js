@@ -0,0 +1,74 @@
+const { buildAssignments, whereClause } = require('./helpers');
+
+const SUPPLIER_COLUMNS = `id, name, contact_name, email, phone, address, notes,
+  is_active, created_at, updated_at`;
+
+const UPDATABLE_COLUMNS = {
+  name: 'name',
+  contactName: 'contact_name',
+  email: 'email',
+  phone: 'phone',
+  address: 'address',
+  notes: 'notes',
+  isActive: 'is_active'
+};
+
+module.exports = (db) => ({
+  // List suppliers by name; resolves with { suppliers, total }
+  async list(filters = {}, { limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.active !== undefined) {
+      conditions.push('is_active = ?');
+      params.push(filters.active ? 1 : 0);
+    }
+
+    if (filters.search) {
+      conditions.push('(name LIKE ? OR contact_name LIKE ? OR email LIKE ?)');
+      params.push(`%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`);
+    }
+
+    const where = whereClause(conditions);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM suppliers ${where}`, params);
+    const suppliers = await db.all(
+      `SELECT ${SUPPLIER_COLUMNS} FROM suppliers ${where} ORDER BY name LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { suppliers, total };
+  },
+
+  findById(id) {
+    return db.get(`SELECT ${SUPPLIER_COLUMNS} FROM suppliers WHERE id = ?`, [id]);
+  },
+
+  async create(supplier) {
+    const { lastID } = await db.run(
+      `INSERT INTO suppliers (name, contact_name, email, phone, address, notes)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [supplier.name, supplier.contactName, supplier.email, supplier.phone, supplier.address, supplier.notes]
+    );
+    return lastID;
+  },
+
+  // Apply a partial update; resolves false when no updatable field was given
+  async update(id, updates) {
+    const { assignments, params } = buildAssignments(updates, UPDATABLE_COLUMNS, ['isActive']);
+
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    await db.run(
+      `UPDATE suppliers SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, id]
+    );
+    return true;
+  },
+
+  // Soft delete - suppliers stay on their purchase orders
+  deactivate(id) {
+    return db.run('UPDATE suppliers SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  }
+});
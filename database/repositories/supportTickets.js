@@ -0,0 +1,110 @@
+const { buildAssignments, whereClause } = require('./helpers');
+
+const TICKET_COLUMNS = `st.id, st.user_id, st.name, st.email, st.phone, st.subject, st.message,
+  st.status, st.priority, st.admin_response, st.created_at, st.updated_at,
+  u.username, u.full_name as user_full_name`;
+
+const UPDATABLE_COLUMNS = {
+  status: 'status',
+  priority: 'priority',
+  adminResponse: 'admin_response'
+};
+
+module.exports = (db) => ({
+  async create(ticket) {
+    const { lastID } = await db.run(
+      `INSERT INTO support_tickets (user_id, name, email, phone, subject, message, priority)
+       VALUES (?, ?, ?, ?, ?, ?, 'medium')`,
+      [ticket.userId || null, ticket.name, ticket.email, ticket.phone, ticket.subject, ticket.message]
+    );
+    return lastID;
+  },
+
+  // List tickets, highest priority first; resolves with { tickets, total }
+  async list(filters = {}, { limit, offset }) {
+    const { status, priority } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    if (priority) {
+      conditions.push('priority = ?');
+      params.push(priority);
+    }
+
+    const where = whereClause(conditions);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM support_tickets ${where}`, params);
+    const tickets = await db.all(
+      `SELECT ${TICKET_COLUMNS}
+       FROM support_tickets st
+       LEFT JOIN users u ON st.user_id = u.id
+       ${where}
+       ORDER BY
+         CASE priority
+           WHEN 'high' THEN 1
+           WHEN 'medium' THEN 2
+           WHEN 'low' THEN 3
+         END,
+         st.created_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { tickets, total };
+  },
+
+  findById(id) {
+    return db.get(
+      `SELECT ${TICKET_COLUMNS}
+       FROM support_tickets st
+       LEFT JOIN users u ON st.user_id = u.id
+       WHERE st.id = ?`,
+      [id]
+    );
+  },
+
+  listForUser(userId) {
+    return db.all(
+      `SELECT id, subject, message, status, priority, admin_response, created_at, updated_at
+       FROM support_tickets
+       WHERE user_id = ?
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+  },
+
+  // Apply a partial update; resolves false when no updatable field was given
+  async update(id, updates) {
+    const { assignments, params } = buildAssignments(updates, UPDATABLE_COLUMNS);
+
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    await db.run(
+      `UPDATE support_tickets SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, id]
+    );
+    return true;
+  },
+
+  stats() {
+    return db.get(
+      `SELECT
+        COUNT(*) as total_tickets,
+        SUM(CASE WHEN status = 'open' THEN 1 ELSE 0 END) as open_tickets,
+        SUM(CASE WHEN status = 'closed' THEN 1 ELSE 0 END) as closed_tickets,
+        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending_tickets,
+        SUM(CASE WHEN priority = 'high' THEN 1 ELSE 0 END) as high_priority_tickets,
+        SUM(CASE WHEN priority = 'medium' THEN 1 ELSE 0 END) as medium_priority_tickets,
+        SUM(CASE WHEN priority = 'low' THEN 1 ELSE 0 END) as low_priority_tickets,
+        SUM(CASE WHEN DATE(created_at) = DATE('now') THEN 1 ELSE 0 END) as tickets_today,
+        SUM(CASE WHEN DATE(created_at) >= DATE('now', '-7 days') THEN 1 ELSE 0 END) as tickets_this_week
+       FROM support_tickets`
+    );
+  }
+});
@@ -0,0 +1,61 @@
+const { buildAssignments } = require('./helpers');
+
+const UPDATABLE_COLUMNS = {
+  rate: 'rate',
+  hsnCode: 'hsn_code'
+};
+
+module.exports = (db) => ({
+  list() {
+    return db.all('SELECT * FROM tax_rates ORDER BY item_type, category IS NOT NULL, category');
+  },
+
+  findById(id) {
+    return db.get('SELECT * FROM tax_rates WHERE id = ?', [id]);
+  },
+
+  // The rate for the category if there is one, else the item type's default
+  findFor(itemType, category) {
+    return db.get(
+      `SELECT * FROM tax_rates
+       WHERE item_type = ? AND (category = ? OR category IS NULL)
+       ORDER BY category IS NULL
+       LIMIT 1`,
+      [itemType, category || null]
+    );
+  },
+
+  findExact(itemType, category) {
+    return db.get(
+      "SELECT * FROM tax_rates WHERE item_type = ? AND IFNULL(category, '') = ?",
+      [itemType, category || '']
+    );
+  },
+
+  async create(taxRate) {
+    const { lastID } = await db.run(
+      'INSERT INTO tax_rates (item_type, category, rate, hsn_code) VALUES (?, ?, ?, ?)',
+      [taxRate.itemType, taxRate.category || null, taxRate.rate, taxRate.hsnCode || null]
+    );
+    return lastID;
+  },
+
+  // Apply a partial update; resolves false when no updatable field was given
+  async update(id, updates) {
+    const { assignments, params } = buildAssignments(updates, UPDATABLE_COLUMNS);
+
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    await db.run(
+      `UPDATE tax_rates SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, id]
+    );
+    return true;
+  },
+
+  delete(id) {
+    return db.run('DELETE FROM tax_rates WHERE id = ?', [id]);
+  }
+});
@@ -0,0 +1,148 @@
+const { buildAssignments, whereClause } = require('./helpers');
+
+// Every column except password_hash
+const PUBLIC_COLUMNS = 'id, username, email, email_verified_at, full_name, phone, address, role, is_active, created_at, updated_at';
+
+const UPDATABLE_COLUMNS = {
+  fullName: 'full_name',
+  phone: 'phone',
+  address: 'address',
+  role: 'role',
+  isActive: 'is_active'
+};
+
+module.exports = (db) => ({
+  // List users matching the filters; resolves with { users, total }
+  async list(filters = {}, { limit, offset }) {
+    const { role, active, search } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (role) {
+      conditions.push('role = ?');
+      params.push(role);
+    }
+
+    if (active !== undefined) {
+      conditions.push('is_active = ?');
+      params.push(active ? 1 : 0);
+    }
+
+    if (search) {
+      conditions.push('(username LIKE ? OR email LIKE ? OR full_name LIKE ?)');
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    const where = whereClause(conditions);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM users ${where}`, params);
+    const users = await db.all(
+      `SELECT ${PUBLIC_COLUMNS}
+       FROM users ${where}
+       ORDER BY created_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { users, total };
+  },
+
+  findById(id) {
+    return db.get(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = ?`, [id]);
+  },
+
+  // Minimal profile attached to req.user by the auth middleware
+  findSessionUser(id) {
+    return db.get(
+      'SELECT id, username, email, full_name, role, is_active FROM users WHERE id = ?',
+      [id]
+    );
+  },
+
+  findByEmailOrUsername(email, username) {
+    return db.get('SELECT id FROM users WHERE email = ? OR username = ?', [email, username]);
+  },
+
+  // Includes password_hash; only for credential checks
+  findActiveForLogin(login) {
+    return db.get(
+      'SELECT * FROM users WHERE (username = ? OR email = ?) AND is_active = 1',
+      [login, login]
+    );
+  },
+
+  async getPasswordHash(id) {
+    const user = await db.get('SELECT password_hash FROM users WHERE id = ?', [id]);
+    return user ? user.password_hash : null;
+  },
+
+  async create(user) {
+    const { lastID } = await db.run(
+      `INSERT INTO users (username, email, password_hash, full_name, phone, address)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [user.username, user.email, user.passwordHash, user.fullName, user.phone, user.address]
+    );
+    return lastID;
+  },
+
+  markEmailVerified(id) {
+    return db.run(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [id]
+    );
+  },
+
+  // Apply a partial update; resolves false when no updatable field was given
+  async update(id, updates) {
+    const { assignments, params } = buildAssignments(updates, UPDATABLE_COLUMNS, ['isActive']);
+
+    if (assignments.length === 0) {
+      return false;
+    }
+
+    await db.run(
+      `UPDATE users SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, id]
+    );
+    return true;
+  },
+
+  // Update profile fields, keeping the current value for any that are missing
+  updateProfile(id, { fullName, phone, address }) {
+    return db.run(
+      `UPDATE users SET full_name = COALESCE(?, full_name),
+                       phone = COALESCE(?, phone),
+                       address = COALESCE(?, address),
+                       updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [fullName, phone, address, id]
+    );
+  },
+
+  updatePasswordHash(id, passwordHash) {
+    return db.run(
+      'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [passwordHash, id]
+    );
+  },
+
+  // Soft delete - accounts are deactivated, never removed
+  deactivate(id) {
+    return db.run('UPDATE users SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  },
+
+  stats() {
+    return db.get(
+      `SELECT
+        COUNT(*) as total_users,
+        SUM(CASE WHEN role = 'user' THEN 1 ELSE 0 END) as regular_users,
+        SUM(CASE WHEN role = 'admin' THEN 1 ELSE 0 END) as admin_users,
+        SUM(CASE WHEN is_active = 1 THEN 1 ELSE 0 END) as active_users,
+        SUM(CASE WHEN is_active = 0 THEN 1 ELSE 0 END) as inactive_users,
+        SUM(CASE WHEN DATE(created_at) = DATE('now') THEN 1 ELSE 0 END) as new_today,
+        SUM(CASE WHEN DATE(created_at) >= DATE('now', '-7 days') THEN 1 ELSE 0 END) as new_this_week,
+        SUM(CASE WHEN DATE(created_at) >= DATE('now', '-30 days') THEN 1 ELSE 0 END) as new_this_month
+       FROM users`
+    );
+  }
+});
@@ -0,0 +1,76 @@
+const { whereClause } = require('./helpers');
+
+module.exports = (db) => ({
+  // Store an event unless it was already received; resolves with
+  // { event, isNew } where event is the stored row
+  async record({ provider, eventId, type, payload }) {
+    const { changes } = await db.run(
+      `INSERT OR IGNORE INTO webhook_events (provider, event_id, type, payload)
+       VALUES (?, ?, ?, ?)`,
+      [provider, eventId, type, JSON.stringify(payload)]
+    );
+    const event = await db.get(
+      'SELECT * FROM webhook_events WHERE provider = ? AND event_id = ?',
+      [provider, eventId]
+    );
+    return { event, isNew: changes > 0 };
+  },
+
+  findById(id) {
+    return db.get('SELECT * FROM webhook_events WHERE id = ?', [id]);
+  },
+
+  // Claim an event for processing; resolves false if another request already
+  // has it. A claim older than `timeoutMinutes` is taken to be abandoned.
+  async markProcessing(id, timeoutMinutes) {
+    const { changes } = await db.run(
+      `UPDATE webhook_events
+       SET status = 'processing', attempts = attempts + 1, processing_started_at = CURRENT_TIMESTAMP
+       WHERE id = ?
+         AND (status IN ('received', 'failed')
+              OR (status = 'processing'
+                  AND (processing_started_at IS NULL OR processing_started_at <= datetime('now', ?))))`,
+      [id, `-${timeoutMinutes} minutes`]
+    );
+    return changes > 0;
+  },
+
+  markProcessed(id) {
+    return db.run(
+      "UPDATE webhook_events SET status = 'processed', last_error = NULL, processed_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [id]
+    );
+  },
+
+  markFailed(id, error) {
+    return db.run("UPDATE webhook_events SET status = 'failed', last_error = ? WHERE id = ?", [error, id]);
+  },
+
+  // List events, newest first; resolves with { events, total }
+  async list(filters = {}, { limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+
+    if (filters.type) {
+      conditions.push('type = ?');
+      params.push(filters.type);
+    }
+
+    const where = whereClause(conditions);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM webhook_events ${where}`, params);
+    const events = await db.all(
+      `SELECT id, provider, event_id, type, status, attempts, last_error, received_at, processed_at
+       FROM webhook_events ${where}
+       ORDER BY received_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { events, total };
+  }
+});
@@ -0,0 +1,143 @@
+// Adoption application status page, opened from the tracking link emailed
+// to the applicant
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const STATUS_LABELS = {
+    submitted: 'Submitted',
+    screening: 'Screening',
+    interview_scheduled: 'Interview scheduled',
+    home_check: 'Home check',
+    approved: 'Approved',
+    contract_signed: 'Contract signed',
+    handed_over: 'Handed over',
+    returned: 'Returned',
+    waitlisted: 'Waitlisted',
+    closed: 'Closed - pet adopted',
+    rejected: 'Not approved',
+    withdrawn: 'Withdrawn'
+};
+
+const STATUS_MESSAGES = {
+    submitted: 'We have received your application and will review it shortly.',
+    screening: 'We are reviewing your application.',
+    interview_scheduled: 'We would like to meet you. Our team will contact you with the interview details.',
+    home_check: 'We will visit to make sure your home is ready for your new pet.',
+    approved: 'Your application has been approved! We will contact you to sign the adoption contract.',
+    contract_signed: 'The contract is signed. We will arrange the handover with you.',
+    handed_over: 'Enjoy your new companion!',
+    returned: 'This pet has been returned to our care.',
+    waitlisted: 'Another application for this pet has been approved. You are on the waitlist in case it does not go ahead.',
+    closed: 'This pet has been adopted by another family.',
+    rejected: 'Unfortunately we could not approve your application this time.',
+    withdrawn: 'You withdrew this application.'
+};
+
+const trackingToken = new URLSearchParams(window.location.search).get('token');
+
+// Set when the visitor is signed in to the site (see js/app.js)
+const authToken = localStorage.getItem('token');
+
+function formatDate(value) {
+    return new Date(`${value.replace(' ', 'T')}Z`).toLocaleDateString([], {
+        day: 'numeric', month: 'short', year: 'numeric'
+    });
+}
+
+function renderApplication(application) {
+    document.getElementById('application-status').innerHTML = `
+        <h2>Your application to adopt ${application.pet_name}</h2>
+        <p>Hi ${application.name}, thank you for applying.</p>
+        ${application.image_url ? `<img src="${application.image_url}" alt="${application.pet_name}">` : ''}
+        <p>${application.breed} ${application.species}</p>
+
+        <h3>Status</h3>
+        <p><span class="status-badge ${application.status}">${STATUS_LABELS[application.status] || application.status}</span></p>
+        <p>${STATUS_MESSAGES[application.status] || ''}</p>
+        <p>Applied on ${formatDate(application.created_at)}, last updated ${formatDate(application.updated_at)}.</p>
+
+        <h3>Progress</h3>
+        <ol class="status-timeline">
+            ${application.history.map(entry => `
+                <li>${STATUS_LABELS[entry.status] || entry.status} <span>${formatDate(entry.created_at)}</span></li>
+            `).join('')}
+        </ol>
+
+        ${application.admin_notes ? `
+            <h3>Message from our team</h3>
+            <p class="admin-message">${application.admin_notes}</p>
+        ` : ''}
+
+        ${application.can_withdraw ? `
+            <button class="btn btn-secondary" onclick="withdrawApplication()">Withdraw application</button>
+        ` : ''}
+
+        ${application.can_claim ? (authToken ? `
+            <button class="btn btn-primary" onclick="claimApplication()">Add to my account</button>
+        ` : `
+            <p>Have an account with us? Sign in, then open this link again to add the application to it.</p>
+        `) : ''}
+    `;
+}
+
+async function claimApplication() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/adoption/track/${encodeURIComponent(trackingToken)}/claim`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.message || 'Something went wrong');
+        }
+
+        initApplicationStatus();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function withdrawApplication() {
+    if (!confirm('Withdraw your application? This cannot be undone.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/adoption/track/${encodeURIComponent(trackingToken)}/withdraw`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.message || 'Something went wrong');
+        }
+
+        initApplicationStatus();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function initApplicationStatus() {
+    const container = document.getElementById('application-status');
+
+    if (!trackingToken) {
+        container.innerHTML = '<p>Open this page from the link in your application email.</p>';
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/adoption/track/${encodeURIComponent(trackingToken)}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.message || 'Something went wrong');
+        }
+
+        renderApplication(data.data);
+    } catch (error) {
+        container.innerHTML = `<p>${error.message}. <a href="adoption.html">Back to adoption</a></p>`;
+    }
+}
+
+initApplicationStatus();
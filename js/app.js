@@ -13,6 +13,46 @@ class PetNationApp {
         this.updateNavigation();
         this.loadFeaturedPets();
         this.loadShopProducts();
+        this.verifyEmailFromLink();
+    }
+
+    // Opened from the link in the verification email (index.html?verifyEmail=...)
+    async verifyEmailFromLink() {
+        const params = new URLSearchParams(window.location.search);
+        const verificationToken = params.get('verifyEmail');
+
+        if (!verificationToken) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/auth/verify-email`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token: verificationToken })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                const linked = data.data.linkedApplications;
+                this.showNotification(linked > 0
+                    ? `Email verified. ${linked} adoption application${linked === 1 ? ' was' : 's were'} added to your account.`
+                    : 'Email verified.', 'success');
+            } else {
+                this.showNotification(data.message || 'Could not verify your email', 'error');
+            }
+        } catch (error) {
+            console.error('Email verification error:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        }
+
+        // Keep the token out of the address bar and browser history
+        params.delete('verifyEmail');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
     }
 
     setupEventListeners() {
@@ -26,6 +66,10 @@ class PetNationApp {
         const adoptionForm = document.querySelector('.support-form');
         if (adoptionForm && window.location.pathname.includes('adoption')) {
             adoptionForm.addEventListener('submit', (e) => this.handleAdoptionRequest(e));
+            adoptionForm.querySelector('[name="preferred_pet"]').addEventListener('change', (e) => {
+                const option = e.target.selectedOptions[0];
+                this.loadAdoptionQuestionnaire(option && option.dataset.species);
+            });
         }
 
         // Support form
@@ -123,9 +167,7 @@ class PetNationApp {
     async handleAdoptionRequest(e) {
         e.preventDefault();
         
-        // Allow adoption requests without login for now
-        this.showNotification('Adoption requests can be submitted without login', 'info');
-
+        // Guests can apply too; signed-in users' applications go to their account
         const formData = new FormData(e.target);
         const adoptionData = {
             name: formData.get('name'),
@@ -133,7 +175,7 @@ class PetNationApp {
             phone: formData.get('phone'),
             preferredPet: formData.get('preferred_pet'),
             message: formData.get('message'),
-            userId: this.currentUser.id
+            answers: this.collectQuestionnaireAnswers(formData)
         };
 
         try {
@@ -141,7 +183,7 @@ class PetNationApp {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.token}`
+                    ...(this.token && { 'Authorization': `Bearer ${this.token}` })
                 },
                 body: JSON.stringify(adoptionData)
             });
@@ -149,10 +191,12 @@ class PetNationApp {
             const data = await response.json();
 
             if (data.success) {
-                this.showNotification('Adoption request submitted successfully!', 'success');
+                this.showNotification('Adoption request submitted! We have emailed you a link to follow its status.', 'success');
                 e.target.reset();
+                this.loadAdoptionQuestionnaire(null);
             } else {
-                this.showNotification(data.message || 'Failed to submit adoption request', 'error');
+                const details = (data.errors || []).map(error => error.msg).join(', ');
+                this.showNotification(details || data.message || 'Failed to submit adoption request', 'error');
             }
         } catch (error) {
             console.error('Adoption request error:', error);
@@ -160,6 +204,107 @@ class PetNationApp {
         }
     }
 
+    // Show the questionnaire for the selected pet's species in the adoption form
+    async loadAdoptionQuestionnaire(species) {
+        const container = document.getElementById('questionnaireFields');
+        this.adoptionQuestionnaire = null;
+        container.innerHTML = '';
+
+        if (!species) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/adoption/questionnaires/${encodeURIComponent(species)}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                return;
+            }
+
+            const schema = data.data.schema;
+            const required = schema.required || [];
+            this.adoptionQuestionnaire = schema;
+
+            container.innerHTML = `
+                <h3>${schema.title || 'About your home'}</h3>
+                ${Object.entries(schema.properties).map(([key, question]) =>
+                    this.renderQuestionnaireField(key, question, required.includes(key))
+                ).join('')}
+            `;
+        } catch (error) {
+            console.error('Error loading adoption questionnaire:', error);
+        }
+    }
+
+    renderQuestionnaireField(key, question, isRequired) {
+        const name = `answers.${key}`;
+        const requiredAttr = isRequired ? 'required' : '';
+        let field;
+
+        if (question.enum) {
+            field = `
+                <select name="${name}" ${requiredAttr}>
+                    <option value="">Select...</option>
+                    ${question.enum.map(option => `<option value="${option}">${option}</option>`).join('')}
+                </select>
+            `;
+        } else if (question.type === 'boolean') {
+            field = `
+                <select name="${name}" ${requiredAttr}>
+                    <option value="">Select...</option>
+                    <option value="true">Yes</option>
+                    <option value="false">No</option>
+                </select>
+            `;
+        } else if (question.type === 'integer' || question.type === 'number') {
+            field = `<input type="number" name="${name}" ${requiredAttr}
+                ${question.type === 'integer' ? 'step="1"' : 'step="any"'}
+                ${question.minimum !== undefined ? `min="${question.minimum}"` : ''}
+                ${question.maximum !== undefined ? `max="${question.maximum}"` : ''}>`;
+        } else if (!question.maxLength || question.maxLength > 200) {
+            field = `<textarea name="${name}" rows="3" ${requiredAttr}></textarea>`;
+        } else {
+            field = `<input type="text" name="${name}" maxlength="${question.maxLength}" ${requiredAttr}>`;
+        }
+
+        return `
+            <label class="questionnaire-question">
+                ${question.title}${isRequired ? ' *' : ''}
+                ${field}
+            </label>
+        `;
+    }
+
+    // Answers typed as the questionnaire expects; unanswered questions are left out
+    collectQuestionnaireAnswers(formData) {
+        if (!this.adoptionQuestionnaire) {
+            return undefined;
+        }
+
+        const answers = {};
+
+        Object.entries(this.adoptionQuestionnaire.properties).forEach(([key, question]) => {
+            const value = formData.get(`answers.${key}`);
+
+            if (value === null || value === '') {
+                return;
+            }
+
+            if (question.type === 'boolean') {
+                answers[key] = value === 'true';
+            } else if (question.type === 'integer') {
+                answers[key] = parseInt(value, 10);
+            } else if (question.type === 'number') {
+                answers[key] = parseFloat(value);
+            } else {
+                answers[key] = value;
+            }
+        });
+
+        return answers;
+    }
+
     async handleSupportTicket(e) {
         e.preventDefault();
         
@@ -199,17 +344,51 @@ class PetNationApp {
 
     async handleShopPurchase(button) {
         const productCard = button.closest('.breed-card');
-        const productName = productCard.querySelector('h3').textContent;
-        const productPrice = this.extractPrice(productCard);
-        
-        // Allow purchases without login for now
-        this.showNotification('Shop purchases can be made without login', 'info');
+        const productId = productCard.dataset.productId;
 
-        // For demo purposes, we'll show a simple purchase flow
-        const confirmed = confirm(`Purchase ${productName} for ₹${productPrice}?`);
-        
-        if (confirmed) {
-            this.showNotification('Purchase feature coming soon! Please contact us for orders.', 'info');
+        if (!productId) {
+            window.location.href = 'shop.html';
+            return;
+        }
+
+        // Products sold in pack sizes are bought from the shop, where the size is chosen
+        if (productCard.dataset.hasVariants === 'true') {
+            this.showNotification('Choose a pack size in the shop', 'info');
+            window.location.href = 'shop.html';
+            return;
+        }
+
+        // Put the product in the cart and go straight to checkout
+        const headers = { 'Content-Type': 'application/json' };
+        const cartToken = localStorage.getItem('cartToken');
+
+        if (this.token) {
+            headers['Authorization'] = `Bearer ${this.token}`;
+        }
+        if (cartToken) {
+            headers['X-Cart-Token'] = cartToken;
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/cart/items`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ type: 'product', id: parseInt(productId), quantity: 1 })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showNotification(data.message || 'Could not add to cart', 'error');
+                return;
+            }
+
+            if (data.data.cartToken) {
+                localStorage.setItem('cartToken', data.data.cartToken);
+            }
+            window.location.href = 'checkout.html';
+        } catch (error) {
+            console.error('Error adding to cart:', error);
+            this.showNotification('Network error. Please try again.', 'error');
         }
     }
 
@@ -307,6 +486,8 @@ class PetNationApp {
                 const descriptionElement = productCard.querySelector('p');
                 const imageElement = productCard.querySelector('img');
                 
+                productCard.dataset.productId = product.id;
+                productCard.dataset.hasVariants = (product.variants || []).length > 0;
                 if (nameElement) nameElement.textContent = product.name;
                 if (descriptionElement) descriptionElement.textContent = product.description;
                 if (imageElement && product.image_url) {
@@ -317,13 +498,6 @@ class PetNationApp {
         });
     }
 
-    extractPrice(card) {
-        // Extract price from card or return default
-        const priceText = card.textContent;
-        const priceMatch = priceText.match(/₹(\d+)/);
-        return priceMatch ? priceMatch[1] : 'Contact';
-    }
-
     showUserMenu() {
         const menu = document.createElement('div');
         menu.className = 'user-menu';
@@ -0,0 +1,437 @@
+// Checkout page: prices the server-side cart for the chosen delivery, creates
+// the order and takes the payment through Stripe Elements, or through the fake
+// provider when the server runs with PAYMENT_PROVIDER=fake
+const API_BASE_URL = 'http://localhost:5000/api';
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+let config = null;
+let cart = null;
+let order = null;
+let stripe = null;
+let elements = null;
+let quoteTimer = null;
+// Sent with every attempt to place this order, so a retry after a lost
+// response gets the order already created instead of a second one
+let orderIdempotencyKey = null;
+
+const shippingForm = document.getElementById('shipping-form');
+const placeOrderButton = document.getElementById('place-order-btn');
+const payButton = document.getElementById('pay-btn');
+
+function authHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    const token = localStorage.getItem('token');
+    const cartToken = localStorage.getItem('cartToken');
+
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    if (cartToken) {
+        headers['X-Cart-Token'] = cartToken;
+    }
+
+    return headers;
+}
+
+// Call the API and resolve with the response body, rejecting with the
+// server's message (or its first validation error) when it fails
+async function api(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: { ...authHeaders(), ...options.headers }
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+        const message = data.errors && data.errors.length > 0 ? data.errors[0].msg : data.message;
+        const error = new Error(message || 'Something went wrong');
+        error.data = data.data;
+        throw error;
+    }
+
+    return data;
+}
+
+function formatMoney(amount) {
+    return `₹${Number(amount).toFixed(2)}`;
+}
+
+// Slot times are stored in UTC
+function formatSlot(slot) {
+    const startsAt = new Date(`${slot.starts_at.replace(' ', 'T')}Z`);
+    const endsAt = new Date(`${slot.ends_at.replace(' ', 'T')}Z`);
+
+    return `${startsAt.toLocaleString([], { weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' })} - ${endsAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+}
+
+function formValues() {
+    const values = Object.fromEntries(new FormData(shippingForm).entries());
+
+    Object.keys(values).forEach(key => {
+        values[key] = values[key].trim();
+    });
+
+    return values;
+}
+
+function cartLines() {
+    return cart.items.map(item => ({
+        type: item.type,
+        id: item.itemId,
+        variantId: item.variantId,
+        quantity: item.quantity
+    }));
+}
+
+async function loadConfig() {
+    const { data } = await api('/payment/config');
+    const stateSelect = document.getElementById('shipping-state');
+
+    config = data;
+    config.states.forEach(state => {
+        const option = document.createElement('option');
+        option.value = state;
+        option.textContent = state;
+        stateSelect.appendChild(option);
+    });
+}
+
+async function loadCart() {
+    const { data } = await api('/cart');
+    cart = data;
+}
+
+// Offer the slots that suit the chosen method: pickup slots in store, or
+// delivery slots for the pincode's zone
+async function loadSlots() {
+    const { shippingMethod, pincode } = formValues();
+    const slotSelect = document.getElementById('delivery-slot');
+    const slotType = shippingMethod === 'pickup' ? 'pickup' : 'delivery';
+    const selected = slotSelect.value;
+
+    slotSelect.innerHTML = shippingMethod === 'standard'
+        ? '<option value="">No delivery slot</option>'
+        : `<option value="">Choose a ${slotType} slot</option>`;
+
+    if (slotType === 'delivery' && !PINCODE_PATTERN.test(pincode)) {
+        return;
+    }
+
+    try {
+        const query = slotType === 'pickup' ? 'type=pickup' : `type=delivery&pincode=${pincode}`;
+        const { data: slots } = await api(`/shipping/slots?${query}`);
+
+        slots.filter(slot => slot.remaining > 0).forEach(slot => {
+            const option = document.createElement('option');
+            option.value = slot.id;
+            option.textContent = formatSlot(slot);
+            option.selected = String(slot.id) === selected;
+            slotSelect.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading slots:', error);
+    }
+}
+
+// Shipping is priced once the pincode (for delivery) and any required slot
+// have been given; until then the quote covers the items alone
+function shippingDetails() {
+    const { shippingMethod, pincode, deliverySlotId } = formValues();
+
+    if (shippingMethod !== 'pickup' && !PINCODE_PATTERN.test(pincode)) {
+        return null;
+    }
+
+    if (shippingMethod !== 'standard' && !deliverySlotId) {
+        return null;
+    }
+
+    return {
+        shippingMethod,
+        shippingPincode: shippingMethod === 'pickup' ? undefined : pincode,
+        deliverySlotId: deliverySlotId ? parseInt(deliverySlotId) : null
+    };
+}
+
+function renderItems() {
+    const summaryItems = document.getElementById('summary-items');
+
+    if (cart.items.length === 0) {
+        summaryItems.innerHTML = '<p>Your cart is empty. <a href="shop.html">Continue shopping</a></p>';
+        return;
+    }
+
+    summaryItems.innerHTML = cart.items.map(item => `
+        <div class="summary-line">
+            <span>${item.name || 'Item no longer sold'} x ${item.quantity}</span>
+            <span>${item.lineTotal !== null ? formatMoney(item.lineTotal) : ''}</span>
+        </div>
+        ${item.problem ? `<p class="summary-problem">${item.problem}</p>` : ''}
+    `).join('');
+}
+
+function renderTotals(quote) {
+    const summaryTotals = document.getElementById('summary-totals');
+
+    if (!quote) {
+        summaryTotals.innerHTML = '';
+        return;
+    }
+
+    const lines = [['Subtotal', formatMoney(quote.subtotal)]];
+
+    if (quote.discountTotal > 0) {
+        lines.push([`Discount (${quote.discounts.map(discount => discount.code).join(', ')})`, `-${formatMoney(quote.discountTotal)}`]);
+    }
+    quote.taxes.forEach(tax => {
+        lines.push([`${tax.type} ${tax.rate}% (included)`, formatMoney(tax.amount)]);
+    });
+    lines.push(['Shipping', quote.shipping ? formatMoney(quote.shippingAmount) : 'Enter your delivery details']);
+
+    summaryTotals.innerHTML = lines.map(([label, value]) => `
+        <div class="summary-line"><span>${label}</span><span>${value}</span></div>
+    `).join('') + `
+        <div class="summary-line total"><span>Total</span><span>${formatMoney(quote.totalAmount)}</span></div>
+    `;
+}
+
+// Price the cart for the current form and enable ordering once the quote
+// covers shipping and the customer is signed in
+async function refreshQuote() {
+    const quoteError = document.getElementById('quote-error');
+    const { state, couponCode } = formValues();
+    const shipping = shippingDetails();
+
+    placeOrderButton.disabled = true;
+    quoteError.textContent = '';
+
+    if (cart.items.length === 0) {
+        renderTotals(null);
+        return;
+    }
+
+    if (cart.items.some(item => item.problem)) {
+        renderTotals(null);
+        quoteError.innerHTML = 'Some items can no longer be ordered. Please update your <a href="shop.html">cart</a>.';
+        return;
+    }
+
+    try {
+        const { data: quote } = await api('/payment/quote', {
+            method: 'POST',
+            body: JSON.stringify({
+                items: cartLines(),
+                couponCode: couponCode || undefined,
+                shippingState: state || undefined,
+                ...shipping
+            })
+        });
+
+        renderTotals(quote);
+        placeOrderButton.disabled = !shipping || !localStorage.getItem('token');
+    } catch (error) {
+        renderTotals(null);
+        quoteError.textContent = error.message;
+    }
+}
+
+function scheduleQuote() {
+    clearTimeout(quoteTimer);
+    quoteTimer = setTimeout(refreshQuote, 400);
+}
+
+// Create the order and its payment intent, then show the payment form.
+// The form is locked from here on, as the order has been priced from it.
+async function placeOrder() {
+    const values = formValues();
+    const quoteError = document.getElementById('quote-error');
+
+    if (!shippingForm.reportValidity()) {
+        return;
+    }
+
+    placeOrderButton.disabled = true;
+    quoteError.textContent = '';
+    orderIdempotencyKey = orderIdempotencyKey || crypto.randomUUID();
+
+    try {
+        const { data } = await api('/payment/create-intent', {
+            method: 'POST',
+            headers: { 'Idempotency-Key': orderIdempotencyKey },
+            body: JSON.stringify({
+                items: cartLines(),
+                couponCode: values.couponCode || undefined,
+                shippingAddress: {
+                    line1: values.line1,
+                    line2: values.line2 || undefined,
+                    city: values.city,
+                    state: values.state,
+                    pincode: values.pincode,
+                    phone: values.phone || undefined
+                },
+                shippingMethod: values.shippingMethod,
+                deliverySlotId: values.deliverySlotId ? parseInt(values.deliverySlotId) : null
+            })
+        });
+
+        order = data;
+        orderIdempotencyKey = null;
+        // The confirmation page empties the cart once this order is paid
+        sessionStorage.setItem('checkoutOrderId', String(order.orderId));
+        renderTotals(order.quote);
+        Array.from(shippingForm.elements).forEach(element => {
+            element.disabled = true;
+        });
+        placeOrderButton.style.display = 'none';
+        showPaymentForm();
+    } catch (error) {
+        quoteError.textContent = error.message;
+        placeOrderButton.disabled = false;
+    }
+}
+
+function showPaymentForm() {
+    document.getElementById('payment-panel').style.display = 'block';
+    payButton.textContent = `Pay ${formatMoney(order.totalAmount)}`;
+
+    if (order.provider === 'fake') {
+        document.getElementById('fake-payment').style.display = 'block';
+        return;
+    }
+
+    stripe = Stripe(config.publishableKey);
+    elements = stripe.elements({ clientSecret: order.clientSecret });
+    elements.create('payment').mount('#payment-element');
+}
+
+function confirmationUrl() {
+    return `order-confirmation.html?orderId=${order.orderId}`;
+}
+
+// Take the payment. Cards that need 3-D Secure may leave the page and come
+// back to the confirmation page, which confirms the order itself.
+async function pay() {
+    const paymentError = document.getElementById('payment-error');
+
+    payButton.disabled = true;
+    paymentError.textContent = '';
+
+    try {
+        let status;
+
+        if (order.provider === 'fake') {
+            const { data } = await api(`/payment/fake/${order.paymentIntentId}/simulate`, {
+                method: 'POST',
+                body: JSON.stringify({ outcome: document.getElementById('fake-outcome').value })
+            });
+
+            status = data.intent.status;
+            if (status !== 'succeeded') {
+                throw new Error(data.intent.lastError || 'Payment requires additional authentication');
+            }
+        } else {
+            const { error, paymentIntent } = await stripe.confirmPayment({
+                elements,
+                confirmParams: { return_url: new URL(confirmationUrl(), window.location.href).href },
+                redirect: 'if_required'
+            });
+
+            if (error) {
+                throw new Error(error.message);
+            }
+            status = paymentIntent.status;
+        }
+
+        // A payment still processing is confirmed by the webhook later
+        if (status === 'succeeded') {
+            await api('/payment/confirm', {
+                method: 'POST',
+                body: JSON.stringify({ paymentIntentId: order.paymentIntentId, orderId: order.orderId })
+            });
+        }
+
+        window.location.href = confirmationUrl();
+    } catch (error) {
+        paymentError.textContent = error.message;
+        payButton.disabled = false;
+    }
+}
+
+// Signing in or registering with the guest cart token moves the guest cart
+// into the customer's cart
+async function signIn(path, form) {
+    try {
+        const data = await api(path, {
+            method: 'POST',
+            body: JSON.stringify(Object.fromEntries(new FormData(form).entries()))
+        });
+
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('user', JSON.stringify(data.user));
+        localStorage.removeItem('cartToken');
+        document.getElementById('account-panel').style.display = 'none';
+
+        await loadCart();
+        renderItems();
+        await refreshQuote();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+document.getElementById('login-form').addEventListener('submit', function(e) {
+    e.preventDefault();
+    signIn('/auth/login', this);
+});
+
+document.getElementById('register-form').addEventListener('submit', function(e) {
+    e.preventDefault();
+    signIn('/auth/register', this);
+});
+
+document.getElementById('show-register').addEventListener('click', function(e) {
+    e.preventDefault();
+    document.getElementById('login-form').style.display = 'none';
+    document.getElementById('register-form').style.display = 'flex';
+});
+
+document.getElementById('show-login').addEventListener('click', function(e) {
+    e.preventDefault();
+    document.getElementById('register-form').style.display = 'none';
+    document.getElementById('login-form').style.display = 'flex';
+});
+
+shippingForm.addEventListener('change', function(e) {
+    if (e.target.name === 'shippingMethod' || e.target.name === 'pincode') {
+        loadSlots().then(scheduleQuote);
+    } else {
+        scheduleQuote();
+    }
+});
+
+shippingForm.addEventListener('input', function(e) {
+    if (e.target.name === 'pincode' && PINCODE_PATTERN.test(e.target.value)) {
+        loadSlots().then(scheduleQuote);
+    }
+});
+
+placeOrderButton.addEventListener('click', placeOrder);
+payButton.addEventListener('click', pay);
+
+async function initCheckout() {
+    try {
+        await Promise.all([loadConfig(), loadCart()]);
+    } catch (error) {
+        document.getElementById('summary-items').innerHTML = '<p>Checkout could not be loaded. Please try again later.</p>';
+        return;
+    }
+
+    if (!localStorage.getItem('token')) {
+        document.getElementById('account-panel').style.display = 'block';
+    }
+
+    renderItems();
+    await refreshQuote();
+}
+
+initCheckout();
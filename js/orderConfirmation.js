@@ -0,0 +1,153 @@
+// Order confirmation page: shown after checkout, and after Stripe sends the
+// customer back from a card authentication page
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const SHIPPING_METHOD_NAMES = {
+    standard: 'Standard delivery',
+    pet_transport: 'Pet transport',
+    pickup: 'Collect in store'
+};
+
+function authHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    const token = localStorage.getItem('token');
+    const cartToken = localStorage.getItem('cartToken');
+
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    if (cartToken) {
+        headers['X-Cart-Token'] = cartToken;
+    }
+
+    return headers;
+}
+
+async function api(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: authHeaders()
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+        throw new Error(data.message || 'Something went wrong');
+    }
+
+    return data;
+}
+
+function formatMoney(amount) {
+    return `₹${Number(amount).toFixed(2)}`;
+}
+
+// Order and slot times are stored in UTC
+function parseDateTime(value) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+function formatDateTime(value) {
+    return parseDateTime(value).toLocaleString([], {
+        weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit'
+    });
+}
+
+function formatSlot(slot) {
+    return `${formatDateTime(slot.starts_at)} - ${parseDateTime(slot.ends_at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+}
+
+function statusMessage(order) {
+    if (order.payment_status === 'paid') {
+        return '<h2>Thank you for your order!</h2><p>Your payment was received. We will be in touch about your delivery.</p>';
+    }
+
+    if (order.status === 'pending') {
+        return `<h2>Your order is waiting for payment</h2>
+            <p class="payment-warning">We have not received your payment yet. If you have paid, this page will show it shortly.
+            ${order.expires_at ? `Unpaid orders are cancelled at ${formatDateTime(order.expires_at)}.` : ''}</p>`;
+    }
+
+    return `<h2>This order was not completed</h2><p>Its status is ${order.status}. Your <a href="shop.html">cart</a> still has your items.</p>`;
+}
+
+function renderOrder(order) {
+    const discountTotal = order.discounts.reduce((sum, discount) => sum + discount.amount, 0);
+    const lines = [];
+
+    if (discountTotal > 0) {
+        lines.push(['Discount', `-${formatMoney(discountTotal)}`]);
+    }
+    // One line per tax type and rate, however many items it was charged on
+    const taxTotals = order.taxLines.reduce((totals, tax) => {
+        const label = `${tax.tax_type} ${tax.rate}% (included)`;
+        totals[label] = (totals[label] || 0) + tax.amount;
+        return totals;
+    }, {});
+    Object.entries(taxTotals).forEach(([label, amount]) => {
+        lines.push([label, formatMoney(amount)]);
+    });
+    lines.push(['Shipping', formatMoney(order.shipping_amount || 0)]);
+
+    document.getElementById('confirmation').innerHTML = `
+        ${statusMessage(order)}
+        <p>Order number: <span class="order-number">${order.order_number}</span></p>
+
+        <h3>Items</h3>
+        ${order.items.map(item => `
+            <div class="summary-line">
+                <span>${item.name}${item.variant_name ? ` (${item.variant_name})` : ''} x ${item.quantity}</span>
+                <span>${formatMoney(item.price * item.quantity)}</span>
+            </div>
+        `).join('')}
+        ${lines.map(([label, value]) => `
+            <div class="summary-line"><span>${label}</span><span>${value}</span></div>
+        `).join('')}
+        <div class="summary-line total"><span>Total</span><span>${formatMoney(order.total_amount)}</span></div>
+
+        <h3>${order.shipping_method === 'pickup' ? 'Collection' : 'Delivery'}</h3>
+        <p>${SHIPPING_METHOD_NAMES[order.shipping_method] || 'Delivery'}</p>
+        ${order.shipping_method === 'pickup' ? '' : `<p>${order.shipping_address}</p>`}
+        ${order.deliverySlot ? `<p>Slot: ${formatSlot(order.deliverySlot)}</p>` : ''}
+
+        <p style="margin-top: 25px;"><a href="shop.html" class="btn btn-primary">Continue Shopping</a></p>
+    `;
+}
+
+async function initConfirmation() {
+    const params = new URLSearchParams(window.location.search);
+    const orderId = params.get('orderId');
+    const confirmation = document.getElementById('confirmation');
+
+    if (!orderId || !localStorage.getItem('token')) {
+        confirmation.innerHTML = '<p>No order to show. <a href="shop.html">Visit the shop</a></p>';
+        return;
+    }
+
+    // Back from Stripe's authentication page: confirm the payment here. The
+    // webhook may already have done so, in which case this is refused.
+    if (params.get('payment_intent') && params.get('redirect_status') === 'succeeded') {
+        try {
+            await api('/payment/confirm', {
+                method: 'POST',
+                body: JSON.stringify({ paymentIntentId: params.get('payment_intent'), orderId: parseInt(orderId) })
+            });
+        } catch (error) {
+            console.error('Payment confirmation error:', error);
+        }
+    }
+
+    try {
+        const { data: order } = await api(`/orders/${orderId}`);
+
+        renderOrder(order);
+
+        if (order.payment_status === 'paid' && sessionStorage.getItem('checkoutOrderId') === String(order.id)) {
+            sessionStorage.removeItem('checkoutOrderId');
+            await api('/cart', { method: 'DELETE' });
+        }
+    } catch (error) {
+        confirmation.innerHTML = `<p>${error.message}. <a href="shop.html">Visit the shop</a></p>`;
+    }
+}
+
+initConfirmation();
@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const { getDatabase } = require('../database/init');
+const { users } = require('../database/repositories');
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -17,38 +17,35 @@ const protect = async (req, res, next) => {
       });
     }
 
+    let decoded;
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      const db = getDatabase();
-      db.get(
-        'SELECT id, username, email, full_name, role, is_active FROM users WHERE id = ?',
-        [decoded.id],
-        (err, user) => {
-          if (err) {
-            return res.status(500).json({
-              success: false,
-              message: 'Database error'
-            });
-          }
-
-          if (!user || !user.is_active) {
-            return res.status(401).json({
-              success: false,
-              message: 'User not found or inactive'
-            });
-          }
-
-          req.user = user;
-          next();
-        }
-      );
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to access this route'
       });
     }
+
+    let user;
+    try {
+      user = await users.findSessionUser(decoded.id);
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Database error'
+      });
+    }
+
+    if (!user || !user.is_active) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or inactive'
+      });
+    }
+
+    req.user = user;
+    next();
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -88,29 +85,18 @@ const optionalAuth = async (req, res, next) => {
     }
 
     if (token) {
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        const db = getDatabase();
-        db.get(
-          'SELECT id, username, email, full_name, role, is_active FROM users WHERE id = ?',
-          [decoded.id],
-          (err, user) => {
-            if (!err && user && user.is_active) {
-              req.user = user;
-            }
-            next();
-          }
-        );
-      } catch (error) {
-        next();
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await users.findSessionUser(decoded.id);
+
+      if (user && user.is_active) {
+        req.user = user;
       }
-    } else {
-      next();
     }
   } catch (error) {
-    next();
+    // Invalid token or lookup failure - continue as an anonymous request
   }
+
+  next();
 };
 
 module.exports = { protect, authorize, optionalAuth };
@@ -1,3 +1,13 @@
+// Error carrying the HTTP status and message to send to the client.
+// Thrown from inside transactions so the work is rolled back before responding.
+class ApiError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+  }
+}
+
 const errorHandler = (err, req, res, next) => {
   console.error('Error:', err);
 
@@ -47,4 +57,4 @@ const errorHandler = (err, req, res, next) => {
   });
 };
 
-module.exports = { errorHandler };
+module.exports = { errorHandler, ApiError };
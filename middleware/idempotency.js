@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { idempotencyKeys } = require('../database/repositories');
+
+// How long a stored response can be replayed
+const IDEMPOTENCY_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same body always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+const hashRequest = (body) => crypto.createHash('sha256').update(canonicalJson(body || {})).digest('hex');
+
+// Honour an Idempotency-Key header on POST endpoints.
+// The first request with a key runs normally and a successful response is
+// stored; repeating it with the same body replays that response, and reusing
+// the key with a different body is rejected with 409. Responses that are not
+// 2xx are not stored, so the request can be corrected and retried with the
+// same key. Keys are scoped to the signed-in user and the endpoint, so place
+// this after protect/optionalAuth.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const requestHash = hashRequest(req.body);
+  let record;
+  let isNew;
+
+  try {
+    await idempotencyKeys.purgeExpired();
+    ({ record, isNew } = await idempotencyKeys.claim({
+      key,
+      owner: req.user ? `user:${req.user.id}` : 'anonymous',
+      method: req.method,
+      path: req.baseUrl + req.path,
+      requestHash,
+      ttlHours: IDEMPOTENCY_TTL_HOURS
+    }));
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+
+  if (!isNew) {
+    if (record.request_hash !== requestHash) {
+      return res.status(409).json({
+        success: false,
+        message: 'Idempotency-Key has already been used with a different request'
+      });
+    }
+
+    if (record.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.response_status).json(JSON.parse(record.response_body));
+  }
+
+  // Store the response before sending it, so a retry that arrives right
+  // after the client gets its answer is replayed rather than rejected
+  let settled = false;
+  const sendJson = res.json.bind(res);
+
+  res.json = (body) => {
+    settled = true;
+    const store = res.statusCode >= 200 && res.statusCode < 300
+      ? idempotencyKeys.complete(record.id, res.statusCode, body)
+      : idempotencyKeys.release(record.id);
+
+    store
+      .catch(error => console.error('Idempotency key error:', error))
+      .then(() => sendJson(body));
+
+    return res;
+  };
+
+  // Free the key if the request ends without a JSON response
+  res.on('close', () => {
+    if (!settled) {
+      idempotencyKeys.release(record.id).catch(error => console.error('Idempotency key error:', error));
+    }
+  });
+
+  next();
+};
+
+module.exports = { idempotent, IDEMPOTENCY_TTL_HOURS };
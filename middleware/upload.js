@@ -6,8 +6,9 @@ const fs = require('fs');
 const uploadDir = process.env.UPLOAD_PATH || './uploads';
 const petsDir = path.join(uploadDir, 'pets');
 const productsDir = path.join(uploadDir, 'products');
+const reviewsDir = path.join(uploadDir, 'reviews');
 
-[uploadDir, petsDir, productsDir].forEach(dir => {
+[uploadDir, petsDir, productsDir, reviewsDir].forEach(dir => {
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
     }
@@ -23,6 +24,8 @@ const storage = multer.diskStorage({
             uploadPath = petsDir;
         } else if (file.fieldname === 'productImage') {
             uploadPath = productsDir;
+        } else if (file.fieldname === 'reviewPhoto') {
+            uploadPath = reviewsDir;
         }
         
         cb(null, uploadPath);
@@ -62,6 +65,9 @@ const uploadPetImage = upload.single('petImage');
 // Middleware for single product image upload
 const uploadProductImage = upload.single('productImage');
 
+// Middleware for single review photo upload
+const uploadReviewPhoto = upload.single('reviewPhoto');
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
     if (error instanceof multer.MulterError) {
@@ -111,6 +117,7 @@ const getFileUrl = (filename, type = 'pets') => {
 module.exports = {
     uploadPetImage,
     uploadProductImage,
+    uploadReviewPhoto,
     handleUploadError,
     deleteFile,
     getFileUrl
@@ -1,20 +1,60 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { getDatabase } = require('../database/init');
-const { protect, authorize } = require('../middleware/auth');
+const {
+  pets: Pets,
+  adoptionRequests: AdoptionRequests,
+  adoptionStatusHistory: AdoptionStatusHistory,
+  adoptionQuestionnaires: AdoptionQuestionnaires,
+  withTransaction
+} = require('../database/repositories');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { ApiError } = require('../middleware/errorHandler');
+const {
+  createTrackingToken,
+  verifyTrackingToken,
+  trackingUrl,
+  sendTrackingLink,
+  sendStatusUpdate
+} = require('../services/adoptionTracking');
+const {
+  ADOPTION_STATUSES,
+  OPEN_ADOPTION_STATUSES,
+  allowedTransitions,
+  canTransition,
+  transitionAdoption
+} = require('../services/adoptionStatus');
+const { validateAnswers, describeAnswers } = require('../services/questionnaire');
 
 const router = express.Router();
 
+// Email the applicants whose applications moved because of another one for
+// the same pet. Sent after the change is committed; a failed email is logged.
+async function notifyAffectedApplicants(affected) {
+  for (const applicant of affected) {
+    try {
+      await sendStatusUpdate({
+        id: applicant.id, name: applicant.name, email: applicant.email, petName: applicant.pet_name
+      }, applicant.message);
+    } catch (mailError) {
+      console.error('Error emailing adoption status update:', mailError);
+    }
+  }
+}
+
 // @desc    Submit adoption request
 // @route   POST /api/adoption/request
-// @access  Public (but better with authentication)
+// @access  Public (linked to the account when signed in)
 router.post('/request', [
+  optionalAuth,
+  idempotent,
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('phone').isMobilePhone().withMessage('Please provide a valid phone number'),
   body('preferredPet').trim().notEmpty().withMessage('Preferred pet is required'),
-  body('message').trim().isLength({ min: 10 }).withMessage('Message must be at least 10 characters')
-], (req, res) => {
+  body('message').trim().isLength({ min: 10 }).withMessage('Message must be at least 10 characters'),
+  body('answers').optional().isObject().withMessage('Answers must be an object')
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -25,86 +65,200 @@ router.post('/request', [
       });
     }
 
-    const { name, email, phone, preferredPet, message, userId } = req.body;
-
-    const db = getDatabase();
+    const { name, email, phone, preferredPet, message } = req.body;
+    const userId = req.user ? req.user.id : null;
 
     // Check if the preferred pet exists and is available
-    db.get(
-      'SELECT id, name, is_available FROM pets WHERE name = ? AND is_available = 1',
-      [preferredPet],
-      (err, pet) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        if (!pet) {
-          return res.status(400).json({
-            success: false,
-            message: 'Selected pet is not available for adoption'
-          });
-        }
-
-        // Check if user already has a pending request for this pet
-        const checkQuery = userId 
-          ? 'SELECT id FROM adoption_requests WHERE user_id = ? AND pet_id = ? AND status = "pending"'
-          : 'SELECT id FROM adoption_requests WHERE email = ? AND pet_id = ? AND status = "pending"';
-        
-        const checkParams = userId ? [userId, pet.id] : [email, pet.id];
-
-        db.get(checkQuery, checkParams, (err, existingRequest) => {
-          if (err) {
-            return res.status(500).json({
-              success: false,
-              message: 'Database error'
-            });
-          }
-
-          if (existingRequest) {
-            return res.status(400).json({
-              success: false,
-              message: 'You already have a pending adoption request for this pet'
-            });
-          }
-
-          // Create adoption request
-          const insertQuery = userId
-            ? `INSERT INTO adoption_requests (user_id, pet_id, message, name, email, phone)
-               VALUES (?, ?, ?, ?, ?, ?)`
-            : `INSERT INTO adoption_requests (pet_id, message, name, email, phone)
-               VALUES (?, ?, ?, ?, ?)`;
-
-          const insertParams = userId 
-            ? [userId, pet.id, message, name, email, phone]
-            : [pet.id, message, name, email, phone];
-
-          db.run(insertQuery, insertParams, function(err) {
-            if (err) {
-              return res.status(500).json({
-                success: false,
-                message: 'Error submitting adoption request'
-              });
-            }
-
-            res.status(201).json({
-              success: true,
-              message: 'Adoption request submitted successfully',
-              data: {
-                requestId: this.lastID,
-                petName: pet.name
-              }
-            });
-          });
+    const pet = await Pets.findAvailableByName(preferredPet);
+
+    if (!pet) {
+      return res.status(400).json({
+        success: false,
+        message: 'Selected pet is not available for adoption'
+      });
+    }
+
+    // Check if user already has an open request for this pet
+    const existingRequest = await AdoptionRequests.findInStatuses({ userId, email, petId: pet.id }, OPEN_ADOPTION_STATUSES);
+
+    if (existingRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an open adoption request for this pet'
+      });
+    }
+
+    // Answers are checked against the current questionnaire for the pet's species
+    const questionnaire = await AdoptionQuestionnaires.findCurrent(pet.species);
+    let answers = null;
+
+    if (questionnaire) {
+      const result = validateAnswers(questionnaire.schema, req.body.answers);
+
+      if (result.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please answer the adoption questionnaire',
+          errors: result.errors
         });
       }
-    );
+
+      answers = result.answers;
+    }
+
+    const requestId = await withTransaction(async ({ adoptionRequests, adoptionStatusHistory }) => {
+      const id = await adoptionRequests.create({
+        userId,
+        petId: pet.id,
+        message,
+        name,
+        email,
+        phone,
+        questionnaireId: questionnaire ? questionnaire.id : null,
+        questionnaireAnswers: answers
+      });
+      await adoptionStatusHistory.create({
+        adoptionRequestId: id,
+        toStatus: 'submitted',
+        note: 'Application submitted',
+        changedBy: userId
+      });
+      return id;
+    });
+
+    // The application stands even if the email cannot be sent
+    const trackingToken = createTrackingToken(requestId);
+    try {
+      await sendTrackingLink({ name, email, petName: pet.name }, trackingToken);
+    } catch (mailError) {
+      console.error('Error emailing adoption tracking link:', mailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Adoption request submitted successfully',
+      data: {
+        requestId,
+        petName: pet.name,
+        trackingToken,
+        trackingUrl: trackingUrl(trackingToken)
+      }
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Error submitting adoption request'
+    });
+  }
+});
+
+// @desc    Follow an application from the link emailed to the applicant
+// @route   GET /api/adoption/track/:token
+// @access  Public (tracking token)
+router.get('/track/:token', async (req, res) => {
+  try {
+    const requestId = verifyTrackingToken(req.params.token);
+    const tracked = requestId && await AdoptionRequests.findForTracking(requestId);
+
+    if (!tracked) {
+      return res.status(404).json({
+        success: false,
+        message: 'This tracking link is invalid or has expired'
+      });
+    }
+
+    // Staff notes in the history stay internal; the applicant sees the stages
+    const { user_id: userId, ...request } = tracked;
+    const history = await AdoptionStatusHistory.listForRequest(request.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...request,
+        can_withdraw: canTransition(request.status, 'withdrawn', 'applicant'),
+        can_claim: !userId,
+        history: history.map(entry => ({ status: entry.to_status, created_at: entry.created_at }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Withdraw an application from the link emailed to the applicant
+// @route   POST /api/adoption/track/:token/withdraw
+// @access  Public (tracking token)
+router.post('/track/:token/withdraw', async (req, res) => {
+  try {
+    const requestId = verifyTrackingToken(req.params.token);
+
+    if (!requestId) {
+      return res.status(404).json({
+        success: false,
+        message: 'This tracking link is invalid or has expired'
+      });
+    }
+
+    const { affected } = await withTransaction(repos => transitionAdoption(repos, requestId, 'withdrawn', {
+      role: 'applicant',
+      note: 'Withdrawn by the applicant'
+    }));
+    await notifyAffectedApplicants(affected);
+
+    res.json({
+      success: true,
+      message: 'Adoption request withdrawn'
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error withdrawing adoption request'
+    });
+  }
+});
+
+// @desc    Add a guest application to the signed-in user's account
+// @route   POST /api/adoption/track/:token/claim
+// @access  Private (tracking token)
+router.post('/track/:token/claim', protect, async (req, res) => {
+  try {
+    const requestId = verifyTrackingToken(req.params.token);
+    const request = requestId && await AdoptionRequests.findForTracking(requestId);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'This tracking link is invalid or has expired'
+      });
+    }
+
+    // The tracking link was only sent to the applicant's email, so holding it
+    // is what proves the application is theirs
+    if (request.user_id !== req.user.id && !await AdoptionRequests.claimGuestRequest(request.id, req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This application already belongs to another account'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Adoption request added to your account'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error claiming adoption request'
     });
   }
 });
@@ -115,10 +269,10 @@ router.post('/request', [
 router.get('/requests', [
   protect,
   authorize('admin'),
-  query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Invalid status'),
+  query('status').optional().isIn(ADOPTION_STATUSES).withMessage('Invalid status'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
-], (req, res) => {
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -132,90 +286,87 @@ router.get('/requests', [
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
-    const status = req.query.status;
 
-    const db = getDatabase();
+    // Adoption requests with pet details
+    const { requests, total } = await AdoptionRequests.list({ status: req.query.status }, { limit, offset });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: requests.map(request => ({
+        ...request,
+        allowed_actions: allowedTransitions(request.status, 'admin')
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
 
-    let whereClause = '';
-    let params = [];
+// @desc    Get an adoption request with its status history
+// @route   GET /api/adoption/requests/:id
+// @access  Private (Admin or the applicant)
+router.get('/requests/:id', protect, async (req, res) => {
+  try {
+    const request = await AdoptionRequests.findById(req.params.id);
 
-    if (status) {
-      whereClause = 'WHERE ar.status = ?';
-      params.push(status);
+    if (!request || (req.user.role !== 'admin' && request.user_id !== req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Adoption request not found'
+      });
     }
 
-    // Get total count
-    const countQuery = `
-      SELECT COUNT(*) as total 
-      FROM adoption_requests ar
-      ${whereClause}
-    `;
-
-    db.get(countQuery, params, (err, countResult) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error'
-        });
+    const role = req.user.role === 'admin' ? 'admin' : 'applicant';
+    const history = await AdoptionStatusHistory.listForRequest(request.id);
+
+    // Answers are shown against the questionnaire version the applicant saw
+    const { questionnaire_id: questionnaireId, questionnaire_answers: answers, ...details } = request;
+    const questionnaire = questionnaireId && await AdoptionQuestionnaires.findById(questionnaireId);
+
+    res.json({
+      success: true,
+      data: {
+        ...details,
+        allowed_actions: allowedTransitions(request.status, role),
+        questionnaire: questionnaire ? {
+          id: questionnaire.id,
+          title: questionnaire.schema.title || `${questionnaire.species} adoption questionnaire`,
+          answers: describeAnswers(questionnaire.schema, answers || {})
+        } : null,
+        history
       }
-
-      const total = countResult.total;
-      const totalPages = Math.ceil(total / limit);
-
-      // Get adoption requests with pet details
-      const requestsQuery = `
-        SELECT ar.id, ar.user_id, ar.pet_id, ar.message, ar.status, ar.admin_notes,
-               ar.created_at, ar.updated_at,
-               p.name as pet_name, p.breed, p.species, p.gender, p.age_weeks, p.price, p.image_url,
-               u.username, u.email as user_email, u.full_name, u.phone as user_phone,
-               ar.name as requester_name, ar.email as requester_email, ar.phone as requester_phone
-        FROM adoption_requests ar
-        JOIN pets p ON ar.pet_id = p.id
-        LEFT JOIN users u ON ar.user_id = u.id
-        ${whereClause}
-        ORDER BY ar.created_at DESC
-        LIMIT ? OFFSET ?
-      `;
-
-      db.all(requestsQuery, [...params, limit, offset], (err, requests) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: requests,
-          pagination: {
-            currentPage: page,
-            totalPages,
-            totalItems: total,
-            itemsPerPage: limit,
-            hasNextPage: page < totalPages,
-            hasPrevPage: page > 1
-          }
-        });
-      });
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
 
-// @desc    Update adoption request status
+// @desc    Move an adoption request to its next stage
 // @route   PUT /api/adoption/requests/:id/status
 // @access  Private (Admin)
 router.put('/requests/:id/status', [
   protect,
   authorize('admin'),
-  body('status').isIn(['pending', 'approved', 'rejected']).withMessage('Invalid status'),
+  body('status').isIn(ADOPTION_STATUSES).withMessage('Invalid status'),
+  body('note').optional().trim(),
   body('adminNotes').optional().trim()
-], (req, res) => {
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -227,7 +378,7 @@ router.put('/requests/:id/status', [
     }
 
     const requestId = req.params.id;
-    const { status, adminNotes } = req.body;
+    const { status, note, adminNotes } = req.body;
 
     if (!requestId || isNaN(requestId)) {
       return res.status(400).json({
@@ -236,73 +387,75 @@ router.put('/requests/:id/status', [
       });
     }
 
-    const db = getDatabase();
-
-    // Check if request exists
-    db.get(
-      'SELECT id, pet_id, status FROM adoption_requests WHERE id = ?',
-      [requestId],
-      (err, request) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        if (!request) {
-          return res.status(404).json({
-            success: false,
-            message: 'Adoption request not found'
-          });
-        }
-
-        if (request.status !== 'pending' && status !== request.status) {
-          return res.status(400).json({
-            success: false,
-            message: 'Cannot change status of already processed request'
-          });
-        }
-
-        // Update request status
-        db.run(
-          `UPDATE adoption_requests 
-           SET status = ?, admin_notes = ?, updated_at = CURRENT_TIMESTAMP 
-           WHERE id = ?`,
-          [status, adminNotes, requestId],
-          function(err) {
-            if (err) {
-              return res.status(500).json({
-                success: false,
-                message: 'Error updating request status'
-              });
-            }
-
-            // If approved, mark pet as unavailable
-            if (status === 'approved') {
-              db.run(
-                'UPDATE pets SET is_available = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [request.pet_id],
-                (err) => {
-                  if (err) {
-                    console.error('Error updating pet availability:', err);
-                  }
-                }
-              );
-            }
-
-            res.json({
-              success: true,
-              message: `Adoption request ${status} successfully`
-            });
-          }
-        );
+    // Update the request, its history, the pet's availability and the pet's
+    // other applications as one unit
+    const { affected } = await withTransaction(repos => transitionAdoption(repos, requestId, status, {
+      role: 'admin',
+      note,
+      adminNotes,
+      changedBy: req.user.id
+    }));
+    await notifyAffectedApplicants(affected);
+
+    res.json({
+      success: true,
+      message: `Adoption request moved to ${status}`,
+      data: {
+        status,
+        allowed_actions: allowedTransitions(status, 'admin'),
+        affected_requests: affected.map(applicant => ({ id: applicant.id, status: applicant.status }))
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating request status'
+    });
+  }
+});
+
+// @desc    Withdraw own adoption request
+// @route   POST /api/adoption/requests/:id/withdraw
+// @access  Private
+router.post('/requests/:id/withdraw', protect, async (req, res) => {
+  try {
+    const { affected } = await withTransaction(async (repos) => {
+      const request = await repos.adoptionRequests.findById(req.params.id);
+
+      if (!request || request.user_id !== req.user.id) {
+        throw new ApiError(404, 'Adoption request not found');
       }
-    );
+
+      return transitionAdoption(repos, request.id, 'withdrawn', {
+        role: 'applicant',
+        note: 'Withdrawn by the applicant',
+        changedBy: req.user.id
+      });
+    });
+    await notifyAffectedApplicants(affected);
+
+    res.json({
+      success: true,
+      message: 'Adoption request withdrawn'
+    });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Error withdrawing adoption request'
     });
   }
 });
@@ -310,37 +463,21 @@ router.put('/requests/:id/status', [
 // @desc    Get user's adoption requests
 // @route   GET /api/adoption/my-requests
 // @access  Private
-router.get('/my-requests', protect, (req, res) => {
+router.get('/my-requests', protect, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const db = getDatabase();
-
-    db.all(
-      `SELECT ar.id, ar.status, ar.message, ar.admin_notes, ar.created_at, ar.updated_at,
-              p.name as pet_name, p.breed, p.species, p.gender, p.age_weeks, p.price, p.image_url
-       FROM adoption_requests ar
-       JOIN pets p ON ar.pet_id = p.id
-       WHERE ar.user_id = ?
-       ORDER BY ar.created_at DESC`,
-      [userId],
-      (err, requests) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: requests
-        });
-      }
-    );
+    const requests = await AdoptionRequests.listForUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: requests.map(request => ({
+        ...request,
+        can_withdraw: canTransition(request.status, 'withdrawn', 'applicant')
+      }))
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
@@ -348,35 +485,27 @@ router.get('/my-requests', protect, (req, res) => {
 // @desc    Get adoption statistics (Admin only)
 // @route   GET /api/adoption/stats
 // @access  Private (Admin)
-router.get('/stats', [protect, authorize('admin')], (req, res) => {
+router.get('/stats', [protect, authorize('admin')], async (req, res) => {
   try {
-    const db = getDatabase();
-
-    db.get(
-      `SELECT 
-        COUNT(*) as total_requests,
-        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending_requests,
-        SUM(CASE WHEN status = 'approved' THEN 1 ELSE 0 END) as approved_requests,
-        SUM(CASE WHEN status = 'rejected' THEN 1 ELSE 0 END) as rejected_requests
-       FROM adoption_requests`,
-      (err, stats) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: stats
-        });
+    const counts = await AdoptionRequests.countByStatus();
+
+    // Every stage is listed, including those with no requests
+    const byStatus = {};
+    ADOPTION_STATUSES.forEach(status => { byStatus[status] = 0; });
+    counts.forEach(({ status, count }) => { byStatus[status] = count; });
+
+    res.json({
+      success: true,
+      data: {
+        total_requests: counts.reduce((sum, { count }) => sum + count, 0),
+        open_requests: OPEN_ADOPTION_STATUSES.reduce((sum, status) => sum + byStatus[status], 0),
+        by_status: byStatus
       }
-    );
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
@@ -0,0 +1,114 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { adoptionQuestionnaires: AdoptionQuestionnaires } = require('../database/repositories');
+const { protect, authorize } = require('../middleware/auth');
+const { schemaErrors } = require('../services/questionnaire');
+
+const router = express.Router();
+
+const SPECIES = ['Dog', 'Cat'];
+
+// @desc    Get the current questionnaire for each species
+// @route   GET /api/adoption/questionnaires
+// @access  Private (Admin only)
+router.get('/questionnaires', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const questionnaires = await AdoptionQuestionnaires.listCurrent();
+
+    res.json({
+      success: true,
+      data: questionnaires
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Get the questionnaire applicants for a species answer
+// @route   GET /api/adoption/questionnaires/:species
+// @access  Public
+router.get('/questionnaires/:species', async (req, res) => {
+  try {
+    const questionnaire = SPECIES.includes(req.params.species) &&
+      await AdoptionQuestionnaires.findCurrent(req.params.species);
+
+    if (!questionnaire) {
+      return res.status(404).json({
+        success: false,
+        message: 'No questionnaire for this species'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: questionnaire
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Save a new version of a species' questionnaire
+// @route   PUT /api/adoption/questionnaires/:species
+// @access  Private (Admin only)
+router.put('/questionnaires/:species', [
+  protect,
+  authorize('admin'),
+  body('schema').isObject().withMessage('Schema must be a JSON schema object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { species } = req.params;
+
+    if (!SPECIES.includes(species)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Species must be Dog or Cat'
+      });
+    }
+
+    const problems = schemaErrors(req.body.schema);
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid questionnaire',
+        errors: problems
+      });
+    }
+
+    // Earlier applications keep the version they answered
+    const questionnaireId = await AdoptionQuestionnaires.create({
+      species,
+      schema: req.body.schema,
+      createdBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Questionnaire saved successfully',
+      data: await AdoptionQuestionnaires.findById(questionnaireId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error saving questionnaire'
+    });
+  }
+});
+
+module.exports = router;
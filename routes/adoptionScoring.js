@@ -0,0 +1,138 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const repositories = require('../database/repositories');
+const { protect, authorize } = require('../middleware/auth');
+const { findScoringRule, scoringRules, rankApplications } = require('../services/adoptionScoring');
+const { OPEN_ADOPTION_STATUSES } = require('../services/adoptionStatus');
+
+const { pets: Pets, adoptionScoringWeights: AdoptionScoringWeights } = repositories;
+
+const router = express.Router();
+
+// @desc    Rank a pet's open applications by eligibility score
+// @route   GET /api/adoption/pets/:petId/applications
+// @access  Private (Admin only)
+router.get('/pets/:petId/applications', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const { petId } = req.params;
+
+    if (!petId || isNaN(petId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid pet ID'
+      });
+    }
+
+    const pet = await Pets.findById(petId);
+
+    if (!pet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pet not found'
+      });
+    }
+
+    const applications = await rankApplications(repositories, pet.id, OPEN_ADOPTION_STATUSES);
+
+    res.json({
+      success: true,
+      data: {
+        pet: { id: pet.id, name: pet.name, species: pet.species, breed: pet.breed, is_available: pet.is_available },
+        applications
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error ranking applications'
+    });
+  }
+});
+
+// @desc    Get the scoring rules and their weights
+// @route   GET /api/adoption/scoring-rules
+// @access  Private (Admin only)
+router.get('/scoring-rules', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const rules = scoringRules(await AdoptionScoringWeights.list());
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Set a scoring rule's weight
+// @route   PUT /api/adoption/scoring-rules/:rule
+// @access  Private (Admin only)
+router.put('/scoring-rules/:rule', [
+  protect,
+  authorize('admin'),
+  body('weight').isInt({ min: -100, max: 100 }).withMessage('Weight must be a whole number between -100 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!findScoringRule(req.params.rule)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scoring rule not found'
+      });
+    }
+
+    await AdoptionScoringWeights.set(req.params.rule, parseInt(req.body.weight), req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Scoring weight updated successfully',
+      data: scoringRules(await AdoptionScoringWeights.list())
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating scoring weight'
+    });
+  }
+});
+
+// @desc    Reset a scoring rule to its default weight
+// @route   DELETE /api/adoption/scoring-rules/:rule
+// @access  Private (Admin only)
+router.delete('/scoring-rules/:rule', [protect, authorize('admin')], async (req, res) => {
+  try {
+    if (!findScoringRule(req.params.rule)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scoring rule not found'
+      });
+    }
+
+    await AdoptionScoringWeights.delete(req.params.rule);
+
+    res.json({
+      success: true,
+      message: 'Scoring weight reset to default',
+      data: scoringRules(await AdoptionScoringWeights.list())
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting scoring weight'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,10 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const { getDatabase } = require('../database/init');
+const { users: Users, withTransaction } = require('../database/repositories');
 const { protect } = require('../middleware/auth');
+const { mergeGuestCart } = require('../services/cart');
+const { verifyVerificationToken, sendVerificationLink } = require('../services/emailVerification');
 
 const router = express.Router();
 
@@ -14,6 +16,34 @@ const generateToken = (id) => {
   });
 };
 
+// Move the guest cart the browser sent in X-Cart-Token into the customer's
+// cart. A failed merge leaves the guest cart as it was rather than failing
+// the sign-in.
+async function adoptGuestCart(req, userId) {
+  const cartToken = req.get('X-Cart-Token');
+
+  if (!cartToken) {
+    return;
+  }
+
+  try {
+    await withTransaction(repos => mergeGuestCart(repos, cartToken, userId));
+  } catch (error) {
+    console.error('Cart merge error:', error);
+  }
+}
+
+// Email a new account the link that verifies its address. Like the cart
+// merge, a failure here does not fail the registration; the user can ask for
+// the link again.
+async function sendVerificationEmail(user) {
+  try {
+    await sendVerificationLink(user);
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+}
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -36,67 +66,51 @@ router.post('/register', [
 
     const { username, email, password, fullName, phone, address } = req.body;
 
-    const db = getDatabase();
-    
     // Check if user already exists
-    db.get(
-      'SELECT id FROM users WHERE email = ? OR username = ?',
-      [email, username],
-      async (err, existingUser) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        if (existingUser) {
-          return res.status(400).json({
-            success: false,
-            message: 'User already exists with this email or username'
-          });
-        }
-
-        // Hash password
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
-
-        // Create user
-        db.run(
-          `INSERT INTO users (username, email, password_hash, full_name, phone, address)
-           VALUES (?, ?, ?, ?, ?, ?)`,
-          [username, email, hashedPassword, fullName, phone, address],
-          function(err) {
-            if (err) {
-              return res.status(500).json({
-                success: false,
-                message: 'Error creating user'
-              });
-            }
-
-            const token = generateToken(this.lastID);
-
-            res.status(201).json({
-              success: true,
-              message: 'User registered successfully',
-              token,
-              user: {
-                id: this.lastID,
-                username,
-                email,
-                fullName,
-                phone,
-                role: 'user'
-              }
-            });
-          }
-        );
+    const existingUser = await Users.findByEmailOrUsername(email, username);
+
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email or username'
+      });
+    }
+
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // Create user
+    const userId = await Users.create({
+      username,
+      email,
+      passwordHash: hashedPassword,
+      fullName,
+      phone,
+      address
+    });
+
+    const token = generateToken(userId);
+    await adoptGuestCart(req, userId);
+    await sendVerificationEmail({ id: userId, email, fullName });
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      token,
+      user: {
+        id: userId,
+        username,
+        email,
+        fullName,
+        phone,
+        role: 'user'
       }
-    );
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Error creating user'
     });
   }
 });
@@ -120,53 +134,41 @@ router.post('/login', [
 
     const { username, password } = req.body;
 
-    const db = getDatabase();
-    
     // Find user by username or email
-    db.get(
-      'SELECT * FROM users WHERE (username = ? OR email = ?) AND is_active = 1',
-      [username, username],
-      async (err, user) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        if (!user) {
-          return res.status(401).json({
-            success: false,
-            message: 'Invalid credentials'
-          });
-        }
-
-        // Check password
-        const isMatch = await bcrypt.compare(password, user.password_hash);
-        if (!isMatch) {
-          return res.status(401).json({
-            success: false,
-            message: 'Invalid credentials'
-          });
-        }
-
-        const token = generateToken(user.id);
-
-        res.json({
-          success: true,
-          message: 'Login successful',
-          token,
-          user: {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            fullName: user.full_name,
-            phone: user.phone,
-            role: user.role
-          }
-        });
+    const user = await Users.findActiveForLogin(username);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check password
+    const isMatch = await bcrypt.compare(password, user.password_hash);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    const token = generateToken(user.id);
+    await adoptGuestCart(req, user.id);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        fullName: user.full_name,
+        phone: user.phone,
+        role: user.role
       }
-    );
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -185,6 +187,79 @@ router.get('/me', protect, (req, res) => {
   });
 });
 
+// @desc    Verify the user's email from the emailed link, and add the
+//          adoption applications made as a guest with it to the account
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const verified = verifyVerificationToken(req.body.token);
+    const user = verified && await Users.findById(verified.userId);
+
+    if (!user || user.email !== verified.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired'
+      });
+    }
+
+    const linkedApplications = await withTransaction(async (repos) => {
+      await repos.users.markEmailVerified(user.id);
+      return repos.adoptionRequests.linkGuestRequests(user.email, user.id);
+    });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { linkedApplications }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email'
+    });
+  }
+});
+
+// @desc    Email the verification link again
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+router.post('/verify-email/resend', protect, async (req, res) => {
+  try {
+    const user = await Users.findById(req.user.id);
+
+    if (user.email_verified_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email is already verified'
+      });
+    }
+
+    await sendVerificationLink({ id: user.id, email: user.email, fullName: user.full_name });
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email'
+    });
+  }
+});
+
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
@@ -205,35 +280,17 @@ router.put('/profile', [
     }
 
     const { fullName, phone, address } = req.body;
-    const userId = req.user.id;
 
-    const db = getDatabase();
-    
-    db.run(
-      `UPDATE users SET full_name = COALESCE(?, full_name), 
-                       phone = COALESCE(?, phone), 
-                       address = COALESCE(?, address),
-                       updated_at = CURRENT_TIMESTAMP
-       WHERE id = ?`,
-      [fullName, phone, address, userId],
-      function(err) {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error updating profile'
-          });
-        }
-
-        res.json({
-          success: true,
-          message: 'Profile updated successfully'
-        });
-      }
-    );
+    await Users.updateProfile(req.user.id, { fullName, phone, address });
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully'
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Error updating profile'
     });
   }
 });
@@ -259,57 +316,32 @@ router.put('/change-password', [
     const { currentPassword, newPassword } = req.body;
     const userId = req.user.id;
 
-    const db = getDatabase();
-    
-    // Get current user with password
-    db.get(
-      'SELECT password_hash FROM users WHERE id = ?',
-      [userId],
-      async (err, user) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        // Verify current password
-        const isMatch = await bcrypt.compare(currentPassword, user.password_hash);
-        if (!isMatch) {
-          return res.status(400).json({
-            success: false,
-            message: 'Current password is incorrect'
-          });
-        }
-
-        // Hash new password
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(newPassword, salt);
-
-        // Update password
-        db.run(
-          'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [hashedPassword, userId],
-          function(err) {
-            if (err) {
-              return res.status(500).json({
-                success: false,
-                message: 'Error updating password'
-              });
-            }
-
-            res.json({
-              success: true,
-              message: 'Password updated successfully'
-            });
-          }
-        );
-      }
-    );
+    // Get current password hash
+    const passwordHash = await Users.getPasswordHash(userId);
+
+    // Verify current password
+    const isMatch = await bcrypt.compare(currentPassword, passwordHash);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Hash new password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(newPassword, salt);
+
+    await Users.updatePasswordHash(userId, hashedPassword);
+
+    res.json({
+      success: true,
+      message: 'Password updated successfully'
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Error updating password'
     });
   }
 });
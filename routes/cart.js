@@ -0,0 +1,213 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const repositories = require('../database/repositories');
+const { optionalAuth } = require('../middleware/auth');
+const { ApiError } = require('../middleware/errorHandler');
+const { findCart, priceCart, addToCart, setCartQuantity } = require('../services/cart');
+
+const { carts: Carts, withTransaction } = repositories;
+
+const router = express.Router();
+
+// Signed-in customers use their own cart; guests send the cartToken they were
+// given in the X-Cart-Token header
+const cartOwner = (req) => ({ user: req.user, token: req.get('X-Cart-Token') });
+
+// @desc    Get the cart, priced at today's prices
+// @route   GET /api/cart
+// @access  Public (customer or cart token)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(repositories, cartOwner(req));
+
+    res.json({
+      success: true,
+      data: await priceCart(repositories, cart)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Add an item to the cart, starting a cart if there is none
+// @route   POST /api/cart/items
+// @access  Public (customer or cart token)
+router.post('/items', [
+  optionalAuth,
+  body('type').isIn(['pet', 'product']).withMessage('Item type must be pet or product'),
+  body('id').isInt({ min: 1 }).withMessage('Item ID must be a positive integer'),
+  body('variantId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Variant ID must be a positive integer'),
+  body('quantity').optional().isInt({ min: 1, max: 99 }).withMessage('Quantity must be between 1 and 99')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, id, variantId, quantity = 1 } = req.body;
+
+    const cart = await withTransaction(async (repos) => {
+      const cart = await findCart(repos, cartOwner(req), { create: true });
+
+      await addToCart(repos, cart, {
+        type,
+        id: parseInt(id, 10),
+        variantId: variantId ? parseInt(variantId, 10) : null,
+        quantity: parseInt(quantity, 10)
+      });
+
+      return priceCart(repos, cart);
+    });
+
+    res.json({
+      success: true,
+      message: 'Item added to cart',
+      data: cart
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding item to cart'
+    });
+  }
+});
+
+// @desc    Change the quantity of a cart item
+// @route   PUT /api/cart/items/:itemId
+// @access  Public (customer or cart token)
+router.put('/items/:itemId', [
+  optionalAuth,
+  body('quantity').isInt({ min: 1, max: 99 }).withMessage('Quantity must be between 1 and 99')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const itemId = req.params.itemId;
+
+    if (!itemId || isNaN(itemId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cart item ID'
+      });
+    }
+
+    const cart = await withTransaction(async (repos) => {
+      const cart = await findCart(repos, cartOwner(req));
+      const cartItem = cart ? await repos.carts.findItem(cart.id, itemId) : null;
+
+      if (!cartItem) {
+        throw new ApiError(404, 'Cart item not found');
+      }
+
+      await setCartQuantity(repos, cart, cartItem, parseInt(req.body.quantity, 10));
+
+      return priceCart(repos, cart);
+    });
+
+    res.json({
+      success: true,
+      message: 'Cart updated',
+      data: cart
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating cart'
+    });
+  }
+});
+
+// @desc    Remove an item from the cart
+// @route   DELETE /api/cart/items/:itemId
+// @access  Public (customer or cart token)
+router.delete('/items/:itemId', optionalAuth, async (req, res) => {
+  try {
+    const itemId = req.params.itemId;
+
+    if (!itemId || isNaN(itemId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cart item ID'
+      });
+    }
+
+    const cart = await findCart(repositories, cartOwner(req));
+    const { changes } = cart ? await Carts.removeItem(cart.id, itemId) : { changes: 0 };
+
+    if (changes === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    await Carts.touch(cart.id);
+
+    res.json({
+      success: true,
+      message: 'Item removed from cart',
+      data: await priceCart(repositories, cart)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing item from cart'
+    });
+  }
+});
+
+// @desc    Empty the cart
+// @route   DELETE /api/cart
+// @access  Public (customer or cart token)
+router.delete('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(repositories, cartOwner(req));
+
+    if (cart) {
+      await Carts.clear(cart.id);
+      await Carts.touch(cart.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Cart cleared',
+      data: await priceCart(repositories, cart)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing cart'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,347 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const {
+  orders: Orders,
+  payments: Payments,
+  orderStatusHistory: OrderStatusHistory,
+  shipments: Shipments,
+  deliverySlots: DeliverySlots,
+  withTransaction
+} = require('../database/repositories');
+const { protect, authorize } = require('../middleware/auth');
+const { ApiError } = require('../middleware/errorHandler');
+const { getPaymentProvider } = require('../services/payments');
+const { closeUnpaidOrder } = require('../services/checkout');
+const { ORDER_STATUSES, FULFILMENT_STATUSES, transitionOrder } = require('../services/orderStatus');
+const { issueInvoice, buildInvoice } = require('../services/invoices');
+const { renderInvoicePdf } = require('../services/invoicePdf');
+
+const router = express.Router();
+
+// Orders that have been paid for, and so have an invoice
+const INVOICED_STATUSES = ['paid', 'packed', 'shipped', 'delivered', 'returned'];
+
+// @desc    Get all orders (Admin only)
+// @route   GET /api/orders
+// @access  Private (Admin)
+router.get('/', [
+  protect,
+  authorize('admin'),
+  query('status').optional().isIn(ORDER_STATUSES).withMessage('Invalid status'),
+  query('paymentStatus').optional().trim(),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { status, paymentStatus } = req.query;
+
+    const { orders, total } = await Orders.list({ status, paymentStatus }, { limit, offset });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Get single order with its items, status timeline and shipments
+// @route   GET /api/orders/:id
+// @access  Private (Admin or order owner)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const orderId = req.params.id;
+
+    if (!orderId || isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const order = await Orders.findById(orderId);
+
+    // Allow users to view their own orders or admins to view any order
+    if (!order || (order.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const [items, discounts, taxLines, timeline, shipments, payment, deliverySlot] = await Promise.all([
+      Orders.findItemsWithNames(orderId),
+      Orders.findDiscounts(orderId),
+      Orders.findTaxLines(orderId),
+      OrderStatusHistory.listForOrder(orderId),
+      Shipments.listForOrder(orderId),
+      Payments.findLatestForOrder(orderId),
+      order.delivery_slot_id ? DeliverySlots.findById(order.delivery_slot_id) : null
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...order,
+        items,
+        discounts,
+        taxLines,
+        timeline,
+        shipments,
+        deliverySlot: deliverySlot ? {
+          id: deliverySlot.id,
+          slot_type: deliverySlot.slot_type,
+          starts_at: deliverySlot.starts_at,
+          ends_at: deliverySlot.ends_at
+        } : null,
+        payment: payment ? {
+          provider: payment.provider,
+          status: payment.status,
+          amount: payment.amount,
+          amount_refunded: payment.amount_refunded,
+          payment_method: payment.payment_method
+        } : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Download an order's GST invoice as a PDF
+// @route   GET /api/orders/:id/invoice
+// @access  Private (Admin or order owner)
+router.get('/:id/invoice', protect, async (req, res) => {
+  try {
+    const orderId = req.params.id;
+
+    if (!orderId || isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const order = await Orders.findById(orderId);
+
+    if (!order || (order.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.invoice_number && !INVOICED_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An invoice is issued once the order has been paid'
+      });
+    }
+
+    // Orders paid before invoices were numbered get their number now
+    if (!order.invoice_number) {
+      await withTransaction(repos => issueInvoice(repos, order.id));
+    }
+
+    const invoice = await buildInvoice(order.id);
+    const pdf = await renderInvoicePdf(invoice);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating invoice'
+    });
+  }
+});
+
+// @desc    Move a paid order through fulfilment
+// @route   PUT /api/orders/:id/status
+// @access  Private (Admin)
+router.put('/:id/status', [
+  protect,
+  authorize('admin'),
+  body('status').isIn(FULFILMENT_STATUSES)
+    .withMessage('Status must be packed, shipped or delivered; paid orders are cancelled or returned by refunding them with POST /api/payment/:orderId/refund'),
+  body('note').optional().trim(),
+  body('carrier').if(body('status').equals('shipped')).trim().notEmpty().withMessage('Carrier is required for shipped orders'),
+  body('trackingNumber').if(body('status').equals('shipped')).trim().notEmpty().withMessage('Tracking number is required for shipped orders')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const orderId = req.params.id;
+    const { status, note, carrier, trackingNumber } = req.body;
+
+    if (!orderId || isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const order = await withTransaction(async (repos) => {
+      const updated = await transitionOrder(repos, orderId, status, { note, changedBy: req.user.id });
+
+      if (status === 'shipped') {
+        await repos.shipments.create({ orderId, carrier, trackingNumber, createdBy: req.user.id });
+      } else if (status === 'delivered') {
+        await repos.shipments.markDelivered(orderId);
+      }
+
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: `Order marked as ${status}`,
+      data: {
+        id: order.id,
+        status: order.status,
+        payment_status: order.payment_status
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Order status update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Cancel an unpaid order
+// @route   POST /api/orders/:id/cancel
+// @access  Private (Admin or order owner)
+router.post('/:id/cancel', protect, async (req, res) => {
+  try {
+    const orderId = req.params.id;
+
+    if (!orderId || isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const order = await Orders.findById(orderId);
+
+    // Allow users to cancel their own orders or admins to cancel any order
+    if (!order || (order.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only unpaid orders can be cancelled'
+      });
+    }
+
+    // Cancel the payment intent first so the customer cannot pay for an order
+    // that no longer exists; this fails if the payment has already gone through
+    const payment = await Payments.findLatestForOrder(orderId);
+
+    if (payment && payment.stripe_payment_intent_id) {
+      try {
+        const provider = getPaymentProvider();
+        const intent = await provider.retrieve(payment.stripe_payment_intent_id);
+
+        // A failed payment leaves the intent open for another attempt
+        if (intent.status !== 'canceled') {
+          await provider.cancel(intent.id);
+        }
+      } catch (providerError) {
+        console.error('Error cancelling payment intent:', providerError);
+        return res.status(409).json({
+          success: false,
+          message: 'Payment for this order is already being processed and it can no longer be cancelled'
+        });
+      }
+    }
+
+    // Release the reserved stock and pets along with the order
+    await withTransaction(async (repos) => {
+      const cancelled = await closeUnpaidOrder(repos, orderId, 'cancelled', {
+        note: 'Cancelled before payment',
+        changedBy: req.user.id
+      });
+
+      if (!cancelled) {
+        throw new ApiError(400, 'Only unpaid orders can be cancelled');
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully'
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Order cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,129 @@
 const express = require('express');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const { body, validationResult } = require('express-validator');
-const { getDatabase } = require('../database/init');
-const { protect } = require('../middleware/auth');
-const { v4: uuidv4 } = require('uuid');
+const { body, query, validationResult } = require('express-validator');
+const repositories = require('../database/repositories');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { ApiError } = require('../middleware/errorHandler');
+const { buildQuote } = require('../services/quote');
+const { INDIAN_STATES } = require('../services/tax');
+const { SHIPPING_METHODS, PINCODE_PATTERN } = require('../services/shipping');
+const { getPaymentProvider } = require('../services/payments');
+const FakeProvider = require('../services/payments/fakeProvider');
+const { holdRefund, recordRefund } = require('../services/refunds');
+const { placeOrder, markOrderPaid, closeUnpaidOrder } = require('../services/checkout');
+const { PROCESSING_TIMEOUT_MINUTES, receiveEvent, replayEvent } = require('../services/webhooks');
+
+const {
+  orders: Orders,
+  payments: Payments,
+  refunds: Refunds,
+  webhookEvents: WebhookEvents,
+  withTransaction
+} = repositories;
 
 const router = express.Router();
 
+// Validation shared by every endpoint that prices a list of items
+const orderItemsValidation = [
+  body('items').isArray({ min: 1 }).withMessage('Items array is required'),
+  body('items.*.type').isIn(['pet', 'product']).withMessage('Item type must be pet or product'),
+  body('items.*.id').isInt({ min: 1 }).withMessage('Item ID must be a positive integer'),
+  body('items.*.variantId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Variant ID must be a positive integer'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('couponCode').optional({ checkFalsy: true }).trim().isLength({ max: 50 }).withMessage('Coupon code must be at most 50 characters'),
+  body('deliverySlotId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Delivery slot ID must be a positive integer')
+];
+
+// @desc    Get the payment provider and shipping options for the checkout page
+// @route   GET /api/payment/config
+// @access  Public
+router.get('/config', (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+
+    res.json({
+      success: true,
+      data: {
+        provider: provider.name,
+        publishableKey: provider.name === 'stripe' ? process.env.STRIPE_PUBLISHABLE_KEY || null : null,
+        currency: 'INR',
+        shippingMethods: SHIPPING_METHODS,
+        states: INDIAN_STATES
+      }
+    });
+  } catch (error) {
+    console.error('Payment provider error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Price a list of items without creating an order
+// @route   POST /api/payment/quote
+// @access  Public
+router.post('/quote', [
+  optionalAuth,
+  ...orderItemsValidation,
+  body('shippingState').optional().isIn(INDIAN_STATES).withMessage('Shipping state must be an Indian state or union territory'),
+  body('shippingPincode').optional().matches(PINCODE_PATTERN).withMessage('Shipping pincode must be 6 digits'),
+  body('shippingMethod').optional().isIn(SHIPPING_METHODS).withMessage(`Shipping method must be one of ${SHIPPING_METHODS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { items, couponCode, shippingState, shippingPincode, shippingMethod, deliverySlotId } = req.body;
+
+    // Shipping is only priced once a method is chosen
+    const quote = await buildQuote(items, repositories, {
+      couponCode,
+      userId: req.user ? req.user.id : null,
+      shippingState,
+      shipping: shippingMethod ? { method: shippingMethod, pincode: shippingPincode, deliverySlotId } : undefined
+    });
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Create payment intent for order
 // @route   POST /api/payment/create-intent
 // @access  Private
 router.post('/create-intent', [
   protect,
-  body('items').isArray({ min: 1 }).withMessage('Items array is required'),
-  body('items.*.type').isIn(['pet', 'product']).withMessage('Item type must be pet or product'),
-  body('items.*.id').isInt({ min: 1 }).withMessage('Item ID must be a positive integer'),
-  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
-  body('shippingAddress').trim().isLength({ min: 10 }).withMessage('Shipping address is required'),
+  idempotent,
+  ...orderItemsValidation,
+  body('shippingAddress.line1').trim().isLength({ min: 3, max: 200 }).withMessage('Address line 1 is required'),
+  body('shippingAddress.line2').optional().trim().isLength({ max: 200 }).withMessage('Address line 2 must be at most 200 characters'),
+  body('shippingAddress.city').trim().isLength({ min: 2, max: 100 }).withMessage('City is required'),
+  body('shippingAddress.state').isIn(INDIAN_STATES).withMessage('State must be an Indian state or union territory'),
+  body('shippingAddress.pincode').matches(PINCODE_PATTERN).withMessage('Pincode must be 6 digits'),
+  body('shippingAddress.phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
+  body('shippingMethod').isIn(SHIPPING_METHODS).withMessage(`Shipping method must be one of ${SHIPPING_METHODS.join(', ')}`),
   body('billingAddress').optional().trim()
 ], async (req, res) => {
   try {
@@ -29,190 +136,92 @@ router.post('/create-intent', [
       });
     }
 
-    const { items, shippingAddress, billingAddress, notes } = req.body;
+    const { items, couponCode, shippingAddress, shippingMethod, deliverySlotId, billingAddress, notes } = req.body;
     const userId = req.user.id;
-    const db = getDatabase();
-
-    let totalAmount = 0;
-    const orderItems = [];
-
-    // Validate items and calculate total
-    for (const item of items) {
-      const { type, id, quantity = 1 } = item;
-
-      if (type === 'pet') {
-        db.get(
-          'SELECT id, name, price, is_available FROM pets WHERE id = ?',
-          [id],
-          (err, pet) => {
-            if (err) {
-              return res.status(500).json({
-                success: false,
-                message: 'Database error'
-              });
-            }
-
-            if (!pet) {
-              return res.status(400).json({
-                success: false,
-                message: `Pet with ID ${id} not found`
-              });
-            }
-
-            if (!pet.is_available) {
-              return res.status(400).json({
-                success: false,
-                message: `Pet "${pet.name}" is not available`
-              });
-            }
-
-            totalAmount += pet.price * quantity;
-            orderItems.push({
-              type: 'pet',
-              id: pet.id,
-              name: pet.name,
-              price: pet.price,
-              quantity
-            });
-          }
-        );
-      } else if (type === 'product') {
-        db.get(
-          'SELECT id, name, price, stock_quantity, is_available FROM shop_products WHERE id = ?',
-          [id],
-          (err, product) => {
-            if (err) {
-              return res.status(500).json({
-                success: false,
-                message: 'Database error'
-              });
-            }
-
-            if (!product) {
-              return res.status(400).json({
-                success: false,
-                message: `Product with ID ${id} not found`
-              });
-            }
-
-            if (!product.is_available || product.stock_quantity < quantity) {
-              return res.status(400).json({
-                success: false,
-                message: `Product "${product.name}" is not available in sufficient quantity`
-              });
-            }
-
-            totalAmount += product.price * quantity;
-            orderItems.push({
-              type: 'product',
-              id: product.id,
-              name: product.name,
-              price: product.price,
-              quantity
-            });
-          }
-        );
-      }
-    }
 
-    // Wait for all database queries to complete
-    await new Promise(resolve => setTimeout(resolve, 100));
+    // Price the items and create the order with its items as one unit
+    const { orderId, orderNumber, quote, expiresAt } = await withTransaction(repos => placeOrder(repos, {
+      userId,
+      items,
+      couponCode,
+      shippingAddress,
+      shippingMethod,
+      deliverySlotId,
+      billingAddress,
+      notes
+    }));
+
+    // Only now that the order exists, create the payment intent
+    const provider = getPaymentProvider();
+    let paymentIntent;
+    try {
+      paymentIntent = await provider.createIntent({
+        amount: quote.totalAmount,
+        currency: quote.currency,
+        metadata: {
+          orderId: orderId.toString(),
+          orderNumber: orderNumber,
+          userId: userId.toString()
+        },
+        description: `Order ${orderNumber} - Sharma's Pet Nation`
+      });
+    } catch (providerError) {
+      console.error(`Payment provider (${provider.name}) error:`, providerError);
+      return res.status(500).json({
+        success: false,
+        message: 'Error creating payment intent'
+      });
+    }
 
-    if (totalAmount === 0) {
-      return res.status(400).json({
+    // Save payment record
+    try {
+      await Payments.create({
+        orderId,
+        provider: provider.name,
+        paymentIntentId: paymentIntent.id,
+        amount: quote.totalAmount,
+        status: 'pending'
+      });
+    } catch (err) {
+      // Without a payment record the payment could never be matched to the
+      // order, so withdraw the intent and the order rather than hand it out
+      console.error('Error saving payment record:', err);
+      try {
+        await provider.cancel(paymentIntent.id);
+        await withTransaction(repos => closeUnpaidOrder(repos, orderId, 'cancelled', {
+          note: 'Payment could not be set up'
+        }));
+      } catch (cleanupError) {
+        // The order sweeper closes the order once its reservation runs out
+        console.error(`Error withdrawing order ${orderNumber}:`, cleanupError);
+      }
+      return res.status(500).json({
         success: false,
-        message: 'No valid items found'
+        message: 'Error creating payment intent'
       });
     }
 
-    // Create order
-    const orderNumber = `ORD-${Date.now()}-${uuidv4().substring(0, 8).toUpperCase()}`;
-
-    db.run(
-      `INSERT INTO orders (user_id, order_number, total_amount, shipping_address, billing_address, notes)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [userId, orderNumber, totalAmount, shippingAddress, billingAddress || shippingAddress, notes],
-      function(err) {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error creating order'
-          });
-        }
-
-        const orderId = this.lastID;
-
-        // Insert order items
-        const insertOrderItems = () => {
-          const promises = orderItems.map(item => {
-            return new Promise((resolve, reject) => {
-              db.run(
-                'INSERT INTO order_items (order_id, item_type, item_id, quantity, price) VALUES (?, ?, ?, ?, ?)',
-                [orderId, item.type, item.id, item.quantity, item.price],
-                (err) => {
-                  if (err) reject(err);
-                  else resolve();
-                }
-              );
-            });
-          });
-
-          Promise.all(promises)
-            .then(() => {
-              // Create Stripe payment intent
-              stripe.paymentIntents.create({
-                amount: Math.round(totalAmount * 100), // Convert to cents
-                currency: 'inr',
-                metadata: {
-                  orderId: orderId.toString(),
-                  orderNumber: orderNumber,
-                  userId: userId.toString()
-                },
-                description: `Order ${orderNumber} - Sharma's Pet Nation`
-              })
-                .then(paymentIntent => {
-                  // Save payment record
-                  db.run(
-                    'INSERT INTO payments (order_id, stripe_payment_intent_id, amount, status) VALUES (?, ?, ?, ?)',
-                    [orderId, paymentIntent.id, totalAmount, 'pending'],
-                    (err) => {
-                      if (err) {
-                        console.error('Error saving payment record:', err);
-                      }
-                    }
-                  );
-
-                  res.json({
-                    success: true,
-                    data: {
-                      clientSecret: paymentIntent.client_secret,
-                      orderId: orderId,
-                      orderNumber: orderNumber,
-                      totalAmount: totalAmount
-                    }
-                  });
-                })
-                .catch(stripeError => {
-                  console.error('Stripe error:', stripeError);
-                  res.status(500).json({
-                    success: false,
-                    message: 'Error creating payment intent'
-                  });
-                });
-            })
-            .catch(err => {
-              console.error('Error inserting order items:', err);
-              res.status(500).json({
-                success: false,
-                message: 'Error processing order items'
-              });
-            });
-        };
-
-        insertOrderItems();
+    res.json({
+      success: true,
+      data: {
+        provider: provider.name,
+        paymentIntentId: paymentIntent.id,
+        clientSecret: paymentIntent.clientSecret,
+        orderId: orderId,
+        orderNumber: orderNumber,
+        totalAmount: quote.totalAmount,
+        expiresAt,
+        quote
       }
-    );
+    });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Payment creation error:', error);
     res.status(500).json({
       success: false,
@@ -241,113 +250,60 @@ router.post('/confirm', [
 
     const { paymentIntentId, orderId } = req.body;
     const userId = req.user.id;
-    const db = getDatabase();
 
-    // Verify payment intent with Stripe
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    // Verify payment intent with the payment provider
+    const paymentIntent = await getPaymentProvider().retrieve(paymentIntentId);
 
     if (paymentIntent.status !== 'succeeded') {
       return res.status(400).json({
         success: false,
-        message: 'Payment not completed'
+        message: paymentIntent.status === 'requires_action'
+          ? 'Payment requires additional authentication'
+          : 'Payment not completed',
+        data: { status: paymentIntent.status, error: paymentIntent.lastError }
       });
     }
 
-    // Verify order belongs to user
-    db.get(
-      'SELECT id, user_id, status FROM orders WHERE id = ? AND user_id = ?',
-      [orderId, userId],
-      async (err, order) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        if (!order) {
-          return res.status(404).json({
-            success: false,
-            message: 'Order not found'
-          });
-        }
-
-        if (order.status !== 'pending') {
-          return res.status(400).json({
-            success: false,
-            message: 'Order already processed'
-          });
-        }
-
-        // Update order status
-        db.run(
-          'UPDATE orders SET status = ?, payment_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          ['confirmed', 'paid', orderId],
-          function(err) {
-            if (err) {
-              return res.status(500).json({
-                success: false,
-                message: 'Error updating order status'
-              });
-            }
-
-            // Update payment record
-            db.run(
-              `UPDATE payments SET status = ?, payment_method = ?, transaction_id = ?, updated_at = CURRENT_TIMESTAMP 
-               WHERE order_id = ? AND stripe_payment_intent_id = ?`,
-              ['completed', paymentIntent.payment_method, paymentIntent.id, orderId, paymentIntentId],
-              (err) => {
-                if (err) {
-                  console.error('Error updating payment record:', err);
-                }
-              }
-            );
-
-            // Update stock quantities for products
-            db.all(
-              'SELECT item_type, item_id, quantity FROM order_items WHERE order_id = ?',
-              [orderId],
-              (err, orderItems) => {
-                if (err) {
-                  console.error('Error fetching order items:', err);
-                  return;
-                }
-
-                orderItems.forEach(item => {
-                  if (item.item_type === 'product') {
-                    db.run(
-                      'UPDATE shop_products SET stock_quantity = stock_quantity - ? WHERE id = ?',
-                      [item.quantity, item.item_id],
-                      (err) => {
-                        if (err) {
-                          console.error('Error updating stock:', err);
-                        }
-                      }
-                    );
-                  } else if (item.item_type === 'pet') {
-                    db.run(
-                      'UPDATE pets SET is_available = 0 WHERE id = ?',
-                      [item.item_id],
-                      (err) => {
-                        if (err) {
-                          console.error('Error updating pet availability:', err);
-                        }
-                      }
-                    );
-                  }
-                });
-              }
-            );
-
-            res.json({
-              success: true,
-              message: 'Payment confirmed successfully'
-            });
-          }
-        );
+    if (paymentIntent.metadata.orderId !== String(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment does not belong to this order'
+      });
+    }
+
+    // Mark the order paid, record the payment and update stock as one unit
+    await withTransaction(async (repos) => {
+      // Verify order belongs to user
+      const order = await repos.orders.findByIdForUser(orderId, userId);
+
+      if (!order) {
+        throw new ApiError(404, 'Order not found');
+      }
+
+      if (order.status === 'expired') {
+        throw new ApiError(400, 'Order has expired');
+      }
+
+      // The payment_intent.succeeded webhook may have got here first
+      if (order.status !== 'pending' && order.payment_status !== 'paid') {
+        throw new ApiError(400, 'Order already processed');
       }
-    );
+
+      await markOrderPaid(repos, orderId, paymentIntent);
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment confirmed successfully'
+    });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Payment confirmation error:', error);
     res.status(500).json({
       success: false,
@@ -356,99 +312,354 @@ router.post('/confirm', [
   }
 });
 
-// @desc    Handle Stripe webhook
+// @desc    Handle payment provider webhook
 // @route   POST /api/payment/webhook
-// @access  Public (Stripe)
+// @access  Public (payment provider)
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
+  const provider = getPaymentProvider();
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+    event = provider.verifyWebhook(req.body, req.headers);
   } catch (err) {
     console.log(`Webhook signature verification failed.`, err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  const db = getDatabase();
-
-  // Handle the event
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      
-      // Update payment status in database
-      db.run(
-        'UPDATE payments SET status = ? WHERE stripe_payment_intent_id = ?',
-        ['completed', paymentIntent.id],
-        (err) => {
-          if (err) {
-            console.error('Error updating payment status:', err);
-          }
-        }
-      );
-      
-      console.log('PaymentIntent was successful!');
-      break;
-    
-    case 'payment_intent.payment_failed':
-      const failedPayment = event.data.object;
-      
-      // Update payment status in database
-      db.run(
-        'UPDATE payments SET status = ? WHERE stripe_payment_intent_id = ?',
-        ['failed', failedPayment.id],
-        (err) => {
-          if (err) {
-            console.error('Error updating payment status:', err);
-          }
-        }
-      );
-      
-      console.log('PaymentIntent failed!');
-      break;
-    
-    default:
-      console.log(`Unhandled event type ${event.type}`);
+  try {
+    const { event: stored, duplicate } = await receiveEvent(provider.name, event);
+
+    if (duplicate) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    // Ask the provider to retry events we could not process
+    if (stored.status === 'failed') {
+      return res.status(500).json({ received: true, error: stored.last_error });
+    }
+
+    res.json({ received: true });
+  } catch (err) {
+    console.error('Error storing webhook event:', err);
+    res.status(500).json({ received: false });
   }
+});
+
+// @desc    List stored webhook events
+// @route   GET /api/payment/webhook-events
+// @access  Private (Admin)
+router.get('/webhook-events', [
+  protect,
+  authorize('admin'),
+  query('status').optional().isIn(['received', 'processing', 'processed', 'failed']).withMessage('Invalid status'),
+  query('type').optional().trim(),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { status, type } = req.query;
+
+    const { events, total } = await WebhookEvents.list({ status, type }, { limit, offset });
+
+    const totalPages = Math.ceil(total / limit);
 
-  res.json({ received: true });
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Process a stored webhook event again
+// @route   POST /api/payment/webhook-events/:id/replay
+// @access  Private (Admin)
+router.post('/webhook-events/:id/replay', protect, authorize('admin'), async (req, res) => {
+  try {
+    const eventId = req.params.id;
+
+    if (!eventId || isNaN(eventId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID'
+      });
+    }
+
+    const existing = await WebhookEvents.findById(eventId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    if (existing.status !== 'failed' && existing.status !== 'processing') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only failed or stuck events can be replayed'
+      });
+    }
+
+    const event = await replayEvent(eventId);
+
+    if (event.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        message: `Webhook event is still being processed; it can be replayed once it has been processing for ${PROCESSING_TIMEOUT_MINUTES} minutes`
+      });
+    }
+
+    res.json({
+      success: event.status === 'processed',
+      message: event.status === 'processed' ? 'Webhook event processed' : 'Webhook event failed again',
+      data: event
+    });
+  } catch (error) {
+    console.error('Webhook replay error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Refund an order's payment in full or in part
+// @route   POST /api/payment/:orderId/refund
+// @access  Private (Admin)
+router.post('/:orderId/refund', [
+  protect,
+  authorize('admin'),
+  idempotent,
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  body('reason').optional().trim(),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.type').optional().isIn(['pet', 'product']).withMessage('Item type must be pet or product'),
+  body('items.*.id').optional().isInt({ min: 1 }).withMessage('Item ID must be a positive integer'),
+  body('items.*.variantId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Variant ID must be a positive integer'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const orderId = req.params.orderId;
+    const { reason, items } = req.body;
+
+    if (!orderId || isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const order = await Orders.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const { payment, refundId, amount } = await withTransaction(repos => holdRefund(repos, {
+      orderId: order.id,
+      amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined,
+      reason,
+      createdBy: req.user.id,
+      restockItems: items
+    }));
+
+    let providerRefund;
+    try {
+      providerRefund = await getPaymentProvider().refund(payment.stripe_payment_intent_id, { amount });
+    } catch (providerError) {
+      console.error('Refund error:', providerError);
+      await Refunds.updateStatus(refundId, 'failed');
+      return res.status(502).json({
+        success: false,
+        message: 'Payment provider rejected the refund'
+      });
+    }
+
+    const refund = await withTransaction(repos => recordRefund(repos, {
+      paymentId: payment.id,
+      providerRefund,
+      reason,
+      createdBy: req.user.id,
+      restockItems: items,
+      heldRefundId: refundId
+    }));
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund issued successfully',
+      data: refund
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Force an outcome on a fake payment intent (development only)
+// @route   POST /api/payment/fake/:paymentIntentId/simulate
+// @access  Private (PAYMENT_PROVIDER=fake only)
+router.post('/fake/:paymentIntentId/simulate', [
+  protect,
+  body('outcome').isIn(FakeProvider.OUTCOMES).withMessage(`Outcome must be one of ${FakeProvider.OUTCOMES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+
+    if (!(provider instanceof FakeProvider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'The fake payment provider is not enabled'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payments.findByPaymentIntent(req.params.paymentIntentId);
+    const order = payment && await Orders.findById(payment.order_id);
+
+    if (!order || (order.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment intent not found'
+      });
+    }
+
+    const result = await provider.simulate(req.params.paymentIntentId, req.body.outcome);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Force an outcome on a fake setup intent, as if a card was entered (development only)
+// @route   POST /api/payment/fake/setup/:setupIntentId/simulate
+// @access  Private (PAYMENT_PROVIDER=fake only)
+router.post('/fake/setup/:setupIntentId/simulate', [
+  protect,
+  body('outcome').isIn(FakeProvider.SETUP_OUTCOMES).withMessage(`Outcome must be one of ${FakeProvider.SETUP_OUTCOMES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+
+    if (!(provider instanceof FakeProvider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'The fake payment provider is not enabled'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let setupIntent;
+    try {
+      setupIntent = await provider.retrieveSetupIntent(req.params.setupIntentId);
+    } catch (lookupError) {
+      setupIntent = null;
+    }
+
+    if (!setupIntent || (setupIntent.metadata.userId !== String(req.user.id) && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Setup intent not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await provider.simulateSetup(setupIntent.id, req.body.outcome)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
 });
 
 // @desc    Get payment history for user
 // @route   GET /api/payment/history
 // @access  Private
-router.get('/history', protect, (req, res) => {
+router.get('/history', protect, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const db = getDatabase();
-
-    db.all(
-      `SELECT o.id, o.order_number, o.total_amount, o.status, o.payment_status, o.created_at,
-              p.status as payment_status_detail, p.payment_method, p.transaction_id
-       FROM orders o
-       LEFT JOIN payments p ON o.id = p.order_id
-       WHERE o.user_id = ?
-       ORDER BY o.created_at DESC`,
-      [userId],
-      (err, orders) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: orders
-        });
-      }
-    );
+    const orders = await Orders.listForUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: orders
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
@@ -1,6 +1,6 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { getDatabase } = require('../database/init');
+const { pets: Pets } = require('../database/repositories');
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
 const { uploadPetImage, handleUploadError, deleteFile, getFileUrl } = require('../middleware/upload');
 
@@ -19,7 +19,7 @@ router.get('/', [
   query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be a positive number'),
   query('available').optional().isBoolean().withMessage('Available must be true or false'),
   query('featured').optional().isBoolean().withMessage('Featured must be true or false')
-], optionalAuth, (req, res) => {
+], optionalAuth, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -36,96 +36,34 @@ router.get('/', [
 
     const { species, breed, gender, minPrice, maxPrice, available, featured } = req.query;
 
-    let whereConditions = [];
-    let params = [];
+    const { pets, total } = await Pets.list({
+      species,
+      breed,
+      gender,
+      minPrice,
+      maxPrice,
+      available: available !== undefined ? available === 'true' : undefined,
+      featured: featured !== undefined ? featured === 'true' : undefined
+    }, { limit, offset });
 
-    if (species) {
-      whereConditions.push('species = ?');
-      params.push(species);
-    }
-
-    if (breed) {
-      whereConditions.push('breed LIKE ?');
-      params.push(`%${breed}%`);
-    }
-
-    if (gender) {
-      whereConditions.push('gender = ?');
-      params.push(gender);
-    }
+    const totalPages = Math.ceil(total / limit);
 
-    if (minPrice) {
-      whereConditions.push('price >= ?');
-      params.push(minPrice);
-    }
-
-    if (maxPrice) {
-      whereConditions.push('price <= ?');
-      params.push(maxPrice);
-    }
-
-    if (available !== undefined) {
-      whereConditions.push('is_available = ?');
-      params.push(available === 'true' ? 1 : 0);
-    }
-
-    if (featured !== undefined) {
-      whereConditions.push('is_featured = ?');
-      params.push(featured === 'true' ? 1 : 0);
-    }
-
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
-
-    const db = getDatabase();
-
-    // Get total count
-    const countQuery = `SELECT COUNT(*) as total FROM pets ${whereClause}`;
-    db.get(countQuery, params, (err, countResult) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error'
-        });
+    res.json({
+      success: true,
+      data: pets,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
       }
-
-      const total = countResult.total;
-      const totalPages = Math.ceil(total / limit);
-
-      // Get pets
-      const petsQuery = `
-        SELECT id, name, breed, species, gender, age_weeks, description, price, 
-               image_url, is_available, is_featured, vaccination_status, created_at
-        FROM pets ${whereClause}
-        ORDER BY is_featured DESC, created_at DESC
-        LIMIT ? OFFSET ?
-      `;
-
-      db.all(petsQuery, [...params, limit, offset], (err, pets) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: pets,
-          pagination: {
-            currentPage: page,
-            totalPages,
-            totalItems: total,
-            itemsPerPage: limit,
-            hasNextPage: page < totalPages,
-            hasPrevPage: page > 1
-          }
-        });
-      });
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
@@ -133,7 +71,7 @@ router.get('/', [
 // @desc    Get single pet
 // @route   GET /api/pets/:id
 // @access  Public
-router.get('/:id', optionalAuth, (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const petId = req.params.id;
 
@@ -144,39 +82,23 @@ router.get('/:id', optionalAuth, (req, res) => {
       });
     }
 
-    const db = getDatabase();
-    
-    db.get(
-      `SELECT id, name, breed, species, gender, age_weeks, description, price, 
-              image_url, is_available, is_featured, vaccination_status, 
-              health_certificate, created_at
-       FROM pets WHERE id = ?`,
-      [petId],
-      (err, pet) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        if (!pet) {
-          return res.status(404).json({
-            success: false,
-            message: 'Pet not found'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: pet
-        });
-      }
-    );
+    const pet = await Pets.findById(petId);
+
+    if (!pet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pet not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: pet
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
@@ -231,16 +153,11 @@ router.delete('/image/:filename', [
     await deleteFile(filePath);
 
     // Update database to remove image reference
-    const db = getDatabase();
-    db.run(
-      'UPDATE pets SET image_url = NULL WHERE image_url LIKE ?',
-      [`%/uploads/pets/${filename}`],
-      (err) => {
-        if (err) {
-          console.error('Error updating database:', err);
-        }
-      }
-    );
+    try {
+      await Pets.clearImage(filename);
+    } catch (err) {
+      console.error('Error updating database:', err);
+    }
 
     res.json({
       success: true,
@@ -271,7 +188,7 @@ router.post('/', [
   body('vaccinationStatus').optional().trim(),
   body('healthCertificate').optional().trim(),
   body('isFeatured').optional().isBoolean()
-], (req, res) => {
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -287,33 +204,20 @@ router.post('/', [
       imageUrl, vaccinationStatus, healthCertificate, isFeatured
     } = req.body;
 
-    const db = getDatabase();
-    
-    db.run(
-      `INSERT INTO pets (name, breed, species, gender, age_weeks, description, price,
-                        image_url, vaccination_status, health_certificate, is_featured)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [name, breed, species, gender, ageWeeks, description, price,
-       imageUrl, vaccinationStatus, healthCertificate, isFeatured ? 1 : 0],
-      function(err) {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error creating pet'
-          });
-        }
-
-        res.status(201).json({
-          success: true,
-          message: 'Pet created successfully',
-          data: { id: this.lastID }
-        });
-      }
-    );
+    const petId = await Pets.create({
+      name, breed, species, gender, ageWeeks, description, price,
+      imageUrl, vaccinationStatus, healthCertificate, isFeatured
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pet created successfully',
+      data: { id: petId }
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Error creating pet'
     });
   }
 });
@@ -336,7 +240,7 @@ router.put('/:id', [
   body('healthCertificate').optional().trim(),
   body('isAvailable').optional().isBoolean(),
   body('isFeatured').optional().isBoolean()
-], (req, res) => {
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -357,113 +261,33 @@ router.put('/:id', [
       });
     }
 
-    const db = getDatabase();
-
     // Check if pet exists
-    db.get('SELECT id FROM pets WHERE id = ?', [petId], (err, pet) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error'
-        });
-      }
-
-      if (!pet) {
-        return res.status(404).json({
-          success: false,
-          message: 'Pet not found'
-        });
-      }
+    const pet = await Pets.findById(petId);
 
-      // Build dynamic update query
-      const updateFields = [];
-      const params = [];
-
-      Object.keys(updates).forEach(key => {
-        if (updates[key] !== undefined) {
-          switch (key) {
-            case 'name':
-              updateFields.push('name = ?');
-              params.push(updates[key]);
-              break;
-            case 'breed':
-              updateFields.push('breed = ?');
-              params.push(updates[key]);
-              break;
-            case 'species':
-              updateFields.push('species = ?');
-              params.push(updates[key]);
-              break;
-            case 'gender':
-              updateFields.push('gender = ?');
-              params.push(updates[key]);
-              break;
-            case 'ageWeeks':
-              updateFields.push('age_weeks = ?');
-              params.push(updates[key]);
-              break;
-            case 'description':
-              updateFields.push('description = ?');
-              params.push(updates[key]);
-              break;
-            case 'price':
-              updateFields.push('price = ?');
-              params.push(updates[key]);
-              break;
-            case 'imageUrl':
-              updateFields.push('image_url = ?');
-              params.push(updates[key]);
-              break;
-            case 'vaccinationStatus':
-              updateFields.push('vaccination_status = ?');
-              params.push(updates[key]);
-              break;
-            case 'healthCertificate':
-              updateFields.push('health_certificate = ?');
-              params.push(updates[key]);
-              break;
-            case 'isAvailable':
-              updateFields.push('is_available = ?');
-              params.push(updates[key] ? 1 : 0);
-              break;
-            case 'isFeatured':
-              updateFields.push('is_featured = ?');
-              params.push(updates[key] ? 1 : 0);
-              break;
-          }
-        }
+    if (!pet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pet not found'
       });
+    }
 
-      if (updateFields.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'No valid fields to update'
-        });
-      }
-
-      updateFields.push('updated_at = CURRENT_TIMESTAMP');
-      params.push(petId);
-
-      const updateQuery = `UPDATE pets SET ${updateFields.join(', ')} WHERE id = ?`;
-
-      db.run(updateQuery, params, function(err) {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error updating pet'
-          });
-        }
+    const updated = await Pets.update(petId, updates);
 
-        res.json({
-          success: true,
-          message: 'Pet updated successfully'
-        });
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update'
       });
+    }
+
+    res.json({
+      success: true,
+      message: 'Pet updated successfully'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Error updating pet'
     });
   }
 });
@@ -471,7 +295,7 @@ router.put('/:id', [
 // @desc    Delete pet
 // @route   DELETE /api/pets/:id
 // @access  Private (Admin only)
-router.delete('/:id', [protect, authorize('admin')], (req, res) => {
+router.delete('/:id', [protect, authorize('admin')], async (req, res) => {
   try {
     const petId = req.params.id;
 
@@ -482,41 +306,25 @@ router.delete('/:id', [protect, authorize('admin')], (req, res) => {
       });
     }
 
-    const db = getDatabase();
-    
-    db.get('SELECT id FROM pets WHERE id = ?', [petId], (err, pet) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error'
-        });
-      }
+    const pet = await Pets.findById(petId);
 
-      if (!pet) {
-        return res.status(404).json({
-          success: false,
-          message: 'Pet not found'
-        });
-      }
-
-      db.run('DELETE FROM pets WHERE id = ?', [petId], function(err) {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error deleting pet'
-          });
-        }
-
-        res.json({
-          success: true,
-          message: 'Pet deleted successfully'
-        });
+    if (!pet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pet not found'
       });
+    }
+
+    await Pets.delete(petId);
+
+    res.json({
+      success: true,
+      message: 'Pet deleted successfully'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Error deleting pet'
     });
   }
 });
@@ -524,35 +332,18 @@ router.delete('/:id', [protect, authorize('admin')], (req, res) => {
 // @desc    Get featured pets
 // @route   GET /api/pets/featured
 // @access  Public
-router.get('/featured', optionalAuth, (req, res) => {
+router.get('/featured', optionalAuth, async (req, res) => {
   try {
-    const db = getDatabase();
-    
-    db.all(
-      `SELECT id, name, breed, species, gender, age_weeks, description, price, 
-              image_url, vaccination_status
-       FROM pets 
-       WHERE is_featured = 1 AND is_available = 1
-       ORDER BY created_at DESC
-       LIMIT 6`,
-      (err, pets) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: pets
-        });
-      }
-    );
+    const pets = await Pets.findFeatured(6);
+
+    res.json({
+      success: true,
+      data: pets
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
@@ -0,0 +1,274 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { promotions: Promotions, withTransaction } = require('../database/repositories');
+const { protect, authorize } = require('../middleware/auth');
+const { ApiError } = require('../middleware/errorHandler');
+const { DISCOUNT_TYPES, checkPromotion } = require('../services/promotions');
+
+const router = express.Router();
+
+const promotionValidation = [
+  body('description').optional({ nullable: true }).trim(),
+  body('minOrderValue').optional().isFloat({ min: 0 }).withMessage('Minimum order value must be a positive number'),
+  body('category').optional({ nullable: true }).trim(),
+  body('productId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Product ID must be a positive integer'),
+  body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be a positive integer'),
+  body('perUserLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Per-user limit must be a positive integer'),
+  body('startsAt').optional({ nullable: true }).isISO8601().withMessage('Start must be an ISO 8601 date'),
+  body('endsAt').optional({ nullable: true }).isISO8601().withMessage('End must be an ISO 8601 date'),
+  body('isActive').optional().isBoolean()
+];
+
+// Letters, digits, dashes and underscores
+const CODE_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// @desc    Get promotions
+// @route   GET /api/promotions
+// @access  Private (Admin only)
+router.get('/', [
+  protect,
+  authorize('admin'),
+  query('active').optional().isBoolean(),
+  query('search').optional().trim(),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const active = req.query.active !== undefined ? req.query.active === 'true' : undefined;
+
+    const { promotions, total } = await Promotions.list({ active, search: req.query.search }, { limit, offset });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: promotions,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Get single promotion
+// @route   GET /api/promotions/:id
+// @access  Private (Admin only)
+router.get('/:id', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const promotionId = req.params.id;
+
+    if (!promotionId || isNaN(promotionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotion ID'
+      });
+    }
+
+    const promotion = await Promotions.findById(promotionId);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Create promotion
+// @route   POST /api/promotions
+// @access  Private (Admin only)
+router.post('/', [
+  protect,
+  authorize('admin'),
+  body('code').trim().isLength({ min: 3, max: 50 }).matches(CODE_PATTERN)
+    .withMessage('Code must be 3-50 letters, digits, dashes or underscores'),
+  body('discountType').isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of ${DISCOUNT_TYPES.join(', ')}`),
+  body('discountValue').isFloat({ gt: 0 }).withMessage('Discount value must be greater than zero'),
+  ...promotionValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const promotion = await withTransaction(async (repos) => {
+      if (await repos.promotions.findByCode(req.body.code)) {
+        throw new ApiError(409, 'A promotion with this code already exists');
+      }
+
+      const promotionId = await repos.promotions.create({ ...req.body, createdBy: req.user.id });
+      return checkPromotion(repos, promotionId);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating promotion'
+    });
+  }
+});
+
+// @desc    Update promotion
+// @route   PUT /api/promotions/:id
+// @access  Private (Admin only)
+router.put('/:id', [
+  protect,
+  authorize('admin'),
+  body('code').optional().trim().isLength({ min: 3, max: 50 }).matches(CODE_PATTERN)
+    .withMessage('Code must be 3-50 letters, digits, dashes or underscores'),
+  body('discountType').optional().isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of ${DISCOUNT_TYPES.join(', ')}`),
+  body('discountValue').optional().isFloat({ gt: 0 }).withMessage('Discount value must be greater than zero'),
+  ...promotionValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const promotionId = req.params.id;
+
+    if (!promotionId || isNaN(promotionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotion ID'
+      });
+    }
+
+    const promotion = await withTransaction(async (repos) => {
+      const existing = await repos.promotions.findById(promotionId);
+
+      if (!existing) {
+        throw new ApiError(404, 'Promotion not found');
+      }
+
+      if (req.body.code) {
+        const sameCode = await repos.promotions.findByCode(req.body.code);
+
+        if (sameCode && sameCode.id !== existing.id) {
+          throw new ApiError(409, 'A promotion with this code already exists');
+        }
+      }
+
+      if (!await repos.promotions.update(promotionId, req.body)) {
+        throw new ApiError(400, 'No valid fields to update');
+      }
+
+      return checkPromotion(repos, promotionId);
+    });
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: promotion
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating promotion'
+    });
+  }
+});
+
+// @desc    Deactivate promotion
+// @route   DELETE /api/promotions/:id
+// @access  Private (Admin only)
+router.delete('/:id', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const promotionId = req.params.id;
+
+    if (!promotionId || isNaN(promotionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotion ID'
+      });
+    }
+
+    const promotion = await Promotions.findById(promotionId);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    // Orders keep their discounts, so the promotion is only switched off
+    await Promotions.deactivate(promotionId);
+
+    res.json({
+      success: true,
+      message: 'Promotion deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating promotion'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,643 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const {
+  suppliers: Suppliers,
+  purchaseOrders: PurchaseOrders,
+  withTransaction
+} = require('../database/repositories');
+const { protect, authorize } = require('../middleware/auth');
+const { ApiError } = require('../middleware/errorHandler');
+const { validatePurchaseOrderItems, receivePurchaseOrder } = require('../services/purchasing');
+const { v4: uuidv4 } = require('uuid');
+
+const router = express.Router();
+
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received'];
+
+const supplierValidation = [
+  body('contactName').optional().trim(),
+  body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('phone').optional().trim(),
+  body('address').optional().trim(),
+  body('notes').optional().trim()
+];
+
+const purchaseOrderItemValidation = [
+  body('items.*.productId').isInt({ min: 1 }).withMessage('Product ID must be a positive integer'),
+  body('items.*.variantId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Variant ID must be a positive integer'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('items.*.unitCost').isFloat({ min: 0 }).withMessage('Unit cost must be a positive number')
+];
+
+// @desc    Get suppliers
+// @route   GET /api/shop/suppliers
+// @access  Private (Admin only)
+router.get('/suppliers', [
+  protect,
+  authorize('admin'),
+  query('active').optional().isBoolean(),
+  query('search').optional().trim(),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const active = req.query.active !== undefined ? req.query.active === 'true' : undefined;
+
+    const { suppliers, total } = await Suppliers.list({ active, search: req.query.search }, { limit, offset });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: suppliers,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Get single supplier
+// @route   GET /api/shop/suppliers/:id
+// @access  Private (Admin only)
+router.get('/suppliers/:id', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const supplierId = req.params.id;
+
+    if (!supplierId || isNaN(supplierId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const supplier = await Suppliers.findById(supplierId);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Create supplier
+// @route   POST /api/shop/suppliers
+// @access  Private (Admin only)
+router.post('/suppliers', [
+  protect,
+  authorize('admin'),
+  body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  ...supplierValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, contactName, email, phone, address, notes } = req.body;
+    const supplierId = await Suppliers.create({ name, contactName, email, phone, address, notes });
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: { id: supplierId }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating supplier'
+    });
+  }
+});
+
+// @desc    Update supplier
+// @route   PUT /api/shop/suppliers/:id
+// @access  Private (Admin only)
+router.put('/suppliers/:id', [
+  protect,
+  authorize('admin'),
+  body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  ...supplierValidation,
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supplierId = req.params.id;
+
+    if (!supplierId || isNaN(supplierId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const supplier = await Suppliers.findById(supplierId);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const updated = await Suppliers.update(supplierId, req.body);
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Supplier updated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating supplier'
+    });
+  }
+});
+
+// @desc    Deactivate supplier
+// @route   DELETE /api/shop/suppliers/:id
+// @access  Private (Admin only)
+router.delete('/suppliers/:id', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const supplierId = req.params.id;
+
+    if (!supplierId || isNaN(supplierId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const supplier = await Suppliers.findById(supplierId);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    // Soft delete so existing purchase orders keep their supplier
+    await Suppliers.deactivate(supplierId);
+
+    res.json({
+      success: true,
+      message: 'Supplier deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating supplier'
+    });
+  }
+});
+
+// @desc    Get purchase orders
+// @route   GET /api/shop/purchase-orders
+// @access  Private (Admin only)
+router.get('/purchase-orders', [
+  protect,
+  authorize('admin'),
+  query('status').optional().isIn(PURCHASE_ORDER_STATUSES).withMessage('Invalid status'),
+  query('supplierId').optional().isInt({ min: 1 }).withMessage('Supplier ID must be a positive integer'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { status, supplierId } = req.query;
+
+    const { purchaseOrders, total } = await PurchaseOrders.list({ status, supplierId }, { limit, offset });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: purchaseOrders,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Get purchase order with its items and receipts
+// @route   GET /api/shop/purchase-orders/:id
+// @access  Private (Admin only)
+router.get('/purchase-orders/:id', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const purchaseOrderId = req.params.id;
+
+    if (!purchaseOrderId || isNaN(purchaseOrderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purchase order ID'
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrders.findById(purchaseOrderId);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const [items, receipts] = await Promise.all([
+      PurchaseOrders.findItems(purchaseOrderId),
+      PurchaseOrders.findReceipts(purchaseOrderId)
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...purchaseOrder, items, receipts }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Create a draft purchase order
+// @route   POST /api/shop/purchase-orders
+// @access  Private (Admin only)
+router.post('/purchase-orders', [
+  protect,
+  authorize('admin'),
+  body('supplierId').isInt({ min: 1 }).withMessage('Supplier ID is required'),
+  body('notes').optional().trim(),
+  body('expectedAt').optional().isISO8601().withMessage('Expected date must be a valid date'),
+  body('items').isArray({ min: 1 }).withMessage('Items array is required'),
+  ...purchaseOrderItemValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { supplierId, notes, expectedAt } = req.body;
+    const poNumber = `PO-${Date.now()}-${uuidv4().substring(0, 8).toUpperCase()}`;
+
+    const purchaseOrderId = await withTransaction(async (repos) => {
+      const supplier = await repos.suppliers.findById(supplierId);
+
+      if (!supplier || !supplier.is_active) {
+        throw new ApiError(400, 'Supplier not found or inactive');
+      }
+
+      const items = await validatePurchaseOrderItems(repos, req.body.items);
+      const purchaseOrderId = await repos.purchaseOrders.create({
+        poNumber, supplierId, notes, expectedAt, createdBy: req.user.id
+      });
+
+      for (const item of items) {
+        await repos.purchaseOrders.addItem(purchaseOrderId, item);
+      }
+
+      return purchaseOrderId;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      data: { id: purchaseOrderId, poNumber }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Purchase order creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update a draft purchase order; items, when given, replace the existing ones
+// @route   PUT /api/shop/purchase-orders/:id
+// @access  Private (Admin only)
+router.put('/purchase-orders/:id', [
+  protect,
+  authorize('admin'),
+  body('supplierId').optional().isInt({ min: 1 }).withMessage('Supplier ID must be a positive integer'),
+  body('notes').optional().trim(),
+  body('expectedAt').optional().isISO8601().withMessage('Expected date must be a valid date'),
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  ...purchaseOrderItemValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const purchaseOrderId = req.params.id;
+
+    if (!purchaseOrderId || isNaN(purchaseOrderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purchase order ID'
+      });
+    }
+
+    await withTransaction(async (repos) => {
+      const purchaseOrder = await repos.purchaseOrders.findById(purchaseOrderId);
+
+      if (!purchaseOrder) {
+        throw new ApiError(404, 'Purchase order not found');
+      }
+
+      if (purchaseOrder.status !== 'draft') {
+        throw new ApiError(400, 'Only draft purchase orders can be changed');
+      }
+
+      if (req.body.supplierId) {
+        const supplier = await repos.suppliers.findById(req.body.supplierId);
+
+        if (!supplier || !supplier.is_active) {
+          throw new ApiError(400, 'Supplier not found or inactive');
+        }
+      }
+
+      const fieldsUpdated = await repos.purchaseOrders.update(purchaseOrderId, req.body);
+
+      if (!req.body.items) {
+        if (!fieldsUpdated) {
+          throw new ApiError(400, 'No valid fields to update');
+        }
+        return;
+      }
+
+      const items = await validatePurchaseOrderItems(repos, req.body.items);
+      await repos.purchaseOrders.removeItems(purchaseOrderId);
+
+      for (const item of items) {
+        await repos.purchaseOrders.addItem(purchaseOrderId, item);
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Purchase order updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Purchase order update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete a draft purchase order
+// @route   DELETE /api/shop/purchase-orders/:id
+// @access  Private (Admin only)
+router.delete('/purchase-orders/:id', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const purchaseOrderId = req.params.id;
+
+    if (!purchaseOrderId || isNaN(purchaseOrderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purchase order ID'
+      });
+    }
+
+    await withTransaction(async (repos) => {
+      const purchaseOrder = await repos.purchaseOrders.findById(purchaseOrderId);
+
+      if (!purchaseOrder) {
+        throw new ApiError(404, 'Purchase order not found');
+      }
+
+      if (purchaseOrder.status !== 'draft') {
+        throw new ApiError(400, 'Only draft purchase orders can be deleted');
+      }
+
+      await repos.purchaseOrders.removeItems(purchaseOrderId);
+      await repos.purchaseOrders.delete(purchaseOrderId);
+    });
+
+    res.json({
+      success: true,
+      message: 'Purchase order deleted successfully'
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Purchase order deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Mark a draft purchase order as sent to the supplier
+// @route   POST /api/shop/purchase-orders/:id/send
+// @access  Private (Admin only)
+router.post('/purchase-orders/:id/send', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const purchaseOrderId = req.params.id;
+
+    if (!purchaseOrderId || isNaN(purchaseOrderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purchase order ID'
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrders.findById(purchaseOrderId);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be sent'
+      });
+    }
+
+    await PurchaseOrders.updateStatus(purchaseOrderId, 'sent', 'sent_at');
+
+    res.json({
+      success: true,
+      message: 'Purchase order marked as sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Receive stock against a sent purchase order
+// @route   POST /api/shop/purchase-orders/:id/receive
+// @access  Private (Admin only)
+router.post('/purchase-orders/:id/receive', [
+  protect,
+  authorize('admin'),
+  body('items').isArray({ min: 1 }).withMessage('Items array is required'),
+  body('items.*.itemId').isInt({ min: 1 }).withMessage('Item ID must be a positive integer'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('items.*.landedUnitCost').optional().isFloat({ min: 0 }).withMessage('Landed unit cost must be a positive number'),
+  body('additionalCosts').optional().isFloat({ min: 0 }).withMessage('Additional costs must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const purchaseOrderId = req.params.id;
+
+    if (!purchaseOrderId || isNaN(purchaseOrderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purchase order ID'
+      });
+    }
+
+    const status = await withTransaction(repos => receivePurchaseOrder(repos, purchaseOrderId, {
+      lines: req.body.items,
+      additionalCosts: req.body.additionalCosts,
+      receivedBy: req.user.id
+    }));
+
+    res.json({
+      success: true,
+      message: status === 'received' ? 'Purchase order fully received' : 'Purchase order partially received',
+      data: { status }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Purchase order receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
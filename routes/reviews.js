@@ -0,0 +1,550 @@
+const express = require('express');
+const path = require('path');
+const { body, validationResult, query } = require('express-validator');
+const {
+  shopProducts: ShopProducts,
+  productReviews: ProductReviews
+} = require('../database/repositories');
+const { protect, authorize } = require('../middleware/auth');
+const { uploadReviewPhoto, handleUploadError, deleteFile, getFileUrl } = require('../middleware/upload');
+
+const router = express.Router();
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const REVIEW_SORTS = ['newest', 'oldest', 'highest', 'lowest'];
+const MAX_REVIEW_PHOTOS = 4;
+
+const reviewPhotoPath = (filename) => path.join(process.env.UPLOAD_PATH || './uploads', 'reviews', filename);
+
+// Attach each review's photos. Shoppers see the review as published;
+// admins and the author also see where it is in moderation.
+async function withPhotos(reviews, { moderation = false } = {}) {
+  const photos = await ProductReviews.listPhotos(reviews.map(review => review.id));
+
+  return reviews.map(review => ({
+    id: review.id,
+    product_id: review.product_id,
+    product_name: review.product_name,
+    reviewer_name: review.reviewer_name,
+    rating: review.rating,
+    title: review.title,
+    body: review.body,
+    is_verified_purchase: review.is_verified_purchase,
+    created_at: review.created_at,
+    updated_at: review.updated_at,
+    ...(moderation && {
+      user_id: review.user_id,
+      status: review.status,
+      moderation_note: review.moderation_note,
+      moderated_by: review.moderated_by,
+      moderated_at: review.moderated_at
+    }),
+    photos: photos
+      .filter(photo => photo.review_id === review.id)
+      .map(photo => ({ id: photo.id, url: getFileUrl(photo.filename, 'reviews') }))
+  }));
+}
+
+// @desc    Get a product's approved reviews and rating breakdown
+// @route   GET /api/shop/products/:id/reviews
+// @access  Public
+router.get('/products/:id/reviews', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('sort').optional().isIn(REVIEW_SORTS).withMessage(`Sort must be one of ${REVIEW_SORTS.join(', ')}`),
+  query('verified').optional().isBoolean().withMessage('Verified must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const productId = req.params.id;
+
+    if (!productId || isNaN(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    if (!await ShopProducts.findById(productId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const [{ reviews, total }, summary] = await Promise.all([
+      ProductReviews.list({
+        productId,
+        status: 'approved',
+        verified: req.query.verified !== undefined ? req.query.verified === 'true' : undefined
+      }, { limit, offset, sort: req.query.sort }),
+      ProductReviews.ratingSummary(productId)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        reviews: await withPhotos(reviews)
+      },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Review a product
+// @route   POST /api/shop/products/:id/reviews
+// @access  Private
+router.post('/products/:id/reviews', [
+  protect,
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('title').trim().isLength({ min: 2, max: 150 }).withMessage('Title must be between 2 and 150 characters'),
+  body('body').optional().trim().isLength({ max: 5000 }).withMessage('Review must be at most 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const productId = req.params.id;
+
+    if (!productId || isNaN(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    if (!await ShopProducts.findById(productId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (await ProductReviews.findByProductAndUser(productId, req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    const { rating, title, body: reviewBody } = req.body;
+    const reviewId = await ProductReviews.create({
+      productId: parseInt(productId, 10),
+      userId: req.user.id,
+      rating: parseInt(rating, 10),
+      title,
+      body: reviewBody
+    });
+    const [review] = await withPhotos([await ProductReviews.findById(reviewId)], { moderation: true });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted and waiting for approval',
+      data: review
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting review'
+    });
+  }
+});
+
+// @desc    Get the signed-in customer's reviews
+// @route   GET /api/shop/reviews/mine
+// @access  Private
+router.get('/reviews/mine', [
+  protect,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { reviews, total } = await ProductReviews.list({ userId: req.user.id }, { limit, offset });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: await withPhotos(reviews, { moderation: true }),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Get the review moderation queue
+// @route   GET /api/shop/reviews
+// @access  Private (Admin only)
+router.get('/reviews', [
+  protect,
+  authorize('admin'),
+  query('status').optional().isIn(REVIEW_STATUSES).withMessage(`Status must be one of ${REVIEW_STATUSES.join(', ')}`),
+  query('productId').optional().isInt({ min: 1 }).withMessage('Product ID must be a positive integer'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    // Oldest first, so reviews are moderated in the order they came in
+    const { reviews, total } = await ProductReviews.list({
+      status: req.query.status || 'pending',
+      productId: req.query.productId
+    }, { limit, offset, sort: 'oldest' });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: await withPhotos(reviews, { moderation: true }),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Approve or reject a review
+// @route   PUT /api/shop/reviews/:id/moderate
+// @access  Private (Admin only)
+router.put('/reviews/:id/moderate', [
+  protect,
+  authorize('admin'),
+  body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reviewId = req.params.id;
+
+    if (!reviewId || isNaN(reviewId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review ID'
+      });
+    }
+
+    if (!await ProductReviews.findById(reviewId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await ProductReviews.moderate(reviewId, {
+      status: req.body.status,
+      note: req.body.note,
+      moderatedBy: req.user.id
+    });
+    const [review] = await withPhotos([await ProductReviews.findById(reviewId)], { moderation: true });
+
+    res.json({
+      success: true,
+      message: `Review ${req.body.status}`,
+      data: review
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error moderating review'
+    });
+  }
+});
+
+// @desc    Edit a review, which sends it back for approval
+// @route   PUT /api/shop/reviews/:id
+// @access  Private (author)
+router.put('/reviews/:id', [
+  protect,
+  body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('title').optional().trim().isLength({ min: 2, max: 150 }).withMessage('Title must be between 2 and 150 characters'),
+  body('body').optional().trim().isLength({ max: 5000 }).withMessage('Review must be at most 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reviewId = req.params.id;
+
+    if (!reviewId || isNaN(reviewId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review ID'
+      });
+    }
+
+    const review = await ProductReviews.findById(reviewId);
+
+    if (!review || review.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const { rating, title, body: reviewBody } = req.body;
+    const updated = await ProductReviews.update(reviewId, {
+      rating: rating !== undefined ? parseInt(rating, 10) : undefined,
+      title,
+      body: reviewBody
+    });
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    const [result] = await withPhotos([await ProductReviews.findById(reviewId)], { moderation: true });
+
+    res.json({
+      success: true,
+      message: 'Review updated and waiting for approval',
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating review'
+    });
+  }
+});
+
+// @desc    Delete a review and its photos
+// @route   DELETE /api/shop/reviews/:id
+// @access  Private (author or Admin)
+router.delete('/reviews/:id', protect, async (req, res) => {
+  try {
+    const reviewId = req.params.id;
+
+    if (!reviewId || isNaN(reviewId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review ID'
+      });
+    }
+
+    const review = await ProductReviews.findById(reviewId);
+
+    if (!review || (review.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const photos = await ProductReviews.listPhotos([review.id]);
+    await ProductReviews.delete(review.id);
+
+    for (const photo of photos) {
+      try {
+        await deleteFile(reviewPhotoPath(photo.filename));
+      } catch (err) {
+        console.error('Error deleting review photo:', err);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting review'
+    });
+  }
+});
+
+// @desc    Add a photo to a review, which sends it back for approval
+// @route   POST /api/shop/reviews/:id/photos
+// @access  Private (author)
+router.post('/reviews/:id/photos', protect, uploadReviewPhoto, handleUploadError, async (req, res) => {
+  // The photo is already on disk; remove it again if it is not kept
+  const discardUpload = () => (req.file ? deleteFile(req.file.path).catch(() => {}) : null);
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image file provided'
+      });
+    }
+
+    const reviewId = req.params.id;
+    const review = reviewId && !isNaN(reviewId) ? await ProductReviews.findById(reviewId) : null;
+
+    if (!review || review.user_id !== req.user.id) {
+      await discardUpload();
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if ((await ProductReviews.listPhotos([review.id])).length >= MAX_REVIEW_PHOTOS) {
+      await discardUpload();
+      return res.status(400).json({
+        success: false,
+        message: `A review can have at most ${MAX_REVIEW_PHOTOS} photos`
+      });
+    }
+
+    const photoId = await ProductReviews.addPhoto(review.id, req.file.filename);
+    await ProductReviews.resubmit(review.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Photo added and waiting for approval',
+      data: {
+        id: photoId,
+        url: getFileUrl(req.file.filename, 'reviews')
+      }
+    });
+  } catch (error) {
+    await discardUpload();
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading photo'
+    });
+  }
+});
+
+// @desc    Remove a photo from a review
+// @route   DELETE /api/shop/reviews/:id/photos/:photoId
+// @access  Private (author or Admin)
+router.delete('/reviews/:id/photos/:photoId', protect, async (req, res) => {
+  try {
+    const { id: reviewId, photoId } = req.params;
+
+    if (isNaN(reviewId) || isNaN(photoId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review or photo ID'
+      });
+    }
+
+    const review = await ProductReviews.findById(reviewId);
+    const photo = review ? await ProductReviews.findPhoto(review.id, photoId) : null;
+
+    if (!photo || (review.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    await ProductReviews.deletePhoto(photo.id);
+
+    try {
+      await deleteFile(reviewPhotoPath(photo.filename));
+    } catch (err) {
+      console.error('Error deleting review photo:', err);
+    }
+
+    res.json({
+      success: true,
+      message: 'Photo removed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing photo'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,704 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const repositories = require('../database/repositories');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { ApiError } = require('../middleware/errorHandler');
+const { RATE_BASES, SLOT_TYPES, PINCODE_PATTERN } = require('../services/shipping');
+
+const { shippingZones: ShippingZones, deliverySlots: DeliverySlots, withTransaction } = repositories;
+
+const router = express.Router();
+
+const pincodeRangeValidation = (prefix) => [
+  body(`${prefix}from`).matches(PINCODE_PATTERN).withMessage('Range start must be a 6-digit pincode'),
+  body(`${prefix}to`).matches(PINCODE_PATTERN).withMessage('Range end must be a 6-digit pincode')
+];
+
+const rateValidation = (prefix) => [
+  body(`${prefix}minValue`).optional().isFloat({ min: 0 }).withMessage('Minimum must be a positive number'),
+  body(`${prefix}maxValue`).optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Maximum must be greater than zero'),
+  body(`${prefix}rate`).isFloat({ min: 0 }).withMessage('Rate must be a positive number')
+];
+
+const zoneValidation = [
+  body('rateBasis').optional().isIn(RATE_BASES).withMessage(`Rate basis must be one of ${RATE_BASES.join(', ')}`),
+  body('freeShippingThreshold').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Free-shipping threshold must be a positive number'),
+  body('petTransportRate').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Pet transport rate must be a positive number'),
+  body('isActive').optional().isBoolean()
+];
+
+// Throws ApiError(400) for a range that ends before it starts
+function checkPincodeRange({ from, to }) {
+  if (parseInt(from, 10) > parseInt(to, 10)) {
+    throw new ApiError(400, `Pincode range ${from}-${to} ends before it starts`);
+  }
+}
+
+// Throws ApiError(400) for a rate band whose maximum is not above its minimum
+function checkRate({ minValue = 0, maxValue }) {
+  if (maxValue !== undefined && maxValue !== null && parseFloat(maxValue) <= parseFloat(minValue)) {
+    throw new ApiError(400, 'A rate band\'s maximum must be greater than its minimum');
+  }
+}
+
+// A zone with its pincode ranges and rate table
+async function findZoneWithDetails(repos, zoneId) {
+  const zone = await repos.shippingZones.findById(zoneId);
+
+  if (!zone) {
+    return null;
+  }
+
+  const [pincodeRanges, rates] = await Promise.all([
+    repos.shippingZones.listPincodeRanges(zone.id),
+    repos.shippingZones.listRates(zone.id)
+  ]);
+
+  return { ...zone, pincodeRanges, rates };
+}
+
+// @desc    Get upcoming delivery and pickup slots
+// @route   GET /api/shipping/slots
+// @access  Public (admins also see inactive and fully booked slots)
+router.get('/slots', [
+  optionalAuth,
+  query('type').optional().isIn(SLOT_TYPES).withMessage(`Type must be one of ${SLOT_TYPES.join(', ')}`),
+  query('pincode').optional().matches(PINCODE_PATTERN).withMessage('Pincode must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, pincode } = req.query;
+    let zone = null;
+
+    // Delivery slots for a pincode are those of its zone
+    if (pincode && type !== 'pickup') {
+      zone = await ShippingZones.findForPincode(pincode);
+
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          message: `We do not deliver to pincode ${pincode}`
+        });
+      }
+    }
+
+    const isAdmin = req.user && req.user.role === 'admin';
+    const slots = await DeliverySlots.list({
+      slotType: zone ? 'delivery' : type,
+      zoneId: zone ? zone.id : undefined,
+      open: !isAdmin
+    });
+
+    res.json({
+      success: true,
+      data: slots.map(slot => ({ ...slot, remaining: Math.max(slot.capacity - slot.booked, 0) }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Create a delivery or pickup slot
+// @route   POST /api/shipping/slots
+// @access  Private (Admin only)
+router.post('/slots', [
+  protect,
+  authorize('admin'),
+  body('slotType').isIn(SLOT_TYPES).withMessage(`Slot type must be one of ${SLOT_TYPES.join(', ')}`),
+  body('zoneId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Zone ID must be a positive integer'),
+  body('startsAt').isISO8601().withMessage('Start must be an ISO 8601 date'),
+  body('endsAt').isISO8601().withMessage('End must be an ISO 8601 date'),
+  body('capacity').isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { slotType, zoneId, startsAt, endsAt } = req.body;
+
+    if (new Date(endsAt) <= new Date(startsAt)) {
+      throw new ApiError(400, 'A slot must end after it starts');
+    }
+
+    if (zoneId) {
+      if (slotType === 'pickup') {
+        throw new ApiError(400, 'Pickup slots are at the store and cannot have a zone');
+      }
+
+      if (!await ShippingZones.findById(zoneId)) {
+        throw new ApiError(400, `Shipping zone with ID ${zoneId} not found`);
+      }
+    }
+
+    const slotId = await DeliverySlots.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Slot created successfully',
+      data: await DeliverySlots.findById(slotId)
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating slot'
+    });
+  }
+});
+
+// @desc    Update a delivery or pickup slot
+// @route   PUT /api/shipping/slots/:id
+// @access  Private (Admin only)
+router.put('/slots/:id', [
+  protect,
+  authorize('admin'),
+  body('startsAt').optional().isISO8601().withMessage('Start must be an ISO 8601 date'),
+  body('endsAt').optional().isISO8601().withMessage('End must be an ISO 8601 date'),
+  body('capacity').optional().isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const slotId = req.params.id;
+
+    if (!slotId || isNaN(slotId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid slot ID'
+      });
+    }
+
+    const slot = await DeliverySlots.findById(slotId);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found'
+      });
+    }
+
+    const startsAt = req.body.startsAt ? new Date(req.body.startsAt) : new Date(`${slot.starts_at}Z`);
+    const endsAt = req.body.endsAt ? new Date(req.body.endsAt) : new Date(`${slot.ends_at}Z`);
+
+    if (endsAt <= startsAt) {
+      throw new ApiError(400, 'A slot must end after it starts');
+    }
+
+    // Orders already booked keep their place if the capacity is lowered
+    const updated = await DeliverySlots.update(slotId, req.body);
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Slot updated successfully',
+      data: await DeliverySlots.findById(slotId)
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating slot'
+    });
+  }
+});
+
+// @desc    Withdraw a delivery or pickup slot
+// @route   DELETE /api/shipping/slots/:id
+// @access  Private (Admin only)
+router.delete('/slots/:id', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const slotId = req.params.id;
+
+    if (!slotId || isNaN(slotId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid slot ID'
+      });
+    }
+
+    if (!await DeliverySlots.findById(slotId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found'
+      });
+    }
+
+    // Kept for the orders already booked into it
+    await DeliverySlots.deactivate(slotId);
+
+    res.json({
+      success: true,
+      message: 'Slot withdrawn successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error withdrawing slot'
+    });
+  }
+});
+
+// @desc    Get shipping zones
+// @route   GET /api/shipping/zones
+// @access  Private (Admin only)
+router.get('/zones', [
+  protect,
+  authorize('admin'),
+  query('active').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const active = req.query.active !== undefined ? req.query.active === 'true' : undefined;
+
+    res.json({
+      success: true,
+      data: await ShippingZones.list({ active })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Get a shipping zone with its pincode ranges and rates
+// @route   GET /api/shipping/zones/:id
+// @access  Private (Admin only)
+router.get('/zones/:id', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const zoneId = req.params.id;
+
+    if (!zoneId || isNaN(zoneId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid zone ID'
+      });
+    }
+
+    const zone = await findZoneWithDetails(repositories, zoneId);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Create a shipping zone, optionally with its pincode ranges and rates
+// @route   POST /api/shipping/zones
+// @access  Private (Admin only)
+router.post('/zones', [
+  protect,
+  authorize('admin'),
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  ...zoneValidation,
+  body('pincodeRanges').optional().isArray().withMessage('Pincode ranges must be an array'),
+  ...pincodeRangeValidation('pincodeRanges.*.'),
+  body('rates').optional().isArray().withMessage('Rates must be an array'),
+  ...rateValidation('rates.*.')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { pincodeRanges = [], rates = [] } = req.body;
+
+    pincodeRanges.forEach(checkPincodeRange);
+    rates.forEach(checkRate);
+
+    const zone = await withTransaction(async (repos) => {
+      if (await repos.shippingZones.findByName(req.body.name)) {
+        throw new ApiError(409, 'A shipping zone with this name already exists');
+      }
+
+      const zoneId = await repos.shippingZones.create(req.body);
+
+      for (const range of pincodeRanges) {
+        await repos.shippingZones.addPincodeRange(zoneId, range);
+      }
+
+      for (const rate of rates) {
+        await repos.shippingZones.addRate(zoneId, rate);
+      }
+
+      return findZoneWithDetails(repos, zoneId);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipping zone created successfully',
+      data: zone
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating shipping zone'
+    });
+  }
+});
+
+// @desc    Update a shipping zone
+// @route   PUT /api/shipping/zones/:id
+// @access  Private (Admin only)
+router.put('/zones/:id', [
+  protect,
+  authorize('admin'),
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  ...zoneValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const zoneId = req.params.id;
+
+    if (!zoneId || isNaN(zoneId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid zone ID'
+      });
+    }
+
+    const zone = await ShippingZones.findById(zoneId);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    if (req.body.name && req.body.name !== zone.name && await ShippingZones.findByName(req.body.name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A shipping zone with this name already exists'
+      });
+    }
+
+    // Existing orders keep the shipping they were charged
+    const updated = await ShippingZones.update(zoneId, req.body);
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipping zone updated successfully',
+      data: await findZoneWithDetails(repositories, zoneId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating shipping zone'
+    });
+  }
+});
+
+// @desc    Deactivate a shipping zone
+// @route   DELETE /api/shipping/zones/:id
+// @access  Private (Admin only)
+router.delete('/zones/:id', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const zoneId = req.params.id;
+
+    if (!zoneId || isNaN(zoneId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid zone ID'
+      });
+    }
+
+    if (!await ShippingZones.findById(zoneId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    await ShippingZones.deactivate(zoneId);
+
+    res.json({
+      success: true,
+      message: 'Shipping zone deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating shipping zone'
+    });
+  }
+});
+
+// @desc    Add a pincode range to a shipping zone
+// @route   POST /api/shipping/zones/:id/pincodes
+// @access  Private (Admin only)
+router.post('/zones/:id/pincodes', [
+  protect,
+  authorize('admin'),
+  ...pincodeRangeValidation('')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const zoneId = req.params.id;
+
+    if (!zoneId || isNaN(zoneId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid zone ID'
+      });
+    }
+
+    if (!await ShippingZones.findById(zoneId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    checkPincodeRange(req.body);
+    await ShippingZones.addPincodeRange(zoneId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pincode range added successfully',
+      data: await findZoneWithDetails(repositories, zoneId)
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding pincode range'
+    });
+  }
+});
+
+// @desc    Remove a pincode range from a shipping zone
+// @route   DELETE /api/shipping/zones/:id/pincodes/:rangeId
+// @access  Private (Admin only)
+router.delete('/zones/:id/pincodes/:rangeId', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const { id: zoneId, rangeId } = req.params;
+
+    if (!zoneId || isNaN(zoneId) || !rangeId || isNaN(rangeId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid zone or range ID'
+      });
+    }
+
+    const { changes } = await ShippingZones.deletePincodeRange(zoneId, rangeId);
+
+    if (changes === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pincode range not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Pincode range removed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing pincode range'
+    });
+  }
+});
+
+// @desc    Add a rate band to a shipping zone
+// @route   POST /api/shipping/zones/:id/rates
+// @access  Private (Admin only)
+router.post('/zones/:id/rates', [
+  protect,
+  authorize('admin'),
+  ...rateValidation('')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const zoneId = req.params.id;
+
+    if (!zoneId || isNaN(zoneId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid zone ID'
+      });
+    }
+
+    if (!await ShippingZones.findById(zoneId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    checkRate(req.body);
+    await ShippingZones.addRate(zoneId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate added successfully',
+      data: await findZoneWithDetails(repositories, zoneId)
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding rate'
+    });
+  }
+});
+
+// @desc    Remove a rate band from a shipping zone
+// @route   DELETE /api/shipping/zones/:id/rates/:rateId
+// @access  Private (Admin only)
+router.delete('/zones/:id/rates/:rateId', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const { id: zoneId, rateId } = req.params;
+
+    if (!zoneId || isNaN(zoneId) || !rateId || isNaN(rateId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid zone or rate ID'
+      });
+    }
+
+    const { changes } = await ShippingZones.deleteRate(zoneId, rateId);
+
+    if (changes === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rate removed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing rate'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,23 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { getDatabase } = require('../database/init');
+const {
+  shopProducts: ShopProducts,
+  productVariants: ProductVariants,
+  productReviews: ProductReviews,
+  inventoryMovements: InventoryMovements,
+  stockAlerts: StockAlerts,
+  withTransaction
+} = require('../database/repositories');
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { ApiError } = require('../middleware/errorHandler');
+const { MOVEMENT_TYPES, MANUAL_MOVEMENT_TYPES, moveStock } = require('../services/inventory');
+const { checkStockAlerts } = require('../services/stockAlerts');
 const { uploadProductImage, handleUploadError, deleteFile, getFileUrl } = require('../middleware/upload');
 
 const router = express.Router();
 
+const PRODUCT_SORTS = ['newest', 'price_asc', 'price_desc', 'rating'];
+
 // @desc    Get all shop products with filtering and pagination
 // @route   GET /api/shop/products
 // @access  Public
@@ -16,8 +28,9 @@ router.get('/products', [
   query('minPrice').optional().isFloat({ min: 0 }).withMessage('Min price must be a positive number'),
   query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be a positive number'),
   query('available').optional().isBoolean().withMessage('Available must be true or false'),
-  query('search').optional().trim()
-], optionalAuth, (req, res) => {
+  query('search').optional().trim(),
+  query('sort').optional().isIn(PRODUCT_SORTS).withMessage(`Sort must be one of ${PRODUCT_SORTS.join(', ')}`)
+], optionalAuth, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -32,88 +45,40 @@ router.get('/products', [
     const limit = parseInt(req.query.limit) || 12;
     const offset = (page - 1) * limit;
 
-    const { category, minPrice, maxPrice, available, search } = req.query;
-
-    let whereConditions = [];
-    let params = [];
-
-    if (category) {
-      whereConditions.push('category = ?');
-      params.push(category);
-    }
-
-    if (search) {
-      whereConditions.push('(name LIKE ? OR description LIKE ?)');
-      params.push(`%${search}%`, `%${search}%`);
-    }
-
-    if (minPrice) {
-      whereConditions.push('price >= ?');
-      params.push(minPrice);
-    }
-
-    if (maxPrice) {
-      whereConditions.push('price <= ?');
-      params.push(maxPrice);
-    }
+    const { category, minPrice, maxPrice, available, search, sort } = req.query;
 
-    if (available !== undefined) {
-      whereConditions.push('is_available = ?');
-      params.push(available === 'true' ? 1 : 0);
-    }
+    const { products, total } = await ShopProducts.list({
+      category,
+      search,
+      minPrice,
+      maxPrice,
+      available: available !== undefined ? available === 'true' : undefined
+    }, { limit, offset, sort });
 
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+    // Each product comes with its variants, as from GET /products/:id
+    const isAdmin = req.user && req.user.role === 'admin';
+    const variants = await ProductVariants.listForProducts(products.map(product => product.id), { available: !isAdmin });
+    const totalPages = Math.ceil(total / limit);
 
-    const db = getDatabase();
-
-    // Get total count
-    const countQuery = `SELECT COUNT(*) as total FROM shop_products ${whereClause}`;
-    db.get(countQuery, params, (err, countResult) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error'
-        });
+    res.json({
+      success: true,
+      data: products.map(product => ({
+        ...product,
+        variants: variants.filter(variant => variant.product_id === product.id)
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
       }
-
-      const total = countResult.total;
-      const totalPages = Math.ceil(total / limit);
-
-      // Get products
-      const productsQuery = `
-        SELECT id, name, description, price, category, image_url, 
-               stock_quantity, is_available, created_at
-        FROM shop_products ${whereClause}
-        ORDER BY created_at DESC
-        LIMIT ? OFFSET ?
-      `;
-
-      db.all(productsQuery, [...params, limit, offset], (err, products) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: products,
-          pagination: {
-            currentPage: page,
-            totalPages,
-            totalItems: total,
-            itemsPerPage: limit,
-            hasNextPage: page < totalPages,
-            hasPrevPage: page > 1
-          }
-        });
-      });
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
@@ -121,7 +86,7 @@ router.get('/products', [
 // @desc    Get single product
 // @route   GET /api/shop/products/:id
 // @access  Public
-router.get('/products/:id', optionalAuth, (req, res) => {
+router.get('/products/:id', optionalAuth, async (req, res) => {
   try {
     const productId = req.params.id;
 
@@ -132,38 +97,30 @@ router.get('/products/:id', optionalAuth, (req, res) => {
       });
     }
 
-    const db = getDatabase();
-    
-    db.get(
-      `SELECT id, name, description, price, category, image_url, 
-              stock_quantity, is_available, created_at
-       FROM shop_products WHERE id = ?`,
-      [productId],
-      (err, product) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        if (!product) {
-          return res.status(404).json({
-            success: false,
-            message: 'Product not found'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: product
-        });
-      }
-    );
+    const product = await ShopProducts.findById(productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Admins also see variants that have been withdrawn
+    const isAdmin = req.user && req.user.role === 'admin';
+    const [variants, { averageRating, reviewCount }] = await Promise.all([
+      ProductVariants.listForProduct(product.id, { available: !isAdmin }),
+      ProductReviews.ratingSummary(product.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...product, average_rating: averageRating, review_count: reviewCount, variants }
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
@@ -218,16 +175,11 @@ router.delete('/image/:filename', [
     await deleteFile(filePath);
 
     // Update database to remove image reference
-    const db = getDatabase();
-    db.run(
-      'UPDATE shop_products SET image_url = NULL WHERE image_url LIKE ?',
-      [`%/uploads/products/${filename}`],
-      (err) => {
-        if (err) {
-          console.error('Error updating database:', err);
-        }
-      }
-    );
+    try {
+      await ShopProducts.clearImage(filename);
+    } catch (err) {
+      console.error('Error updating database:', err);
+    }
 
     res.json({
       success: true,
@@ -253,8 +205,11 @@ router.post('/products', [
   body('category').trim().isLength({ min: 2 }).withMessage('Category must be at least 2 characters'),
   body('imageUrl').optional().isURL().withMessage('Image URL must be valid'),
   body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
+  body('reorderPoint').optional().isInt({ min: 0 }).withMessage('Reorder point must be a non-negative integer'),
+  body('reorderQuantity').optional().isInt({ min: 0 }).withMessage('Reorder quantity must be a non-negative integer'),
+  body('weightGrams').optional().isInt({ min: 0 }).withMessage('Weight must be a non-negative number of grams'),
   body('isAvailable').optional().isBoolean()
-], (req, res) => {
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -266,37 +221,37 @@ router.post('/products', [
     }
 
     const {
-      name, description, price, category, imageUrl, 
-      stockQuantity, isAvailable
+      name, description, price, category, imageUrl,
+      stockQuantity, reorderPoint, reorderQuantity, weightGrams, isAvailable
     } = req.body;
 
-    const db = getDatabase();
-    
-    db.run(
-      `INSERT INTO shop_products (name, description, price, category, image_url, 
-                                 stock_quantity, is_available)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [name, description, price, category, imageUrl, 
-       stockQuantity || 0, isAvailable !== false ? 1 : 0],
-      function(err) {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error creating product'
-          });
-        }
-
-        res.status(201).json({
-          success: true,
-          message: 'Product created successfully',
-          data: { id: this.lastID }
+    const productId = await withTransaction(async (repos) => {
+      const productId = await repos.shopProducts.create({
+        name, description, price, category, imageUrl, reorderPoint, reorderQuantity, weightGrams, isAvailable
+      });
+
+      if (stockQuantity > 0) {
+        await moveStock(repos, {
+          productId,
+          quantityChange: parseInt(stockQuantity, 10),
+          type: 'opening',
+          reason: 'Initial stock',
+          createdBy: req.user.id
         });
       }
-    );
+
+      return productId;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: { id: productId }
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Error creating product'
     });
   }
 });
@@ -313,8 +268,11 @@ router.put('/products/:id', [
   body('category').optional().trim().isLength({ min: 2 }).withMessage('Category must be at least 2 characters'),
   body('imageUrl').optional().isURL().withMessage('Image URL must be valid'),
   body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
+  body('reorderPoint').optional().isInt({ min: 0 }).withMessage('Reorder point must be a non-negative integer'),
+  body('reorderQuantity').optional().isInt({ min: 0 }).withMessage('Reorder quantity must be a non-negative integer'),
+  body('weightGrams').optional().isInt({ min: 0 }).withMessage('Weight must be a non-negative number of grams'),
   body('isAvailable').optional().isBoolean()
-], (req, res) => {
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -335,90 +293,412 @@ router.put('/products/:id', [
       });
     }
 
-    const db = getDatabase();
-
     // Check if product exists
-    db.get('SELECT id FROM shop_products WHERE id = ?', [productId], (err, product) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error'
+    const product = await ShopProducts.findById(productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Setting stockQuantity posts an adjustment for the difference, so the
+    // ledger still explains the new figure. The figure is the stock on hand,
+    // which includes units reserved for unpaid orders.
+    const updated = await withTransaction(async (repos) => {
+      const fieldsUpdated = await repos.shopProducts.update(productId, updates);
+
+      if (updates.stockQuantity === undefined) {
+        return fieldsUpdated;
+      }
+
+      const current = await repos.shopProducts.findById(productId);
+      const reserved = await repos.inventoryReservations.sumActiveForProduct(productId);
+      const onHand = parseInt(updates.stockQuantity, 10);
+
+      if (onHand < reserved) {
+        throw new ApiError(400, `${reserved} units of "${current.name}" are reserved for unpaid orders; stock cannot be set below that`);
+      }
+
+      const quantityChange = onHand - reserved - current.stock_quantity;
+
+      if (quantityChange !== 0) {
+        await moveStock(repos, {
+          productId,
+          quantityChange,
+          type: 'adjustment',
+          reason: `Stock set to ${updates.stockQuantity} in product update`,
+          createdBy: req.user.id
         });
       }
 
+      return true;
+    });
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Product updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating product'
+    });
+  }
+});
+
+// @desc    Add a variant to a product
+// @route   POST /api/shop/products/:id/variants
+// @access  Private (Admin only)
+router.post('/products/:id/variants', [
+  protect,
+  authorize('admin'),
+  body('sku').trim().isLength({ min: 1, max: 64 }).withMessage('SKU is required (at most 64 characters)'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (at most 100 characters)'),
+  body('attributes').optional().isObject().withMessage('Attributes must be an object'),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
+  body('weightGrams').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Weight must be a non-negative number of grams'),
+  body('isAvailable').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const productId = req.params.id;
+
+    if (!productId || isNaN(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const { sku, name, attributes, price, stockQuantity, weightGrams, isAvailable } = req.body;
+
+    const variant = await withTransaction(async (repos) => {
+      const product = await repos.shopProducts.findById(productId);
+
       if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: 'Product not found'
-        });
+        throw new ApiError(404, 'Product not found');
       }
 
-      // Build dynamic update query
-      const updateFields = [];
-      const params = [];
-
-      Object.keys(updates).forEach(key => {
-        if (updates[key] !== undefined) {
-          switch (key) {
-            case 'name':
-              updateFields.push('name = ?');
-              params.push(updates[key]);
-              break;
-            case 'description':
-              updateFields.push('description = ?');
-              params.push(updates[key]);
-              break;
-            case 'price':
-              updateFields.push('price = ?');
-              params.push(updates[key]);
-              break;
-            case 'category':
-              updateFields.push('category = ?');
-              params.push(updates[key]);
-              break;
-            case 'imageUrl':
-              updateFields.push('image_url = ?');
-              params.push(updates[key]);
-              break;
-            case 'stockQuantity':
-              updateFields.push('stock_quantity = ?');
-              params.push(updates[key]);
-              break;
-            case 'isAvailable':
-              updateFields.push('is_available = ?');
-              params.push(updates[key] ? 1 : 0);
-              break;
-          }
-        }
-      });
-
-      if (updateFields.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'No valid fields to update'
-        });
+      if (await repos.productVariants.findBySku(sku)) {
+        throw new ApiError(409, 'A variant with this SKU already exists');
       }
 
-      updateFields.push('updated_at = CURRENT_TIMESTAMP');
-      params.push(productId);
+      // Stock held on the product itself would not belong to any variant
+      const existing = await repos.productVariants.listForProduct(product.id);
 
-      const updateQuery = `UPDATE shop_products SET ${updateFields.join(', ')} WHERE id = ?`;
+      if (existing.length === 0 && product.stock_quantity > 0) {
+        throw new ApiError(400, `Adjust the stock of "${product.name}" to zero before adding its first variant`);
+      }
 
-      db.run(updateQuery, params, function(err) {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error updating product'
-          });
-        }
+      const variantId = await repos.productVariants.create({
+        productId: product.id, sku, name, attributes, price, weightGrams, isAvailable
+      });
 
-        res.json({
-          success: true,
-          message: 'Product updated successfully'
+      if (stockQuantity > 0) {
+        await moveStock(repos, {
+          productId: product.id,
+          variantId,
+          quantityChange: parseInt(stockQuantity, 10),
+          type: 'opening',
+          reason: 'Initial stock',
+          createdBy: req.user.id
         });
+      }
+
+      return repos.productVariants.findById(variantId);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Variant created successfully',
+      data: variant
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create variant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating variant'
+    });
+  }
+});
+
+// @desc    Update a product variant
+// @route   PUT /api/shop/products/:id/variants/:variantId
+// @access  Private (Admin only)
+router.put('/products/:id/variants/:variantId', [
+  protect,
+  authorize('admin'),
+  body('sku').optional().trim().isLength({ min: 1, max: 64 }).withMessage('SKU must be at most 64 characters'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('attributes').optional().isObject().withMessage('Attributes must be an object'),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('weightGrams').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Weight must be a non-negative number of grams'),
+  body('isAvailable').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id: productId, variantId } = req.params;
+
+    if (!productId || isNaN(productId) || !variantId || isNaN(variantId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product or variant ID'
+      });
+    }
+
+    const variant = await ProductVariants.findById(variantId);
+
+    if (!variant || variant.product_id !== parseInt(productId, 10)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    if (req.body.sku && req.body.sku !== variant.sku && await ProductVariants.findBySku(req.body.sku)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A variant with this SKU already exists'
       });
+    }
+
+    // Stock is changed through the inventory endpoint, not here
+    const updated = await ProductVariants.update(variantId, req.body);
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Variant updated successfully',
+      data: await ProductVariants.findById(variantId)
     });
   } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating variant'
+    });
+  }
+});
+
+// @desc    Withdraw a product variant from sale
+// @route   DELETE /api/shop/products/:id/variants/:variantId
+// @access  Private (Admin only)
+router.delete('/products/:id/variants/:variantId', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const { id: productId, variantId } = req.params;
+
+    if (!productId || isNaN(productId) || !variantId || isNaN(variantId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product or variant ID'
+      });
+    }
+
+    const variant = await ProductVariants.findById(variantId);
+
+    if (!variant || variant.product_id !== parseInt(productId, 10)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    // Variants stay on past orders and stock movements, so only hide them
+    await ProductVariants.deactivate(variantId);
+
+    res.json({
+      success: true,
+      message: 'Variant withdrawn successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error withdrawing variant'
+    });
+  }
+});
+
+// @desc    Get a product's inventory movements
+// @route   GET /api/shop/products/:id/inventory
+// @access  Private (Admin only)
+router.get('/products/:id/inventory', [
+  protect,
+  authorize('admin'),
+  query('type').optional().isIn(MOVEMENT_TYPES).withMessage('Invalid movement type'),
+  query('variantId').optional().isInt({ min: 1 }).withMessage('Variant ID must be a positive integer'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const productId = req.params.id;
+
+    if (!productId || isNaN(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const product = await ShopProducts.findById(productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const variants = await ProductVariants.listForProduct(product.id);
+    const { movements, total } = await InventoryMovements.listForProduct(
+      productId,
+      { type: req.query.type, variantId: req.query.variantId },
+      { limit, offset }
+    );
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        productId: product.id,
+        name: product.name,
+        stockQuantity: product.stock_quantity,
+        variants: variants.map(({ id, sku, name, stock_quantity: stockQuantity }) => ({ id, sku, name, stockQuantity })),
+        movements
+      },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Post a manual stock movement (restock, adjustment or return)
+// @route   POST /api/shop/products/:id/inventory
+// @access  Private (Admin only)
+router.post('/products/:id/inventory', [
+  protect,
+  authorize('admin'),
+  body('variantId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Variant ID must be a positive integer'),
+  body('quantityChange').isInt().not().equals('0').withMessage('Quantity change must be a non-zero integer'),
+  body('type').optional().isIn(MANUAL_MOVEMENT_TYPES).withMessage(`Type must be one of ${MANUAL_MOVEMENT_TYPES.join(', ')}`),
+  body('reason').trim().isLength({ min: 3 }).withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const productId = req.params.id;
+    const { type = 'adjustment', reason } = req.body;
+
+    if (!productId || isNaN(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const movement = await withTransaction(async (repos) => {
+      const movementId = await moveStock(repos, {
+        productId: parseInt(productId, 10),
+        variantId: req.body.variantId ? parseInt(req.body.variantId, 10) : null,
+        quantityChange: parseInt(req.body.quantityChange, 10),
+        type,
+        reason,
+        createdBy: req.user.id
+      });
+
+      return repos.inventoryMovements.findById(movementId);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock updated successfully',
+      data: movement
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Inventory adjustment error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -429,7 +709,7 @@ router.put('/products/:id', [
 // @desc    Delete product
 // @route   DELETE /api/shop/products/:id
 // @access  Private (Admin only)
-router.delete('/products/:id', [protect, authorize('admin')], (req, res) => {
+router.delete('/products/:id', [protect, authorize('admin')], async (req, res) => {
   try {
     const productId = req.params.id;
 
@@ -440,41 +720,198 @@ router.delete('/products/:id', [protect, authorize('admin')], (req, res) => {
       });
     }
 
-    const db = getDatabase();
-    
-    db.get('SELECT id FROM shop_products WHERE id = ?', [productId], (err, product) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error'
-        });
-      }
+    const product = await ShopProducts.findById(productId);
 
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: 'Product not found'
-        });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    await ShopProducts.delete(productId);
+
+    res.json({
+      success: true,
+      message: 'Product deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting product'
+    });
+  }
+});
+
+// @desc    Get low-stock alerts
+// @route   GET /api/shop/alerts
+// @access  Private (Admin only)
+router.get('/alerts', [
+  protect,
+  authorize('admin'),
+  query('status').optional().isIn(['unresolved', 'open', 'acknowledged', 'snoozed', 'resolved']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const status = req.query.status || 'unresolved';
+
+    const { alerts, total } = await StockAlerts.list({ status }, { limit, offset });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: alerts,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
       }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
 
-      db.run('DELETE FROM shop_products WHERE id = ?', [productId], function(err) {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error deleting product'
-          });
-        }
-
-        res.json({
-          success: true,
-          message: 'Product deleted successfully'
-        });
+// @desc    Check stock levels now and email any new alerts
+// @route   POST /api/shop/alerts/check
+// @access  Private (Admin only)
+router.post('/alerts/check', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const result = await checkStockAlerts();
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Stock alert check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking stock levels'
+    });
+  }
+});
+
+// @desc    Acknowledge a low-stock alert
+// @route   POST /api/shop/alerts/:id/acknowledge
+// @access  Private (Admin only)
+router.post('/alerts/:id/acknowledge', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const alertId = req.params.id;
+
+    if (!alertId || isNaN(alertId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid alert ID'
+      });
+    }
+
+    const alert = await StockAlerts.findById(alertId);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    if (alert.status === 'resolved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Alert is already resolved'
       });
+    }
+
+    await StockAlerts.acknowledge(alertId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Alert acknowledged',
+      data: await StockAlerts.findById(alertId)
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Snooze a low-stock alert; it is emailed again when the snooze ends
+// @route   POST /api/shop/alerts/:id/snooze
+// @access  Private (Admin only)
+router.post('/alerts/:id/snooze', [
+  protect,
+  authorize('admin'),
+  body('hours').optional().isInt({ min: 1, max: 720 }).withMessage('Hours must be between 1 and 720')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const alertId = req.params.id;
+    const hours = parseInt(req.body.hours) || 24;
+
+    if (!alertId || isNaN(alertId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid alert ID'
+      });
+    }
+
+    const alert = await StockAlerts.findById(alertId);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    if (alert.status === 'resolved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Alert is already resolved'
+      });
+    }
+
+    await StockAlerts.snooze(alertId, hours);
+
+    res.json({
+      success: true,
+      message: `Alert snoozed for ${hours} hour(s)`,
+      data: await StockAlerts.findById(alertId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
     });
   }
 });
@@ -482,34 +919,18 @@ router.delete('/products/:id', [protect, authorize('admin')], (req, res) => {
 // @desc    Get product categories
 // @route   GET /api/shop/categories
 // @access  Public
-router.get('/categories', (req, res) => {
+router.get('/categories', async (req, res) => {
   try {
-    const db = getDatabase();
-    
-    db.all(
-      `SELECT category, COUNT(*) as product_count
-       FROM shop_products 
-       WHERE is_available = 1
-       GROUP BY category
-       ORDER BY category`,
-      (err, categories) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: categories
-        });
-      }
-    );
+    const categories = await ShopProducts.categories();
+
+    res.json({
+      success: true,
+      data: categories
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
@@ -517,34 +938,22 @@ router.get('/categories', (req, res) => {
 // @desc    Get featured products
 // @route   GET /api/shop/featured
 // @access  Public
-router.get('/featured', optionalAuth, (req, res) => {
+router.get('/featured', optionalAuth, async (req, res) => {
   try {
-    const db = getDatabase();
-    
-    db.all(
-      `SELECT id, name, description, price, category, image_url, stock_quantity
-       FROM shop_products 
-       WHERE is_available = 1 AND stock_quantity > 0
-       ORDER BY created_at DESC
-       LIMIT 6`,
-      (err, products) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: products
-        });
-      }
-    );
+    const products = await ShopProducts.findFeatured(6);
+    const variants = await ProductVariants.listForProducts(products.map(product => product.id), { available: true });
+
+    res.json({
+      success: true,
+      data: products.map(product => ({
+        ...product,
+        variants: variants.filter(variant => variant.product_id === product.id)
+      }))
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
@@ -0,0 +1,714 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const repositories = require('../database/repositories');
+const { protect, authorize } = require('../middleware/auth');
+const { ApiError } = require('../middleware/errorHandler');
+const { buildQuote } = require('../services/quote');
+const { INDIAN_STATES } = require('../services/tax');
+const { PINCODE_PATTERN } = require('../services/shipping');
+const { getPaymentProvider } = require('../services/payments');
+const {
+  INTERVAL_WEEKS,
+  SUBSCRIPTION_STATUSES,
+  today,
+  addWeeks,
+  startCardSetup,
+  saveCard,
+  runDueSubscriptions
+} = require('../services/subscriptions');
+
+const { subscriptions: Subscriptions, orders: Orders } = repositories;
+
+const router = express.Router();
+
+// Orders shown with a subscription
+const RECENT_ORDERS_LIMIT = 10;
+
+const shippingAddressValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('shippingAddress.line1').trim().isLength({ min: 3, max: 200 }).withMessage('Address line 1 is required'),
+    body('shippingAddress.line2').optional().trim().isLength({ max: 200 }).withMessage('Address line 2 must be at most 200 characters'),
+    field('shippingAddress.city').trim().isLength({ min: 2, max: 100 }).withMessage('City is required'),
+    field('shippingAddress.state').isIn(INDIAN_STATES).withMessage('State must be an Indian state or union territory'),
+    field('shippingAddress.pincode').matches(PINCODE_PATTERN).withMessage('Pincode must be 6 digits'),
+    body('shippingAddress.phone').optional().isMobilePhone().withMessage('Please provide a valid phone number')
+  ];
+};
+
+// Check a subscription's item can be ordered and delivered today
+const quoteSubscription = ({ productId, variantId, quantity, state, pincode }, userId) => buildQuote(
+  [{ type: 'product', id: productId, variantId, quantity }],
+  repositories,
+  { userId, shippingState: state, shipping: { method: 'standard', pincode } }
+);
+
+// The provider's customer and card IDs stay on the server
+function formatSubscription(subscription) {
+  const { payment_customer_id: customerId, payment_method_id: paymentMethodId, ...rest } = subscription;
+  return { ...rest, has_payment_method: !!paymentMethodId };
+}
+
+// @desc    List every subscription
+// @route   GET /api/subscriptions
+// @access  Private (Admin)
+router.get('/', [
+  protect,
+  authorize('admin'),
+  query('status').optional().isIn(SUBSCRIPTION_STATUSES).withMessage('Invalid status'),
+  query('userId').optional().isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { status, userId } = req.query;
+
+    const { subscriptions, total } = await Subscriptions.list({ status, userId }, { limit, offset });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: subscriptions.map(formatSubscription),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Get the current user's subscriptions
+// @route   GET /api/subscriptions/mine
+// @access  Private
+router.get('/mine', [
+  protect,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { subscriptions, total } = await Subscriptions.list({ userId: req.user.id }, { limit, offset });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: subscriptions.map(formatSubscription),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Place and charge every subscription that is due now
+// @route   POST /api/subscriptions/run
+// @access  Private (Admin)
+router.post('/run', protect, authorize('admin'), async (req, res) => {
+  try {
+    const result = await runDueSubscriptions();
+
+    res.json({
+      success: true,
+      message: `${result.charged} charged, ${result.failed} failed`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Subscription run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a subscription with its recent orders
+// @route   GET /api/subscriptions/:id
+// @access  Private (owner or Admin)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const subscriptionId = req.params.id;
+
+    if (!subscriptionId || isNaN(subscriptionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid subscription ID'
+      });
+    }
+
+    const subscription = await Subscriptions.findById(subscriptionId);
+
+    if (!subscription || (subscription.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...formatSubscription(subscription),
+        orders: await Orders.listForSubscription(subscription.id, RECENT_ORDERS_LIMIT)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Subscribe to a product or variant, and start saving the card to charge
+// @route   POST /api/subscriptions
+// @access  Private
+router.post('/', [
+  protect,
+  body('productId').isInt({ min: 1 }).withMessage('Product ID must be a positive integer'),
+  body('variantId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Variant ID must be a positive integer'),
+  body('quantity').optional().isInt({ min: 1, max: 20 }).withMessage('Quantity must be between 1 and 20'),
+  body('intervalWeeks').isIn(INTERVAL_WEEKS).withMessage(`Interval must be ${INTERVAL_WEEKS.join(', ')} weeks`),
+  body('startDate').optional().isISO8601({ strict: true }).withMessage('Start date must be a date (YYYY-MM-DD)'),
+  ...shippingAddressValidation(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { productId, variantId, intervalWeeks, shippingAddress } = req.body;
+    const quantity = parseInt(req.body.quantity, 10) || 1;
+    const startDate = req.body.startDate ? req.body.startDate.slice(0, 10) : today();
+
+    if (startDate < today()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date cannot be in the past'
+      });
+    }
+
+    const quote = await quoteSubscription({
+      productId,
+      variantId,
+      quantity,
+      state: shippingAddress.state,
+      pincode: shippingAddress.pincode
+    }, req.user.id);
+
+    const subscriptionId = await Subscriptions.create({
+      userId: req.user.id,
+      productId,
+      variantId,
+      quantity,
+      intervalWeeks: parseInt(intervalWeeks, 10),
+      nextRunDate: startDate,
+      addressLine1: shippingAddress.line1,
+      addressLine2: shippingAddress.line2,
+      city: shippingAddress.city,
+      state: shippingAddress.state,
+      pincode: shippingAddress.pincode,
+      phone: shippingAddress.phone,
+      paymentProvider: getPaymentProvider().name
+    });
+
+    let setupIntent;
+    try {
+      setupIntent = await startCardSetup(await Subscriptions.findById(subscriptionId), req.user);
+    } catch (providerError) {
+      console.error('Payment provider setup error:', providerError);
+      return res.status(502).json({
+        success: false,
+        message: 'Error starting card setup; save a card for the subscription to start it'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription created; save a card to start it',
+      data: {
+        subscription: formatSubscription(await Subscriptions.findById(subscriptionId)),
+        provider: getPaymentProvider().name,
+        setupIntentId: setupIntent.id,
+        clientSecret: setupIntent.clientSecret,
+        quote
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Subscription creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Change a subscription's quantity, interval or delivery address
+// @route   PUT /api/subscriptions/:id
+// @access  Private (owner)
+router.put('/:id', [
+  protect,
+  body('quantity').optional().isInt({ min: 1, max: 20 }).withMessage('Quantity must be between 1 and 20'),
+  body('intervalWeeks').optional().isIn(INTERVAL_WEEKS).withMessage(`Interval must be ${INTERVAL_WEEKS.join(', ')} weeks`),
+  ...shippingAddressValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const subscriptionId = req.params.id;
+
+    if (!subscriptionId || isNaN(subscriptionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid subscription ID'
+      });
+    }
+
+    const subscription = await Subscriptions.findById(subscriptionId);
+
+    if (!subscription || subscription.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription is cancelled'
+      });
+    }
+
+    const shippingAddress = req.body.shippingAddress || {};
+    const updates = {
+      quantity: req.body.quantity !== undefined ? parseInt(req.body.quantity, 10) : undefined,
+      intervalWeeks: req.body.intervalWeeks !== undefined ? parseInt(req.body.intervalWeeks, 10) : undefined,
+      addressLine1: shippingAddress.line1,
+      addressLine2: shippingAddress.line2,
+      city: shippingAddress.city,
+      state: shippingAddress.state,
+      pincode: shippingAddress.pincode,
+      phone: shippingAddress.phone
+    };
+
+    // The changed subscription must still be orderable and deliverable
+    await quoteSubscription({
+      productId: subscription.product_id,
+      variantId: subscription.variant_id,
+      quantity: updates.quantity || subscription.quantity,
+      state: updates.state || subscription.state,
+      pincode: updates.pincode || subscription.pincode
+    }, req.user.id);
+
+    const updated = await Subscriptions.update(subscription.id, updates);
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription updated successfully',
+      data: formatSubscription(await Subscriptions.findById(subscription.id))
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Subscription update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Pause a subscription until it is resumed
+// @route   POST /api/subscriptions/:id/pause
+// @access  Private (owner or Admin)
+router.post('/:id/pause', protect, async (req, res) => {
+  try {
+    const subscriptionId = req.params.id;
+
+    if (!subscriptionId || isNaN(subscriptionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid subscription ID'
+      });
+    }
+
+    const subscription = await Subscriptions.findById(subscriptionId);
+
+    if (!subscription || (subscription.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    if (!['active', 'past_due'].includes(subscription.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${subscription.status} subscription cannot be paused`
+      });
+    }
+
+    await Subscriptions.setStatus(subscription.id, 'paused');
+
+    res.json({
+      success: true,
+      message: 'Subscription paused',
+      data: formatSubscription(await Subscriptions.findById(subscription.id))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error pausing subscription'
+    });
+  }
+});
+
+// @desc    Resume a paused subscription; a missed run is placed on the next run
+// @route   POST /api/subscriptions/:id/resume
+// @access  Private (owner or Admin)
+router.post('/:id/resume', protect, async (req, res) => {
+  try {
+    const subscriptionId = req.params.id;
+
+    if (!subscriptionId || isNaN(subscriptionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid subscription ID'
+      });
+    }
+
+    const subscription = await Subscriptions.findById(subscriptionId);
+
+    if (!subscription || (subscription.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    if (subscription.status !== 'paused') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only paused subscriptions can be resumed'
+      });
+    }
+
+    if (!subscription.payment_method_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Save a card for the subscription first'
+      });
+    }
+
+    await Subscriptions.setStatus(
+      subscription.id,
+      'active',
+      subscription.next_run_date < today() ? today() : subscription.next_run_date
+    );
+
+    res.json({
+      success: true,
+      message: 'Subscription resumed',
+      data: formatSubscription(await Subscriptions.findById(subscription.id))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error resuming subscription'
+    });
+  }
+});
+
+// @desc    Skip the next run, moving it on by one interval
+// @route   POST /api/subscriptions/:id/skip
+// @access  Private (owner or Admin)
+router.post('/:id/skip', protect, async (req, res) => {
+  try {
+    const subscriptionId = req.params.id;
+
+    if (!subscriptionId || isNaN(subscriptionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid subscription ID'
+      });
+    }
+
+    const subscription = await Subscriptions.findById(subscriptionId);
+
+    if (!subscription || (subscription.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    if (!['active', 'paused'].includes(subscription.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${subscription.status} subscription cannot be skipped`
+      });
+    }
+
+    await Subscriptions.setNextRunDate(
+      subscription.id,
+      addWeeks(subscription.next_run_date, subscription.interval_weeks)
+    );
+
+    res.json({
+      success: true,
+      message: 'Next run skipped',
+      data: formatSubscription(await Subscriptions.findById(subscription.id))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error skipping run'
+    });
+  }
+});
+
+// @desc    Cancel a subscription
+// @route   POST /api/subscriptions/:id/cancel
+// @access  Private (owner or Admin)
+router.post('/:id/cancel', protect, async (req, res) => {
+  try {
+    const subscriptionId = req.params.id;
+
+    if (!subscriptionId || isNaN(subscriptionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid subscription ID'
+      });
+    }
+
+    const subscription = await Subscriptions.findById(subscriptionId);
+
+    if (!subscription || (subscription.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription is already cancelled'
+      });
+    }
+
+    await Subscriptions.setStatus(subscription.id, 'cancelled');
+
+    res.json({
+      success: true,
+      message: 'Subscription cancelled',
+      data: formatSubscription(await Subscriptions.findById(subscription.id))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling subscription'
+    });
+  }
+});
+
+// @desc    Start saving a new card for a subscription
+// @route   POST /api/subscriptions/:id/payment-method
+// @access  Private (owner)
+router.post('/:id/payment-method', protect, async (req, res) => {
+  try {
+    const subscriptionId = req.params.id;
+
+    if (!subscriptionId || isNaN(subscriptionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid subscription ID'
+      });
+    }
+
+    const subscription = await Subscriptions.findById(subscriptionId);
+
+    if (!subscription || subscription.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription is cancelled'
+      });
+    }
+
+    if (subscription.payment_provider !== getPaymentProvider().name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription was set up with a different payment provider'
+      });
+    }
+
+    const setupIntent = await startCardSetup(subscription, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        provider: getPaymentProvider().name,
+        setupIntentId: setupIntent.id,
+        clientSecret: setupIntent.clientSecret
+      }
+    });
+  } catch (error) {
+    console.error('Payment provider setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting card setup'
+    });
+  }
+});
+
+// @desc    Charge the subscription to the card saved by a completed setup intent
+// @route   POST /api/subscriptions/:id/payment-method/confirm
+// @access  Private (owner)
+router.post('/:id/payment-method/confirm', [
+  protect,
+  body('setupIntentId').trim().notEmpty().withMessage('Setup intent ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const subscriptionId = req.params.id;
+
+    if (!subscriptionId || isNaN(subscriptionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid subscription ID'
+      });
+    }
+
+    const subscription = await Subscriptions.findById(subscriptionId);
+
+    if (!subscription || subscription.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription is cancelled'
+      });
+    }
+
+    await saveCard(subscription, req.body.setupIntentId);
+
+    res.json({
+      success: true,
+      message: 'Card saved for the subscription',
+      data: formatSubscription(await Subscriptions.findById(subscription.id))
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Card save error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
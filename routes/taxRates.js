@@ -0,0 +1,167 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { taxRates: TaxRates } = require('../database/repositories');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ITEM_TYPES = ['pet', 'product', 'shipping'];
+
+// @desc    Get GST rates
+// @route   GET /api/tax-rates
+// @access  Private (Admin only)
+router.get('/', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const taxRates = await TaxRates.list();
+
+    res.json({
+      success: true,
+      data: taxRates
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
+
+// @desc    Add a GST rate for pets or a product category
+// @route   POST /api/tax-rates
+// @access  Private (Admin only)
+router.post('/', [
+  protect,
+  authorize('admin'),
+  body('itemType').isIn(ITEM_TYPES).withMessage('Item type must be pet, product or shipping'),
+  body('category').optional({ nullable: true }).trim(),
+  body('rate').isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+  body('hsnCode').optional({ nullable: true }).trim().matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { itemType, category, rate, hsnCode } = req.body;
+
+    if (await TaxRates.findExact(itemType, category)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A rate for this item type and category already exists'
+      });
+    }
+
+    const taxRateId = await TaxRates.create({ itemType, category, rate, hsnCode });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rate created successfully',
+      data: await TaxRates.findById(taxRateId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating tax rate'
+    });
+  }
+});
+
+// @desc    Update a GST rate
+// @route   PUT /api/tax-rates/:id
+// @access  Private (Admin only)
+router.put('/:id', [
+  protect,
+  authorize('admin'),
+  body('rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+  body('hsnCode').optional({ nullable: true }).trim().matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const taxRateId = req.params.id;
+
+    if (!taxRateId || isNaN(taxRateId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tax rate ID'
+      });
+    }
+
+    if (!await TaxRates.findById(taxRateId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    // Existing orders keep the tax they were charged
+    const updated = await TaxRates.update(taxRateId, { rate: req.body.rate, hsnCode: req.body.hsnCode });
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rate updated successfully',
+      data: await TaxRates.findById(taxRateId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tax rate'
+    });
+  }
+});
+
+// @desc    Delete a GST rate
+// @route   DELETE /api/tax-rates/:id
+// @access  Private (Admin only)
+router.delete('/:id', [protect, authorize('admin')], async (req, res) => {
+  try {
+    const taxRateId = req.params.id;
+
+    if (!taxRateId || isNaN(taxRateId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tax rate ID'
+      });
+    }
+
+    if (!await TaxRates.findById(taxRateId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    await TaxRates.delete(taxRateId);
+
+    res.json({
+      success: true,
+      message: 'Tax rate deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting tax rate'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { getDatabase } = require('../database/init');
+const { users: Users, orders: Orders } = require('../database/repositories');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -16,7 +16,7 @@ router.get('/', [
   query('role').optional().isIn(['user', 'admin']).withMessage('Invalid role'),
   query('active').optional().isBoolean().withMessage('Active must be true or false'),
   query('search').optional().trim()
-], (req, res) => {
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -33,75 +33,31 @@ router.get('/', [
 
     const { role, active, search } = req.query;
 
-    let whereConditions = [];
-    let params = [];
-
-    if (role) {
-      whereConditions.push('role = ?');
-      params.push(role);
-    }
-
-    if (active !== undefined) {
-      whereConditions.push('is_active = ?');
-      params.push(active === 'true' ? 1 : 0);
-    }
-
-    if (search) {
-      whereConditions.push('(username LIKE ? OR email LIKE ? OR full_name LIKE ?)');
-      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
-    }
-
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
-
-    const db = getDatabase();
-
-    // Get total count
-    const countQuery = `SELECT COUNT(*) as total FROM users ${whereClause}`;
-    db.get(countQuery, params, (err, countResult) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error'
-        });
+    // Users are returned without password hashes
+    const { users, total } = await Users.list({
+      role,
+      search,
+      active: active !== undefined ? active === 'true' : undefined
+    }, { limit, offset });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: users,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
       }
-
-      const total = countResult.total;
-      const totalPages = Math.ceil(total / limit);
-
-      // Get users (without password hash)
-      const usersQuery = `
-        SELECT id, username, email, full_name, phone, address, role, is_active, created_at, updated_at
-        FROM users ${whereClause}
-        ORDER BY created_at DESC
-        LIMIT ? OFFSET ?
-      `;
-
-      db.all(usersQuery, [...params, limit, offset], (err, users) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: users,
-          pagination: {
-            currentPage: page,
-            totalPages,
-            totalItems: total,
-            itemsPerPage: limit,
-            hasNextPage: page < totalPages,
-            hasPrevPage: page > 1
-          }
-        });
-      });
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
@@ -109,7 +65,7 @@ router.get('/', [
 // @desc    Get single user
 // @route   GET /api/users/:id
 // @access  Private (Admin or own profile)
-router.get('/:id', protect, (req, res) => {
+router.get('/:id', protect, async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -128,37 +84,23 @@ router.get('/:id', protect, (req, res) => {
       });
     }
 
-    const db = getDatabase();
-    
-    db.get(
-      `SELECT id, username, email, full_name, phone, address, role, is_active, created_at, updated_at
-       FROM users WHERE id = ?`,
-      [userId],
-      (err, user) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        if (!user) {
-          return res.status(404).json({
-            success: false,
-            message: 'User not found'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: user
-        });
-      }
-    );
+    const user = await Users.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
@@ -173,7 +115,7 @@ router.put('/:id', [
   body('address').optional().trim(),
   body('role').optional().isIn(['user', 'admin']).withMessage('Invalid role'),
   body('isActive').optional().isBoolean()
-], (req, res) => {
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -210,85 +152,33 @@ router.put('/:id', [
       });
     }
 
-    const db = getDatabase();
-
     // Check if user exists
-    db.get('SELECT id FROM users WHERE id = ?', [userId], (err, user) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error'
-        });
-      }
+    const user = await Users.findById(userId);
 
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
-
-      // Build dynamic update query
-      const updateFields = [];
-      const params = [];
-
-      Object.keys(updates).forEach(key => {
-        if (updates[key] !== undefined) {
-          switch (key) {
-            case 'fullName':
-              updateFields.push('full_name = ?');
-              params.push(updates[key]);
-              break;
-            case 'phone':
-              updateFields.push('phone = ?');
-              params.push(updates[key]);
-              break;
-            case 'address':
-              updateFields.push('address = ?');
-              params.push(updates[key]);
-              break;
-            case 'role':
-              updateFields.push('role = ?');
-              params.push(updates[key]);
-              break;
-            case 'isActive':
-              updateFields.push('is_active = ?');
-              params.push(updates[key] ? 1 : 0);
-              break;
-          }
-        }
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
       });
+    }
 
-      if (updateFields.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'No valid fields to update'
-        });
-      }
-
-      updateFields.push('updated_at = CURRENT_TIMESTAMP');
-      params.push(userId);
-
-      const updateQuery = `UPDATE users SET ${updateFields.join(', ')} WHERE id = ?`;
-
-      db.run(updateQuery, params, function(err) {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error updating user'
-          });
-        }
+    const updated = await Users.update(userId, updates);
 
-        res.json({
-          success: true,
-          message: 'User updated successfully'
-        });
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update'
       });
+    }
+
+    res.json({
+      success: true,
+      message: 'User updated successfully'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Error updating user'
     });
   }
 });
@@ -296,7 +186,7 @@ router.put('/:id', [
 // @desc    Delete user (Admin only)
 // @route   DELETE /api/users/:id
 // @access  Private (Admin)
-router.delete('/:id', [protect, authorize('admin')], (req, res) => {
+router.delete('/:id', [protect, authorize('admin')], async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -315,42 +205,26 @@ router.delete('/:id', [protect, authorize('admin')], (req, res) => {
       });
     }
 
-    const db = getDatabase();
-    
-    db.get('SELECT id FROM users WHERE id = ?', [userId], (err, user) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error'
-        });
-      }
-
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
+    const user = await Users.findById(userId);
 
-      // Soft delete - set is_active to false instead of actually deleting
-      db.run('UPDATE users SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [userId], function(err) {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error deactivating user'
-          });
-        }
-
-        res.json({
-          success: true,
-          message: 'User deactivated successfully'
-        });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
       });
+    }
+
+    // Soft delete - set is_active to false instead of actually deleting
+    await Users.deactivate(userId);
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Error deactivating user'
     });
   }
 });
@@ -358,39 +232,18 @@ router.delete('/:id', [protect, authorize('admin')], (req, res) => {
 // @desc    Get user statistics (Admin only)
 // @route   GET /api/users/stats
 // @access  Private (Admin)
-router.get('/stats', [protect, authorize('admin')], (req, res) => {
+router.get('/stats', [protect, authorize('admin')], async (req, res) => {
   try {
-    const db = getDatabase();
-
-    db.get(
-      `SELECT 
-        COUNT(*) as total_users,
-        SUM(CASE WHEN role = 'user' THEN 1 ELSE 0 END) as regular_users,
-        SUM(CASE WHEN role = 'admin' THEN 1 ELSE 0 END) as admin_users,
-        SUM(CASE WHEN is_active = 1 THEN 1 ELSE 0 END) as active_users,
-        SUM(CASE WHEN is_active = 0 THEN 1 ELSE 0 END) as inactive_users,
-        SUM(CASE WHEN DATE(created_at) = DATE('now') THEN 1 ELSE 0 END) as new_today,
-        SUM(CASE WHEN DATE(created_at) >= DATE('now', '-7 days') THEN 1 ELSE 0 END) as new_this_week,
-        SUM(CASE WHEN DATE(created_at) >= DATE('now', '-30 days') THEN 1 ELSE 0 END) as new_this_month
-       FROM users`,
-      (err, stats) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: stats
-        });
-      }
-    );
+    const stats = await Users.stats();
+
+    res.json({
+      success: true,
+      data: stats
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
@@ -398,7 +251,7 @@ router.get('/stats', [protect, authorize('admin')], (req, res) => {
 // @desc    Get user orders
 // @route   GET /api/users/:id/orders
 // @access  Private (Admin or own profile)
-router.get('/:id/orders', protect, (req, res) => {
+router.get('/:id/orders', protect, async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -417,34 +270,16 @@ router.get('/:id/orders', protect, (req, res) => {
       });
     }
 
-    const db = getDatabase();
-
-    db.all(
-      `SELECT o.id, o.order_number, o.total_amount, o.status, o.payment_status, o.created_at,
-              p.status as payment_status_detail, p.payment_method, p.transaction_id
-       FROM orders o
-       LEFT JOIN payments p ON o.id = p.order_id
-       WHERE o.user_id = ?
-       ORDER BY o.created_at DESC`,
-      [userId],
-      (err, orders) => {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Database error'
-          });
-        }
-
-        res.json({
-          success: true,
-          data: orders
-        });
-      }
-    );
+    const orders = await Orders.listForUser(userId);
+
+    res.json({
+      success: true,
+      data: orders
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Database error'
     });
   }
 });
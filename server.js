@@ -7,20 +7,42 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const petRoutes = require('./routes/pets');
 const adoptionRoutes = require('./routes/adoption');
+const adoptionQuestionnaireRoutes = require('./routes/adoptionQuestionnaires');
+const adoptionScoringRoutes = require('./routes/adoptionScoring');
 const shopRoutes = require('./routes/shop');
+const purchasingRoutes = require('./routes/purchasing');
+const reviewRoutes = require('./routes/reviews');
+const promotionRoutes = require('./routes/promotions');
+const taxRateRoutes = require('./routes/taxRates');
+const shippingRoutes = require('./routes/shipping');
+const cartRoutes = require('./routes/cart');
 const paymentRoutes = require('./routes/payment');
+const orderRoutes = require('./routes/orders');
+const subscriptionRoutes = require('./routes/subscriptions');
 const userRoutes = require('./routes/users');
 const supportRoutes = require('./routes/support');
 
 const { initializeDatabase } = require('./database/init');
+const { startOrderSweeper } = require('./services/orderExpiry');
+const { startStockAlertChecker } = require('./services/stockAlerts');
+const { startSubscriptionRunner } = require('./services/subscriptions');
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Security middleware
-app.use(helmet());
+// Security middleware. The checkout page loads Stripe.js, which talks to
+// Stripe's API and shows the card form in Stripe's own frames.
+app.use(helmet({
+  contentSecurityPolicy: {
+    directives: {
+      scriptSrc: ["'self'", 'https://js.stripe.com'],
+      frameSrc: ["'self'", 'https://js.stripe.com', 'https://hooks.stripe.com'],
+      connectSrc: ["'self'", 'https://api.stripe.com']
+    }
+  }
+}));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -38,6 +60,10 @@ app.use(cors({
   credentials: true
 }));
 
+// Webhook signatures are computed over the raw request body, so it must
+// reach the payment route before the JSON parser consumes it
+app.use('/api/payment/webhook', express.raw({ type: 'application/json' }));
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -58,8 +84,18 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/pets', petRoutes);
 app.use('/api/adoption', adoptionRoutes);
+app.use('/api/adoption', adoptionQuestionnaireRoutes);
+app.use('/api/adoption', adoptionScoringRoutes);
 app.use('/api/shop', shopRoutes);
+app.use('/api/shop', purchasingRoutes);
+app.use('/api/shop', reviewRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/tax-rates', taxRateRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/cart', cartRoutes);
 app.use('/api/payment', paymentRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/support', supportRoutes);
 
@@ -86,6 +122,11 @@ async function startServer() {
   try {
     await initializeDatabase();
     console.log('✅ Database initialized successfully');
+
+    // Background jobs: expire unpaid orders and raise low-stock alerts
+    startOrderSweeper();
+    startStockAlertChecker();
+    startSubscriptionRunner();
     
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -0,0 +1,167 @@
+// Rules for ranking competing applications for a pet. Each rule looks at the
+// applicant's questionnaire answers or history and returns a factor (how far
+// it is met, or how many times) with the reason; the rule's weight times the
+// factor gives its points. Admins can change the weights
+// (adoption_scoring_weights), and negative weights count against the
+// applicant. A rule whose question was not asked is skipped.
+
+const answerIs = (options) => (value) => (options[value] !== undefined ? options[value] : null);
+
+const SCORING_RULES = [
+  {
+    key: 'housing',
+    description: 'Type of home',
+    defaultWeight: 10,
+    evaluate: ({ answers }) => {
+      const factor = answerIs({ 'Independent house': 1, Farmhouse: 1, Apartment: 0.5, Other: 0.25 })(answers.housingType);
+      return factor === null ? null : { factor, reason: `Lives in: ${answers.housingType}` };
+    }
+  },
+  {
+    key: 'homeOwnership',
+    description: 'Owns their home',
+    defaultWeight: 5,
+    evaluate: ({ answers }) => (typeof answers.ownsHome === 'boolean'
+      ? { factor: answers.ownsHome ? 1 : 0, reason: answers.ownsHome ? 'Owns their home' : 'Rents their home' }
+      : null)
+  },
+  {
+    key: 'yard',
+    description: 'Has a yard or garden',
+    defaultWeight: 10,
+    evaluate: ({ answers }) => (typeof answers.hasYard === 'boolean'
+      ? { factor: answers.hasYard ? 1 : 0, reason: answers.hasYard ? 'Has a yard or garden' : 'No yard or garden' }
+      : null)
+  },
+  {
+    key: 'indoorCat',
+    description: 'Keeps a cat indoors',
+    defaultWeight: 5,
+    evaluate: ({ answers }) => (typeof answers.indoorOnly === 'boolean'
+      ? { factor: answers.indoorOnly ? 1 : 0, reason: answers.indoorOnly ? 'Indoors only' : 'Will go outdoors' }
+      : null)
+  },
+  {
+    key: 'timeAlone',
+    description: 'Hours the pet is left alone on a working day (4 or fewer scores in full, up to 8 half)',
+    defaultWeight: 15,
+    evaluate: ({ answers }) => {
+      if (typeof answers.hoursAlone !== 'number') {
+        return null;
+      }
+      const factor = answers.hoursAlone <= 4 ? 1 : answers.hoursAlone <= 8 ? 0.5 : 0;
+      return { factor, reason: `Alone ${answers.hoursAlone} hours a day` };
+    }
+  },
+  {
+    key: 'exercise',
+    description: 'Daily exercise for a dog',
+    defaultWeight: 10,
+    evaluate: ({ answers }) => {
+      const factor = answerIs({ 'Over an hour': 1, '30 to 60 minutes': 0.5, 'Under 30 minutes': 0 })(answers.dailyExercise);
+      return factor === null ? null : { factor, reason: `Exercise: ${answers.dailyExercise}` };
+    }
+  },
+  {
+    key: 'experience',
+    description: 'Prior pet experience (a detailed answer of 100 characters or more scores in full)',
+    defaultWeight: 15,
+    evaluate: ({ answers }) => (typeof answers.priorExperience === 'string'
+      ? {
+        factor: answers.priorExperience.length >= 100 ? 1 : 0.5,
+        reason: answers.priorExperience.length >= 100 ? 'Described their experience in detail' : 'Short experience answer'
+      }
+      : null)
+  },
+  {
+    key: 'previousAdoptions',
+    description: 'Has adopted from us before',
+    defaultWeight: 15,
+    evaluate: ({ history }) => (history.adoptions > 0
+      ? { factor: 1, reason: `Adopted ${history.adoptions} pet(s) from us before` }
+      : { factor: 0, reason: 'No previous adoptions' })
+  },
+  {
+    key: 'returns',
+    description: 'Each pet returned after a previous adoption',
+    defaultWeight: -25,
+    evaluate: ({ history }) => (history.returns > 0
+      ? { factor: history.returns, reason: `Returned ${history.returns} pet(s)` }
+      : { factor: 0, reason: 'No returned pets' })
+  },
+  {
+    key: 'registeredAccount',
+    description: 'Applied from an active registered account',
+    defaultWeight: 5,
+    evaluate: ({ hasAccount }) => ({
+      factor: hasAccount ? 1 : 0,
+      reason: hasAccount ? 'Applied from a registered account' : 'Applied as a guest'
+    })
+  }
+];
+
+const findScoringRule = (key) => SCORING_RULES.find(rule => rule.key === key) || null;
+
+// Every rule with the weight in effect; `overrides` are the rows saved by admins
+function scoringRules(overrides = []) {
+  return SCORING_RULES.map(rule => {
+    const override = overrides.find(row => row.rule === rule.key);
+
+    return {
+      key: rule.key,
+      description: rule.description,
+      default_weight: rule.defaultWeight,
+      weight: override ? override.weight : rule.defaultWeight
+    };
+  });
+}
+
+// Score one application. `context` is { answers, history: { adoptions, returns },
+// hasAccount }; returns the total and the points each rule gave and why.
+function scoreApplication(context, rules) {
+  const explanation = [];
+
+  rules.forEach(rule => {
+    const result = findScoringRule(rule.key).evaluate(context);
+
+    if (result) {
+      explanation.push({
+        rule: rule.key,
+        points: Math.round(rule.weight * result.factor * 10) / 10,
+        reason: result.reason
+      });
+    }
+  });
+
+  return {
+    score: Math.round(explanation.reduce((sum, item) => sum + item.points, 0) * 10) / 10,
+    explanation
+  };
+}
+
+// Score a pet's applications in `statuses` and rank them, best first; ties go
+// to the earlier application
+async function rankApplications(repos, petId, statuses) {
+  const [applications, overrides] = await Promise.all([
+    repos.adoptionRequests.listForPet(petId, statuses),
+    repos.adoptionScoringWeights.list()
+  ]);
+  const rules = scoringRules(overrides);
+
+  const scored = await Promise.all(applications.map(async (application) => {
+    const history = await repos.adoptionRequests.applicantHistory(application, application.id);
+    const { score, explanation } = scoreApplication({
+      answers: application.questionnaire_answers || {},
+      history,
+      hasAccount: Boolean(application.account_active)
+    }, rules);
+
+    return { ...application, history, score, explanation };
+  }));
+
+  return scored
+    .sort((a, b) => b.score - a.score || a.id - b.id)
+    .map((application, index) => ({ rank: index + 1, ...application }));
+}
+
+module.exports = { SCORING_RULES, findScoringRule, scoringRules, scoreApplication, rankApplications };
@@ -0,0 +1,227 @@
+const { ApiError } = require('../middleware/errorHandler');
+const { rankApplications } = require('./adoptionScoring');
+
+// Where an adoption application can go from each stage, and who may move it
+// there. Staff ('admin') take it forward; the 'applicant' can withdraw until
+// the contract is signed. An adopted pet brought back is recorded as
+// 'returned'. Moves caused by another application for the same pet are made
+// by the 'system' (see resolveCompetingRequests); an admin can also take an
+// application off the waitlist by hand once the pet is no longer held. Stages
+// and roles are changed here and nowhere else.
+const ADOPTION_TRANSITIONS = {
+  submitted: { screening: ['admin'], rejected: ['admin'], withdrawn: ['admin', 'applicant'], waitlisted: ['system'] },
+  screening: {
+    interview_scheduled: ['admin'], rejected: ['admin'], withdrawn: ['admin', 'applicant'], waitlisted: ['system']
+  },
+  interview_scheduled: {
+    home_check: ['admin'], rejected: ['admin'], withdrawn: ['admin', 'applicant'], waitlisted: ['system']
+  },
+  home_check: { approved: ['admin'], rejected: ['admin'], withdrawn: ['admin', 'applicant'], waitlisted: ['system'] },
+  approved: { contract_signed: ['admin'], rejected: ['admin'], withdrawn: ['admin', 'applicant'] },
+  contract_signed: { handed_over: ['admin'], withdrawn: ['admin'] },
+  handed_over: { returned: ['admin'] },
+  // Offered the pet again at the stage it was waitlisted from, or closed once
+  // the pet is handed over to someone else
+  waitlisted: {
+    submitted: ['system', 'admin'],
+    screening: ['system'],
+    interview_scheduled: ['system'],
+    home_check: ['system'],
+    closed: ['system'],
+    rejected: ['admin'],
+    withdrawn: ['admin', 'applicant']
+  },
+  returned: {},
+  closed: {},
+  rejected: {},
+  withdrawn: {}
+};
+
+const ADOPTION_STATUSES = Object.keys(ADOPTION_TRANSITIONS);
+
+// Applications still being decided; from handover on the adoption has happened
+const OPEN_ADOPTION_STATUSES = [
+  'submitted', 'screening', 'interview_scheduled', 'home_check', 'approved', 'contract_signed', 'waitlisted'
+];
+
+// Stages in which the pet is promised to the applicant and not shown as available
+const PET_HELD_STATUSES = ['approved', 'contract_signed', 'handed_over'];
+
+// Stages that give way when another application for the pet is approved
+const WAITLISTABLE_STATUSES = ['submitted', 'screening', 'interview_scheduled', 'home_check'];
+
+// Where an application leaves the running without the pet being adopted
+const DROPPED_STATUSES = ['rejected', 'withdrawn'];
+
+// What competing applicants are told, on the tracking page and by email
+const COMPETING_MESSAGES = {
+  waitlisted: (petName) => `Another application for ${petName} has been approved. We have put yours on the ` +
+    'waitlist and will be in touch if that adoption does not go ahead.',
+  closed: (petName) => `${petName} has now been adopted by another family. Thank you for applying, and we ` +
+    'hope you will look at our other pets.',
+  offered: (petName) => `Good news: ${petName} is available again and we are continuing with your application. ` +
+    'Our team will be in touch about the next step.'
+};
+
+// Statuses `role` can move an application to from `from`
+const allowedTransitions = (from, role) =>
+  Object.keys(ADOPTION_TRANSITIONS[from] || {}).filter(to => ADOPTION_TRANSITIONS[from][to].includes(role));
+
+const canTransition = (from, to, role) => allowedTransitions(from, role).includes(to);
+
+async function recordMove(repos, request, toStatus, { note, adminNotes, changedBy }) {
+  await repos.adoptionRequests.updateStatus(request.id, toStatus, adminNotes);
+  await repos.adoptionStatusHistory.create({
+    adoptionRequestId: request.id,
+    fromStatus: request.status,
+    toStatus,
+    note,
+    changedBy
+  });
+}
+
+// The moves the pet's other applications make after `request` moves to
+// `toStatus`: approval waitlists them, handover closes the waitlist, and once
+// no application is left in the running (the adoption fell through, or the
+// applicant offered the pet after it was rejected or withdrew) the pet is
+// offered to the best-ranked waitlisted applicant (services/adoptionScoring.js)
+// at the stage they had reached
+async function competingMoves(repos, request, toStatus) {
+  const wasHeld = PET_HELD_STATUSES.includes(request.status);
+  const isHeld = PET_HELD_STATUSES.includes(toStatus);
+
+  if (isHeld && !wasHeld) {
+    const competing = await repos.adoptionRequests.listForPet(request.pet_id, WAITLISTABLE_STATUSES);
+    return competing
+      .filter(other => other.id !== request.id)
+      .map(other => ({
+        request: other, toStatus: 'waitlisted', message: 'waitlisted', note: `Request #${request.id} approved`
+      }));
+  }
+
+  if (toStatus === 'handed_over') {
+    const waitlisted = await repos.adoptionRequests.listForPet(request.pet_id, ['waitlisted']);
+    return waitlisted.map(other => ({
+      request: other, toStatus: 'closed', message: 'closed', note: `Pet handed over to request #${request.id}`
+    }));
+  }
+
+  if (request.status !== 'waitlisted' && DROPPED_STATUSES.includes(toStatus)) {
+    const running = await repos.adoptionRequests.listForPet(
+      request.pet_id, [...WAITLISTABLE_STATUSES, ...PET_HELD_STATUSES]
+    );
+
+    if (running.some(other => other.id !== request.id)) {
+      return [];
+    }
+
+    const [next] = await rankApplications(repos, request.pet_id, ['waitlisted']);
+
+    if (!next) {
+      return [];
+    }
+
+    const waitlisting = await repos.adoptionStatusHistory.findLastMoveTo(next.id, 'waitlisted');
+    const resumeAt = waitlisting && WAITLISTABLE_STATUSES.includes(waitlisting.from_status)
+      ? waitlisting.from_status
+      : 'submitted';
+
+    return [{
+      request: next, toStatus: resumeAt, message: 'offered', note: `Offered after request #${request.id} was ${toStatus}`
+    }];
+  }
+
+  return [];
+}
+
+// Move the pet's other applications along with `request` (see competingMoves).
+// Resolves with the applicants moved, to be told once the change is committed.
+async function resolveCompetingRequests(repos, request, toStatus, changedBy) {
+  const moves = await competingMoves(repos, request, toStatus);
+
+  if (moves.length === 0) {
+    return [];
+  }
+
+  const pet = await repos.pets.findById(request.pet_id);
+  const affected = [];
+
+  for (const move of moves) {
+    const message = COMPETING_MESSAGES[move.message](pet.name);
+
+    await recordMove(repos, move.request, move.toStatus, { note: move.note, adminNotes: message, changedBy });
+    affected.push({
+      id: move.request.id,
+      name: move.request.name,
+      email: move.request.email,
+      pet_name: pet.name,
+      status: move.toStatus,
+      message
+    });
+  }
+
+  return affected;
+}
+
+// Move an application to `toStatus` as `role` and record the change in its
+// history. `note` is kept in the history for staff; `adminNotes`, when given,
+// replaces the message the applicant sees. The pet is held once the
+// application is approved and released if it falls through afterwards, and
+// the pet's other applications follow. Resolves with the application, with
+// the other applicants that were moved in `affected`. Throws ApiError(404)
+// for an unknown application and ApiError(409) for a move the role is not
+// allowed to make, one that would hold a pet another application or a shop
+// order is holding, or one taking an application off the waitlist while the
+// pet is held. Must be called with transaction repositories.
+async function transitionAdoption(repos, requestId, toStatus, { role, note, adminNotes, changedBy } = {}) {
+  const request = await repos.adoptionRequests.findById(requestId);
+
+  if (!request) {
+    throw new ApiError(404, 'Adoption request not found');
+  }
+
+  if (!canTransition(request.status, toStatus, role)) {
+    throw new ApiError(409, `Adoption request cannot move from ${request.status} to ${toStatus}`);
+  }
+
+  const wasHeld = PET_HELD_STATUSES.includes(request.status);
+  const isHeld = PET_HELD_STATUSES.includes(toStatus);
+  const [holder] = (await repos.adoptionRequests.listForPet(request.pet_id, PET_HELD_STATUSES))
+    .filter(other => other.id !== request.id);
+
+  if (holder && isHeld) {
+    throw new ApiError(409, `The pet is already promised to adoption request #${holder.id}`);
+  }
+
+  if (holder && request.status === 'waitlisted' && role !== 'system') {
+    throw new ApiError(409, `Adoption request #${holder.id} still holds the pet`);
+  }
+
+  if (isHeld) {
+    const reservation = await repos.inventoryReservations.findHoldingPet(request.pet_id);
+
+    if (reservation) {
+      throw new ApiError(409, `The pet is reserved by shop order ${reservation.order_number}`);
+    }
+  }
+
+  await recordMove(repos, request, toStatus, { note, adminNotes, changedBy });
+
+  // The pet stays unavailable while any other application still holds it
+  if (isHeld !== wasHeld && !holder) {
+    await repos.pets.setAvailability(request.pet_id, !isHeld);
+  }
+
+  const affected = await resolveCompetingRequests(repos, request, toStatus, changedBy);
+
+  return { ...request, status: toStatus, affected };
+}
+
+module.exports = {
+  ADOPTION_STATUSES,
+  ADOPTION_TRANSITIONS,
+  OPEN_ADOPTION_STATUSES,
+  allowedTransitions,
+  canTransition,
+  transitionAdoption
+};
@@ -0,0 +1,63 @@
+const jwt = require('jsonwebtoken');
+const { getSiteUrl, sendMail } = require('./mailer');
+
+// Tracking tokens are JWTs signed with JWT_SECRET. The purpose claim keeps
+// them from being accepted anywhere a login token is, and the other way round.
+const TRACKING_PURPOSE = 'adoption-tracking';
+const TRACKING_TOKEN_EXPIRES_IN = '180d';
+
+function createTrackingToken(requestId) {
+  return jwt.sign({ requestId, purpose: TRACKING_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: TRACKING_TOKEN_EXPIRES_IN
+  });
+}
+
+// The adoption request ID a tracking token was issued for, or null when the
+// token is invalid or has expired
+function verifyTrackingToken(token) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === TRACKING_PURPOSE ? payload.requestId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+const trackingUrl = (token) => `${getSiteUrl()}/adoption-status.html?token=${encodeURIComponent(token)}`;
+
+// Email the applicant a link to follow their application
+async function sendTrackingLink({ name, email, petName }, token) {
+  await sendMail({
+    to: email,
+    subject: `We received your application to adopt ${petName}`,
+    text: [
+      `Hi ${name},`,
+      '',
+      `Thank you for applying to adopt ${petName}. We will review your application and be in touch.`,
+      '',
+      'You can check its status, and any messages from our team, at:',
+      trackingUrl(token),
+      '',
+      'If you have an account with us, sign in and open the link to add the application to your account. ' +
+        'It is also added when you verify this email address on an account.'
+    ].join('\n')
+  });
+}
+
+// Tell an applicant about a change to their application
+async function sendStatusUpdate({ id, name, email, petName }, message) {
+  await sendMail({
+    to: email,
+    subject: `An update on your application to adopt ${petName}`,
+    text: [
+      `Hi ${name},`,
+      '',
+      message,
+      '',
+      'You can follow your application at:',
+      trackingUrl(createTrackingToken(id))
+    ].join('\n')
+  });
+}
+
+module.exports = { createTrackingToken, verifyTrackingToken, trackingUrl, sendTrackingLink, sendStatusUpdate };
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { ApiError } = require('../middleware/errorHandler');
+const { roundCurrency } = require('./money');
+const { priceItem } = require('./quote');
+
+// Guest carts nobody has touched for this long are forgotten
+const GUEST_CART_DAYS = 30;
+
+const newCartToken = () => crypto.randomBytes(24).toString('hex');
+
+// The cart for a request: the signed-in customer's, otherwise the guest cart
+// for `token`. Resolves with null when there is none, unless `create` is set,
+// in which case a new customer or guest cart is started.
+async function findCart(repos, { user, token }, { create = false } = {}) {
+  if (user) {
+    return create ? repos.carts.findOrCreateForUser(user.id) : repos.carts.findByUser(user.id);
+  }
+
+  const cart = token ? await repos.carts.findByToken(token) : null;
+
+  if (cart || !create) {
+    return cart || null;
+  }
+
+  await repos.carts.purgeAbandonedGuestCarts(GUEST_CART_DAYS);
+  return repos.carts.createGuest(newCartToken());
+}
+
+// Price a cart at today's prices and stock. Lines that cannot be ordered as
+// they stand keep their place but carry a `problem`, and are left out of the
+// subtotal.
+async function priceCart(repos, cart) {
+  const cartItems = cart ? await repos.carts.listItems(cart.id) : [];
+  const items = [];
+
+  for (const item of cartItems) {
+    const { line, problem } = await priceItem(repos, {
+      type: item.item_type,
+      id: item.item_id,
+      variantId: item.variant_id,
+      quantity: item.quantity
+    });
+
+    items.push({
+      id: item.id,
+      type: item.item_type,
+      itemId: item.item_id,
+      variantId: item.variant_id,
+      sku: line && line.sku ? line.sku : null,
+      name: line ? line.name : null,
+      unitPrice: line ? line.unitPrice : null,
+      quantity: item.quantity,
+      lineTotal: line ? line.lineTotal : null,
+      problem
+    });
+  }
+
+  return {
+    cartToken: cart && cart.token ? cart.token : null,
+    currency: 'INR',
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: roundCurrency(items
+      .filter(item => !item.problem)
+      .reduce((sum, item) => sum + item.lineTotal, 0))
+  };
+}
+
+// Put `quantity` more of an item in the cart. Throws ApiError(400) when the
+// item cannot be ordered in the cart's new quantity.
+async function addToCart(repos, cart, { type, id, variantId, quantity }) {
+  const existing = await repos.carts.findLine(cart.id, { type, id, variantId });
+  const { problem } = await priceItem(repos, {
+    type,
+    id,
+    variantId,
+    quantity: (existing ? existing.quantity : 0) + quantity
+  });
+
+  if (problem) {
+    throw new ApiError(400, problem);
+  }
+
+  await repos.carts.addItem(cart.id, { type, id, variantId, quantity });
+  await repos.carts.touch(cart.id);
+}
+
+// Change a cart line's quantity. Throws ApiError(400) when the item cannot be
+// ordered in that quantity.
+async function setCartQuantity(repos, cart, cartItem, quantity) {
+  const { problem } = await priceItem(repos, {
+    type: cartItem.item_type,
+    id: cartItem.item_id,
+    variantId: cartItem.variant_id,
+    quantity
+  });
+
+  if (problem) {
+    throw new ApiError(400, problem);
+  }
+
+  await repos.carts.setQuantity(cartItem.id, quantity);
+  await repos.carts.touch(cart.id);
+}
+
+// Move a guest cart's items into the customer's cart and delete the guest
+// cart. Quantities of the same item are added together, except that a pet
+// is only ever in the cart once. Does nothing when no cart has the token.
+// Must be called with transaction repositories.
+async function mergeGuestCart(repos, token, userId) {
+  const guestCart = await repos.carts.findByToken(token);
+
+  if (!guestCart) {
+    return;
+  }
+
+  const cart = await repos.carts.findOrCreateForUser(userId);
+
+  for (const item of await repos.carts.listItems(guestCart.id)) {
+    const line = { type: item.item_type, id: item.item_id, variantId: item.variant_id, quantity: item.quantity };
+
+    if (line.type === 'pet' && await repos.carts.findLine(cart.id, line)) {
+      continue;
+    }
+
+    await repos.carts.addItem(cart.id, line);
+  }
+
+  await repos.carts.delete(guestCart.id);
+  await repos.carts.touch(cart.id);
+}
+
+module.exports = {
+  GUEST_CART_DAYS,
+  findCart,
+  priceCart,
+  addToCart,
+  setCartQuantity,
+  mergeGuestCart
+};
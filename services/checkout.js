@@ -0,0 +1,134 @@
+const { v4: uuidv4 } = require('uuid');
+const { buildQuote } = require('./quote');
+const { formatAddress } = require('./shipping');
+const { getReservationMinutes, reserveItems, commitReservations, releaseReservations } = require('./reservations');
+const { transitionOrder } = require('./orderStatus');
+const { issueInvoice } = require('./invoices');
+
+// Price the items and create a pending order with its items, discounts and
+// tax lines, holding the items while the customer pays. Quoting inside the
+// transaction means availability and stock are checked against the same data
+// the order is written from. Rejects with an ApiError when the items cannot
+// be ordered. Must be called with transaction repositories.
+// Resolves with { orderId, orderNumber, quote, expiresAt }.
+async function placeOrder(repos, { userId, items, couponCode, shippingAddress, shippingMethod, deliverySlotId,
+  billingAddress, notes, subscriptionId }) {
+  const orderNumber = `ORD-${Date.now()}-${uuidv4().substring(0, 8).toUpperCase()}`;
+  const quote = await buildQuote(items, repos, {
+    couponCode,
+    userId,
+    shippingState: shippingAddress.state,
+    shipping: { method: shippingMethod, pincode: shippingAddress.pincode, deliverySlotId }
+  });
+  const address = formatAddress(shippingAddress);
+
+  const orderId = await repos.orders.create({
+    userId,
+    orderNumber,
+    totalAmount: quote.totalAmount,
+    shippingAddress: address,
+    shippingCity: shippingAddress.city,
+    shippingState: shippingAddress.state,
+    shippingPincode: shippingAddress.pincode,
+    shippingPhone: shippingAddress.phone,
+    shippingMethod,
+    shippingZoneId: quote.shipping.zoneId,
+    shippingAmount: quote.shippingAmount,
+    deliverySlotId: quote.shipping.deliverySlot ? quote.shipping.deliverySlot.id : null,
+    billingAddress: billingAddress || address,
+    notes,
+    subscriptionId,
+    reservationMinutes: getReservationMinutes()
+  });
+
+  for (const line of quote.items) {
+    const { lastID: orderItemId } = await repos.orders.addItem(orderId, line);
+
+    // A coupon's discount is stored against each item it was given on
+    if (line.discount > 0) {
+      const [{ promotionId, code }] = quote.discounts;
+      await repos.orders.addDiscount(orderId, { orderItemId, promotionId, code, amount: line.discount });
+    }
+
+    for (const tax of line.taxes) {
+      await repos.orders.addTaxLine(orderId, { ...tax, orderItemId, hsnCode: line.hsnCode });
+    }
+  }
+
+  // The shipping charge's tax belongs to no item
+  if (quote.shippingTax) {
+    for (const tax of quote.shippingTax.taxes) {
+      await repos.orders.addTaxLine(orderId, { ...tax, orderItemId: null, hsnCode: quote.shippingTax.hsnCode });
+    }
+  }
+
+  await repos.orderStatusHistory.create({ orderId, toStatus: 'pending', note: 'Order placed', changedBy: userId });
+
+  // Hold the items while the customer pays
+  await reserveItems(repos, orderId, quote.items);
+
+  const { expires_at: expiresAt } = await repos.orders.findById(orderId);
+
+  return { orderId, orderNumber, quote, expiresAt };
+}
+
+// Move a pending order to paid once its payment intent has succeeded: record
+// the payment, keep the stock and pets reserved for it and issue the invoice.
+// Reached from /api/payment/confirm, the payment_intent.succeeded webhook and
+// the order expiry sweeper, so it does nothing for an order that is no longer pending.
+// Resolves true if the order was updated. Must be called with transaction repositories.
+async function markOrderPaid(repos, orderId, paymentIntent) {
+  const order = await repos.orders.findById(orderId);
+
+  if (!order || order.status !== 'pending') {
+    return false;
+  }
+
+  await transitionOrder(repos, orderId, 'paid', { paymentStatus: 'paid', note: 'Payment received' });
+  await repos.payments.markCompleted(orderId, paymentIntent.id, {
+    paymentMethod: paymentIntent.paymentMethod,
+    transactionId: paymentIntent.id
+  });
+  await commitReservations(repos, orderId);
+  await issueInvoice(repos, orderId);
+
+  return true;
+}
+
+// Record a failed payment attempt. The order stays pending so the customer
+// can try again with another payment method.
+async function markPaymentFailed(repos, orderId, paymentIntent) {
+  await repos.payments.updateStatusByPaymentIntent(paymentIntent.id, 'failed');
+
+  const order = await repos.orders.findById(orderId);
+
+  if (order && order.status === 'pending') {
+    await repos.orders.updatePaymentStatus(orderId, 'failed');
+  }
+}
+
+// Close an order that will not be paid (status 'cancelled' or 'expired') and
+// release what it was holding. The payment intent must already be cancelled.
+// `history` is the { note, changedBy } recorded with the status change.
+// Resolves false if the order was no longer pending.
+async function closeUnpaidOrder(repos, orderId, status, history = {}) {
+  const order = await repos.orders.findById(orderId);
+
+  if (!order || order.status !== 'pending') {
+    return false;
+  }
+
+  await transitionOrder(repos, orderId, status, { ...history, paymentStatus: 'cancelled' });
+
+  const payment = await repos.payments.findLatestForOrder(orderId);
+
+  if (payment) {
+    await repos.payments.updateStatus(payment.id, 'cancelled');
+  }
+
+  await releaseReservations(repos, orderId, `Order ${status}`);
+
+  return true;
+}
+
+module.exports = { placeOrder, markOrderPaid, markPaymentFailed, closeUnpaidOrder };
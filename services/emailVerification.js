@@ -0,0 +1,45 @@
+const jwt = require('jsonwebtoken');
+const { getSiteUrl, sendMail } = require('./mailer');
+
+// Verification tokens are JWTs signed with JWT_SECRET, like tracking tokens.
+// They carry the email they were sent to, so they stop working if the
+// account's email changes.
+const VERIFICATION_PURPOSE = 'email-verification';
+const VERIFICATION_TOKEN_EXPIRES_IN = '7d';
+
+function createVerificationToken(user) {
+  return jwt.sign({ userId: user.id, email: user.email, purpose: VERIFICATION_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: VERIFICATION_TOKEN_EXPIRES_IN
+  });
+}
+
+// The { userId, email } a verification token was issued for, or null when
+// the token is invalid or has expired
+function verifyVerificationToken(token) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === VERIFICATION_PURPOSE ? { userId: payload.userId, email: payload.email } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+const verificationUrl = (token) => `${getSiteUrl()}/index.html?verifyEmail=${encodeURIComponent(token)}`;
+
+// Email a user the link that verifies their address
+async function sendVerificationLink(user) {
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your email for Sharma's Pet Nation",
+    text: [
+      `Hi ${user.fullName},`,
+      '',
+      'Please confirm this is your email address by opening:',
+      verificationUrl(createVerificationToken(user)),
+      '',
+      'Any adoption applications you made as a guest with this address will then be added to your account.'
+    ].join('\n')
+  });
+}
+
+module.exports = { createVerificationToken, verifyVerificationToken, sendVerificationLink };
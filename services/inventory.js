@@ -0,0 +1,60 @@
+const { ApiError } = require('../middleware/errorHandler');
+
+const MOVEMENT_TYPES = ['opening', 'reservation', 'release', 'sale', 'return', 'restock', 'adjustment'];
+
+// Movement types an admin can post by hand
+const MANUAL_MOVEMENT_TYPES = ['restock', 'adjustment', 'return'];
+
+// Change a product's stock and record the movement in the ledger. This is the
+// only place stock_quantity should change.
+// `movement` is { productId, variantId, quantityChange, type, reason, orderId, createdBy }.
+// Products with variants keep their stock on the variants, so variantId is
+// required for them; the product's own figure moves too and stays the total.
+// balance_after is the stock of the variant when there is one.
+// Throws ApiError(404) for an unknown product or variant and ApiError(400) if
+// stock would go below zero. Must be called with transaction repositories.
+async function moveStock(repos, movement) {
+  const product = await repos.shopProducts.findById(movement.productId);
+
+  if (!product) {
+    throw new ApiError(404, 'Product not found');
+  }
+
+  let variant = null;
+
+  if (movement.variantId) {
+    variant = await repos.productVariants.findById(movement.variantId);
+
+    if (!variant || variant.product_id !== product.id) {
+      throw new ApiError(404, 'Variant not found');
+    }
+  } else if ((await repos.productVariants.listForProduct(product.id)).length > 0) {
+    throw new ApiError(400, `Choose a variant of "${product.name}"`);
+  }
+
+  const stockQuantity = variant ? variant.stock_quantity : product.stock_quantity;
+  const balanceAfter = stockQuantity + movement.quantityChange;
+
+  if (balanceAfter < 0) {
+    const name = variant ? `${product.name} (${variant.name})` : product.name;
+    throw new ApiError(400, `Not enough stock of "${name}" (${stockQuantity} left)`);
+  }
+
+  if (variant) {
+    await repos.productVariants.adjustStock(variant.id, movement.quantityChange);
+  }
+  await repos.shopProducts.adjustStock(product.id, movement.quantityChange);
+
+  return repos.inventoryMovements.create({
+    ...movement,
+    productId: product.id,
+    variantId: variant ? variant.id : null,
+    balanceAfter
+  });
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  MANUAL_MOVEMENT_TYPES,
+  moveStock
+};
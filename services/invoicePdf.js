@@ -0,0 +1,148 @@
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 40;
+
+// Item table columns: [heading, width, align]
+const COLUMNS = [
+  ['#', 20, 'left'],
+  ['Item', 145, 'left'],
+  ['HSN/SAC', 45, 'left'],
+  ['Qty', 30, 'right'],
+  ['Price', 55, 'right'],
+  ['Discount', 55, 'right'],
+  ['Taxable', 60, 'right'],
+  ['GST', 50, 'right'],
+  ['Total', 55, 'right']
+];
+
+// The built-in PDF fonts have no rupee sign
+const formatAmount = (amount) => `Rs. ${Number(amount).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatRate = (rate) => `${Number(rate)}%`;
+
+function drawRow(doc, cells, { bold = false } = {}) {
+  const top = doc.y;
+  let x = PAGE_MARGIN;
+  let bottom = top;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+
+  COLUMNS.forEach(([, width, align], index) => {
+    doc.text(cells[index], x, top, { width: width - 4, align });
+    bottom = Math.max(bottom, doc.y);
+    x += width;
+  });
+
+  doc.y = bottom + 4;
+}
+
+function drawRule(doc) {
+  doc.moveTo(PAGE_MARGIN, doc.y)
+    .lineTo(doc.page.width - PAGE_MARGIN, doc.y)
+    .strokeColor('#cccccc')
+    .stroke();
+  doc.y += 4;
+}
+
+// A label and value pair right-aligned under the item table
+function drawTotal(doc, label, value, { bold = false } = {}) {
+  const top = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+  doc.text(label, 300, top, { width: 140, align: 'right' });
+  doc.text(value, 440, top, { width: doc.page.width - PAGE_MARGIN - 440, align: 'right' });
+  doc.y = top + 15;
+}
+
+// Render an invoice from services/invoices.js buildInvoice() as a PDF.
+// Resolves with the PDF as a Buffer.
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `Invoice ${invoice.invoiceNumber}` } });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { seller } = invoice;
+
+    doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', { align: 'right' });
+    doc.moveUp().fontSize(14).text(seller.name, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(9).text(seller.address);
+    if (seller.gstin) {
+      doc.text(`GSTIN: ${seller.gstin}`);
+    }
+    doc.text(`State: ${seller.state}`);
+    doc.moveDown();
+
+    const detailsTop = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill to', PAGE_MARGIN, detailsTop);
+    doc.font('Helvetica').fontSize(9)
+      .text(invoice.customer.name || '', { width: 250 })
+      .text(invoice.customer.email || '', { width: 250 })
+      .text(invoice.billingAddress || '', { width: 250 });
+    doc.font('Helvetica-Bold').fontSize(10).text('Ship to', { width: 250 });
+    doc.font('Helvetica').fontSize(9).text(invoice.shippingAddress || '', { width: 250 });
+    const addressBottom = doc.y;
+
+    doc.font('Helvetica').fontSize(9)
+      .text(`Invoice number: ${invoice.invoiceNumber}`, 330, detailsTop)
+      .text(`Invoice date: ${invoice.invoiceDate}`, 330)
+      .text(`Order number: ${invoice.orderNumber}`, 330)
+      .text(`Place of supply: ${invoice.placeOfSupply || seller.state}`, 330);
+
+    doc.y = Math.max(addressBottom, doc.y) + 15;
+
+    drawRow(doc, COLUMNS.map(([heading]) => heading), { bold: true });
+    drawRule(doc);
+
+    invoice.items.forEach((item, index) => {
+      if (doc.y > doc.page.height - 160) {
+        doc.addPage();
+        drawRow(doc, COLUMNS.map(([heading]) => heading), { bold: true });
+        drawRule(doc);
+      }
+
+      const gst = item.taxes.map(tax => `${tax.type} ${formatRate(tax.rate)}`).join('\n');
+
+      drawRow(doc, [
+        String(index + 1),
+        item.name,
+        item.hsnCode || '',
+        String(item.quantity),
+        formatAmount(item.unitPrice),
+        item.discount > 0 ? formatAmount(item.discount) : '',
+        formatAmount(item.taxableAmount),
+        gst ? `${formatAmount(item.taxAmount)}\n${gst}` : formatAmount(item.taxAmount),
+        formatAmount(item.total)
+      ]);
+    });
+
+    drawRule(doc);
+    doc.moveDown(0.5);
+
+    drawTotal(doc, 'Subtotal', formatAmount(invoice.subtotal));
+    if (invoice.discountTotal > 0) {
+      drawTotal(doc, 'Discount', `- ${formatAmount(invoice.discountTotal)}`);
+    }
+    drawTotal(doc, 'Taxable value', formatAmount(invoice.taxableTotal));
+    invoice.taxes.forEach(tax => {
+      drawTotal(doc, `${tax.type} @ ${formatRate(tax.rate)}`, formatAmount(tax.amount));
+    });
+    if (invoice.shippingAmount > 0) {
+      drawTotal(doc, 'Shipping', formatAmount(invoice.shippingAmount));
+    }
+    drawTotal(doc, 'Total (incl. GST)', formatAmount(invoice.totalAmount), { bold: true });
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).fillColor('#666666')
+      .text('Prices include GST. This is a computer-generated invoice and needs no signature.', PAGE_MARGIN);
+
+    doc.end();
+  });
+}
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,128 @@
+const repositories = require('../database/repositories');
+const { roundCurrency } = require('./money');
+const { getHomeState, placeOfSupply } = require('./tax');
+
+const { orders: Orders, users: Users } = repositories;
+
+// India Standard Time is UTC+05:30
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+// Financial year (April to March, in India) a date falls in, e.g. "2026-27"
+function financialYear(date = new Date()) {
+  const local = new Date(date.getTime() + IST_OFFSET_MS);
+  const startYear = local.getUTCMonth() >= 3 ? local.getUTCFullYear() : local.getUTCFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(2)}`;
+}
+
+// Give a paid order its invoice number, e.g. INV/2026-27/000042. Numbers run
+// without gaps within each financial year. Does nothing if the order already
+// has one. Resolves with the invoice number.
+// Must be called with transaction repositories.
+async function issueInvoice(repos, orderId) {
+  const order = await repos.orders.findById(orderId);
+
+  if (order.invoice_number) {
+    return order.invoice_number;
+  }
+
+  const year = financialYear();
+  const number = await repos.invoiceSequences.next(year);
+  const invoiceNumber = `INV/${year}/${String(number).padStart(6, '0')}`;
+
+  await repos.orders.setInvoiceNumber(orderId, invoiceNumber);
+
+  return invoiceNumber;
+}
+
+// Everything printed on an invoice for an order that has an invoice number
+async function buildInvoice(orderId) {
+  const order = await Orders.findById(orderId);
+  const [customer, items, discounts, taxLines] = await Promise.all([
+    Users.findById(order.user_id),
+    Orders.findItemsWithNames(orderId),
+    Orders.findDiscounts(orderId),
+    Orders.findTaxLines(orderId)
+  ]);
+
+  const invoiceItems = items.map(item => {
+    const lineTotal = roundCurrency(item.price * item.quantity);
+    const discount = roundCurrency(discounts
+      .filter(entry => entry.order_item_id === item.id)
+      .reduce((sum, entry) => sum + entry.amount, 0));
+    const taxes = taxLines.filter(line => line.order_item_id === item.id);
+    const taxAmount = roundCurrency(taxes.reduce((sum, line) => sum + line.amount, 0));
+
+    return {
+      name: item.variant_name ? `${item.name} (${item.variant_name})` : item.name,
+      hsnCode: taxes.length > 0 ? taxes[0].hsn_code : null,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      discount,
+      // Orders placed before GST was recorded have no tax lines
+      taxableAmount: roundCurrency(lineTotal - discount - taxAmount),
+      taxes: taxes.map(line => ({ type: line.tax_type, rate: line.rate, amount: line.amount })),
+      taxAmount,
+      total: roundCurrency(lineTotal - discount)
+    };
+  });
+
+  // The shipping charge is listed after the items, with the GST included in it
+  const shippingAmount = order.shipping_amount || 0;
+  const shippingTaxes = taxLines.filter(line => line.order_item_id === null);
+  const shippingTaxAmount = roundCurrency(shippingTaxes.reduce((sum, line) => sum + line.amount, 0));
+  const shippingLine = shippingAmount > 0 ? {
+    name: 'Shipping',
+    hsnCode: shippingTaxes.length > 0 ? shippingTaxes[0].hsn_code : null,
+    quantity: 1,
+    unitPrice: shippingAmount,
+    discount: 0,
+    taxableAmount: roundCurrency(shippingAmount - shippingTaxAmount),
+    taxes: shippingTaxes.map(line => ({ type: line.tax_type, rate: line.rate, amount: line.amount })),
+    taxAmount: shippingTaxAmount,
+    total: shippingAmount
+  } : null;
+  const lines = shippingLine ? [...invoiceItems, shippingLine] : invoiceItems;
+
+  const taxTotals = new Map();
+  taxLines.forEach(line => {
+    const key = `${line.tax_type}:${line.rate}`;
+    const total = taxTotals.get(key) || { type: line.tax_type, rate: line.rate, amount: 0 };
+    total.amount = roundCurrency(total.amount + line.amount);
+    taxTotals.set(key, total);
+  });
+
+  const sum = (field) => roundCurrency(lines.reduce((total, item) => total + item[field], 0));
+
+  return {
+    invoiceNumber: order.invoice_number,
+    invoiceDate: order.invoiced_at,
+    orderNumber: order.order_number,
+    seller: {
+      name: process.env.INVOICE_BUSINESS_NAME || "Sharma's Pet Nation",
+      address: process.env.INVOICE_ADDRESS || '123 Pet Street, Delhi, India',
+      gstin: process.env.GSTIN || null,
+      state: getHomeState()
+    },
+    customer: {
+      name: customer ? customer.full_name || customer.username : null,
+      email: customer ? customer.email : null
+    },
+    billingAddress: order.billing_address,
+    shippingAddress: order.shipping_method === 'pickup' ? 'Collected in store' : order.shipping_address,
+    placeOfSupply: placeOfSupply(order.shipping_method, order.shipping_state),
+    items: lines,
+    taxes: [...taxTotals.values()],
+    subtotal: roundCurrency(invoiceItems.reduce((total, item) => total + item.unitPrice * item.quantity, 0)),
+    discountTotal: sum('discount'),
+    taxableTotal: sum('taxableAmount'),
+    taxTotal: sum('taxAmount'),
+    shippingAmount,
+    totalAmount: order.total_amount
+  };
+}
+
+module.exports = {
+  financialYear,
+  issueInvoice,
+  buildInvoice
+};
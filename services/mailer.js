@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+let transport;
+
+// The nodemailer transport selected by MAIL_TRANSPORT:
+//   outbox (default) - write each message as an .eml file to MAIL_OUTBOX_DIR
+//   smtp             - send through EMAIL_HOST / EMAIL_PORT / EMAIL_USER / EMAIL_PASS
+function getTransport() {
+  if (transport) {
+    return transport;
+  }
+
+  const name = (process.env.MAIL_TRANSPORT || 'outbox').toLowerCase();
+
+  switch (name) {
+    case 'outbox':
+      transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      break;
+
+    case 'smtp':
+      transport = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port: parseInt(process.env.EMAIL_PORT, 10) || 587,
+        secure: parseInt(process.env.EMAIL_PORT, 10) === 465,
+        auth: process.env.EMAIL_USER
+          ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+          : undefined
+      });
+      break;
+
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use outbox or smtp.`);
+  }
+
+  transport.transportName = name;
+  return transport;
+}
+
+// The public address of the site, for links in emails
+const getSiteUrl = () => (process.env.SITE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const getOutboxDir = () => path.resolve(process.env.MAIL_OUTBOX_DIR || './mail-outbox');
+
+// Send an email ({ to, subject, text, html }). With the outbox transport the
+// message is saved to disk and `file` in the result is its path.
+async function sendMail(message) {
+  const mailTransport = getTransport();
+  const info = await mailTransport.sendMail({
+    from: process.env.EMAIL_FROM || "Sharma's Pet Nation <noreply@sharmapetnation.com>",
+    ...message
+  });
+
+  if (mailTransport.transportName !== 'outbox') {
+    return info;
+  }
+
+  const outboxDir = getOutboxDir();
+  const file = path.join(outboxDir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+
+  fs.mkdirSync(outboxDir, { recursive: true });
+  fs.writeFileSync(file, info.message);
+
+  return { ...info, file };
+}
+
+module.exports = { getSiteUrl, sendMail };
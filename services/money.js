@@ -0,0 +1,4 @@
+// Round a rupee amount to whole paise
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = { roundCurrency };
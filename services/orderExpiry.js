@@ -0,0 +1,68 @@
+const repositories = require('../database/repositories');
+const { getPaymentProvider } = require('./payments');
+const { markOrderPaid, closeUnpaidOrder } = require('./checkout');
+const { startJob, intervalFromEnv } = require('./scheduler');
+
+const { orders: Orders, payments: Payments, withTransaction } = repositories;
+
+// Orders handled per sweep; the rest are picked up by the next one
+const SWEEP_BATCH_SIZE = 50;
+
+// Expire one unpaid order: cancel its payment intent, then release its stock.
+// Resolves with 'expired', or 'paid' if the customer turned out to have paid
+// and we never heard about it.
+async function expireOrder(order) {
+  const payment = await Payments.findLatestForOrder(order.id);
+
+  if (payment && payment.stripe_payment_intent_id) {
+    const provider = getPaymentProvider();
+    const intent = await provider.retrieve(payment.stripe_payment_intent_id);
+
+    if (intent.status === 'succeeded') {
+      await withTransaction(repos => markOrderPaid(repos, order.id, intent));
+      return 'paid';
+    }
+
+    if (intent.status !== 'canceled') {
+      await provider.cancel(intent.id);
+    }
+  }
+
+  await withTransaction(repos => closeUnpaidOrder(repos, order.id, 'expired', {
+    note: 'Not paid before the reservation ran out'
+  }));
+  return 'expired';
+}
+
+// Expire every unpaid order past its reservation time.
+// Resolves with { expired, paid, failed } counts.
+async function sweepExpiredOrders() {
+  const result = { expired: 0, paid: 0, failed: 0 };
+  const orders = await Orders.findExpired(SWEEP_BATCH_SIZE);
+
+  for (const order of orders) {
+    try {
+      result[await expireOrder(order)] += 1;
+    } catch (error) {
+      // Leave the order pending and try again on the next sweep
+      console.error(`Error expiring order ${order.order_number}:`, error);
+      result.failed += 1;
+    }
+  }
+
+  return result;
+}
+
+// Run sweepExpiredOrders every ORDER_SWEEP_INTERVAL_SECONDS (60 by default,
+// 0 turns the sweeper off)
+function startOrderSweeper() {
+  return startJob('Order sweep', intervalFromEnv('ORDER_SWEEP_INTERVAL_SECONDS', 60), async () => {
+    const { expired, paid } = await sweepExpiredOrders();
+
+    if (expired > 0 || paid > 0) {
+      console.log(`⏰ Order sweep: ${expired} expired, ${paid} found paid`);
+    }
+  });
+}
+
+module.exports = { expireOrder, sweepExpiredOrders, startOrderSweeper };
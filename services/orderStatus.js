@@ -0,0 +1,58 @@
+const { ApiError } = require('../middleware/errorHandler');
+
+// Where an order can go from each status. Leaving 'pending' is driven by the
+// payment (paid), the customer (cancelled) or the expiry sweeper (expired).
+// A paid order is only cancelled or returned by a full refund
+// (services/refunds.js), which gives the money back and restocks it.
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'cancelled', 'expired'],
+  paid: ['packed', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: [],
+  expired: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Fulfilment steps admins make by hand with PUT /api/orders/:id/status
+const FULFILMENT_STATUSES = ['packed', 'shipped', 'delivered'];
+
+// Move an order to `toStatus` and record the change in its history.
+// `paymentStatus` replaces the order's payment_status when given.
+// Throws ApiError(404) for an unknown order and ApiError(409) for a move the
+// state machine does not allow. Must be called with transaction repositories.
+async function transitionOrder(repos, orderId, toStatus, { paymentStatus, note, changedBy } = {}) {
+  const order = await repos.orders.findById(orderId);
+
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+
+  if (!canTransition(order.status, toStatus)) {
+    throw new ApiError(409, `Order cannot move from ${order.status} to ${toStatus}`);
+  }
+
+  await repos.orders.updateStatus(orderId, toStatus, paymentStatus || order.payment_status);
+  await repos.orderStatusHistory.create({
+    orderId,
+    fromStatus: order.status,
+    toStatus,
+    note,
+    changedBy
+  });
+
+  return { ...order, status: toStatus, payment_status: paymentStatus || order.payment_status };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  FULFILMENT_STATUSES,
+  canTransition,
+  transitionOrder
+};
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const PaymentProvider = require('./paymentProvider');
+const { getConnection } = require('../../database/connection');
+
+// Outcomes a test or developer can force on a fake intent, with the
+// status and webhook event each one produces
+const OUTCOMES = {
+  succeeded: { status: 'succeeded', eventType: 'payment_intent.succeeded' },
+  failed: { status: 'requires_payment_method', eventType: 'payment_intent.payment_failed', error: 'Your card was declined.' },
+  requires_action: { status: 'requires_action', eventType: 'payment_intent.requires_action' }
+};
+
+// Outcomes of saving a card. A card saved with charges_declined is declined
+// whenever it is charged later, like Stripe's 4000 0000 0000 0341 test card;
+// one saved with charges_processing leaves its charges processing, like a
+// bank debit, until simulate() settles them.
+const SETUP_OUTCOMES = {
+  succeeded: { status: 'succeeded', paymentMethod: 'fake_card' },
+  charges_declined: { status: 'succeeded', paymentMethod: 'fake_card_declining' },
+  charges_processing: { status: 'succeeded', paymentMethod: 'fake_card_processing' },
+  failed: { status: 'requires_payment_method', error: 'Your card was declined.' }
+};
+
+const DECLINING_CARD = 'fake_card_declining';
+const PROCESSING_CARD = 'fake_card_processing';
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+function toIntent(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    amount: row.amount,
+    currency: row.currency,
+    clientSecret: row.client_secret,
+    paymentMethod: row.payment_method,
+    metadata: row.metadata ? JSON.parse(row.metadata) : {},
+    lastError: row.last_error
+  };
+}
+
+function toSetupIntent(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    clientSecret: row.client_secret,
+    customerId: row.customer_id,
+    paymentMethod: row.payment_method,
+    metadata: row.metadata ? JSON.parse(row.metadata) : {},
+    lastError: row.last_error
+  };
+}
+
+// Offline stand-in for Stripe that keeps intents in the local database.
+// Nothing is charged: intents stay in requires_payment_method until
+// simulate() moves them to one of the OUTCOMES. Setup intents likewise wait
+// for simulateSetup(); saved cards are charged straight away.
+class FakeProvider extends PaymentProvider {
+  constructor({ webhookSecret }) {
+    super('fake');
+    this.webhookSecret = webhookSecret;
+    this.db = getConnection();
+  }
+
+  async createIntent({ amount, currency, metadata = {}, description }) {
+    const id = `fake_pi_${uuidv4().replace(/-/g, '')}`;
+
+    await this.db.run(
+      `INSERT INTO fake_payment_intents (id, client_secret, amount, currency, status, description, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, `${id}_secret_${uuidv4().replace(/-/g, '')}`, amount, currency.toUpperCase(),
+       'requires_payment_method', description, JSON.stringify(metadata)]
+    );
+
+    return this.retrieve(id);
+  }
+
+  async retrieve(intentId) {
+    const row = await this.db.get('SELECT * FROM fake_payment_intents WHERE id = ?', [intentId]);
+
+    if (!row) {
+      throw new Error(`No such payment intent: ${intentId}`);
+    }
+
+    return toIntent(row);
+  }
+
+  async cancel(intentId) {
+    const intent = await this.retrieve(intentId);
+
+    if (intent.status === 'succeeded' || intent.status === 'canceled') {
+      throw new Error(`Payment intent ${intentId} is ${intent.status} and cannot be canceled`);
+    }
+
+    await this.db.run(
+      "UPDATE fake_payment_intents SET status = 'canceled', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [intentId]
+    );
+
+    return this.retrieve(intentId);
+  }
+
+  async refund(intentId, { amount } = {}) {
+    const row = await this.db.get('SELECT * FROM fake_payment_intents WHERE id = ?', [intentId]);
+
+    if (!row || row.status !== 'succeeded') {
+      throw new Error(`Payment intent ${intentId} has not succeeded and cannot be refunded`);
+    }
+
+    const refundable = row.amount - row.amount_refunded;
+    const refundAmount = amount !== undefined ? amount : refundable;
+
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw new Error(`Refund amount exceeds the ${refundable} remaining on ${intentId}`);
+    }
+
+    await this.db.run(
+      'UPDATE fake_payment_intents SET amount_refunded = amount_refunded + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [refundAmount, intentId]
+    );
+
+    return { id: `fake_re_${uuidv4().replace(/-/g, '')}`, status: 'succeeded', amount: refundAmount };
+  }
+
+  async createSetupIntent({ customerId, metadata = {} }) {
+    const id = `fake_seti_${uuidv4().replace(/-/g, '')}`;
+
+    await this.db.run(
+      `INSERT INTO fake_setup_intents (id, client_secret, customer_id, status, metadata)
+       VALUES (?, ?, ?, ?, ?)`,
+      [id, `${id}_secret_${uuidv4().replace(/-/g, '')}`, customerId || `fake_cus_${uuidv4().replace(/-/g, '')}`,
+       'requires_payment_method', JSON.stringify(metadata)]
+    );
+
+    return this.retrieveSetupIntent(id);
+  }
+
+  async retrieveSetupIntent(setupIntentId) {
+    const row = await this.db.get('SELECT * FROM fake_setup_intents WHERE id = ?', [setupIntentId]);
+
+    if (!row) {
+      throw new Error(`No such setup intent: ${setupIntentId}`);
+    }
+
+    return toSetupIntent(row);
+  }
+
+  async chargeSavedCard({ amount, currency, paymentMethod, metadata = {}, description, idempotencyKey }) {
+    if (idempotencyKey) {
+      const existing = await this.db.get('SELECT id FROM fake_payment_intents WHERE idempotency_key = ?', [idempotencyKey]);
+
+      if (existing) {
+        return this.retrieve(existing.id);
+      }
+    }
+
+    const intent = await this.createIntent({ amount, currency, metadata, description });
+    const declined = paymentMethod === DECLINING_CARD;
+    let status = 'succeeded';
+
+    if (declined) {
+      status = 'requires_payment_method';
+    } else if (paymentMethod === PROCESSING_CARD) {
+      status = 'processing';
+    }
+
+    await this.db.run(
+      `UPDATE fake_payment_intents
+       SET status = ?, last_error = ?, payment_method = ?, idempotency_key = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, declined ? 'Your card was declined.' : null, declined ? null : paymentMethod,
+       idempotencyKey || null, intent.id]
+    );
+
+    return this.retrieve(intent.id);
+  }
+
+  // Force an outcome on a setup intent, as if the customer had entered a card
+  async simulateSetup(setupIntentId, outcome) {
+    const result = SETUP_OUTCOMES[outcome];
+
+    if (!result) {
+      throw new Error(`Unknown outcome "${outcome}". Use ${Object.keys(SETUP_OUTCOMES).join(', ')}.`);
+    }
+
+    await this.retrieveSetupIntent(setupIntentId);
+    await this.db.run(
+      `UPDATE fake_setup_intents
+       SET status = ?, payment_method = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [result.status, result.paymentMethod || null, result.error || null, setupIntentId]
+    );
+
+    return this.retrieveSetupIntent(setupIntentId);
+  }
+
+  verifyWebhook(rawBody, headers) {
+    const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+    const expected = Buffer.from(this.sign(payload));
+    const received = Buffer.from(String(headers[SIGNATURE_HEADER] || ''));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('No signatures found matching the expected signature for payload');
+    }
+
+    const event = JSON.parse(payload);
+    return { id: event.id, type: event.type, object: event.data.object };
+  }
+
+  // Force an outcome on an intent. Resolves with the updated intent and the
+  // signed webhook delivery Stripe would have sent for it, so callers can
+  // replay it against /api/payment/webhook.
+  async simulate(intentId, outcome) {
+    const result = OUTCOMES[outcome];
+
+    if (!result) {
+      throw new Error(`Unknown outcome "${outcome}". Use ${Object.keys(OUTCOMES).join(', ')}.`);
+    }
+
+    await this.retrieve(intentId);
+    await this.db.run(
+      `UPDATE fake_payment_intents
+       SET status = ?, last_error = ?, payment_method = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [result.status, result.error || null, outcome === 'succeeded' ? 'fake_card' : null, intentId]
+    );
+
+    const intent = await this.retrieve(intentId);
+    const payload = JSON.stringify({
+      id: `fake_evt_${uuidv4().replace(/-/g, '')}`,
+      type: result.eventType,
+      data: { object: intent }
+    });
+
+    return {
+      intent,
+      webhook: {
+        payload,
+        headers: { [SIGNATURE_HEADER]: this.sign(payload) }
+      }
+    };
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(payload).digest('hex');
+  }
+}
+
+FakeProvider.OUTCOMES = Object.keys(OUTCOMES);
+FakeProvider.SETUP_OUTCOMES = Object.keys(SETUP_OUTCOMES);
+
+module.exports = FakeProvider;
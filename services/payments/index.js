@@ -0,0 +1,38 @@
+const StripeProvider = require('./stripeProvider');
+const FakeProvider = require('./fakeProvider');
+
+let provider;
+
+// The payment provider selected by PAYMENT_PROVIDER (stripe by default)
+function getPaymentProvider() {
+  if (provider) {
+    return provider;
+  }
+
+  const name = (process.env.PAYMENT_PROVIDER || 'stripe').toLowerCase();
+
+  switch (name) {
+    case 'stripe':
+      provider = new StripeProvider({
+        secretKey: process.env.STRIPE_SECRET_KEY,
+        webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+      });
+      break;
+
+    case 'fake':
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('The fake payment provider cannot be used in production');
+      }
+      provider = new FakeProvider({
+        webhookSecret: process.env.FAKE_WEBHOOK_SECRET || 'fake_webhook_secret'
+      });
+      break;
+
+    default:
+      throw new Error(`Unknown PAYMENT_PROVIDER "${name}". Use stripe or fake.`);
+  }
+
+  return provider;
+}
+
+module.exports = { getPaymentProvider };
@@ -0,0 +1,66 @@
+// Interface every payment provider implements.
+//
+// Amounts are always in major currency units (rupees); providers convert to
+// whatever their API expects. Intents are returned in a common shape:
+//   { id, status, amount, currency, clientSecret, paymentMethod, metadata, lastError }
+// where status uses Stripe's vocabulary: requires_payment_method,
+// requires_action, processing, succeeded or canceled.
+// Setup intents, which save a card for later off-session charges, are returned as
+//   { id, status, clientSecret, customerId, paymentMethod, metadata, lastError }.
+// Webhook events are returned as { id, type, object } with `object` being a
+// normalized intent for payment_intent.* events, a refund
+// { id, paymentIntentId, amount, status } for refund.created, refund.updated
+// and charge.refund.updated, and for charge.refunded
+// { paymentIntentId, refunds: [refund] }.
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Create an intent to collect `amount` for an order
+  async createIntent({ amount, currency, metadata, description }) {
+    throw new Error(`${this.name} provider does not implement createIntent`);
+  }
+
+  // Fetch the current state of an intent
+  async retrieve(intentId) {
+    throw new Error(`${this.name} provider does not implement retrieve`);
+  }
+
+  // Cancel an intent that has not been paid; rejects once it has succeeded
+  async cancel(intentId) {
+    throw new Error(`${this.name} provider does not implement cancel`);
+  }
+
+  // Refund a succeeded intent; omit amount for a full refund.
+  // Resolves with { id, status, amount }
+  async refund(intentId, { amount } = {}) {
+    throw new Error(`${this.name} provider does not implement refund`);
+  }
+
+  // Start saving a card for `customerId`, creating the customer when it is
+  // null. The client completes it with the returned clientSecret.
+  async createSetupIntent({ customerId, email, metadata }) {
+    throw new Error(`${this.name} provider does not implement createSetupIntent`);
+  }
+
+  // Fetch the current state of a setup intent
+  async retrieveSetupIntent(setupIntentId) {
+    throw new Error(`${this.name} provider does not implement retrieveSetupIntent`);
+  }
+
+  // Charge a saved card without the customer present. Resolves with the
+  // intent, which has not succeeded when the card was declined and may still
+  // be processing. A repeated idempotencyKey resolves with the intent the
+  // first call created instead of charging again.
+  async chargeSavedCard({ amount, currency, customerId, paymentMethod, metadata, description, idempotencyKey }) {
+    throw new Error(`${this.name} provider does not implement chargeSavedCard`);
+  }
+
+  // Check a webhook's signature and parse it; throws when verification fails
+  verifyWebhook(rawBody, headers) {
+    throw new Error(`${this.name} provider does not implement verifyWebhook`);
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,142 @@
+const Stripe = require('stripe');
+const PaymentProvider = require('./paymentProvider');
+
+// Stripe amounts are in the smallest currency unit (paise)
+const toMinorUnits = (amount) => Math.round(amount * 100);
+const fromMinorUnits = (amount) => amount / 100;
+
+function toIntent(paymentIntent) {
+  return {
+    id: paymentIntent.id,
+    status: paymentIntent.status,
+    amount: fromMinorUnits(paymentIntent.amount),
+    currency: paymentIntent.currency.toUpperCase(),
+    clientSecret: paymentIntent.client_secret,
+    paymentMethod: paymentIntent.payment_method,
+    metadata: paymentIntent.metadata || {},
+    lastError: paymentIntent.last_payment_error ? paymentIntent.last_payment_error.message : null
+  };
+}
+
+function toSetupIntent(setupIntent) {
+  return {
+    id: setupIntent.id,
+    status: setupIntent.status,
+    clientSecret: setupIntent.client_secret,
+    customerId: setupIntent.customer,
+    paymentMethod: setupIntent.payment_method,
+    metadata: setupIntent.metadata || {},
+    lastError: setupIntent.last_setup_error ? setupIntent.last_setup_error.message : null
+  };
+}
+
+function toRefund(refund) {
+  return {
+    id: refund.id,
+    paymentIntentId: refund.payment_intent,
+    amount: fromMinorUnits(refund.amount),
+    status: refund.status
+  };
+}
+
+// Charges only list their refunds on API versions before 2022-11-15; newer
+// ones send each refund as its own refund.created event
+function toRefundedCharge(charge) {
+  const refunds = charge.refunds ? charge.refunds.data : [];
+
+  return {
+    paymentIntentId: charge.payment_intent,
+    refunds: refunds.map(toRefund)
+  };
+}
+
+class StripeProvider extends PaymentProvider {
+  constructor({ secretKey, webhookSecret }) {
+    super('stripe');
+    this.stripe = Stripe(secretKey);
+    this.webhookSecret = webhookSecret;
+  }
+
+  async createIntent({ amount, currency, metadata, description }) {
+    const paymentIntent = await this.stripe.paymentIntents.create({
+      amount: toMinorUnits(amount),
+      currency: currency.toLowerCase(),
+      metadata,
+      description,
+      // Lets the checkout page's Payment Element offer every method enabled
+      // in the Stripe dashboard
+      automatic_payment_methods: { enabled: true }
+    });
+    return toIntent(paymentIntent);
+  }
+
+  async retrieve(intentId) {
+    return toIntent(await this.stripe.paymentIntents.retrieve(intentId));
+  }
+
+  async cancel(intentId) {
+    return toIntent(await this.stripe.paymentIntents.cancel(intentId));
+  }
+
+  async refund(intentId, { amount } = {}) {
+    const refund = await this.stripe.refunds.create({
+      payment_intent: intentId,
+      ...(amount !== undefined && { amount: toMinorUnits(amount) })
+    });
+    return { id: refund.id, status: refund.status, amount: fromMinorUnits(refund.amount) };
+  }
+
+  async createSetupIntent({ customerId, email, metadata }) {
+    const customer = customerId || (await this.stripe.customers.create({ email, metadata })).id;
+    const setupIntent = await this.stripe.setupIntents.create({
+      customer,
+      usage: 'off_session',
+      metadata,
+      automatic_payment_methods: { enabled: true }
+    });
+    return toSetupIntent(setupIntent);
+  }
+
+  async retrieveSetupIntent(setupIntentId) {
+    return toSetupIntent(await this.stripe.setupIntents.retrieve(setupIntentId));
+  }
+
+  async chargeSavedCard({ amount, currency, customerId, paymentMethod, metadata, description, idempotencyKey }) {
+    try {
+      const paymentIntent = await this.stripe.paymentIntents.create({
+        amount: toMinorUnits(amount),
+        currency: currency.toLowerCase(),
+        customer: customerId,
+        payment_method: paymentMethod,
+        off_session: true,
+        confirm: true,
+        metadata,
+        description
+      }, idempotencyKey ? { idempotencyKey } : undefined);
+      return toIntent(paymentIntent);
+    } catch (error) {
+      // Declines are thrown, carrying the intent that failed
+      if (error.raw && error.raw.payment_intent) {
+        return toIntent(error.raw.payment_intent);
+      }
+      throw error;
+    }
+  }
+
+  verifyWebhook(rawBody, headers) {
+    const event = this.stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], this.webhookSecret);
+    let object = event.data.object;
+
+    if (event.type.startsWith('payment_intent.')) {
+      object = toIntent(object);
+    } else if (event.type === 'charge.refunded') {
+      object = toRefundedCharge(object);
+    } else if (['refund.created', 'refund.updated', 'charge.refund.updated'].includes(event.type)) {
+      object = toRefund(object);
+    }
+
+    return { id: event.id, type: event.type, object };
+  }
+}
+
+module.exports = StripeProvider;
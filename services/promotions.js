@@ -0,0 +1,84 @@
+const { ApiError } = require('../middleware/errorHandler');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// Look up a coupon code and check it can be used for an order worth
+// `subtotal`. The per-customer limit is only checked when `userId` is given.
+// Throws ApiError(400) explaining why a code cannot be used.
+async function findUsablePromotion(repos, code, { subtotal, userId }) {
+  const promotion = await repos.promotions.findByCode(code);
+
+  if (!promotion || !promotion.is_active) {
+    throw new ApiError(400, `Coupon "${code}" is not valid`);
+  }
+
+  if (!promotion.has_started) {
+    throw new ApiError(400, `Coupon "${code}" is not valid yet`);
+  }
+
+  if (promotion.has_ended) {
+    throw new ApiError(400, `Coupon "${code}" has expired`);
+  }
+
+  if (subtotal < promotion.min_order_value) {
+    throw new ApiError(400, `Coupon "${code}" needs an order of at least ₹${promotion.min_order_value}`);
+  }
+
+  if (promotion.usage_limit && promotion.times_used >= promotion.usage_limit) {
+    throw new ApiError(400, `Coupon "${code}" has been fully redeemed`);
+  }
+
+  if (promotion.per_user_limit && userId &&
+      await repos.promotions.countRedemptions(promotion.id, userId) >= promotion.per_user_limit) {
+    throw new ApiError(400, `You have already used coupon "${code}"`);
+  }
+
+  return promotion;
+}
+
+// The quote lines a promotion discounts: the product it is for, the products
+// in its category, or every line when it is not scoped
+function eligibleLines(promotion, lines) {
+  if (promotion.product_id) {
+    return lines.filter(line => line.type === 'product' && line.id === promotion.product_id);
+  }
+
+  if (promotion.category) {
+    return lines.filter(line => line.type === 'product' && line.category === promotion.category);
+  }
+
+  return lines;
+}
+
+// Check a saved promotion's fields make sense together and resolve with it.
+// Run inside the transaction that saved it, so a failed check rolls the
+// change back. Throws ApiError(400).
+async function checkPromotion(repos, promotionId) {
+  const promotion = await repos.promotions.findById(promotionId);
+
+  if (promotion.discount_type === 'percentage' && promotion.discount_value > 100) {
+    throw new ApiError(400, 'A percentage discount cannot be more than 100');
+  }
+
+  if (promotion.category && promotion.product_id) {
+    throw new ApiError(400, 'A promotion can be limited to a category or a product, not both');
+  }
+
+  if (promotion.product_id && !await repos.shopProducts.findById(promotion.product_id)) {
+    throw new ApiError(400, `Product with ID ${promotion.product_id} not found`);
+  }
+
+  // Both are stored as UTC "YYYY-MM-DD HH:MM:SS", so they compare as strings
+  if (promotion.starts_at && promotion.ends_at && promotion.ends_at <= promotion.starts_at) {
+    throw new ApiError(400, 'A promotion must end after it starts');
+  }
+
+  return promotion;
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  checkPromotion,
+  findUsablePromotion,
+  eligibleLines
+};
@@ -0,0 +1,141 @@
+const { ApiError } = require('../middleware/errorHandler');
+const { moveStock } = require('./inventory');
+const { roundCurrency } = require('./money');
+
+// Check the products on a purchase order exist and appear once each.
+// `items` is [{ productId, variantId, quantity, unitCost }]; products with
+// variants are ordered by variant. Throws ApiError(400).
+async function validatePurchaseOrderItems(repos, items) {
+  const seen = new Set();
+  const validated = [];
+
+  for (const item of items) {
+    const productId = parseInt(item.productId, 10);
+    const variantId = item.variantId ? parseInt(item.variantId, 10) : null;
+    const key = `${productId}:${variantId || ''}`;
+
+    if (seen.has(key)) {
+      throw new ApiError(400, variantId
+        ? `Variant ${variantId} is listed more than once`
+        : `Product ${productId} is listed more than once`);
+    }
+    seen.add(key);
+
+    const product = await repos.shopProducts.findById(productId);
+
+    if (!product) {
+      throw new ApiError(400, `Product with ID ${productId} not found`);
+    }
+
+    const variants = await repos.productVariants.listForProduct(productId);
+
+    if (variantId && !variants.some(variant => variant.id === variantId)) {
+      throw new ApiError(400, `Variant with ID ${variantId} not found for "${product.name}"`);
+    }
+
+    if (!variantId && variants.length > 0) {
+      throw new ApiError(400, `Choose a variant of "${product.name}"`);
+    }
+
+    validated.push({
+      productId,
+      variantId,
+      quantity: parseInt(item.quantity, 10),
+      unitCost: parseFloat(item.unitCost)
+    });
+  }
+
+  return validated;
+}
+
+// Spread `additionalCosts` (freight, duty...) over the received lines in
+// proportion to their value and work out each line's landed cost per unit.
+// A landedUnitCost given on a line is used as is.
+function landedUnitCosts(lines, additionalCosts) {
+  const totalValue = lines.reduce((sum, { item, quantity }) => sum + item.unit_cost * quantity, 0);
+  const totalQuantity = lines.reduce((sum, { quantity }) => sum + quantity, 0);
+
+  return lines.map(({ item, quantity, landedUnitCost }) => {
+    if (landedUnitCost !== undefined) {
+      return parseFloat(landedUnitCost);
+    }
+
+    const share = totalValue > 0
+      ? additionalCosts * (item.unit_cost * quantity) / totalValue
+      : additionalCosts * quantity / totalQuantity;
+
+    return roundCurrency(item.unit_cost + share / quantity);
+  });
+}
+
+// Receive stock against a sent purchase order. Each line adds stock through
+// the inventory ledger and records a receipt with its landed cost.
+// `lines` is [{ itemId, quantity, landedUnitCost }] where itemId is a
+// purchase_order_items id. Resolves with the purchase order's new status.
+// Must be called with transaction repositories.
+async function receivePurchaseOrder(repos, purchaseOrderId, { lines, additionalCosts = 0, receivedBy }) {
+  const purchaseOrder = await repos.purchaseOrders.findById(purchaseOrderId);
+
+  if (!purchaseOrder) {
+    throw new ApiError(404, 'Purchase order not found');
+  }
+
+  if (!['sent', 'partially_received'].includes(purchaseOrder.status)) {
+    throw new ApiError(400, `A ${purchaseOrder.status} purchase order cannot be received`);
+  }
+
+  const items = await repos.purchaseOrders.findItems(purchaseOrderId);
+  // An item can appear on several lines; together they must fit what is outstanding
+  const receiving = {};
+  const resolved = lines.map(line => {
+    const item = items.find(poItem => poItem.id === parseInt(line.itemId, 10));
+
+    if (!item) {
+      throw new ApiError(400, `Item ${line.itemId} is not on this purchase order`);
+    }
+
+    const quantity = parseInt(line.quantity, 10);
+    receiving[item.id] = (receiving[item.id] || 0) + quantity;
+
+    if (receiving[item.id] > item.quantity_ordered - item.quantity_received) {
+      throw new ApiError(400, `Cannot receive more ${item.product_name} than is outstanding`);
+    }
+
+    return { item, quantity, landedUnitCost: line.landedUnitCost };
+  });
+
+  const costs = landedUnitCosts(resolved, parseFloat(additionalCosts) || 0);
+
+  for (const [index, { item, quantity }] of resolved.entries()) {
+    const inventoryMovementId = await moveStock(repos, {
+      productId: item.product_id,
+      variantId: item.variant_id,
+      quantityChange: quantity,
+      type: 'restock',
+      reason: `Received on ${purchaseOrder.po_number}`,
+      createdBy: receivedBy
+    });
+
+    await repos.purchaseOrders.addReceipt({
+      itemId: item.id,
+      quantity,
+      landedUnitCost: costs[index],
+      inventoryMovementId,
+      receivedBy
+    });
+    await repos.purchaseOrders.markItemReceived(item.id, quantity);
+  }
+
+  const outstanding = (await repos.purchaseOrders.findItems(purchaseOrderId))
+    .some(item => item.quantity_received < item.quantity_ordered);
+
+  if (outstanding) {
+    await repos.purchaseOrders.updateStatus(purchaseOrderId, 'partially_received');
+    return 'partially_received';
+  }
+
+  await repos.purchaseOrders.updateStatus(purchaseOrderId, 'received', 'received_at');
+  return 'received';
+}
+
+module.exports = { validatePurchaseOrderItems, receivePurchaseOrder };
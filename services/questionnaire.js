@@ -0,0 +1,150 @@
+// Adoption questionnaires are JSON schema objects limited to what the adoption
+// form can render: a flat object of string, integer, number and boolean
+// questions, each with a title and optionally enum, minLength/maxLength or
+// minimum/maximum, plus a list of required questions.
+
+const QUESTION_TYPES = ['string', 'integer', 'number', 'boolean'];
+
+// How each type is described to applicants in error messages
+const TYPE_DESCRIPTIONS = {
+  string: 'text',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'yes or no'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    default:
+      return false;
+  }
+};
+
+// Problems that stop a schema being used as a questionnaire; empty when valid
+function schemaErrors(schema) {
+  if (!isPlainObject(schema) || schema.type !== 'object') {
+    return ['Questionnaire must be a JSON schema of type object'];
+  }
+
+  if (!isPlainObject(schema.properties) || Object.keys(schema.properties).length === 0) {
+    return ['Questionnaire must have at least one question under properties'];
+  }
+
+  const errors = [];
+
+  Object.entries(schema.properties).forEach(([key, question]) => {
+    if (!isPlainObject(question) || !QUESTION_TYPES.includes(question.type)) {
+      errors.push(`${key}: type must be one of ${QUESTION_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (typeof question.title !== 'string' || !question.title.trim()) {
+      errors.push(`${key}: title is required`);
+    }
+
+    if (question.enum !== undefined &&
+      (!Array.isArray(question.enum) || question.enum.length === 0 ||
+        !question.enum.every(option => matchesType(option, question.type)))) {
+      errors.push(`${key}: enum must be a list of ${question.type} values`);
+    }
+
+    ['minLength', 'maxLength', 'minimum', 'maximum'].forEach(keyword => {
+      if (question[keyword] !== undefined && !matchesType(question[keyword], 'number')) {
+        errors.push(`${key}: ${keyword} must be a number`);
+      }
+    });
+  });
+
+  if (schema.required !== undefined &&
+    (!Array.isArray(schema.required) || !schema.required.every(key => schema.properties[key]))) {
+    errors.push('required must list questions defined under properties');
+  }
+
+  return errors;
+}
+
+// Check answers against a questionnaire. Returns { errors, answers } where
+// errors are in express-validator's shape and answers has strings trimmed and
+// unanswered optional questions left out.
+function validateAnswers(schema, answers) {
+  const errors = [];
+  const cleaned = {};
+  const given = isPlainObject(answers) ? answers : {};
+  const required = schema.required || [];
+
+  const addError = (key, msg) => errors.push({ type: 'field', path: `answers.${key}`, msg, location: 'body' });
+
+  Object.keys(given).forEach(key => {
+    if (!schema.properties[key]) {
+      addError(key, 'Unknown question');
+    }
+  });
+
+  Object.entries(schema.properties).forEach(([key, question]) => {
+    let value = given[key];
+
+    if (typeof value === 'string') {
+      value = value.trim();
+    }
+
+    if (value === undefined || value === null || value === '') {
+      if (required.includes(key)) {
+        addError(key, `${question.title} is required`);
+      }
+      return;
+    }
+
+    if (!matchesType(value, question.type)) {
+      addError(key, `${question.title} must be ${TYPE_DESCRIPTIONS[question.type]}`);
+      return;
+    }
+
+    if (question.enum && !question.enum.includes(value)) {
+      addError(key, `${question.title} must be one of: ${question.enum.join(', ')}`);
+      return;
+    }
+
+    if (question.minLength !== undefined && value.length < question.minLength) {
+      addError(key, `${question.title} must be at least ${question.minLength} characters`);
+      return;
+    }
+
+    if (question.maxLength !== undefined && value.length > question.maxLength) {
+      addError(key, `${question.title} must be at most ${question.maxLength} characters`);
+      return;
+    }
+
+    if (question.minimum !== undefined && value < question.minimum) {
+      addError(key, `${question.title} must be at least ${question.minimum}`);
+      return;
+    }
+
+    if (question.maximum !== undefined && value > question.maximum) {
+      addError(key, `${question.title} must be at most ${question.maximum}`);
+      return;
+    }
+
+    cleaned[key] = value;
+  });
+
+  return { errors, answers: cleaned };
+}
+
+// Answers paired with their questions, in questionnaire order, for review
+function describeAnswers(schema, answers) {
+  return Object.entries(schema.properties)
+    .filter(([key]) => answers[key] !== undefined)
+    .map(([key, question]) => ({ key, question: question.title, answer: answers[key] }));
+}
+
+module.exports = { QUESTION_TYPES, schemaErrors, validateAnswers, describeAnswers };
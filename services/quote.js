@@ -0,0 +1,209 @@
+const { ApiError } = require('../middleware/errorHandler');
+const { roundCurrency } = require('./money');
+const { findUsablePromotion, eligibleLines } = require('./promotions');
+const { placeOfSupply, applyTax } = require('./tax');
+const { quoteShipping } = require('./shipping');
+
+// Combine repeated entries for the same pet, product or variant so stock is
+// checked against the total quantity requested
+function mergeItems(items) {
+  const merged = new Map();
+
+  items.forEach(({ type, id, variantId, quantity = 1 }) => {
+    const key = `${type}:${id}:${variantId || ''}`;
+    const existing = merged.get(key);
+
+    if (existing) {
+      existing.quantity += parseInt(quantity, 10);
+    } else {
+      merged.set(key, {
+        type,
+        id: parseInt(id, 10),
+        variantId: variantId ? parseInt(variantId, 10) : null,
+        quantity: parseInt(quantity, 10)
+      });
+    }
+  });
+
+  return [...merged.values()];
+}
+
+// Look up one requested item and price it as a quote line. Resolves with
+// { line, problem }: `problem` says why the item cannot be ordered as asked
+// (null when it can), and `line` is null when there is nothing to price.
+// Products that have variants must be asked for by variantId, and are priced
+// and stock-checked by the variant.
+async function priceItem(repos, { type, id, variantId, quantity }) {
+  if (type === 'pet') {
+    const pet = await repos.pets.findById(id);
+
+    if (!pet) {
+      return { line: null, problem: `Pet with ID ${id} not found` };
+    }
+
+    const line = {
+      type: 'pet',
+      id: pet.id,
+      name: pet.name,
+      category: pet.species,
+      unitPrice: pet.price,
+      quantity,
+      lineTotal: roundCurrency(pet.price * quantity),
+      discount: 0
+    };
+
+    if (!pet.is_available) {
+      return { line, problem: `Pet "${pet.name}" is not available` };
+    }
+
+    if (quantity !== 1) {
+      return { line, problem: `Pet "${pet.name}" can only be ordered once` };
+    }
+
+    return { line, problem: null };
+  }
+
+  const product = await repos.shopProducts.findById(id);
+
+  if (!product) {
+    return { line: null, problem: `Product with ID ${id} not found` };
+  }
+
+  const variants = await repos.productVariants.listForProduct(product.id);
+  let variant = null;
+
+  if (variantId) {
+    variant = variants.find(({ id: candidate }) => candidate === variantId);
+
+    if (!variant) {
+      return { line: null, problem: `Variant with ID ${variantId} not found for "${product.name}"` };
+    }
+  } else if (variants.length > 0) {
+    return { line: null, problem: `Choose a variant of "${product.name}"` };
+  }
+
+  const name = variant ? `${product.name} (${variant.name})` : product.name;
+  const stocked = variant || product;
+  const line = {
+    type: 'product',
+    id: product.id,
+    variantId: variant ? variant.id : null,
+    sku: variant ? variant.sku : null,
+    name,
+    category: product.category,
+    unitPrice: stocked.price,
+    quantity,
+    lineTotal: roundCurrency(stocked.price * quantity),
+    discount: 0,
+    weightGrams: variant && variant.weight_grams !== null ? variant.weight_grams : product.weight_grams
+  };
+
+  if (!product.is_available || !stocked.is_available || stocked.stock_quantity < quantity) {
+    return { line, problem: `Product "${name}" is not available in sufficient quantity` };
+  }
+
+  return { line, problem: null };
+}
+
+// Validate and price every requested item.
+// `repos` are the repositories to read from - pass the transaction's
+// repositories when the quote is about to become an order.
+// `couponCode` applies a promotion; pass `userId` so its per-customer limit is
+// checked too. Prices include GST, which is broken down according to
+// `shippingState`. `shipping` ({ method, pincode, deliverySlotId }) adds the
+// shipping charge, GST included, to the total; its tax is in `shippingTax`.
+// Throws ApiError(400) for unknown, unavailable or out-of-stock items, for
+// coupons that cannot be used and for shipping that cannot be arranged.
+async function buildQuote(items, repos, { couponCode, userId, shippingState, shipping } = {}) {
+  const lines = [];
+
+  for (const item of mergeItems(items)) {
+    const { line, problem } = await priceItem(repos, item);
+
+    if (problem) {
+      throw new ApiError(400, problem);
+    }
+
+    lines.push(line);
+  }
+
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+  if (lines.length === 0 || subtotal <= 0) {
+    throw new ApiError(400, 'No valid items found');
+  }
+
+  const discounts = couponCode ? await applyCoupon(repos, couponCode, lines, { subtotal, userId }) : [];
+  const discountTotal = roundCurrency(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+  const itemsTotal = roundCurrency(subtotal - discountTotal);
+
+  if (itemsTotal <= 0) {
+    throw new ApiError(400, `Coupon "${couponCode}" cannot cover the whole order`);
+  }
+
+  const shippingQuote = shipping
+    ? await quoteShipping(repos, lines, { ...shipping, orderValue: itemsTotal })
+    : null;
+  const shippingAmount = shippingQuote ? shippingQuote.amount : 0;
+  // The shipping charge includes GST too, at the shipping rate
+  const shippingCharge = shippingAmount > 0
+    ? { type: 'shipping', category: null, lineTotal: shippingAmount, discount: 0 }
+    : null;
+  const taxes = await applyTax(repos, lines, placeOfSupply(shipping && shipping.method, shippingState), shippingCharge);
+  const shippingTax = shippingCharge ? {
+    hsnCode: shippingCharge.hsnCode,
+    taxRate: shippingCharge.taxRate,
+    taxableAmount: shippingCharge.taxableAmount,
+    taxAmount: shippingCharge.taxAmount,
+    taxes: shippingCharge.taxes
+  } : null;
+
+  return {
+    currency: 'INR',
+    items: lines,
+    subtotal,
+    discounts,
+    discountTotal,
+    taxes,
+    taxTotal: roundCurrency(lines.reduce((sum, line) => sum + line.taxAmount, 0) + (shippingTax ? shippingTax.taxAmount : 0)),
+    shipping: shippingQuote,
+    shippingAmount,
+    shippingTax,
+    totalAmount: roundCurrency(itemsTotal + shippingAmount)
+  };
+}
+
+// Work out a coupon's discount and split it across the lines it applies to in
+// proportion to their value, setting each line's `discount`. Resolves with the
+// order-level discount entries.
+async function applyCoupon(repos, couponCode, lines, { subtotal, userId }) {
+  const promotion = await findUsablePromotion(repos, couponCode, { subtotal, userId });
+  const eligible = eligibleLines(promotion, lines);
+
+  if (eligible.length === 0) {
+    throw new ApiError(400, `Coupon "${couponCode}" does not apply to any item in this order`);
+  }
+
+  const eligibleTotal = eligible.reduce((sum, line) => sum + line.lineTotal, 0);
+  const amount = promotion.discount_type === 'percentage'
+    ? roundCurrency(eligibleTotal * promotion.discount_value / 100)
+    : Math.min(promotion.discount_value, eligibleTotal);
+
+  // The last line takes whatever rounding leaves over
+  let remaining = amount;
+  eligible.forEach((line, index) => {
+    line.discount = index === eligible.length - 1
+      ? roundCurrency(remaining)
+      : roundCurrency(amount * line.lineTotal / eligibleTotal);
+    remaining -= line.discount;
+  });
+
+  return [{
+    promotionId: promotion.id,
+    code: promotion.code,
+    description: promotion.description,
+    amount
+  }];
+}
+
+module.exports = { priceItem, buildQuote };
@@ -0,0 +1,228 @@
+const repositories = require('../database/repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const { getPaymentProvider } = require('./payments');
+const { canTransition, transitionOrder } = require('./orderStatus');
+const { moveStock } = require('./inventory');
+
+const { payments: Payments, withTransaction } = repositories;
+
+// Amounts closer than half a paisa are treated as equal
+const CURRENCY_EPSILON = 0.005;
+
+// Payment statuses for money that has paid for its order
+const PAID_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Match requested restock lines to the order's items.
+// `requested` is [{ type, id, variantId, quantity }]; omit it to select
+// everything that has not been restocked yet. Throws ApiError(400) when a line
+// is not part of the order or asks for more than is left to restock.
+function resolveRestockLines(orderItems, requested) {
+  if (!requested) {
+    return orderItems
+      .map(item => ({ item, quantity: item.quantity - item.restocked_quantity }))
+      .filter(line => line.quantity > 0);
+  }
+
+  return requested.map(({ type, id, variantId, quantity = 1 }) => {
+    const label = variantId ? `${type} ${id} (variant ${variantId})` : `${type} ${id}`;
+    const item = orderItems.find(orderItem => orderItem.item_type === type &&
+      orderItem.item_id === parseInt(id, 10) &&
+      orderItem.variant_id === (variantId ? parseInt(variantId, 10) : null));
+
+    if (!item) {
+      throw new ApiError(400, `The order does not contain ${label}`);
+    }
+
+    if (quantity > item.quantity - item.restocked_quantity) {
+      throw new ApiError(400, `Cannot restock more of ${label} than was ordered`);
+    }
+
+    return { item, quantity: parseInt(quantity, 10) };
+  });
+}
+
+// Return products to stock and make pets available again.
+// `createdBy` is the user recorded against the inventory movements.
+async function restock(repos, orderId, requested, createdBy) {
+  const lines = resolveRestockLines(await repos.orders.findItems(orderId), requested);
+
+  for (const { item, quantity } of lines) {
+    if (item.item_type === 'product') {
+      await moveStock(repos, {
+        productId: item.item_id,
+        variantId: item.variant_id,
+        quantityChange: quantity,
+        type: 'return',
+        reason: 'Refunded',
+        orderId,
+        createdBy
+      });
+    } else if (item.item_type === 'pet') {
+      await repos.pets.setAvailability(item.item_id, true);
+    }
+
+    await repos.orders.markItemRestocked(item.id, quantity);
+  }
+}
+
+// Start a refund of `amount` (the whole refundable balance if omitted) on the
+// order's payment by saving it as pending, before the provider is asked. The
+// pending amount counts against the balance, so refunds running at the same
+// time cannot refund more than was paid between them. Throws ApiError(400)
+// when the order is not paid, the amount is more than is left or a restock
+// line is wrong. Must be called with transaction repositories.
+// Resolves with { payment, refundId, amount }.
+async function holdRefund(repos, { orderId, amount, reason, createdBy, restockItems }) {
+  const payment = await repos.payments.findLatestForOrder(orderId);
+
+  if (!payment || !['completed', 'partially_refunded'].includes(payment.status)) {
+    throw new ApiError(400, 'Only paid orders can be refunded');
+  }
+
+  const refundable = payment.amount - payment.amount_refunded - await repos.refunds.heldAmount(payment.id);
+  const refundAmount = amount !== undefined ? amount : refundable;
+
+  if (refundable <= CURRENCY_EPSILON) {
+    throw new ApiError(400, 'Nothing is left to refund on this order');
+  }
+
+  if (refundAmount > refundable + CURRENCY_EPSILON) {
+    throw new ApiError(400, `Amount exceeds the refundable balance of ${refundable}`);
+  }
+
+  // Reject bad restock lines before any money moves
+  if (restockItems) {
+    resolveRestockLines(await repos.orders.findItems(orderId), restockItems);
+  }
+
+  const refundId = await repos.refunds.create({
+    orderId,
+    paymentId: payment.id,
+    provider: payment.provider,
+    providerRefundId: null,
+    amount: refundAmount,
+    reason,
+    status: 'pending',
+    createdBy
+  });
+
+  return { payment, refundId, amount: refundAmount };
+}
+
+// Record a refund the provider has issued and update the payment and order.
+// `heldRefundId` is the refund saved by holdRefund, which is filled in rather
+// than a new one created. Safe to call twice for the same provider refund
+// (e.g. from the refund endpoint and from the provider's webhook): the second
+// call only restocks `restockItems` if the first restocked nothing.
+// A refund that leaves nothing to refund restocks everything still outstanding;
+// partial refunds restock only `restockItems`. A payment that never paid for
+// its order (see refundUnpaidCharge) leaves the order and stock alone.
+// Must be called with transaction repositories.
+async function recordRefund(repos, { paymentId, providerRefund, reason, createdBy, restockItems, heldRefundId }) {
+  const existing = await repos.refunds.findByProviderRefundId(providerRefund.id);
+
+  if (existing) {
+    // The webhook recorded it first; the hold is no longer needed
+    if (heldRefundId) {
+      await repos.refunds.delete(heldRefundId);
+    }
+
+    if (!existing.restocked && restockItems && restockItems.length > 0) {
+      await restock(repos, existing.order_id, restockItems, createdBy);
+      await repos.refunds.markRestocked(existing.id);
+      return repos.refunds.findById(existing.id);
+    }
+
+    return existing;
+  }
+
+  const payment = await repos.payments.findById(paymentId);
+  let refundId = heldRefundId;
+
+  if (heldRefundId) {
+    await repos.refunds.markIssued(heldRefundId, {
+      providerRefundId: providerRefund.id,
+      amount: providerRefund.amount,
+      status: providerRefund.status
+    });
+  } else {
+    refundId = await repos.refunds.create({
+      orderId: payment.order_id,
+      paymentId: payment.id,
+      provider: payment.provider,
+      providerRefundId: providerRefund.id,
+      amount: providerRefund.amount,
+      reason,
+      status: providerRefund.status,
+      createdBy
+    });
+  }
+
+  const fullyRefunded = payment.amount_refunded + providerRefund.amount >= payment.amount - CURRENCY_EPSILON;
+  const refundStatus = fullyRefunded ? 'refunded' : 'partially_refunded';
+
+  await repos.payments.addRefund(payment.id, providerRefund.amount, refundStatus);
+
+  if (!PAID_PAYMENT_STATUSES.includes(payment.status)) {
+    return repos.refunds.findById(refundId);
+  }
+
+  if (fullyRefunded) {
+    // Orders that have not shipped are cancelled by a full refund; shipped
+    // ones count as returned
+    const order = await repos.orders.findById(payment.order_id);
+    const closedStatus = ['cancelled', 'returned'].find(status => canTransition(order.status, status));
+
+    if (closedStatus) {
+      await transitionOrder(repos, order.id, closedStatus, {
+        paymentStatus: 'refunded',
+        note: reason || 'Refunded',
+        changedBy: createdBy
+      });
+    } else {
+      await repos.orders.updatePaymentStatus(order.id, 'refunded');
+    }
+
+    await restock(repos, payment.order_id, undefined, createdBy);
+    await repos.refunds.markRestocked(refundId);
+  } else {
+    await repos.orders.updatePaymentStatus(payment.order_id, 'partially_refunded');
+
+    if (restockItems && restockItems.length > 0) {
+      await restock(repos, payment.order_id, restockItems, createdBy);
+      await repos.refunds.markRestocked(refundId);
+    }
+  }
+
+  return repos.refunds.findById(refundId);
+}
+
+// Give back a charge that succeeded without paying for its order: the order
+// was cancelled or expired while the customer was paying, or was already paid
+// with another payment. The order released or kept its stock already, so only
+// the payment is refunded. Resolves with the refund, or null if the payment
+// did pay for the order.
+async function refundUnpaidCharge(paymentId, paymentIntent) {
+  const payment = await Payments.findById(paymentId);
+
+  if (PAID_PAYMENT_STATUSES.includes(payment.status)) {
+    return null;
+  }
+
+  const providerRefund = await getPaymentProvider().refund(paymentIntent.id);
+
+  return withTransaction(repos => recordRefund(repos, {
+    paymentId,
+    providerRefund,
+    reason: 'Payment received after the order was closed'
+  }));
+}
+
+module.exports = {
+  CURRENCY_EPSILON,
+  resolveRestockLines,
+  restock,
+  holdRefund,
+  recordRefund,
+  refundUnpaidCharge
+};
@@ -0,0 +1,107 @@
+const { moveStock } = require('./inventory');
+
+// How long stock and pets are held for an unpaid order
+const getReservationMinutes = () => parseInt(process.env.ORDER_RESERVATION_MINUTES, 10) || 30;
+
+// Hold every quoted item for a new order: products come out of stock and pets
+// are marked unavailable until the order is paid, cancelled or expires.
+// Must be called with transaction repositories, after the quote was built.
+async function reserveItems(repos, orderId, quoteItems) {
+  for (const line of quoteItems) {
+    if (line.type === 'product') {
+      await moveStock(repos, {
+        productId: line.id,
+        variantId: line.variantId,
+        quantityChange: -line.quantity,
+        type: 'reservation',
+        orderId
+      });
+    } else if (line.type === 'pet') {
+      await repos.pets.setAvailability(line.id, false);
+    }
+
+    await repos.inventoryReservations.create({
+      orderId,
+      itemType: line.type,
+      itemId: line.id,
+      variantId: line.variantId,
+      quantity: line.quantity
+    });
+  }
+}
+
+// Keep the held items for good once the order is paid. In the ledger each
+// product hold is released and replaced by a sale.
+async function commitReservations(repos, orderId) {
+  const reservations = await repos.inventoryReservations.listForOrder(orderId);
+  const active = reservations.filter(reservation => reservation.status === 'active');
+
+  for (const reservation of active.filter(({ item_type: type }) => type === 'product')) {
+    await moveStock(repos, {
+      productId: reservation.item_id,
+      variantId: reservation.variant_id,
+      quantityChange: reservation.quantity,
+      type: 'release',
+      reason: 'Order paid',
+      orderId
+    });
+    await moveStock(repos, {
+      productId: reservation.item_id,
+      variantId: reservation.variant_id,
+      quantityChange: -reservation.quantity,
+      type: 'sale',
+      orderId
+    });
+  }
+
+  await repos.inventoryReservations.updateActiveForOrder(orderId, 'committed');
+
+  if (reservations.length > 0) {
+    return;
+  }
+
+  // Orders placed before reservations existed hold nothing, so take the
+  // stock now
+  for (const item of await repos.orders.findItems(orderId)) {
+    if (item.item_type === 'product') {
+      await moveStock(repos, {
+        productId: item.item_id,
+        variantId: item.variant_id,
+        quantityChange: -item.quantity,
+        type: 'sale',
+        orderId
+      });
+    } else if (item.item_type === 'pet') {
+      await repos.pets.setAvailability(item.item_id, false);
+    }
+  }
+}
+
+// Give back everything still held for an order that will not be paid
+async function releaseReservations(repos, orderId, reason) {
+  const reservations = await repos.inventoryReservations.listForOrder(orderId, 'active');
+
+  for (const reservation of reservations) {
+    if (reservation.item_type === 'product') {
+      await moveStock(repos, {
+        productId: reservation.item_id,
+        variantId: reservation.variant_id,
+        quantityChange: reservation.quantity,
+        type: 'release',
+        reason,
+        orderId
+      });
+    } else if (reservation.item_type === 'pet') {
+      await repos.pets.setAvailability(reservation.item_id, true);
+    }
+  }
+
+  await repos.inventoryReservations.updateActiveForOrder(orderId, 'released');
+}
+
+module.exports = {
+  getReservationMinutes,
+  reserveItems,
+  commitReservations,
+  releaseReservations
+};
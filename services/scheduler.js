@@ -0,0 +1,37 @@
+// Run `task` every `intervalSeconds` in the background. A run is skipped
+// rather than overlapped while the previous one is still going, and errors are
+// logged instead of stopping the job. An interval of 0 disables the job.
+// Returns the timer, or null when disabled.
+function startJob(name, intervalSeconds, task) {
+  if (!intervalSeconds) {
+    return null;
+  }
+
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  }, intervalSeconds * 1000);
+
+  // Never keep the process alive just for a background job
+  timer.unref();
+  return timer;
+}
+
+// Read an interval in seconds from the environment, falling back to `defaultSeconds`
+function intervalFromEnv(variable, defaultSeconds) {
+  return process.env[variable] !== undefined ? parseInt(process.env[variable], 10) : defaultSeconds;
+}
+
+module.exports = { startJob, intervalFromEnv };
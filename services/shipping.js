@@ -0,0 +1,140 @@
+const { ApiError } = require('../middleware/errorHandler');
+const { roundCurrency } = require('./money');
+
+// standard: parcel delivery priced by the zone's rate table
+// pet_transport: special transport for live pets, charged per pet
+// pickup: collected in store, free
+const SHIPPING_METHODS = ['standard', 'pet_transport', 'pickup'];
+const RATE_BASES = ['weight', 'order_value'];
+const SLOT_TYPES = ['delivery', 'pickup'];
+
+// Indian postal codes: six digits, not starting with 0
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+const slotTypeFor = (method) => (method === 'pickup' ? 'pickup' : 'delivery');
+
+// One-line form of a structured address, as stored in orders.shipping_address
+function formatAddress({ line1, line2, city, state, pincode }) {
+  return [line1, line2, city, `${state} ${pincode}`].filter(Boolean).join(', ');
+}
+
+// The charge for parcel delivery of the quote's lines within a zone: nothing
+// from the free-shipping threshold up, otherwise the rate band the parcel
+// weight or the order value falls in
+async function deliveryCharge(repos, zone, lines, orderValue) {
+  if (zone.free_shipping_threshold !== null && orderValue >= zone.free_shipping_threshold) {
+    return 0;
+  }
+
+  const value = zone.rate_basis === 'weight'
+    ? lines.reduce((sum, line) => sum + (line.weightGrams || 0) * line.quantity, 0)
+    : orderValue;
+  const band = await repos.shippingZones.findRate(zone.id, value);
+
+  if (!band) {
+    throw new ApiError(400, `Standard delivery is not available for this order in ${zone.name}`);
+  }
+
+  return band.rate;
+}
+
+// Check a delivery or pickup slot can take another order with this method
+async function checkSlot(repos, slotId, method, zone) {
+  const slot = await repos.deliverySlots.findById(slotId);
+  const slotType = slotTypeFor(method);
+
+  if (!slot || !slot.is_active) {
+    throw new ApiError(400, `Delivery slot with ID ${slotId} not found`);
+  }
+
+  if (slot.slot_type !== slotType) {
+    throw new ApiError(400, `Slot ${slotId} is a ${slot.slot_type} slot; choose a ${slotType} slot`);
+  }
+
+  if (slot.zone_id && (!zone || slot.zone_id !== zone.id)) {
+    throw new ApiError(400, `This delivery slot does not cover ${zone ? zone.name : 'the shipping pincode'}`);
+  }
+
+  if (slot.has_started) {
+    throw new ApiError(400, 'This slot has already started');
+  }
+
+  if (slot.booked >= slot.capacity) {
+    throw new ApiError(400, 'This slot is fully booked');
+  }
+
+  return slot;
+}
+
+// Price shipping for priced quote lines. `orderValue` is the item total after
+// discounts, which free-shipping thresholds and value-based rates use.
+// Live pets go by pet transport or are collected in store; both need a slot.
+// Throws ApiError(400) when the method, pincode or slot cannot be used.
+async function quoteShipping(repos, lines, { method, pincode, deliverySlotId, orderValue }) {
+  const petCount = lines.filter(line => line.type === 'pet').length;
+
+  if (petCount > 0 && method === 'standard') {
+    throw new ApiError(400, 'Live pets can only be collected in store or sent by pet transport');
+  }
+
+  if (petCount === 0 && method === 'pet_transport') {
+    throw new ApiError(400, 'Pet transport is only for orders with a pet');
+  }
+
+  let zone = null;
+  let amount = 0;
+
+  if (method !== 'pickup') {
+    if (!pincode) {
+      throw new ApiError(400, 'A shipping pincode is required for delivery');
+    }
+
+    zone = await repos.shippingZones.findForPincode(pincode);
+
+    if (!zone) {
+      throw new ApiError(400, `We do not deliver to pincode ${pincode}`);
+    }
+
+    if (method === 'pet_transport') {
+      if (zone.pet_transport_rate === null) {
+        throw new ApiError(400, `Pet transport is not available to pincode ${pincode}`);
+      }
+
+      // Products in the order travel with the pets
+      amount = roundCurrency(zone.pet_transport_rate * petCount);
+    } else {
+      amount = await deliveryCharge(repos, zone, lines, orderValue);
+    }
+  }
+
+  let slot = null;
+
+  if (deliverySlotId) {
+    slot = await checkSlot(repos, deliverySlotId, method, zone);
+  } else if (method !== 'standard') {
+    throw new ApiError(400, `Choose a ${slotTypeFor(method)} slot`);
+  }
+
+  return {
+    method,
+    pincode: pincode || null,
+    zoneId: zone ? zone.id : null,
+    zoneName: zone ? zone.name : null,
+    amount,
+    deliverySlot: slot ? {
+      id: slot.id,
+      slotType: slot.slot_type,
+      startsAt: slot.starts_at,
+      endsAt: slot.ends_at
+    } : null
+  };
+}
+
+module.exports = {
+  SHIPPING_METHODS,
+  RATE_BASES,
+  SLOT_TYPES,
+  PINCODE_PATTERN,
+  formatAddress,
+  quoteShipping
+};
@@ -0,0 +1,61 @@
+const { stockAlerts: StockAlerts } = require('../database/repositories');
+const { sendMail } = require('./mailer');
+const { startJob, intervalFromEnv } = require('./scheduler');
+
+const getDigestRecipient = () =>
+  process.env.STOCK_ALERT_EMAIL || process.env.ADMIN_EMAIL || 'admin@sharmapetnation.com';
+
+// Email every open alert that has not been sent yet in a single digest.
+// Resolves with the number of alerts included.
+async function sendDigest() {
+  const alerts = await StockAlerts.findUnnotified();
+
+  if (alerts.length === 0) {
+    return 0;
+  }
+
+  const lines = alerts.map(alert =>
+    `- ${alert.product_name}: ${alert.current_stock} left (reorder point ${alert.reorder_point}` +
+    `${alert.reorder_quantity > 0 ? `, reorder ${alert.reorder_quantity}` : ''})`
+  );
+
+  await sendMail({
+    to: getDigestRecipient(),
+    subject: `Low stock: ${alerts.length} product(s) need reordering`,
+    text: [
+      'These products are at or below their reorder point:',
+      '',
+      ...lines,
+      '',
+      'Acknowledge or snooze alerts from GET /api/shop/alerts.'
+    ].join('\n')
+  });
+
+  await StockAlerts.markNotified(alerts.map(alert => alert.id));
+  return alerts.length;
+}
+
+// Bring alerts up to date with current stock, then send the digest.
+// Resolves with counts of what changed.
+async function checkStockAlerts() {
+  const resolved = await StockAlerts.resolveRestocked();
+  const reopened = await StockAlerts.reopenSnoozed();
+  const created = await StockAlerts.createForLowStock();
+  const notified = await sendDigest();
+
+  return { created, reopened, resolved, notified };
+}
+
+// Run checkStockAlerts every STOCK_ALERT_INTERVAL_SECONDS (hourly by default,
+// 0 turns the check off)
+function startStockAlertChecker() {
+  return startJob('Stock alert check', intervalFromEnv('STOCK_ALERT_INTERVAL_SECONDS', 3600), async () => {
+    const { created, notified } = await checkStockAlerts();
+
+    if (created > 0 || notified > 0) {
+      console.log(`📦 Stock alerts: ${created} raised, ${notified} emailed`);
+    }
+  });
+}
+
+module.exports = { checkStockAlerts, sendDigest, startStockAlertChecker };
@@ -0,0 +1,398 @@
+const repositories = require('../database/repositories');
+const { ApiError } = require('../middleware/errorHandler');
+const { getPaymentProvider } = require('./payments');
+const { placeOrder, markOrderPaid, closeUnpaidOrder } = require('./checkout');
+const { sendMail } = require('./mailer');
+const { startJob, intervalFromEnv } = require('./scheduler');
+
+const { subscriptions: Subscriptions, orders: Orders, payments: Payments, withTransaction } = repositories;
+
+const INTERVAL_WEEKS = [2, 4, 8];
+
+const SUBSCRIPTION_STATUSES = ['incomplete', 'active', 'past_due', 'paused', 'cancelled'];
+
+// Hours to wait before each retry of a declined charge. Once they are used
+// up the subscription is paused.
+const RETRY_DELAY_HOURS = [24, 72, 120];
+
+// Subscriptions handled per run; the rest are picked up by the next one
+const RUN_BATCH_SIZE = 50;
+
+// Dates are YYYY-MM-DD in UTC, like SQLite's date('now'), so they compare as strings
+const toSqlDate = (date) => date.toISOString().slice(0, 10);
+const today = () => toSqlDate(new Date());
+
+function addWeeks(sqlDate, weeks) {
+  const date = new Date(`${sqlDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + weeks * 7);
+  return toSqlDate(date);
+}
+
+// The first run date after `sqlDate` that is still to come, keeping to the interval
+function nextRunAfter(sqlDate, weeks) {
+  let next = addWeeks(sqlDate, weeks);
+
+  while (next <= today()) {
+    next = addWeeks(next, weeks);
+  }
+
+  return next;
+}
+
+function shippingAddressOf(subscription) {
+  return {
+    line1: subscription.address_line1,
+    line2: subscription.address_line2,
+    city: subscription.city,
+    state: subscription.state,
+    pincode: subscription.pincode,
+    phone: subscription.phone
+  };
+}
+
+// Start saving a card for a subscription, reusing the customer the provider
+// already holds for the user. Resolves with the provider's setup intent.
+async function startCardSetup(subscription, user) {
+  const provider = getPaymentProvider();
+  const customerId = subscription.payment_customer_id ||
+    await Subscriptions.findPaymentCustomer(user.id, provider.name);
+
+  const setupIntent = await provider.createSetupIntent({
+    customerId,
+    email: user.email,
+    metadata: {
+      subscriptionId: subscription.id.toString(),
+      userId: user.id.toString()
+    }
+  });
+
+  if (setupIntent.customerId !== subscription.payment_customer_id) {
+    await Subscriptions.setPaymentCustomer(subscription.id, setupIntent.customerId);
+  }
+
+  return setupIntent;
+}
+
+// Charge future runs to the card saved by a completed setup intent. An
+// incomplete subscription becomes active; a past-due one is retried on the
+// next run.
+async function saveCard(subscription, setupIntentId) {
+  let setupIntent;
+
+  try {
+    setupIntent = await getPaymentProvider().retrieveSetupIntent(setupIntentId);
+  } catch (error) {
+    throw new ApiError(400, 'Setup intent not found');
+  }
+
+  if (setupIntent.metadata.subscriptionId !== String(subscription.id)) {
+    throw new ApiError(400, 'Setup intent does not belong to this subscription');
+  }
+
+  if (setupIntent.status !== 'succeeded') {
+    throw new ApiError(400, setupIntent.lastError || 'The card has not been saved yet');
+  }
+
+  await Subscriptions.setPaymentMethod(subscription.id, {
+    customerId: setupIntent.customerId,
+    paymentMethodId: setupIntent.paymentMethod,
+    status: subscription.status === 'incomplete' ? 'active' : subscription.status
+  });
+}
+
+// Tell the customer a run could not be charged, and what happens next
+async function notifyPaymentFailed(subscriptionId, error) {
+  const subscription = await Subscriptions.findById(subscriptionId);
+  const item = `${subscription.product_name}${subscription.variant_name ? ` (${subscription.variant_name})` : ''}`;
+  const nextStep = subscription.status === 'paused'
+    ? 'We have paused your autoship. Save a new card and resume it from your account to start it again.'
+    : `We will try again on ${new Date(`${subscription.next_retry_at.replace(' ', 'T')}Z`).toDateString()}. ` +
+      'To use a different card, save a new one from your account.';
+
+  await sendMail({
+    to: subscription.customer_email,
+    subject: `Your autoship payment for ${subscription.product_name} failed`,
+    text: [
+      `Hi ${subscription.customer_name},`,
+      '',
+      `We could not take payment for your autoship of ${subscription.quantity} x ${item}: ${error}`,
+      '',
+      nextStep
+    ].join('\n')
+  });
+}
+
+// Tell the customer a run's order could not be placed, and when the next one is due
+async function notifyRunMissed(subscriptionId, error) {
+  const subscription = await Subscriptions.findById(subscriptionId);
+  const item = `${subscription.product_name}${subscription.variant_name ? ` (${subscription.variant_name})` : ''}`;
+
+  await sendMail({
+    to: subscription.customer_email,
+    subject: `Your autoship order for ${subscription.product_name} could not be placed`,
+    text: [
+      `Hi ${subscription.customer_name},`,
+      '',
+      `We could not place your autoship order of ${subscription.quantity} x ${item}: ${error}`,
+      '',
+      'Nothing has been charged. ' +
+        `Your next delivery is due on ${new Date(`${subscription.next_run_date}T00:00:00Z`).toDateString()}.`
+    ].join('\n')
+  });
+}
+
+// Skip a run whose order could not be placed. This is not the card's fault,
+// so it does not use up the payment retries.
+async function recordMissedRun(subscription, error) {
+  const { changes } = await Subscriptions.recordMissedRun(subscription.id, {
+    error,
+    nextRunDate: nextRunAfter(subscription.next_run_date, subscription.interval_weeks)
+  });
+
+  if (changes === 0) {
+    return 'failed';
+  }
+
+  try {
+    await notifyRunMissed(subscription.id, error);
+  } catch (mailError) {
+    console.error(`Error emailing subscription ${subscription.id} missed run:`, mailError);
+  }
+
+  return 'failed';
+}
+
+async function recordFailure(subscription, orderId, error) {
+  const delayHours = RETRY_DELAY_HOURS[subscription.failed_attempts];
+  const nextRetryAt = delayHours !== undefined ? new Date(Date.now() + delayHours * 3600 * 1000) : null;
+
+  const { changes } = await Subscriptions.recordFailure(subscription.id, {
+    orderId,
+    error,
+    status: nextRetryAt ? 'past_due' : 'paused',
+    nextRetryAt
+  });
+
+  // Paused or cancelled by the customer while the run was in flight
+  if (changes === 0) {
+    return 'failed';
+  }
+
+  try {
+    await notifyPaymentFailed(subscription.id, error);
+  } catch (mailError) {
+    console.error(`Error emailing subscription ${subscription.id} failure:`, mailError);
+  }
+
+  return 'failed';
+}
+
+// A run's order has been paid: schedule the next run
+function recordPaidRun(subscription, orderId) {
+  return Subscriptions.recordRun(subscription.id, {
+    orderId,
+    nextRunDate: nextRunAfter(subscription.next_run_date, subscription.interval_weeks)
+  });
+}
+
+// Close the order of a charge that did not go through and schedule a retry.
+// Orders that are already closed are left alone, so a decline seen both by
+// the run and by the payment_intent.payment_failed webhook counts once.
+async function recordDeclinedCharge(subscription, orderId, intent) {
+  const order = await Orders.findById(orderId);
+
+  if (!order || order.status !== 'pending') {
+    return 'failed';
+  }
+
+  if (intent.status !== 'canceled') {
+    await getPaymentProvider().cancel(intent.id);
+  }
+
+  const closed = await withTransaction(repos => closeUnpaidOrder(repos, orderId, 'cancelled', {
+    note: 'Autoship payment failed'
+  }));
+
+  if (!closed) {
+    return 'failed';
+  }
+
+  await Payments.updateStatusByPaymentIntent(intent.id, 'failed');
+
+  return recordFailure(subscription, orderId, intent.lastError || 'The card needs the customer to confirm the payment');
+}
+
+// The newest order a run placed but did not finish with: the run stopped
+// after placing or paying for it, or its charge is still processing
+async function findUnfinishedOrder(subscription) {
+  const [latest] = await Orders.listForSubscription(subscription.id, 1);
+
+  if (!latest || latest.id === subscription.last_order_id) {
+    return null;
+  }
+
+  return latest.status === 'pending' || latest.payment_status === 'paid' ? latest : null;
+}
+
+// Place and charge one run of a subscription. Resolves with 'charged';
+// 'pending' while an earlier charge is still processing; or 'failed' when
+// the order could not be placed, in which case the run is skipped, or the
+// card was declined, in which case the order is cancelled and the charge
+// retried later.
+async function runSubscription(subscription) {
+  const provider = getPaymentProvider();
+  const unfinished = await findUnfinishedOrder(subscription);
+  let order;
+
+  if (unfinished && unfinished.payment_status === 'paid') {
+    await recordPaidRun(subscription, unfinished.id);
+    return 'charged';
+  }
+
+  if (unfinished) {
+    // A processing charge is settled by the payment_intent webhooks
+    if (await Payments.findLatestForOrder(unfinished.id)) {
+      return 'pending';
+    }
+
+    // Charge the order again; the idempotency key below returns the
+    // earlier charge if it was made
+    order = { orderId: unfinished.id, orderNumber: unfinished.order_number, totalAmount: unfinished.total_amount };
+  } else {
+    try {
+      const placed = await withTransaction(repos => placeOrder(repos, {
+        userId: subscription.user_id,
+        items: [{
+          type: 'product',
+          id: subscription.product_id,
+          variantId: subscription.variant_id,
+          quantity: subscription.quantity
+        }],
+        shippingAddress: shippingAddressOf(subscription),
+        shippingMethod: 'standard',
+        notes: `Autoship subscription #${subscription.id}`,
+        subscriptionId: subscription.id
+      }));
+      order = { orderId: placed.orderId, orderNumber: placed.orderNumber, totalAmount: placed.quote.totalAmount };
+    } catch (error) {
+      // Out of stock, withdrawn or no longer delivered to
+      if (error instanceof ApiError) {
+        return recordMissedRun(subscription, error.message);
+      }
+      throw error;
+    }
+  }
+
+  const { orderId, orderNumber, totalAmount } = order;
+  let intent;
+
+  try {
+    intent = await provider.chargeSavedCard({
+      amount: totalAmount,
+      currency: 'INR',
+      customerId: subscription.payment_customer_id,
+      paymentMethod: subscription.payment_method_id,
+      metadata: {
+        orderId: orderId.toString(),
+        orderNumber,
+        userId: subscription.user_id.toString(),
+        subscriptionId: subscription.id.toString()
+      },
+      description: `Autoship order ${orderNumber} - Sharma's Pet Nation`,
+      idempotencyKey: `autoship-${subscription.id}-${subscription.next_run_date}-${orderId}`
+    });
+  } catch (providerError) {
+    console.error(`Payment provider (${provider.name}) error:`, providerError);
+    const closed = await withTransaction(repos => closeUnpaidOrder(repos, orderId, 'cancelled', {
+      note: 'Autoship payment failed'
+    }));
+    return closed ? recordFailure(subscription, orderId, 'The payment could not be taken') : 'failed';
+  }
+
+  await Payments.create({
+    orderId,
+    provider: provider.name,
+    paymentIntentId: intent.id,
+    amount: totalAmount,
+    status: 'pending'
+  });
+
+  if (intent.status === 'succeeded') {
+    // Whoever marks the order paid, this run or the webhook, records the run
+    if (await withTransaction(repos => markOrderPaid(repos, orderId, intent))) {
+      await recordPaidRun(subscription, orderId);
+    }
+    return 'charged';
+  }
+
+  if (intent.status === 'processing') {
+    return 'pending';
+  }
+
+  return recordDeclinedCharge(subscription, orderId, intent);
+}
+
+// A subscription charge that was processing when its run finished has
+// succeeded (called from the payment_intent.succeeded webhook)
+async function settleSubscriptionCharge(subscriptionId, orderId) {
+  const subscription = await Subscriptions.findById(subscriptionId);
+
+  if (subscription) {
+    await recordPaidRun(subscription, orderId);
+  }
+}
+
+// A subscription charge has failed after its run finished (called from the
+// payment_intent.payment_failed webhook): retry it as for a declined card
+async function failSubscriptionCharge(subscriptionId, orderId, intent) {
+  const subscription = await Subscriptions.findById(subscriptionId);
+
+  if (subscription) {
+    await recordDeclinedCharge(subscription, orderId, intent);
+  }
+}
+
+// Run every subscription that is due, and retry those whose payment retry is
+// due. Resolves with { charged, pending, failed, errors } counts.
+async function runDueSubscriptions() {
+  const result = { charged: 0, pending: 0, failed: 0, errors: 0 };
+  const subscriptions = await Subscriptions.findDue(RUN_BATCH_SIZE);
+
+  for (const subscription of subscriptions) {
+    try {
+      result[await runSubscription(subscription)] += 1;
+    } catch (error) {
+      // Leave the subscription due and try again on the next run
+      console.error(`Error running subscription ${subscription.id}:`, error);
+      result.errors += 1;
+    }
+  }
+
+  return result;
+}
+
+// Run runDueSubscriptions every SUBSCRIPTION_RUN_INTERVAL_SECONDS (hourly by
+// default, 0 turns the runner off)
+function startSubscriptionRunner() {
+  return startJob('Subscription run', intervalFromEnv('SUBSCRIPTION_RUN_INTERVAL_SECONDS', 3600), async () => {
+    const { charged, failed } = await runDueSubscriptions();
+
+    if (charged > 0 || failed > 0) {
+      console.log(`🔁 Subscriptions: ${charged} charged, ${failed} failed`);
+    }
+  });
+}
+
+module.exports = {
+  INTERVAL_WEEKS,
+  SUBSCRIPTION_STATUSES,
+  today,
+  addWeeks,
+  startCardSetup,
+  saveCard,
+  runSubscription,
+  settleSubscriptionCharge,
+  failSubscriptionCharge,
+  runDueSubscriptions,
+  startSubscriptionRunner
+};
@@ -0,0 +1,76 @@
+const { roundCurrency } = require('./money');
+
+// States and union territories, as accepted for the shipping state
+const INDIAN_STATES = [
+  'Andaman and Nicobar Islands', 'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar',
+  'Chandigarh', 'Chhattisgarh', 'Dadra and Nagar Haveli and Daman and Diu', 'Delhi', 'Goa',
+  'Gujarat', 'Haryana', 'Himachal Pradesh', 'Jammu and Kashmir', 'Jharkhand', 'Karnataka',
+  'Kerala', 'Ladakh', 'Lakshadweep', 'Madhya Pradesh', 'Maharashtra', 'Manipur', 'Meghalaya',
+  'Mizoram', 'Nagaland', 'Odisha', 'Puducherry', 'Punjab', 'Rajasthan', 'Sikkim', 'Tamil Nadu',
+  'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal'
+];
+
+// The state the shop is registered for GST in
+const getHomeState = () => process.env.GST_STATE || 'Delhi';
+
+// The state an order is taxed in: the shop's own for orders collected in
+// store, otherwise where it is shipped
+const placeOfSupply = (shippingMethod, shippingState) =>
+  (shippingMethod === 'pickup' ? getHomeState() : shippingState);
+
+// Split the tax on one line: CGST and SGST at half the rate each within the
+// home state, IGST at the full rate for another state
+function splitTax({ rate, taxableAmount, taxAmount }, interState) {
+  if (interState) {
+    return [{ type: 'IGST', rate, taxableAmount, amount: taxAmount }];
+  }
+
+  const cgst = roundCurrency(taxAmount / 2);
+
+  return [
+    { type: 'CGST', rate: rate / 2, taxableAmount, amount: cgst },
+    { type: 'SGST', rate: rate / 2, taxableAmount, amount: roundCurrency(taxAmount - cgst) }
+  ];
+}
+
+// Work out the GST included in each quote line's price after its discount and
+// set the line's hsnCode, taxRate, taxableAmount, taxAmount and taxes.
+// `shippingCharge`, if given, is a { type: 'shipping', lineTotal, discount }
+// line for the shipping charge, taxed the same way at the shipping rate.
+// Without a shippingState the order is taxed as if shipped within the home
+// state. Resolves with the tax totals grouped by type and rate.
+async function applyTax(repos, lines, shippingState, shippingCharge) {
+  const interState = Boolean(shippingState) && shippingState !== getHomeState();
+  const totals = new Map();
+
+  for (const line of shippingCharge ? [...lines, shippingCharge] : lines) {
+    const taxRate = await repos.taxRates.findFor(line.type, line.category);
+    const rate = taxRate ? taxRate.rate : 0;
+    const amount = roundCurrency(line.lineTotal - line.discount);
+    const taxableAmount = roundCurrency(amount * 100 / (100 + rate));
+
+    line.hsnCode = taxRate ? taxRate.hsn_code : null;
+    line.taxRate = rate;
+    line.taxableAmount = taxableAmount;
+    line.taxAmount = roundCurrency(amount - taxableAmount);
+    line.taxes = splitTax({ rate, taxableAmount, taxAmount: line.taxAmount }, interState);
+
+    line.taxes.forEach(tax => {
+      const key = `${tax.type}:${tax.rate}`;
+      const total = totals.get(key) || { type: tax.type, rate: tax.rate, taxableAmount: 0, amount: 0 };
+
+      total.taxableAmount = roundCurrency(total.taxableAmount + tax.taxableAmount);
+      total.amount = roundCurrency(total.amount + tax.amount);
+      totals.set(key, total);
+    });
+  }
+
+  return [...totals.values()];
+}
+
+module.exports = {
+  INDIAN_STATES,
+  getHomeState,
+  placeOfSupply,
+  applyTax
+};
@@ -0,0 +1,159 @@
+const repositories = require('../database/repositories');
+const { markOrderPaid, markPaymentFailed } = require('./checkout');
+const { recordRefund, refundUnpaidCharge } = require('./refunds');
+const { settleSubscriptionCharge, failSubscriptionCharge } = require('./subscriptions');
+
+const { payments: Payments, refunds: Refunds, webhookEvents: WebhookEvents, withTransaction } = repositories;
+
+// Apply a verified provider event ({ id, type, object }) to our records
+async function handleEvent(event) {
+  switch (event.type) {
+    case 'payment_intent.succeeded': {
+      const payment = await Payments.findByPaymentIntent(event.object.id);
+
+      if (!payment) {
+        throw new Error(`No payment found for intent ${event.object.id}`);
+      }
+
+      const paid = await withTransaction(repos => markOrderPaid(repos, payment.order_id, event.object));
+
+      // A processing autoship charge has gone through: schedule the next run
+      if (paid && event.object.metadata.subscriptionId) {
+        await settleSubscriptionCharge(Number(event.object.metadata.subscriptionId), payment.order_id);
+      }
+
+      // Nothing to mark paid: either /api/payment/confirm already did, or the
+      // order can no longer take this payment and the money goes back
+      if (!paid) {
+        const refund = await refundUnpaidCharge(payment.id, event.object);
+
+        if (refund) {
+          console.log(`Refunded payment ${payment.id} received for closed order ${payment.order_id}`);
+        }
+      }
+      break;
+    }
+
+    case 'payment_intent.payment_failed': {
+      const payment = await Payments.findByPaymentIntent(event.object.id);
+
+      if (!payment) {
+        throw new Error(`No payment found for intent ${event.object.id}`);
+      }
+
+      await withTransaction(repos => markPaymentFailed(repos, payment.order_id, event.object));
+
+      // Autoship orders are not paid again by the customer: close the order
+      // and schedule the subscription's own retry
+      if (event.object.metadata.subscriptionId) {
+        await failSubscriptionCharge(Number(event.object.metadata.subscriptionId), payment.order_id, event.object);
+      }
+      break;
+    }
+
+    case 'charge.refunded': {
+      // Refunds issued outside this API (e.g. from the Stripe dashboard)
+      const payment = await Payments.findByPaymentIntent(event.object.paymentIntentId);
+
+      if (!payment) {
+        throw new Error(`No payment found for intent ${event.object.paymentIntentId}`);
+      }
+
+      for (const providerRefund of event.object.refunds) {
+        await withTransaction(repos => recordRefund(repos, {
+          paymentId: payment.id,
+          providerRefund,
+          reason: 'Refunded through payment provider'
+        }));
+      }
+      break;
+    }
+
+    case 'refund.created': {
+      // The same, on API versions whose charges no longer list their refunds
+      const payment = await Payments.findByPaymentIntent(event.object.paymentIntentId);
+
+      if (!payment) {
+        throw new Error(`No payment found for intent ${event.object.paymentIntentId}`);
+      }
+
+      await withTransaction(repos => recordRefund(repos, {
+        paymentId: payment.id,
+        providerRefund: event.object,
+        reason: 'Refunded through payment provider'
+      }));
+      break;
+    }
+
+    case 'refund.updated':
+    case 'charge.refund.updated':
+      await Refunds.updateStatusByProviderRefundId(event.object.id, event.object.status);
+      break;
+
+    default:
+      console.log(`Unhandled event type ${event.type}`);
+  }
+}
+
+// Minutes after which an event still marked processing is taken to have
+// been abandoned (the request handling it died) and may be processed again
+const PROCESSING_TIMEOUT_MINUTES = 5;
+
+// Process a stored event, recording the outcome on its row.
+// Resolves with the updated row, or null when the event is being processed
+// by another request.
+async function processStoredEvent(row) {
+  const claimed = await WebhookEvents.markProcessing(row.id, PROCESSING_TIMEOUT_MINUTES);
+
+  if (!claimed) {
+    return null;
+  }
+
+  try {
+    await handleEvent(JSON.parse(row.payload));
+    await WebhookEvents.markProcessed(row.id);
+  } catch (error) {
+    console.error(`Webhook event ${row.event_id} failed:`, error);
+    await WebhookEvents.markFailed(row.id, error.message);
+  }
+
+  return WebhookEvents.findById(row.id);
+}
+
+// Store a verified event and process it unless it is a duplicate delivery.
+// Resolves with { event, duplicate }.
+async function receiveEvent(providerName, event) {
+  const { event: row } = await WebhookEvents.record({
+    provider: providerName,
+    eventId: event.id,
+    type: event.type,
+    payload: event
+  });
+
+  if (row.status === 'processed') {
+    return { event: row, duplicate: true };
+  }
+
+  const processed = await processStoredEvent(row);
+
+  if (!processed) {
+    return { event: await WebhookEvents.findById(row.id), duplicate: true };
+  }
+
+  return { event: processed, duplicate: false };
+}
+
+// Run a failed or abandoned event again (admin replay). Resolves with the
+// updated row, null if there is no such event, or the row untouched while
+// another request is still processing it.
+async function replayEvent(id) {
+  const row = await WebhookEvents.findById(id);
+
+  if (!row) {
+    return null;
+  }
+
+  return (await processStoredEvent(row)) || WebhookEvents.findById(id);
+}
+
+module.exports = { PROCESSING_TIMEOUT_MINUTES, handleEvent, receiveEvent, replayEvent };
@@ -54,6 +54,21 @@ DATABASE_PATH=./database/pets.db
 JWT_SECRET=your-super-secret-jwt-key-change-this-in-production-${Date.now()}
 JWT_EXPIRES_IN=24h
 
+# Payment provider: stripe, or fake for offline development and tests
+PAYMENT_PROVIDER=stripe
+FAKE_WEBHOOK_SECRET=fake_webhook_secret
+
+# Unpaid orders hold their items for this long before they expire
+ORDER_RESERVATION_MINUTES=30
+# How often to look for expired orders (0 disables the sweeper)
+ORDER_SWEEP_INTERVAL_SECONDS=60
+
+# GST registration printed on invoices; orders shipped outside GST_STATE are charged IGST
+GST_STATE=Delhi
+GSTIN=
+INVOICE_BUSINESS_NAME=Sharma's Pet Nation
+INVOICE_ADDRESS=123 Pet Street, Delhi, India
+
 # Stripe Payment Gateway (Get these from https://stripe.com)
 STRIPE_SECRET_KEY=sk_test_your_stripe_secret_key_here
 STRIPE_PUBLISHABLE_KEY=pk_test_your_stripe_publishable_key_here
@@ -65,6 +80,13 @@ EMAIL_PORT=587
 EMAIL_USER=your-email@gmail.com
 EMAIL_PASS=your-app-password
 EMAIL_FROM=Sharma's Pet Nation <noreply@sharmapetnation.com>
+# outbox writes emails to MAIL_OUTBOX_DIR as .eml files instead of sending them; smtp uses the settings above
+MAIL_TRANSPORT=outbox
+MAIL_OUTBOX_DIR=./mail-outbox
+
+# Low-stock alert digest recipient (defaults to ADMIN_EMAIL) and check interval (0 disables)
+STOCK_ALERT_EMAIL=
+STOCK_ALERT_INTERVAL_SECONDS=3600
 
 # Admin Configuration
 ADMIN_EMAIL=admin@sharmapetnation.com
@@ -102,9 +124,10 @@ directories.forEach(dir => {
 // Initialize database
 console.log('\n🗄️  Initializing database...');
 try {
-    // Import and run database initialization
-    const { initializeDatabase } = require('./database/init');
-    initializeDatabase().then(() => {
+    // Apply schema migrations, then load default data
+    const { getDatabase, seedDatabase } = require('./database/init');
+    const { migrate } = require('./database/migrate');
+    migrate(getDatabase()).then(() => seedDatabase()).then(() => {
         console.log('✅ Database initialized successfully');
         console.log('   📊 Sample data loaded');
         
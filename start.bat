@@ -49,6 +49,15 @@ if not exist "database\pets.db" (
     )
 )
 
+REM Apply any pending schema migrations
+echo 🗄️  Applying database migrations...
+call npm run migrate
+if errorlevel 1 (
+    echo ❌ Failed to apply database migrations
+    pause
+    exit /b 1
+)
+
 echo 🚀 Starting server...
 echo.
 echo 📱 Server will be available at: http://localhost:5000